@@ -0,0 +1,213 @@
+/**
+ * 数据完整性检查命令行工具
+ * 加载 public/data 下的数据文件，检查跨数据集引用、重复ID、孤立位置与状态时间段，输出检查报告
+ *
+ * 用法：
+ *   node scripts/validate-data-integrity.js [选项]
+ *
+ * 选项：
+ *   --data-dir <目录>    数据目录，默认 public/data
+ *   --json               以 JSON 输出检查报告（及修复结果）
+ *   --repair <策略>      修复问题：default 使用默认策略，或 类型=策略,... 如 danglingReference=remove
+ *                        默认策略删除悬空引用的引用方数据项，孤立位置只报告
+ *   --placeholders       与 --repair 一起使用，为悬空引用与孤立位置创建占位目标（代替删除）
+ *   --write              将修复后的数据写回数据文件（不指定时只输出修复结果，不修改文件）
+ *
+ * 存在错误级问题（修复后仍存在）时退出码为 1
+ */
+import fs from 'fs'
+import path from 'path'
+import { parseArgs } from 'util'
+import { fileURLToPath } from 'url'
+import TargetBaseManager from '../src/components/ui/sanbox/manager/TargetBaseManager.js'
+import TargetLocationManager from '../src/components/ui/sanbox/manager/TargetLocationManager.js'
+import TargetStatusManager from '../src/components/ui/sanbox/manager/TargetStatusManager.js'
+import RelationManager from '../src/components/ui/sanbox/manager/RelationManager.js'
+import TrajectoryManager from '../src/components/ui/sanbox/manager/TrajectoryManager.js'
+import EventManager from '../src/components/ui/sanbox/manager/EventManager.js'
+import FusionLineManager from '../src/components/ui/sanbox/manager/FusionLineManager.js'
+import GeofenceManager from '../src/components/ui/sanbox/manager/GeofenceManager.js'
+import {
+  checkIntegrity,
+  repairIntegrity,
+  DEFAULT_REPAIR_STRATEGIES,
+  PLACEHOLDER_REPAIR_STRATEGIES,
+  DATASET_MANAGERS,
+  getDatasetManager,
+} from '../src/components/ui/sanbox/manager/integrity/index.js'
+import { DATASETS } from '../server/storage/datasets.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// 数据集对应的管理器类（数据管理器工厂依赖前端配置，无法在 Node 中直接加载）
+const MANAGER_CLASSES = {
+  targets: TargetBaseManager,
+  points: TargetLocationManager,
+  targetStatuses: TargetStatusManager,
+  relations: RelationManager,
+  trajectories: TrajectoryManager,
+  events: EventManager,
+  fusionLines: FusionLineManager,
+  geofences: GeofenceManager,
+}
+
+// 读取数据文件，同时记录缩进以便写回时保持格式
+function readDataFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8')
+  const indent = text.match(/^[[{]\r?\n(\s+)/)?.[1] || '  '
+  return { data: JSON.parse(text), indent }
+}
+
+// 加载数据文件，返回原始数据与管理器（属性名与 DataManagerFactory 一致）
+function loadDatasets(dataDir) {
+  const sources = {}
+  const indents = {}
+  const factory = {}
+
+  Object.entries(MANAGER_CLASSES).forEach(([dataset, ManagerClass]) => {
+    const manager = new ManagerClass()
+    factory[DATASET_MANAGERS[dataset]] = manager
+
+    const filePath = path.join(dataDir, DATASETS[dataset].file)
+    if (!fs.existsSync(filePath)) {
+      console.warn(`数据文件不存在，跳过: ${filePath}`)
+      return
+    }
+    const { data, indent } = readDataFile(filePath)
+    sources[dataset] = data
+    indents[dataset] = indent
+    manager.setInitialData(data)
+  })
+
+  return { factory, sources, indents }
+}
+
+// 解析修复策略参数，创建占位目标需要显式指定 --placeholders
+function parseStrategies(value, placeholders) {
+  if (value === 'default') {
+    return placeholders
+      ? { ...DEFAULT_REPAIR_STRATEGIES, ...PLACEHOLDER_REPAIR_STRATEGIES }
+      : DEFAULT_REPAIR_STRATEGIES
+  }
+
+  const strategies = {}
+  value.split(',').forEach((pair) => {
+    const [type, strategy] = pair.split('=').map((part) => part.trim())
+    if (!type || !strategy) {
+      throw new Error(`无效的修复策略: ${pair}，格式为 类型=策略`)
+    }
+    if (strategy === 'placeholder' && !placeholders) {
+      throw new Error(`修复策略 ${pair} 会创建占位目标，需要同时指定 --placeholders`)
+    }
+    strategies[type] = strategy
+  })
+  return placeholders ? { ...strategies, ...PLACEHOLDER_REPAIR_STRATEGIES } : strategies
+}
+
+// 将管理器中的数据写回数据文件（轨迹写回 {target_id: [points]} 格式）
+function writeDataset(dataDir, dataset, manager, indent) {
+  const items = manager.getAll()
+  const data = DATASETS[dataset].grouped
+    ? Object.fromEntries(items.map((item) => [item.target_id, item.trajectory]))
+    : items
+
+  const filePath = path.join(dataDir, DATASETS[dataset].file)
+  const tempPath = `${filePath}.tmp`
+  fs.writeFileSync(tempPath, `${JSON.stringify(data, null, indent)}\n`, 'utf8')
+  fs.renameSync(tempPath, filePath)
+}
+
+// 修复修改的数据集：创建占位目标修改 targets，其余修复修改问题所在的数据集
+const getRepairedDataset = ({ issue, strategy }) =>
+  strategy === 'placeholder' ? 'targets' : issue.dataset
+
+// 输出文本报告
+function printReport(report) {
+  console.log('=== 数据完整性检查 ===')
+  console.log(
+    '数据量:',
+    Object.entries(report.counts)
+      .map(([dataset, count]) => `${dataset} ${count}`)
+      .join(', '),
+  )
+  if (report.skipped.length > 0) {
+    console.log(`跳过的检查项: ${report.skipped.join(', ')}`)
+  }
+
+  report.issues.forEach((issue) => {
+    const mark = issue.severity === 'error' ? '✗' : '!'
+    console.log(`${mark} [${issue.type}] ${issue.dataset}/${issue.id}: ${issue.message}`)
+  })
+
+  console.log('\n检查结果:')
+  console.log(`错误: ${report.summary.errors}`)
+  console.log(`警告: ${report.summary.warnings}`)
+  Object.entries(report.summary.byType).forEach(([type, count]) => {
+    console.log(`  ${type}: ${count}`)
+  })
+}
+
+// 输出修复结果
+function printRepairs(repairs) {
+  console.log('\n=== 自动修复 ===')
+  repairs.repaired.forEach(({ issue, strategy, action }) => {
+    console.log(`✓ [${issue.type}/${strategy}] ${action}`)
+  })
+  repairs.skipped.forEach(({ issue, strategy, reason }) => {
+    console.log(`- [${issue.type}/${strategy}] ${issue.dataset}/${issue.id}: ${reason}`)
+  })
+  console.log(`已修复: ${repairs.repaired.length}，跳过: ${repairs.skipped.length}`)
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      'data-dir': { type: 'string', default: path.join(__dirname, '../public/data') },
+      json: { type: 'boolean', default: false },
+      repair: { type: 'string' },
+      placeholders: { type: 'boolean', default: false },
+      write: { type: 'boolean', default: false },
+    },
+  })
+
+  const dataDir = path.resolve(values['data-dir'])
+  const { factory, sources, indents } = loadDatasets(dataDir)
+  const report = checkIntegrity(factory, { sources })
+
+  let repairs = null
+  let finalReport = report
+  if (values.repair) {
+    repairs = repairIntegrity(factory, report, parseStrategies(values.repair, values.placeholders))
+    // 修复后重新检查已加载的数据（原始数据中的重复与无效项不会因修复而改变）
+    finalReport = checkIntegrity(factory)
+
+    if (values.write) {
+      const changed = new Set(repairs.repaired.map(getRepairedDataset))
+      changed.forEach((dataset) => {
+        writeDataset(dataDir, dataset, getDatasetManager(factory, dataset), indents[dataset])
+      })
+    }
+  }
+
+  if (values.json) {
+    console.log(
+      JSON.stringify({ report, repairs, finalReport: repairs ? finalReport : undefined }, null, 2),
+    )
+  } else {
+    printReport(report)
+    if (repairs) {
+      printRepairs(repairs)
+      console.log(
+        values.write ? '修复结果已写回数据文件' : '未写回数据文件（使用 --write 写回修复结果）',
+      )
+      console.log(
+        `修复后 错误: ${finalReport.summary.errors}，警告: ${finalReport.summary.warnings}`,
+      )
+    }
+  }
+
+  process.exitCode = finalReport.valid ? 0 : 1
+}
+
+main()
@@ -1,8 +1,33 @@
 import express from 'express'
 import cors from 'cors'
-import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { LiveStreamHub } from './server/liveStream.js'
+import { ReplaySimulator } from './server/replaySimulator.js'
+import { createStorage, getDataset, isTimeFiltered } from './server/storage/index.js'
+import { createCrudRouter } from './server/crudRoutes.js'
+import { createSpatialRouter } from './server/spatialRoutes.js'
+import { createSchemaRouter, loadSchemaExtensions } from './server/schemaRoutes.js'
+import { createGeofenceRouter } from './server/geofenceRoutes.js'
+import { handleRoute } from './server/errors.js'
+import { getGeofenceBounds } from './src/components/ui/sanbox/manager/geofences/geometry.js'
+import {
+  getDatasetSchema,
+  TRAJECTORY_POINT_SCHEMA,
+} from './src/components/ui/sanbox/manager/schemas/index.js'
+import {
+  parseBbox,
+  isInBbox,
+  filterByAttributes,
+  sortItems,
+  projectFields,
+  parsePagination,
+  paginate,
+  resolveDatasetOption,
+  resolveDatasetFields,
+  parseTargetIds,
+  parseTimeRange,
+} from './server/queryUtils.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -17,377 +42,368 @@ app.use(express.json())
 // 数据文件路径
 const DATA_DIR = path.join(__dirname, 'public', 'data')
 
-// 读取JSON文件的辅助函数
-const readJsonFile = (filename) => {
-  try {
-    const filePath = path.join(DATA_DIR, filename)
-    const data = fs.readFileSync(filePath, 'utf8')
-    return JSON.parse(data)
-  } catch (error) {
-    console.error(`读取文件 ${filename} 失败:`, error)
-    return []
-  }
+// 综合查询接口返回的数据集及其对应的存储数据集
+const DATA_DATASETS = {
+  targetBaseData: 'targets',
+  targetLocationData: 'points',
+  relationData: 'relations',
+  eventData: 'events',
+  trajectoryData: 'trajectories',
+  targetStatusData: 'targetStatuses',
+  fusionLineData: 'fusionLines',
+  geofenceData: 'geofences',
 }
-
-// 时间过滤函数
-const filterByTimeRange = (data, startTime, endTime, timeField = 'timestamp') => {
-  if (!startTime && !endTime) return data
-
-  return data.filter((item) => {
-    const itemTime = new Date(item[timeField])
-    const start = startTime ? new Date(startTime) : null
-    const end = endTime ? new Date(endTime) : null
-
-    if (start && end) {
-      return itemTime >= start && itemTime <= end
-    } else if (start) {
-      return itemTime >= start
-    } else if (end) {
-      return itemTime <= end
-    }
-    return true
-  })
-}
-
-// 根据target_ids过滤数据
-const filterByTargetIds = (data, targetIds) => {
-  if (!targetIds || !Array.isArray(targetIds) || targetIds.length === 0) {
-    return data
-  }
-
-  return data.filter((item) => {
-    // 支持多种ID字段名
-    const id = item.target_id || item.targetId || item.id || item.point_id
-    return targetIds.includes(id)
-  })
+const DATA_DATASET_KEYS = Object.keys(DATA_DATASETS)
+
+/**
+ * 获取综合查询数据集 Schema 声明的字段（含部署扩展），轨迹数据为轨迹点的字段
+ * @param {string} key - 综合查询数据集名称
+ * @returns {Array} 字段数组
+ */
+const getSchemaFields = (key) =>
+  Object.keys(
+    (key === 'trajectoryData' ? TRAJECTORY_POINT_SCHEMA : getDatasetSchema(DATA_DATASETS[key]))
+      .properties,
+  )
+
+// 数据源（环境变量 DATA_SOURCE=json|mysql|sqlite，默认读写 JSON 文件）
+const storage = await createStorage({ dataDir: DATA_DIR, rootDir: __dirname })
+
+// 数据集 Schema 部署扩展（环境变量 SCHEMA_EXTENSIONS 指定 JSON 文件），写入接口按扩展后的 Schema 校验
+const schemaExtensionsFile = loadSchemaExtensions({ rootDir: __dirname })
+if (schemaExtensionsFile) {
+  console.log(`已加载 Schema 扩展: ${schemaExtensionsFile}`)
 }
 
 // API路由
 
-// 获取目标基础数据
-app.get('/targets', (req, res) => {
-  try {
-    const { target_ids } = req.query
-    let data = readJsonFile('targetBaseData.json')
-
-    // 解析target_ids参数
-    const targetIds = target_ids ? JSON.parse(target_ids) : null
-
-    // 应用过滤器 - 只过滤target_ids，不过滤时间
-    data = filterByTargetIds(data, targetIds)
-
-    res.json({
-      success: true,
-      data: data,
-      count: data.length,
-      filters: { target_ids: targetIds },
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    })
-  }
+// 单数据集查询接口 - target_ids 与时间窗口过滤由存储后端完成，SQL 数据源下推到查询语句
+// 目标、位置没有时间字段，只按 target_ids 过滤；关系、融合线按有效期与时间窗口是否相交过滤
+const QUERY_ROUTES = [
+  { route: '/targets', dataset: 'targets' },
+  { route: '/target-locations', dataset: 'points' },
+  { route: '/relations', dataset: 'relations' },
+  { route: '/events', dataset: 'events' },
+  { route: '/trajectories', dataset: 'trajectories' },
+  { route: '/target-status', dataset: 'targetStatuses' },
+  { route: '/fusion-lines', dataset: 'fusionLines' },
+]
+
+QUERY_ROUTES.forEach(({ route, dataset }) => {
+  const definition = getDataset(dataset)
+  const { grouped } = definition
+  const timeFiltered = isTimeFiltered(definition)
+
+  app.get(
+    route,
+    handleRoute(async (req, res) => {
+      const targetIds = parseTargetIds(req.query.target_ids)
+      const { startTime, endTime } = timeFiltered
+        ? parseTimeRange(req.query.startTime, req.query.endTime)
+        : {}
+      const data = await storage.query(dataset, { targetIds, startTime, endTime })
+
+      res.json({
+        success: true,
+        data,
+        count: grouped ? Object.keys(data).length : data.length,
+        filters: timeFiltered
+          ? { startTime, endTime, target_ids: targetIds }
+          : { target_ids: targetIds },
+      })
+    }),
+  )
 })
 
-// 获取目标位置数据
-app.get('/target-locations', (req, res) => {
-  try {
-    const { target_ids } = req.query
-    let data = readJsonFile('targetLocationData.json')
-
-    const targetIds = target_ids ? JSON.parse(target_ids) : null
-
-    // 应用过滤器 - 只过滤target_ids，不过滤时间
-    data = filterByTargetIds(data, targetIds)
+// 综合查询接口 - 一次性获取所有数据
+// 除时间与 target_ids 外，还支持:
+//   datasets: 只返回指定数据集，如 ['targetLocationData', 'trajectoryData']
+//   bbox: [west, south, east, north]，按位置过滤点位与轨迹点，其余数据集按关联目标过滤
+//   filters: {type, status, priority}，只作用于该字段适用的数据集（type 为目标类型，只过滤目标）
+//   sort: 'field' | '-field' | [...]，可按数据集分别指定 {eventData: '-startTime'}
+//   fields: 字段投影，可按数据集分别指定；全局字段列表只作用于 Schema 声明了这些字段的数据集
+//   limit + offset/cursor: 对每个数据集分页（轨迹数据按目标分页）
+// counts 为分页前的总数，pagination 为各数据集的分页信息
+app.post(
+  '/data',
+  handleRoute(async (req, res) => {
+    const {
+      startTime,
+      endTime,
+      target_ids,
+      datasets,
+      bbox,
+      filters,
+      sort,
+      fields,
+      limit,
+      offset,
+      cursor,
+    } = req.body
+    const targetIds = parseTargetIds(target_ids)
+    const timeRange = parseTimeRange(startTime, endTime)
+    const bounds = parseBbox(bbox)
+    const pagination = parsePagination({ limit, offset, cursor })
+    const requestedDatasets =
+      Array.isArray(datasets) && datasets.length > 0
+        ? DATA_DATASET_KEYS.filter((key) => datasets.includes(key))
+        : DATA_DATASET_KEYS
+
+    // 读取数据 - target_ids 与时间窗口过滤由存储后端完成（目标、位置不按时间过滤，关系、融合线按有效期过滤）
+    const loaded = Object.fromEntries(
+      await Promise.all(
+        DATA_DATASET_KEYS.map(async (key) => [
+          key,
+          await storage.query(DATA_DATASETS[key], { targetIds, ...timeRange }),
+        ]),
+      ),
+    )
+    let {
+      targetBaseData,
+      targetLocationData,
+      relationData,
+      eventData,
+      trajectoryData,
+      targetStatusData,
+      fusionLineData,
+      geofenceData,
+    } = loaded
+
+    // 空间范围过滤 - 点位按坐标过滤，其余数据集按关联目标是否在范围内过滤
+    if (bounds) {
+      targetLocationData = targetLocationData.filter((item) =>
+        isInBbox(item.longitude, item.latitude, bounds),
+      )
+      const idsInBbox = new Set(targetLocationData.map((item) => item.id))
+      const touchesBbox = (item) =>
+        [item.source_id, item.target_id, item.source, item.target].some((id) => idsInBbox.has(id))
+
+      targetBaseData = targetBaseData.filter((item) => idsInBbox.has(item.id))
+      relationData = relationData.filter(touchesBbox)
+      eventData = eventData.filter(touchesBbox)
+      fusionLineData = fusionLineData.filter(touchesBbox)
+      targetStatusData = targetStatusData.filter((item) => idsInBbox.has(item.target_id))
+      // 围栏按外接边界是否与范围相交过滤
+      geofenceData = geofenceData.filter((item) => {
+        const { minLng, maxLng, minLat, maxLat } = getGeofenceBounds(item)
+        return (
+          minLng <= bounds.east &&
+          maxLng >= bounds.west &&
+          minLat <= bounds.north &&
+          maxLat >= bounds.south
+        )
+      })
 
-    res.json({
-      success: true,
-      data: data,
-      count: data.length,
-      filters: { target_ids: targetIds },
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    })
-  }
-})
+      const trajectoryInBbox = {}
+      Object.entries(trajectoryData).forEach(([targetId, points]) => {
+        const pointsInBbox = (points || []).filter((point) =>
+          isInBbox(point.longitude, point.latitude, bounds),
+        )
+        if (pointsInBbox.length > 0) {
+          trajectoryInBbox[targetId] = pointsInBbox
+        }
+      })
+      trajectoryData = trajectoryInBbox
+    }
 
-// 获取关系数据
-app.get('/relations', (req, res) => {
-  try {
-    const { target_ids } = req.query
-    let data = readJsonFile('relationData.json')
+    // 属性过滤
+    targetBaseData = filterByAttributes(targetBaseData, filters, DATA_DATASETS.targetBaseData)
+    targetLocationData = filterByAttributes(
+      targetLocationData,
+      filters,
+      DATA_DATASETS.targetLocationData,
+    )
+    relationData = filterByAttributes(relationData, filters, DATA_DATASETS.relationData)
+    eventData = filterByAttributes(eventData, filters, DATA_DATASETS.eventData)
+    targetStatusData = filterByAttributes(targetStatusData, filters, DATA_DATASETS.targetStatusData)
+    fusionLineData = filterByAttributes(fusionLineData, filters, DATA_DATASETS.fusionLineData)
+    geofenceData = filterByAttributes(geofenceData, filters, DATA_DATASETS.geofenceData)
+
+    // 分页前的总数
+    const counts = {
+      targets: targetBaseData.length,
+      locations: targetLocationData.length,
+      relations: relationData.length,
+      events: eventData.length,
+      trajectories: Object.keys(trajectoryData).length,
+      trajectoryPoints: Object.values(trajectoryData).reduce(
+        (sum, points) => sum + (points?.length || 0),
+        0,
+      ),
+      statuses: targetStatusData.length,
+      fusionLines: fusionLineData.length,
+      geofences: geofenceData.length,
+    }
 
-    const targetIds = target_ids ? JSON.parse(target_ids) : null
+    const filteredData = {
+      targetBaseData,
+      targetLocationData,
+      relationData,
+      eventData,
+      trajectoryData,
+      targetStatusData,
+      fusionLineData,
+      geofenceData,
+    }
 
-    // 关系数据需要检查source和target字段 - 只过滤target_ids，不过滤时间
-    if (targetIds && targetIds.length > 0) {
-      data = data.filter(
-        (item) => targetIds.includes(item.source) || targetIds.includes(item.target),
+    // 排序、分页、字段投影
+    const data = {}
+    const pages = {}
+    requestedDatasets.forEach((key) => {
+      const datasetSort = resolveDatasetOption(sort, key, DATA_DATASET_KEYS)
+      // 字段投影按数据集 Schema 决定，同一数据集的各页投影一致
+      const datasetFields = resolveDatasetFields(
+        fields,
+        key,
+        DATA_DATASET_KEYS,
+        getSchemaFields(key),
       )
-    }
 
-    res.json({
-      success: true,
-      data: data,
-      count: data.length,
-      filters: { target_ids: targetIds },
+      if (key === 'trajectoryData') {
+        // 轨迹数据按目标分页，字段投影作用于轨迹点
+        const { items: targetPage, page } = paginate(Object.keys(filteredData[key]), pagination)
+        data[key] = {}
+        targetPage.forEach((targetId) => {
+          data[key][targetId] = datasetFields.length
+            ? filteredData[key][targetId].map((point) => projectFields(point, datasetFields))
+            : filteredData[key][targetId]
+        })
+        pages[key] = page
+        return
+      }
+
+      const { items, page } = paginate(sortItems(filteredData[key], datasetSort), pagination)
+      data[key] = datasetFields.length
+        ? items.map((item) => projectFields(item, datasetFields))
+        : items
+      pages[key] = page
     })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    })
-  }
-})
-
-// 获取事件数据
-app.get('/events', (req, res) => {
-  try {
-    const { startTime, endTime, target_ids } = req.query
-    let data = readJsonFile('eventData.json')
-
-    const targetIds = target_ids ? JSON.parse(target_ids) : null
-
-    data = filterByTargetIds(data, targetIds)
-    data = filterByTimeRange(data, startTime, endTime, 'timestamp')
 
     res.json({
       success: true,
-      data: data,
-      count: data.length,
-      filters: { startTime, endTime, target_ids: targetIds },
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
+      data,
+      filters: {
+        startTime,
+        endTime,
+        target_ids: targetIds,
+        bbox: bounds,
+        filters: filters || null,
+      },
+      counts,
+      pagination: pages,
     })
-  }
-})
-
-// 获取轨迹数据
-app.get('/trajectories', (req, res) => {
+  }),
+)
+
+// 实时推送通道
+const liveStream = new LiveStreamHub()
+// 回放数据按时间窗口从存储后端读取；事件同时匹配 source_id，target_ids 由模拟器过滤
+const replaySimulator = new ReplaySimulator(
+  liveStream,
+  async ({ startTime, endTime, targetIds }) => {
+    const [trajectoryData, targetStatusData, eventData] = await Promise.all([
+      storage.query('trajectories', { startTime, endTime, targetIds }),
+      storage.query('targetStatuses', { startTime, endTime, targetIds }),
+      storage.query('events', { startTime, endTime }),
+    ])
+    return { trajectoryData, targetStatusData, eventData }
+  },
+)
+
+// 数据写入接口（POST/PUT/PATCH/DELETE），写入成功后通过实时推送通道广播增量
+app.use(createCrudRouter({ storage, liveStream }))
+
+// 空间查询接口（边界、半径、多边形），与前端数据管理器共用网格空间索引
+app.use(createSpatialRouter({ storage }))
+
+// 地理围栏 GeoJSON 导入导出
+app.use(createGeofenceRouter({ storage, liveStream }))
+
+// 数据集 JSON Schema（合并部署扩展），与写入接口和前端数据管理器的校验规则一致
+app.use(createSchemaRouter())
+
+// 订阅实时数据推送（SSE）
+app.get('/stream', (req, res) => {
   try {
-    const { target_ids, startTime, endTime } = req.query
-    let data = readJsonFile('shipTrajectoryData.json')
+    const { target_ids, datasets } = req.query
 
     const targetIds = target_ids ? JSON.parse(target_ids) : null
+    const datasetList = datasets ? String(datasets).split(',').filter(Boolean) : null
 
-    // 轨迹数据是对象格式，需要特殊处理 - 过滤target_ids和时间
-    if (targetIds && targetIds.length > 0) {
-      const filteredData = {}
-      targetIds.forEach((id) => {
-        if (data[id]) {
-          filteredData[id] = data[id]
-        }
-      })
-      data = filteredData
-    }
-
-    // 应用时间过滤 - 根据timestamp过滤轨迹点
-    if (startTime || endTime) {
-      const start = startTime ? new Date(startTime) : null
-      const end = endTime ? new Date(endTime) : null
-
-      Object.keys(data).forEach((targetId) => {
-        if (data[targetId] && Array.isArray(data[targetId])) {
-          data[targetId] = data[targetId].filter((point) => {
-            const pointTime = new Date(point.timestamp)
-            if (start && end) {
-              return pointTime >= start && pointTime <= end
-            } else if (start) {
-              return pointTime >= start
-            } else if (end) {
-              return pointTime <= end
-            }
-            return true
-          })
-        }
-      })
-    }
-
-    res.json({
-      success: true,
-      data: data,
-      count: Object.keys(data).length,
-      filters: { target_ids: targetIds, startTime, endTime },
-    })
+    liveStream.addClient(req, res, { targetIds, datasets: datasetList })
   } catch (error) {
-    res.status(500).json({
+    res.status(400).json({
       success: false,
       error: error.message,
     })
   }
 })
 
-// 获取目标状态数据
-app.get('/target-status', (req, res) => {
-  try {
-    const { target_ids, startTime, endTime } = req.query
-    let data = readJsonFile('targetStatusData.json')
-
-    const targetIds = target_ids ? JSON.parse(target_ids) : null
+// 推送增量数据
+app.post('/stream/publish', (req, res) => {
+  const deltas = Array.isArray(req.body) ? req.body : [req.body]
 
-    // 应用过滤器 - 过滤target_ids和时间
-    data = filterByTargetIds(data, targetIds)
-    data = filterByTimeRange(data, startTime, endTime, 'startTime')
+  const errors = deltas
+    .map((delta, index) => ({ index, errors: liveStream.validateDelta(delta) }))
+    .filter((item) => item.errors.length > 0)
 
-    res.json({
-      success: true,
-      data: data,
-      count: data.length,
-      filters: { target_ids: targetIds, startTime, endTime },
-    })
-  } catch (error) {
-    res.status(500).json({
+  if (errors.length > 0) {
+    return res.status(400).json({
       success: false,
-      error: error.message,
+      error: '增量数据校验失败',
+      details: errors,
     })
   }
-})
-
-// 获取融合线数据
-app.get('/fusion-lines', (req, res) => {
-  try {
-    const { startTime, endTime, target_ids } = req.query
-    let data = readJsonFile('fusionLineData.json')
-
-    const targetIds = target_ids ? JSON.parse(target_ids) : null
-
-    // 融合线数据需要检查source_id和target_id字段（注意字段名）
-    if (targetIds && targetIds.length > 0) {
-      data = data.filter(
-        (item) => targetIds.includes(item.source_id) || targetIds.includes(item.target_id),
-      )
-    }
 
-    // 融合线数据使用startTime字段进行时间过滤
-    data = filterByTimeRange(data, startTime, endTime, 'startTime')
+  const messages = deltas.map((delta) => liveStream.publish(delta))
 
-    res.json({
-      success: true,
-      data: data,
-      count: data.length,
-      filters: { startTime, endTime, target_ids: targetIds },
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    })
-  }
+  res.json({
+    success: true,
+    data: messages.map((message) => message.id),
+    count: messages.length,
+  })
 })
 
-// 综合查询接口 - 一次性获取所有数据
-app.post('/data', (req, res) => {
+// 启动回放模拟
+app.post('/stream/replay/start', async (req, res) => {
   try {
-    const { startTime, endTime, target_ids } = req.body
+    const { speed, loop, startTime, endTime, target_ids } = req.body || {}
     const targetIds = target_ids && Array.isArray(target_ids) ? target_ids : null
 
-    // 读取所有数据文件
-    let targetBaseData = readJsonFile('targetBaseData.json')
-    let targetLocationData = readJsonFile('targetLocationData.json')
-    let relationData = readJsonFile('relationData.json')
-    let eventData = readJsonFile('eventData.json')
-    let trajectoryData = readJsonFile('shipTrajectoryData.json')
-    let targetStatusData = readJsonFile('targetStatusData.json')
-    let fusionLineData = readJsonFile('fusionLineData.json')
-
-    // 应用过滤器 - 只对target_ids过滤，不对时间过滤（除了事件和融合线）
-    targetBaseData = filterByTargetIds(targetBaseData, targetIds)
-
-    targetLocationData = filterByTargetIds(targetLocationData, targetIds)
-
-    // 关系数据特殊处理 - 只过滤target_ids
-    if (targetIds && targetIds.length > 0) {
-      relationData = relationData.filter(
-        (item) => targetIds.includes(item.source) || targetIds.includes(item.target),
-      )
-    }
-
-    // 事件数据 - 应用时间过滤
-    eventData = filterByTargetIds(eventData, targetIds)
-    eventData = filterByTimeRange(eventData, startTime, endTime, 'timestamp')
-
-    targetStatusData = filterByTargetIds(targetStatusData, targetIds)
-    // 状态数据 - 应用时间过滤
-    targetStatusData = filterByTimeRange(targetStatusData, startTime, endTime, 'startTime')
-
-    // 轨迹数据特殊处理 - 过滤target_ids和时间
-    if (targetIds && targetIds.length > 0) {
-      const filteredTrajectoryData = {}
-      targetIds.forEach((id) => {
-        if (trajectoryData[id]) {
-          filteredTrajectoryData[id] = trajectoryData[id]
-        }
-      })
-      trajectoryData = filteredTrajectoryData
-    }
-
-    // 轨迹数据 - 应用时间过滤
-    if (startTime || endTime) {
-      const start = startTime ? new Date(startTime) : null
-      const end = endTime ? new Date(endTime) : null
-
-      Object.keys(trajectoryData).forEach((targetId) => {
-        if (trajectoryData[targetId] && Array.isArray(trajectoryData[targetId])) {
-          trajectoryData[targetId] = trajectoryData[targetId].filter((point) => {
-            const pointTime = new Date(point.timestamp)
-            if (start && end) {
-              return pointTime >= start && pointTime <= end
-            } else if (start) {
-              return pointTime >= start
-            } else if (end) {
-              return pointTime <= end
-            }
-            return true
-          })
-        }
-      })
-    }
-
-    // 融合线数据 - 应用时间过滤
-    if (targetIds && targetIds.length > 0) {
-      fusionLineData = fusionLineData.filter(
-        (item) => targetIds.includes(item.source_id) || targetIds.includes(item.target_id),
-      )
-    }
-    fusionLineData = filterByTimeRange(fusionLineData, startTime, endTime, 'startTime')
+    const status = await replaySimulator.start({ speed, loop, startTime, endTime, targetIds })
 
     res.json({
       success: true,
-      data: {
-        targetBaseData,
-        targetLocationData,
-        relationData,
-        eventData,
-        trajectoryData,
-        targetStatusData,
-        fusionLineData,
-      },
-      filters: { startTime, endTime, target_ids: targetIds },
-      counts: {
-        targets: targetBaseData.length,
-        locations: targetLocationData.length,
-        relations: relationData.length,
-        events: eventData.length,
-        trajectories: Object.keys(trajectoryData).length,
-        statuses: targetStatusData.length,
-        fusionLines: fusionLineData.length,
-      },
+      data: status,
     })
   } catch (error) {
-    res.status(500).json({
+    res.status(400).json({
       success: false,
       error: error.message,
     })
   }
 })
 
+// 停止回放模拟
+app.post('/stream/replay/stop', (req, res) => {
+  replaySimulator.stop()
+  res.json({
+    success: true,
+    data: replaySimulator.getStatus(),
+  })
+})
+
+// 获取回放状态
+app.get('/stream/replay/status', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...replaySimulator.getStatus(),
+      stream: liveStream.getStats(),
+    },
+  })
+})
+
 // 健康检查接口
 app.get('/health', (req, res) => {
   res.json({
@@ -403,4 +419,7 @@ app.listen(PORT, () => {
   console.log(`📍 服务地址: http://localhost:${PORT}`)
   console.log(`🔍 健康检查: http://localhost:${PORT}/health`)
   console.log(`📊 综合查询: http://localhost:${PORT}/data`)
+  console.log(`📡 实时推送: http://localhost:${PORT}/stream`)
+  console.log(`📐 数据集 Schema: http://localhost:${PORT}/schemas`)
+  console.log(`🗺️ 围栏 GeoJSON: http://localhost:${PORT}/geofences/geojson`)
 })
@@ -0,0 +1,199 @@
+// 数据写入接口 - 为各数据集提供 POST/PUT/PATCH/DELETE 路由
+// 校验规则复用前端数据管理器（src/components/ui/sanbox/manager）的 getValidationErrors
+import express from 'express'
+import TargetBaseManager from '../src/components/ui/sanbox/manager/TargetBaseManager.js'
+import TargetLocationManager from '../src/components/ui/sanbox/manager/TargetLocationManager.js'
+import TargetStatusManager from '../src/components/ui/sanbox/manager/TargetStatusManager.js'
+import RelationManager from '../src/components/ui/sanbox/manager/RelationManager.js'
+import TrajectoryManager from '../src/components/ui/sanbox/manager/TrajectoryManager.js'
+import EventManager from '../src/components/ui/sanbox/manager/EventManager.js'
+import FusionLineManager from '../src/components/ui/sanbox/manager/FusionLineManager.js'
+import GeofenceManager from '../src/components/ui/sanbox/manager/GeofenceManager.js'
+import { ApiError, handleRoute } from './errors.js'
+import { getDataset } from './storage/datasets.js'
+
+// 可写数据集配置（dataset 与实时推送的数据集名称一致）
+export const WRITABLE_DATASETS = [
+  { dataset: 'targets', route: '/targets', Manager: TargetBaseManager },
+  { dataset: 'points', route: '/target-locations', Manager: TargetLocationManager },
+  { dataset: 'targetStatuses', route: '/target-status', Manager: TargetStatusManager },
+  { dataset: 'relations', route: '/relations', Manager: RelationManager },
+  { dataset: 'events', route: '/events', Manager: EventManager },
+  { dataset: 'fusionLines', route: '/fusion-lines', Manager: FusionLineManager },
+  { dataset: 'geofences', route: '/geofences', Manager: GeofenceManager },
+]
+
+// 轨迹数据集配置（按 target_id 整体读写轨迹点，单独处理）
+export const TRAJECTORY_DATASET = {
+  dataset: 'trajectories',
+  route: '/trajectories',
+  Manager: TrajectoryManager,
+}
+
+// 校验数据项，失败时抛出带字段错误的 ApiError
+const assertValid = (validator, item) => {
+  const errors = validator.getValidationErrors(item)
+  if (errors.length > 0) {
+    throw new ApiError(422, '数据校验失败', errors)
+  }
+}
+
+// 请求体必须是对象
+const assertObjectBody = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, '请求体必须是JSON对象')
+  }
+}
+
+/**
+ * 创建数据写入路由
+ * 读写通过存储后端完成（JSON 文件、MySQL 或 SQLite）
+ * @param {Object} options - 选项
+ * @param {Object} options.storage - 存储后端（见 server/storage）
+ * @param {LiveStreamHub} options.liveStream - 实时推送通道（可选，写入成功后推送增量）
+ * @returns {express.Router} 路由
+ */
+export const createCrudRouter = ({ storage, liveStream = null }) => {
+  const router = express.Router()
+
+  const notify = (dataset, op, data) => {
+    if (liveStream) {
+      liveStream.publish({ dataset, op, data })
+    }
+  }
+
+  WRITABLE_DATASETS.forEach((config) => {
+    const { dataset, route, Manager } = config
+    // 状态数据使用数字ID，新增时可自动分配
+    const { autoIncrementId } = getDataset(dataset)
+    const validator = new Manager()
+    const idField = validator.idField
+
+    // 查找数据项，不存在时抛出 404
+    const findExisting = async (id) => {
+      const existing = await storage.findById(dataset, id)
+      if (!existing) {
+        throw new ApiError(404, `数据不存在: ${id}`)
+      }
+      return existing
+    }
+
+    // 新增
+    router.post(
+      route,
+      handleRoute(async (req, res) => {
+        assertObjectBody(req.body)
+        const item = { ...req.body }
+        if (item[idField] === undefined && autoIncrementId) {
+          item[idField] = await storage.nextId(dataset)
+        }
+        assertValid(validator, item)
+        if (await storage.findById(dataset, item[idField])) {
+          throw new ApiError(409, `数据已存在: ${item[idField]}`)
+        }
+
+        const created = await storage.save(dataset, item)
+        notify(dataset, 'upsert', created)
+        res.status(201).json({ success: true, data: created })
+      }),
+    )
+
+    // 整体替换
+    router.put(
+      `${route}/:id`,
+      handleRoute(async (req, res) => {
+        assertObjectBody(req.body)
+        const existing = await findExisting(req.params.id)
+        const item = { ...req.body, [idField]: existing[idField] }
+        assertValid(validator, item)
+
+        const updated = await storage.save(dataset, item)
+        notify(dataset, 'upsert', updated)
+        res.json({ success: true, data: updated })
+      }),
+    )
+
+    // 部分更新
+    router.patch(
+      `${route}/:id`,
+      handleRoute(async (req, res) => {
+        assertObjectBody(req.body)
+        const existing = await findExisting(req.params.id)
+        const item = { ...existing, ...req.body, [idField]: existing[idField] }
+        assertValid(validator, item)
+
+        const updated = await storage.save(dataset, item)
+        notify(dataset, 'upsert', updated)
+        res.json({ success: true, data: updated })
+      }),
+    )
+
+    // 删除
+    router.delete(
+      `${route}/:id`,
+      handleRoute(async (req, res) => {
+        const removed = await storage.remove(dataset, req.params.id)
+        if (!removed) {
+          throw new ApiError(404, `数据不存在: ${req.params.id}`)
+        }
+
+        notify(dataset, 'remove', { [idField]: removed[idField], target_id: removed.target_id })
+        res.json({ success: true, data: removed })
+      }),
+    )
+  })
+
+  // 轨迹数据
+  const trajectoryValidator = new TrajectoryManager()
+  const { route: trajectoryRoute } = TRAJECTORY_DATASET
+
+  // 替换（或创建）目标轨迹，请求体为 {trajectory: [...]} 或轨迹点数组
+  router.put(
+    `${trajectoryRoute}/:targetId`,
+    handleRoute(async (req, res) => {
+      const { targetId } = req.params
+      const trajectory = Array.isArray(req.body) ? req.body : req.body?.trajectory
+      const item = { target_id: targetId, trajectory }
+      assertValid(trajectoryValidator, item)
+
+      const created = await storage.setTrajectory(targetId, trajectory)
+
+      notify('trajectories', 'upsert', item)
+      res.status(created ? 201 : 200).json({ success: true, data: item })
+    }),
+  )
+
+  // 追加轨迹点，请求体为 {points: [...]} 或轨迹点数组
+  router.post(
+    `${trajectoryRoute}/:targetId/points`,
+    handleRoute(async (req, res) => {
+      const { targetId } = req.params
+      const points = Array.isArray(req.body) ? req.body : req.body?.points
+      assertValid(trajectoryValidator, { target_id: targetId, trajectory: points })
+
+      const trajectory = await storage.appendTrajectoryPoints(targetId, points)
+
+      notify('trajectories', 'append', { target_id: targetId, points })
+      res.status(201).json({ success: true, data: { target_id: targetId, trajectory } })
+    }),
+  )
+
+  // 删除目标轨迹
+  router.delete(
+    `${trajectoryRoute}/:targetId`,
+    handleRoute(async (req, res) => {
+      const { targetId } = req.params
+      const removed = await storage.removeTrajectory(targetId)
+      if (!removed) {
+        throw new ApiError(404, `轨迹不存在: ${targetId}`)
+      }
+
+      notify('trajectories', 'remove', { id: targetId, target_id: targetId })
+      res.json({ success: true, data: { target_id: targetId, trajectory: removed } })
+    }),
+  )
+
+  return router
+}
+
+export default createCrudRouter
@@ -0,0 +1,25 @@
+// 带 HTTP 状态码的接口错误
+export class ApiError extends Error {
+  constructor(status, message, details = null) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.details = details
+  }
+}
+
+// 统一的路由错误处理：ApiError 按其状态码返回，其余错误返回 500（支持异步路由）
+export const handleRoute = (fn) => async (req, res) => {
+  try {
+    await fn(req, res)
+  } catch (error) {
+    const status = error instanceof ApiError ? error.status : 500
+    const body = { success: false, error: error.message }
+    if (error.details) {
+      body.details = error.details
+    }
+    res.status(status).json(body)
+  }
+}
+
+export default ApiError
@@ -0,0 +1,57 @@
+// 地理围栏 GeoJSON 接口 - 围栏的增删改由数据写入接口（/geofences）完成，这里提供 GeoJSON 导入导出
+// 圆形、走廊与 GeoJSON 的转换约定见 src/components/ui/sanbox/manager/geofences/geojson.js
+import express from 'express'
+import {
+  geofencesToGeoJSON,
+  geofencesFromGeoJSON,
+} from '../src/components/ui/sanbox/manager/geofences/geojson.js'
+import { ApiError, handleRoute } from './errors.js'
+
+/**
+ * 创建地理围栏 GeoJSON 路由
+ * @param {Object} options - 选项
+ * @param {Object} options.storage - 存储后端（见 server/storage）
+ * @param {LiveStreamHub} options.liveStream - 实时推送通道（可选，导入成功后推送增量）
+ * @returns {express.Router} 路由
+ */
+export const createGeofenceRouter = ({ storage, liveStream = null }) => {
+  const router = express.Router()
+
+  // 导出全部围栏
+  router.get(
+    '/geofences/geojson',
+    handleRoute(async (req, res) => {
+      const geofences = await storage.query('geofences')
+      res.type('application/geo+json').send(JSON.stringify(geofencesToGeoJSON(geofences)))
+    }),
+  )
+
+  // 导入围栏（同ID覆盖），未通过校验的 Feature 逐个返回错误，其余照常导入
+  router.post(
+    '/geofences/geojson',
+    handleRoute(async (req, res) => {
+      if (!req.body || typeof req.body !== 'object') {
+        throw new ApiError(400, '请求体必须是 GeoJSON 对象')
+      }
+
+      const { geofences, errors, stats } = geofencesFromGeoJSON(req.body)
+      if (geofences.length === 0 && errors.length > 0) {
+        throw new ApiError(422, '没有可导入的围栏', errors)
+      }
+
+      const saved = []
+      for (const geofence of geofences) {
+        saved.push(await storage.save('geofences', geofence))
+      }
+      if (liveStream) {
+        saved.forEach((geofence) => {
+          liveStream.publish({ dataset: 'geofences', op: 'upsert', data: geofence })
+        })
+      }
+
+      res.json({ success: true, data: saved, errors, stats })
+    }),
+  )
+
+  return router
+}
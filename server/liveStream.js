@@ -0,0 +1,211 @@
+// 实时推送通道 - 基于 Server-Sent Events (SSE)
+// 推送消息格式: { id, dataset, op, data, timestamp }
+//   dataset: points | targets | relations | trajectories | events | targetStatuses | fusionLines | geofences
+//   op: upsert（新增或更新） | append（轨迹追加点） | remove（删除）
+
+// 支持推送的数据集
+export const STREAM_DATASETS = [
+  'points',
+  'targets',
+  'relations',
+  'trajectories',
+  'events',
+  'targetStatuses',
+  'fusionLines',
+  'geofences',
+]
+
+// 支持的增量操作
+export const STREAM_OPS = ['upsert', 'append', 'remove']
+
+// 从增量数据中提取关联的目标ID
+const getDeltaTargetIds = (delta) => {
+  const data = delta.data || {}
+  return [data.target_id, data.targetId, data.source_id, data.id].filter(Boolean)
+}
+
+export class LiveStreamHub {
+  constructor(options = {}) {
+    this.options = {
+      heartbeatInterval: 15000, // 心跳间隔（毫秒），防止代理断开空闲连接
+      bufferSize: 500, // 断线重连时可补发的历史消息数量
+      ...options,
+    }
+
+    this.clients = new Map() // clientId -> {res, filters}
+    this.buffer = []
+    this.sequence = 0
+    this.clientSequence = 0
+    this.heartbeatTimer = null
+  }
+
+  /**
+   * 校验增量消息
+   * @param {Object} delta - 增量消息
+   * @returns {Array} 错误信息数组，为空表示有效
+   */
+  validateDelta(delta) {
+    const errors = []
+    if (!delta || typeof delta !== 'object') {
+      return ['消息必须是对象']
+    }
+    if (!STREAM_DATASETS.includes(delta.dataset)) {
+      errors.push(`不支持的数据集: ${delta.dataset}`)
+    }
+    if (!STREAM_OPS.includes(delta.op)) {
+      errors.push(`不支持的操作: ${delta.op}`)
+    }
+    if (delta.op === 'append' && delta.dataset !== 'trajectories') {
+      errors.push('append 操作只适用于 trajectories 数据集')
+    }
+    if (!delta.data || typeof delta.data !== 'object') {
+      errors.push('缺少 data 字段')
+    }
+    return errors
+  }
+
+  /**
+   * 注册 SSE 客户端
+   * @param {Object} req - Express 请求
+   * @param {Object} res - Express 响应
+   * @param {Object} filters - 过滤条件 {targetIds, datasets}
+   * @returns {number} 客户端ID
+   */
+  addClient(req, res, filters = {}) {
+    const clientId = ++this.clientSequence
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    })
+    res.write('retry: 3000\n\n')
+
+    const client = { res, filters }
+    this.clients.set(clientId, client)
+
+    // 断线重连时补发遗漏的消息
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10)
+    if (!isNaN(lastEventId)) {
+      this.buffer
+        .filter((message) => message.id > lastEventId)
+        .forEach((message) => this.sendToClient(client, 'delta', message))
+    }
+
+    req.on('close', () => {
+      this.clients.delete(clientId)
+      if (this.clients.size === 0) {
+        this.stopHeartbeat()
+      }
+    })
+
+    this.startHeartbeat()
+    return clientId
+  }
+
+  /**
+   * 广播增量消息
+   * @param {Object} delta - 增量消息 {dataset, op, data}
+   * @returns {Object} 带序号的消息
+   */
+  publish(delta) {
+    const message = {
+      id: ++this.sequence,
+      dataset: delta.dataset,
+      op: delta.op,
+      data: delta.data,
+      timestamp: delta.timestamp || new Date().toISOString(),
+    }
+
+    this.buffer.push(message)
+    if (this.buffer.length > this.options.bufferSize) {
+      this.buffer.shift()
+    }
+
+    this.clients.forEach((client) => {
+      if (this.matchesFilters(message, client.filters)) {
+        this.sendToClient(client, 'delta', message)
+      }
+    })
+
+    return message
+  }
+
+  /**
+   * 广播非增量事件（如回放时钟）
+   * @param {string} eventName - 事件名称
+   * @param {Object} payload - 事件数据
+   */
+  broadcast(eventName, payload) {
+    this.clients.forEach((client) => this.sendToClient(client, eventName, payload))
+  }
+
+  /**
+   * 检查消息是否满足客户端过滤条件
+   * @param {Object} message - 消息
+   * @param {Object} filters - 过滤条件
+   * @returns {boolean} 是否满足
+   */
+  matchesFilters(message, filters = {}) {
+    if (filters.datasets && filters.datasets.length > 0) {
+      if (!filters.datasets.includes(message.dataset)) {
+        return false
+      }
+    }
+
+    if (filters.targetIds && filters.targetIds.length > 0) {
+      return getDeltaTargetIds(message).some((id) => filters.targetIds.includes(id))
+    }
+
+    return true
+  }
+
+  /**
+   * 向单个客户端写入 SSE 事件
+   * @param {Object} client - 客户端
+   * @param {string} eventName - 事件名称
+   * @param {Object} payload - 事件数据
+   */
+  sendToClient(client, eventName, payload) {
+    if (payload && payload.id !== undefined && eventName === 'delta') {
+      client.res.write(`id: ${payload.id}\n`)
+    }
+    client.res.write(`event: ${eventName}\n`)
+    client.res.write(`data: ${JSON.stringify(payload)}\n\n`)
+  }
+
+  /**
+   * 启动心跳
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) return
+    this.heartbeatTimer = setInterval(() => {
+      this.clients.forEach((client) => client.res.write(': heartbeat\n\n'))
+    }, this.options.heartbeatInterval)
+  }
+
+  /**
+   * 停止心跳
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer)
+      this.heartbeatTimer = null
+    }
+  }
+
+  /**
+   * 获取推送通道统计信息
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    return {
+      clients: this.clients.size,
+      sequence: this.sequence,
+      buffered: this.buffer.length,
+    }
+  }
+}
+
+export default LiveStreamHub
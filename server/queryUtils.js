@@ -0,0 +1,343 @@
+// 数据查询工具 - 分页、排序、字段投影、空间范围与属性过滤
+// 供 POST /data 等查询接口使用，所有函数均不修改传入的数据
+import { ApiError } from './errors.js'
+
+// 可按属性过滤的字段及其适用的数据集
+// type 指目标类型；关系、事件、融合线中的同名字段分别是关系类型、事件进度与融合类型，不参与过滤
+export const FILTERABLE_FIELDS = {
+  type: ['targets'],
+  status: ['targets', 'relations', 'fusionLines'],
+  priority: ['targetStatuses', 'relations', 'fusionLines'],
+}
+
+/**
+ * 解析按数据集区分的选项
+ * 选项可以是全局值，也可以是 {数据集名: 值} 形式的对象
+ * @param {*} option - 选项
+ * @param {string} datasetKey - 数据集名称
+ * @param {Array} datasetKeys - 所有数据集名称
+ * @returns {*} 当前数据集适用的选项
+ */
+export const resolveDatasetOption = (option, datasetKey, datasetKeys) => {
+  if (option && typeof option === 'object' && !Array.isArray(option)) {
+    const isPerDataset = Object.keys(option).some((key) => datasetKeys.includes(key))
+    if (isPerDataset) {
+      return option[datasetKey]
+    }
+  }
+  return option
+}
+
+// 解析 JSON 数组字符串，格式无效时返回空数组（由调用方报告格式错误）
+const parseJsonArray = (text) => {
+  try {
+    const value = JSON.parse(text)
+    return Array.isArray(value) ? value : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * 解析边界范围
+ * @param {Array|Object|string} bbox - [west, south, east, north]、{west, south, east, north}、
+ *   "w,s,e,n" 或 JSON 数组字符串 "[w,s,e,n]"
+ * @returns {Object|null} 边界 {west, south, east, north}
+ */
+export const parseBbox = (bbox) => {
+  if (!bbox) return null
+
+  let values = bbox
+  if (typeof bbox === 'string') {
+    const text = bbox.trim()
+    values = text.startsWith('[') ? parseJsonArray(text) : text.split(',').map(Number)
+  } else if (!Array.isArray(bbox)) {
+    values = [bbox.west, bbox.south, bbox.east, bbox.north].map(Number)
+  }
+
+  if (values.length !== 4 || values.some((value) => !Number.isFinite(Number(value)))) {
+    throw new ApiError(400, 'bbox 格式无效，应为 [west, south, east, north]')
+  }
+
+  const [west, south, east, north] = values.map(Number)
+  return { west, south, east, north }
+}
+
+/**
+ * 解析 target_ids 参数
+ * @param {Array|string} targetIds - ID数组或 JSON 数组字符串
+ * @returns {Array|null} ID数组，未指定时返回 null
+ */
+export const parseTargetIds = (targetIds) => {
+  if (targetIds === undefined || targetIds === null || targetIds === '') return null
+
+  let ids = targetIds
+  if (typeof targetIds === 'string') {
+    try {
+      ids = JSON.parse(targetIds)
+    } catch {
+      throw new ApiError(400, 'target_ids 格式无效，应为 JSON 数组')
+    }
+  }
+  if (!Array.isArray(ids)) {
+    throw new ApiError(400, 'target_ids 必须是数组')
+  }
+  return ids.length > 0 ? ids.map(String) : null
+}
+
+/**
+ * 校验时间范围参数
+ * @param {string} startTime - 开始时间
+ * @param {string} endTime - 结束时间
+ * @returns {Object} {startTime, endTime}
+ */
+export const parseTimeRange = (startTime, endTime) => {
+  ;[startTime, endTime].forEach((value) => {
+    if (value && isNaN(new Date(value).getTime())) {
+      throw new ApiError(400, `时间格式无效: ${value}`)
+    }
+  })
+  return { startTime: startTime || undefined, endTime: endTime || undefined }
+}
+
+/**
+ * 判断坐标是否在边界内（支持跨越180度经线的边界）
+ * @param {number} longitude - 经度
+ * @param {number} latitude - 纬度
+ * @param {Object} bounds - 边界
+ * @returns {boolean} 是否在边界内
+ */
+export const isInBbox = (longitude, latitude, bounds) => {
+  if (!Number.isFinite(longitude) || !Number.isFinite(latitude)) return false
+  if (latitude < bounds.south || latitude > bounds.north) return false
+
+  if (bounds.west <= bounds.east) {
+    return longitude >= bounds.west && longitude <= bounds.east
+  }
+  return longitude >= bounds.west || longitude <= bounds.east
+}
+
+/**
+ * 按属性过滤
+ * 过滤字段只作用于 FILTERABLE_FIELDS 中登记的数据集，值可以是单个值或数组
+ * @param {Array} items - 数据数组
+ * @param {Object} filters - 过滤条件 {type, status, priority}
+ * @param {string} dataset - 存储数据集名称，如 targets、relations
+ * @returns {Array} 过滤后的数组
+ */
+export const filterByAttributes = (items, filters, dataset) => {
+  if (!filters || items.length === 0) return items
+
+  const activeFilters = Object.keys(FILTERABLE_FIELDS)
+    .filter(
+      (field) => filters[field] !== undefined && filters[field] !== null && filters[field] !== '',
+    )
+    .filter((field) => FILTERABLE_FIELDS[field].includes(dataset))
+    .map((field) => ({
+      field,
+      values: (Array.isArray(filters[field]) ? filters[field] : [filters[field]]).map(String),
+    }))
+
+  if (activeFilters.length === 0) return items
+
+  return items.filter((item) =>
+    activeFilters.every(({ field, values }) => values.includes(String(item[field]))),
+  )
+}
+
+/**
+ * 解析排序规则
+ * @param {string|Array|Object} sort - "field"、"-field"、["-priority", "id"] 或 {field, order}
+ * @returns {Array} 排序规则 [{field, direction}]
+ */
+export const parseSort = (sort) => {
+  if (!sort) return []
+
+  const list = Array.isArray(sort) ? sort : [sort]
+  return list
+    .map((rule) => {
+      if (typeof rule === 'string') {
+        const descending = rule.startsWith('-')
+        return { field: descending ? rule.slice(1) : rule, direction: descending ? -1 : 1 }
+      }
+      if (rule && rule.field) {
+        return {
+          field: rule.field,
+          direction: String(rule.order).toLowerCase() === 'desc' ? -1 : 1,
+        }
+      }
+      return null
+    })
+    .filter(Boolean)
+}
+
+// 判断字段值是否为空
+const isEmptyValue = (value) => value === undefined || value === null || value === ''
+
+// 判断是否为 ISO 日期字符串
+const isDateString = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)
+
+// 比较两个非空字段值（数字、日期、字符串）
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b
+  if (isDateString(a) && isDateString(b)) return Date.parse(a) - Date.parse(b)
+  return String(a).localeCompare(String(b), 'zh-CN', { numeric: true })
+}
+
+/**
+ * 排序（空值始终排在最后）
+ * @param {Array} items - 数据数组
+ * @param {string|Array|Object} sort - 排序规则
+ * @returns {Array} 排序后的新数组
+ */
+export const sortItems = (items, sort) => {
+  const rules = parseSort(sort)
+  if (rules.length === 0) return items
+
+  return [...items].sort((a, b) => {
+    for (const { field, direction } of rules) {
+      const aEmpty = isEmptyValue(a[field])
+      const bEmpty = isEmptyValue(b[field])
+      if (aEmpty || bEmpty) {
+        if (aEmpty !== bEmpty) return aEmpty ? 1 : -1
+        continue
+      }
+      const result = compareValues(a[field], b[field])
+      if (result !== 0) return result * direction
+    }
+    return 0
+  })
+}
+
+/**
+ * 字段投影
+ * @param {Object} item - 数据项
+ * @param {Array|string} fields - 字段数组或逗号分隔的字段
+ * @returns {Object} 只包含指定字段的数据项
+ */
+export const projectFields = (item, fields) => {
+  const fieldList = parseFields(fields)
+  if (fieldList.length === 0) return item
+
+  return fieldList.reduce((result, field) => {
+    if (item[field] !== undefined) {
+      result[field] = item[field]
+    }
+    return result
+  }, {})
+}
+
+/**
+ * 解析字段列表
+ * @param {Array|string} fields - 字段数组或逗号分隔的字段
+ * @returns {Array} 字段数组
+ */
+export const parseFields = (fields) => {
+  if (!fields) return []
+  const list = Array.isArray(fields) ? fields : String(fields).split(',')
+  return list.map((field) => String(field).trim()).filter(Boolean)
+}
+
+/**
+ * 解析数据集适用的字段投影
+ * 按数据集指定时原样使用；全局字段列表只作用于 Schema 声明了其中字段的数据集，
+ * 避免 ['id', 'name'] 之类的列表把轨迹点等无关数据投影为空对象。
+ * 按 Schema 而不是当前页的数据判断，同一数据集的各页投影一致
+ * @param {Array|string|Object} fields - 字段投影选项
+ * @param {string} datasetKey - 数据集名称
+ * @param {Array} datasetKeys - 所有数据集名称
+ * @param {Array} schemaFields - 数据集 Schema 声明的字段
+ * @returns {Array} 字段数组，为空表示不投影
+ */
+export const resolveDatasetFields = (fields, datasetKey, datasetKeys, schemaFields) => {
+  const datasetFields = resolveDatasetOption(fields, datasetKey, datasetKeys)
+  if (datasetFields !== fields) {
+    return parseFields(datasetFields)
+  }
+
+  const fieldList = parseFields(fields)
+  return fieldList.some((field) => schemaFields.includes(field)) ? fieldList : []
+}
+
+/**
+ * 编码分页游标
+ * @param {number} offset - 偏移量
+ * @returns {string} 游标
+ */
+export const encodeCursor = (offset) =>
+  Buffer.from(JSON.stringify({ offset })).toString('base64url')
+
+/**
+ * 解码分页游标
+ * @param {string} cursor - 游标
+ * @returns {number} 偏移量
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'))
+    if (!Number.isInteger(offset) || offset < 0) throw new Error()
+    return offset
+  } catch {
+    throw new ApiError(400, 'cursor 无效')
+  }
+}
+
+/**
+ * 解析分页参数
+ * limit 为空时不分页；cursor 优先于 offset
+ * @param {Object} options - {limit, offset, cursor}
+ * @returns {Object|null} 分页参数 {offset, limit}
+ */
+export const parsePagination = ({ limit, offset, cursor } = {}) => {
+  if (limit === undefined || limit === null || limit === '') return null
+
+  const parsedLimit = Number(limit)
+  if (!Number.isInteger(parsedLimit) || parsedLimit <= 0) {
+    throw new ApiError(400, 'limit 必须是正整数')
+  }
+
+  let parsedOffset = 0
+  if (cursor) {
+    parsedOffset = decodeCursor(cursor)
+  } else if (offset !== undefined && offset !== null && offset !== '') {
+    parsedOffset = Number(offset)
+    if (!Number.isInteger(parsedOffset) || parsedOffset < 0) {
+      throw new ApiError(400, 'offset 必须是非负整数')
+    }
+  }
+
+  return { offset: parsedOffset, limit: parsedLimit }
+}
+
+/**
+ * 分页
+ * @param {Array} items - 数据数组
+ * @param {Object|null} pagination - 分页参数 {offset, limit}
+ * @returns {Object} {items, page}，page 为分页信息
+ */
+export const paginate = (items, pagination) => {
+  const total = items.length
+  if (!pagination) {
+    return {
+      items,
+      page: { offset: 0, limit: null, returned: total, total, hasMore: false, nextCursor: null },
+    }
+  }
+
+  const { offset, limit } = pagination
+  const pageItems = items.slice(offset, offset + limit)
+  const nextOffset = offset + pageItems.length
+  const hasMore = nextOffset < total
+
+  return {
+    items: pageItems,
+    page: {
+      offset,
+      limit,
+      returned: pageItems.length,
+      total,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(nextOffset) : null,
+    },
+  }
+}
@@ -0,0 +1,183 @@
+// 回放模拟器 - 按时间轴将 public/data 中的数据作为实时增量推送
+// 轨迹点按 timestamp、目标状态按 startTime、事件按 startTime 依次推送
+
+export class ReplaySimulator {
+  /**
+   * @param {LiveStreamHub} hub - 推送通道
+   * @param {Function} loadData - 异步数据加载函数，接收 {startTime, endTime, targetIds}，
+   *   返回 {trajectoryData, targetStatusData, eventData}
+   */
+  constructor(hub, loadData) {
+    this.hub = hub
+    this.loadData = loadData
+
+    this.timeline = []
+    this.cursor = 0
+    this.timer = null
+    this.state = {
+      running: false,
+      speed: 60, // 回放倍速（模拟秒/真实秒）
+      loop: false,
+      startTime: null,
+      endTime: null,
+      currentTime: null,
+      emitted: 0,
+    }
+    this.tickInterval = 200 // 推进间隔（毫秒）
+    this.clockInterval = 1000 // 时钟广播间隔（毫秒）
+    this.lastClockBroadcast = 0
+  }
+
+  /**
+   * 构建回放时间轴
+   * @param {Object} options - 选项 {startTime, endTime, targetIds}
+   * @returns {Promise<Array>} 按时间排序的增量消息
+   */
+  async buildTimeline(options = {}) {
+    const {
+      trajectoryData = {},
+      targetStatusData = [],
+      eventData = [],
+    } = await this.loadData({
+      startTime: options.startTime,
+      endTime: options.endTime,
+      targetIds: options.targetIds,
+    })
+    const start = options.startTime ? new Date(options.startTime).getTime() : -Infinity
+    const end = options.endTime ? new Date(options.endTime).getTime() : Infinity
+    const targetIds = options.targetIds && options.targetIds.length > 0 ? options.targetIds : null
+    const entries = []
+
+    const pushEntry = (time, delta) => {
+      const ms = new Date(time).getTime()
+      if (isNaN(ms) || ms < start || ms > end) return
+      entries.push({ time: ms, delta })
+    }
+
+    Object.entries(trajectoryData).forEach(([targetId, points]) => {
+      if (targetIds && !targetIds.includes(targetId)) return
+      ;(points || []).forEach((point) => {
+        pushEntry(point.timestamp, {
+          dataset: 'trajectories',
+          op: 'append',
+          data: { target_id: targetId, points: [point] },
+        })
+      })
+    })
+
+    targetStatusData.forEach((status) => {
+      if (targetIds && !targetIds.includes(status.target_id)) return
+      pushEntry(status.startTime, { dataset: 'targetStatuses', op: 'upsert', data: status })
+    })
+
+    eventData.forEach((event) => {
+      if (
+        targetIds &&
+        !targetIds.includes(event.source_id) &&
+        !targetIds.includes(event.target_id)
+      ) {
+        return
+      }
+      pushEntry(event.startTime, { dataset: 'events', op: 'upsert', data: event })
+    })
+
+    return entries.sort((a, b) => a.time - b.time)
+  }
+
+  /**
+   * 开始回放
+   * @param {Object} options - 选项 {speed, loop, startTime, endTime, targetIds}
+   * @returns {Promise<Object>} 回放状态
+   */
+  async start(options = {}) {
+    const timeline = await this.buildTimeline(options)
+    if (timeline.length === 0) {
+      throw new Error('指定范围内没有可回放的数据')
+    }
+
+    // 时间轴构建完成后再停止当前回放，避免并发启动时遗留定时器
+    this.stop()
+    this.timeline = timeline
+
+    const speed = Number(options.speed)
+    this.state.speed = speed > 0 ? speed : 60
+    this.state.loop = Boolean(options.loop)
+    this.state.startTime = this.timeline[0].time
+    this.state.endTime = this.timeline[this.timeline.length - 1].time
+    this.state.currentTime = this.state.startTime
+    this.state.emitted = 0
+    this.state.running = true
+    this.cursor = 0
+
+    this.timer = setInterval(() => this.tick(), this.tickInterval)
+    return this.getStatus()
+  }
+
+  /**
+   * 推进模拟时钟并推送到期数据
+   */
+  tick() {
+    this.state.currentTime += this.tickInterval * this.state.speed
+
+    while (
+      this.cursor < this.timeline.length &&
+      this.timeline[this.cursor].time <= this.state.currentTime
+    ) {
+      const entry = this.timeline[this.cursor]
+      this.hub.publish({ ...entry.delta, timestamp: new Date(entry.time).toISOString() })
+      this.cursor++
+      this.state.emitted++
+    }
+
+    const now = Date.now()
+    if (now - this.lastClockBroadcast >= this.clockInterval) {
+      this.lastClockBroadcast = now
+      this.hub.broadcast('clock', {
+        currentTime: new Date(Math.min(this.state.currentTime, this.state.endTime)).toISOString(),
+        speed: this.state.speed,
+      })
+    }
+
+    if (this.cursor >= this.timeline.length) {
+      if (this.state.loop) {
+        this.cursor = 0
+        this.state.currentTime = this.state.startTime
+        this.hub.broadcast('replay', { status: 'restarted' })
+      } else {
+        this.stop()
+        this.hub.broadcast('replay', { status: 'finished' })
+      }
+    }
+  }
+
+  /**
+   * 停止回放
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+    this.state.running = false
+  }
+
+  /**
+   * 获取回放状态
+   * @returns {Object} 回放状态
+   */
+  getStatus() {
+    const toIso = (ms) => (ms === null || ms === undefined ? null : new Date(ms).toISOString())
+    return {
+      running: this.state.running,
+      speed: this.state.speed,
+      loop: this.state.loop,
+      startTime: toIso(this.state.startTime),
+      endTime: toIso(this.state.endTime),
+      currentTime: toIso(this.state.currentTime),
+      emitted: this.state.emitted,
+      total: this.timeline.length,
+    }
+  }
+}
+
+export default ReplaySimulator
@@ -0,0 +1,61 @@
+// 数据集 Schema 接口 - 提供合并部署扩展后的 JSON Schema，表单与导入脚本可复用写入接口的校验规则
+// 部署扩展通过环境变量 SCHEMA_EXTENSIONS 指定 JSON 文件（相对项目根目录），格式为
+//   {dataset: {properties, required, additionalProperties}}，见 src/components/ui/sanbox/manager/schemas
+import fs from 'fs'
+import path from 'path'
+import express from 'express'
+import {
+  registerSchemaExtensions,
+  getDatasetSchema,
+  getDatasetSchemas,
+} from '../src/components/ui/sanbox/manager/schemas/index.js'
+import { ApiError, handleRoute } from './errors.js'
+
+/**
+ * 读取并注册部署扩展，写入接口的校验随之生效
+ * @param {Object} options - 选项
+ * @param {string} options.rootDir - 项目根目录
+ * @param {Object} options.env - 环境变量，默认为 process.env
+ * @returns {string|null} 扩展文件路径，未配置时返回 null
+ */
+export const loadSchemaExtensions = ({ rootDir, env = process.env }) => {
+  if (!env.SCHEMA_EXTENSIONS) return null
+
+  const filePath = path.resolve(rootDir, env.SCHEMA_EXTENSIONS)
+  let extensions
+  try {
+    extensions = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch (error) {
+    throw new Error(`读取 Schema 扩展失败: ${filePath} - ${error.message}`)
+  }
+  registerSchemaExtensions(extensions)
+  return filePath
+}
+
+/**
+ * 创建 Schema 查询路由
+ * @returns {express.Router} 路由
+ */
+export const createSchemaRouter = () => {
+  const router = express.Router()
+
+  router.get(
+    '/schemas',
+    handleRoute(async (req, res) => {
+      res.json({ success: true, data: getDatasetSchemas() })
+    }),
+  )
+
+  router.get(
+    '/schemas/:dataset',
+    handleRoute(async (req, res) => {
+      const schema = getDatasetSchema(req.params.dataset)
+      if (!schema) {
+        throw new ApiError(404, `未知的数据集: ${req.params.dataset}`)
+      }
+      res.json({ success: true, data: schema })
+    }),
+  )
+
+  return router
+}
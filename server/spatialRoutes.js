@@ -0,0 +1,201 @@
+// 空间查询接口 - 边界、半径、多边形查询
+// 复用前端 TargetLocationManager / TrajectoryManager 的网格空间索引，数据集版本变化后自动重建
+import express from 'express'
+import TargetLocationManager from '../src/components/ui/sanbox/manager/TargetLocationManager.js'
+import TrajectoryManager from '../src/components/ui/sanbox/manager/TrajectoryManager.js'
+import { ApiError, handleRoute } from './errors.js'
+import { parseBbox, parseTimeRange } from './queryUtils.js'
+
+/**
+ * 解析空间查询条件，支持 bbox、半径（lng/lat/radius，单位公里）与多边形三种方式
+ * @param {Object} params - 请求参数（query 与 body 合并）
+ * @returns {Object} 查询条件 {type, bounds|center|polygon}
+ */
+export const parseSpatialQuery = (params) => {
+  if (params.polygon) {
+    let polygon = params.polygon
+    if (typeof polygon === 'string') {
+      try {
+        polygon = JSON.parse(polygon)
+      } catch {
+        polygon = null
+      }
+    }
+    const valid =
+      Array.isArray(polygon) &&
+      polygon.length >= 3 &&
+      polygon.every(
+        (vertex) =>
+          Array.isArray(vertex) && vertex.length >= 2 && vertex.every((v) => Number.isFinite(v)),
+      )
+    if (!valid) {
+      throw new ApiError(400, 'polygon 格式无效，应为至少3个 [lng, lat] 顶点')
+    }
+    return { type: 'polygon', polygon }
+  }
+
+  if (params.radius !== undefined) {
+    const lng = Number(params.lng ?? params.longitude)
+    const lat = Number(params.lat ?? params.latitude)
+    const radius = Number(params.radius)
+    if (!Number.isFinite(lng) || !Number.isFinite(lat) || !(radius > 0)) {
+      throw new ApiError(400, '半径查询需要有效的 lng、lat 和正数 radius（公里）')
+    }
+    return { type: 'radius', center: { lng, lat }, radius }
+  }
+
+  if (params.bbox) {
+    const { west, south, east, north } = parseBbox(params.bbox)
+    // 跨越180度经线的边界拆分为两段
+    const bounds =
+      west <= east
+        ? [{ minLng: west, maxLng: east, minLat: south, maxLat: north }]
+        : [
+            { minLng: west, maxLng: 180, minLat: south, maxLat: north },
+            { minLng: -180, maxLng: east, minLat: south, maxLat: north },
+          ]
+    return { type: 'bbox', bounds }
+  }
+
+  throw new ApiError(400, '缺少空间查询条件，需提供 bbox、lng/lat/radius 或 polygon')
+}
+
+export class SpatialQueryService {
+  /**
+   * @param {Object} storage - 存储后端（见 server/storage）
+   */
+  constructor(storage) {
+    this.storage = storage
+    this.locationManager = new TargetLocationManager()
+    this.trajectoryManager = new TrajectoryManager()
+    this.versions = { location: null, trajectory: null }
+  }
+
+  /**
+   * 获取位置管理器（数据集变化时重建索引）
+   * @returns {Promise<TargetLocationManager>}
+   */
+  async getLocationManager() {
+    const version = await this.storage.getVersion('points')
+    if (version !== this.versions.location) {
+      this.locationManager.setInitialData(await this.storage.query('points'))
+      this.versions.location = version
+    }
+    return this.locationManager
+  }
+
+  /**
+   * 获取轨迹管理器（数据集变化时重建索引）
+   * @returns {Promise<TrajectoryManager>}
+   */
+  async getTrajectoryManager() {
+    const version = await this.storage.getVersion('trajectories')
+    if (version !== this.versions.trajectory) {
+      this.trajectoryManager.setInitialData(await this.storage.query('trajectories'))
+      this.versions.trajectory = version
+    }
+    return this.trajectoryManager
+  }
+
+  /**
+   * 查询目标位置
+   * @param {Object} query - parseSpatialQuery 的结果
+   * @returns {Promise<Array>} 目标位置数组（半径查询包含 distance 字段）
+   */
+  async queryTargets(query) {
+    const manager = await this.getLocationManager()
+
+    switch (query.type) {
+      case 'polygon':
+        return manager.findByPolygon(query.polygon)
+      case 'radius':
+        return manager.findByRadius(query.center.lng, query.center.lat, query.radius)
+      default:
+        return query.bounds.flatMap((bounds) => manager.findByBounds(bounds))
+    }
+  }
+
+  /**
+   * 查询轨迹点
+   * @param {Object} query - parseSpatialQuery 的结果
+   * @param {Object} timeRange - 时间范围 {startTime, endTime}
+   * @returns {Promise<Object>} {target_id: [points]}
+   */
+  async queryTrajectories(query, timeRange = {}) {
+    const manager = await this.getTrajectoryManager()
+    let matches
+
+    switch (query.type) {
+      case 'polygon':
+        matches = manager.findPointsByPolygon(query.polygon, timeRange)
+        break
+      case 'radius':
+        matches = manager.findPointsByRadius(
+          query.center.lng,
+          query.center.lat,
+          query.radius,
+          timeRange,
+        )
+        break
+      default:
+        matches = query.bounds.flatMap((bounds) => manager.findPointsByBounds(bounds, timeRange))
+    }
+
+    const result = {}
+    matches.forEach((match) => {
+      result[match.target_id] = (result[match.target_id] || [])
+        .concat(match.trajectory)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    })
+    return result
+  }
+}
+
+/**
+ * 创建空间查询路由
+ * GET 使用查询参数，POST 使用请求体（适合较大的多边形）
+ * @param {Object} options - 选项
+ * @param {Object} options.storage - 存储后端（见 server/storage）
+ * @returns {express.Router} 路由
+ */
+export const createSpatialRouter = ({ storage }) => {
+  const router = express.Router()
+  const service = new SpatialQueryService(storage)
+
+  const queryTargets = handleRoute(async (req, res) => {
+    const params = { ...req.query, ...(req.body || {}) }
+    const query = parseSpatialQuery(params)
+    const data = await service.queryTargets(query)
+
+    res.json({
+      success: true,
+      data,
+      count: data.length,
+      query,
+    })
+  })
+
+  const queryTrajectories = handleRoute(async (req, res) => {
+    const params = { ...req.query, ...(req.body || {}) }
+    const query = parseSpatialQuery(params)
+    const { startTime, endTime } = parseTimeRange(params.startTime, params.endTime)
+    const data = await service.queryTrajectories(query, { startTime, endTime })
+
+    res.json({
+      success: true,
+      data,
+      count: Object.keys(data).length,
+      pointCount: Object.values(data).reduce((sum, points) => sum + points.length, 0),
+      query: { ...query, startTime, endTime },
+    })
+  })
+
+  router.get('/spatial/targets', queryTargets)
+  router.post('/spatial/targets', queryTargets)
+  router.get('/spatial/trajectories', queryTrajectories)
+  router.post('/spatial/trajectories', queryTrajectories)
+
+  return router
+}
+
+export default createSpatialRouter
@@ -0,0 +1,237 @@
+// JSON 文件存储 - 默认数据源，直接读写 public/data 下的数据文件
+// 写入时先写临时文件再重命名，保证文件不会因中途失败而损坏
+import fs from 'fs'
+import path from 'path'
+import { getDataset, matchesDatasetFilters } from './datasets.js'
+
+// 路径中的ID为字符串，数据中的ID可能是数字
+const sameId = (a, b) => String(a) === String(b)
+
+// 按时间排序轨迹点
+const sortByTimestamp = (points) =>
+  [...points].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+
+// 数据文件格式（缩进、末尾是否换行），写回时保持原格式，避免整个文件产生差异
+const detectFormat = (text) => ({
+  indent: text.match(/^[[{]\r?\n(\s+)/)?.[1] || '  ',
+  newline: text.endsWith('\n'),
+})
+
+export class JsonStorage {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.dataDir - 数据目录
+   */
+  constructor({ dataDir }) {
+    this.type = 'json'
+    this.dataDir = dataDir
+    this.formats = new Map() // filename -> {indent, newline}
+  }
+
+  async init() {
+    if (!fs.existsSync(this.dataDir)) {
+      throw new Error(`数据目录不存在: ${this.dataDir}`)
+    }
+  }
+
+  async close() {}
+
+  /**
+   * 读取数据文件
+   * 读取失败时抛出异常，避免写入时用空数据覆盖原文件
+   * @param {string} filename - 文件名
+   * @returns {Array|Object} 文件内容
+   */
+  read(filename) {
+    const filePath = path.join(this.dataDir, filename)
+    const content = fs.readFileSync(filePath, 'utf8')
+    const data = JSON.parse(content)
+    this.formats.set(filename, detectFormat(content))
+    return data
+  }
+
+  /**
+   * 原子写入数据文件，保持文件原有的缩进与末尾换行
+   * @param {string} filename - 文件名
+   * @param {Array|Object} data - 文件内容
+   */
+  write(filename, data) {
+    const filePath = path.join(this.dataDir, filename)
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`
+    const { indent, newline } =
+      this.formats.get(filename) ||
+      (fs.existsSync(filePath)
+        ? detectFormat(fs.readFileSync(filePath, 'utf8'))
+        : { indent: '  ', newline: true })
+    const content = `${JSON.stringify(data, null, indent)}${newline ? '\n' : ''}`
+
+    try {
+      fs.writeFileSync(tempPath, content, 'utf8')
+      fs.renameSync(tempPath, filePath)
+    } catch (error) {
+      if (fs.existsSync(tempPath)) {
+        fs.unlinkSync(tempPath)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * 读取 - 修改 - 写入
+   * 读写都是同步的，单进程内不会与其他请求交错
+   * @param {string} filename - 文件名
+   * @param {Function} mutator - 修改函数，接收当前数据并返回新数据
+   * @returns {Array|Object} 写入后的数据
+   */
+  update(filename, mutator) {
+    const data = this.read(filename)
+    const nextData = mutator(data)
+    this.write(filename, nextData)
+    return nextData
+  }
+
+  /**
+   * 获取数据集版本（文件修改时间），用于判断缓存是否失效
+   * @param {string} dataset - 数据集名称
+   * @returns {Promise<number>} 版本号
+   */
+  async getVersion(dataset) {
+    return fs.statSync(path.join(this.dataDir, getDataset(dataset).file)).mtimeMs
+  }
+
+  /**
+   * 查询数据集
+   * @param {string} dataset - 数据集名称
+   * @param {Object} filters - 过滤条件 {targetIds, startTime, endTime}
+   * @returns {Promise<Array|Object>} 数据数组；轨迹为 {target_id: [points]}
+   */
+  async query(dataset, filters = {}) {
+    const definition = getDataset(dataset)
+    const data = this.read(definition.file)
+
+    if (!definition.grouped) {
+      return data.filter((item) => matchesDatasetFilters(item, definition, filters))
+    }
+
+    const { targetIds, startTime, endTime } = filters
+    const hasTimeRange = Boolean(startTime || endTime)
+    const result = {}
+    Object.entries(data).forEach(([targetId, points]) => {
+      if (targetIds && targetIds.length > 0 && !targetIds.includes(targetId)) return
+      const matched = (points || []).filter((point) =>
+        matchesDatasetFilters(point, definition, { startTime, endTime }),
+      )
+      // 时间窗口内没有轨迹点的目标不返回
+      if (!hasTimeRange || matched.length > 0) {
+        result[targetId] = matched
+      }
+    })
+    return result
+  }
+
+  /**
+   * 按ID查找数据项
+   * @param {string} dataset - 数据集名称
+   * @param {string|number} id - 数据ID（轨迹为 target_id）
+   * @returns {Promise<Object|Array|null>} 数据项；轨迹返回轨迹点数组
+   */
+  async findById(dataset, id) {
+    const definition = getDataset(dataset)
+    const data = this.read(definition.file)
+
+    if (definition.grouped) {
+      return data[id] || null
+    }
+    return data.find((item) => sameId(item[definition.idField], id)) || null
+  }
+
+  /**
+   * 获取下一个自增ID
+   * @param {string} dataset - 数据集名称
+   * @returns {Promise<number>} 自增ID
+   */
+  async nextId(dataset) {
+    const { file, idField } = getDataset(dataset)
+    return this.read(file).reduce((max, item) => Math.max(max, Number(item[idField]) || 0), 0) + 1
+  }
+
+  /**
+   * 保存数据项（存在则整体替换，不存在则追加）
+   * @param {string} dataset - 数据集名称
+   * @param {Object} item - 数据项
+   * @returns {Promise<Object>} 保存的数据项
+   */
+  async save(dataset, item) {
+    const { file, idField } = getDataset(dataset)
+
+    this.update(file, (items) => {
+      const index = items.findIndex((current) => sameId(current[idField], item[idField]))
+      if (index === -1) {
+        return [...items, item]
+      }
+      return items.map((current, i) => (i === index ? item : current))
+    })
+    return item
+  }
+
+  /**
+   * 删除数据项
+   * @param {string} dataset - 数据集名称
+   * @param {string|number} id - 数据ID
+   * @returns {Promise<Object|null>} 被删除的数据项，不存在时返回 null
+   */
+  async remove(dataset, id) {
+    const { file, idField } = getDataset(dataset)
+    const removed = this.read(file).find((item) => sameId(item[idField], id)) || null
+    if (removed) {
+      this.update(file, (items) => items.filter((item) => !sameId(item[idField], id)))
+    }
+    return removed
+  }
+
+  /**
+   * 替换（或创建）目标轨迹
+   * @param {string} targetId - 目标ID
+   * @param {Array} points - 轨迹点
+   * @returns {Promise<boolean>} 是否为新建
+   */
+  async setTrajectory(targetId, points) {
+    let created = false
+    this.update(getDataset('trajectories').file, (data) => {
+      created = !data[targetId]
+      return { ...data, [targetId]: points }
+    })
+    return created
+  }
+
+  /**
+   * 追加轨迹点
+   * @param {string} targetId - 目标ID
+   * @param {Array} points - 轨迹点
+   * @returns {Promise<Array>} 追加后的完整轨迹
+   */
+  async appendTrajectoryPoints(targetId, points) {
+    let trajectory = null
+    this.update(getDataset('trajectories').file, (data) => {
+      trajectory = sortByTimestamp([...(data[targetId] || []), ...points])
+      return { ...data, [targetId]: trajectory }
+    })
+    return trajectory
+  }
+
+  /**
+   * 删除目标轨迹
+   * @param {string} targetId - 目标ID
+   * @returns {Promise<Array|null>} 被删除的轨迹点，不存在时返回 null
+   */
+  async removeTrajectory(targetId) {
+    const { file } = getDataset('trajectories')
+    const removed = this.read(file)[targetId] || null
+    if (removed) {
+      this.update(file, ({ [targetId]: _, ...rest }) => rest)
+    }
+    return removed
+  }
+}
+
+export default JsonStorage
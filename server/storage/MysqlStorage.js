@@ -0,0 +1,186 @@
+// MySQL 存储 - 使用导入脚本（scripts/import-all-data.js）创建并导入的 vue_cesium_data 数据库
+// 表不存在时按 docs/requirements.md 的表结构创建（不含外键，便于单独写入各数据集），位置数据另存 target_locations 表
+import mysql from 'mysql2/promise'
+import { SqlStorage } from './SqlStorage.js'
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS targets (
+    id VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    type VARCHAR(100),
+    category_code VARCHAR(50),
+    description TEXT,
+    status VARCHAR(50),
+    capacity VARCHAR(100),
+    operator VARCHAR(255),
+    longitude DECIMAL(10, 7),
+    latitude DECIMAL(10, 7),
+    height DECIMAL(8, 2),
+    region VARCHAR(50),
+    province VARCHAR(100),
+    city VARCHAR(100),
+    address VARCHAR(500),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS target_locations (
+    id VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(255),
+    longitude DECIMAL(10, 7),
+    latitude DECIMAL(10, 7),
+    height DECIMAL(8, 2),
+    region VARCHAR(50),
+    province VARCHAR(100),
+    city VARCHAR(100),
+    address VARCHAR(500),
+    created_at TIMESTAMP NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS target_status (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    target_id VARCHAR(50) NOT NULL,
+    target_name VARCHAR(255),
+    status_type VARCHAR(50),
+    status_name VARCHAR(100),
+    start_time TIMESTAMP NULL,
+    color_code VARCHAR(10),
+    icon_state VARCHAR(100),
+    animation_effect VARCHAR(100),
+    priority VARCHAR(20),
+    description TEXT,
+    metadata JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_target_status_target_time (target_id, start_time)
+  )`,
+  `CREATE TABLE IF NOT EXISTS events (
+    id VARCHAR(50) PRIMARY KEY,
+    source_id VARCHAR(50),
+    target_id VARCHAR(50),
+    description TEXT,
+    start_time TIMESTAMP NULL,
+    end_time TIMESTAMP NULL,
+    alert_time TIMESTAMP NULL,
+    duration INT,
+    type VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_events_start_time (start_time)
+  )`,
+  `CREATE TABLE IF NOT EXISTS relations (
+    id VARCHAR(50) PRIMARY KEY,
+    description TEXT,
+    source_id VARCHAR(50),
+    target_id VARCHAR(50),
+    type VARCHAR(100),
+    status VARCHAR(50),
+    priority VARCHAR(20),
+    distance DECIMAL(10, 2),
+    capacity VARCHAR(100),
+    frequency VARCHAR(100),
+    start_time TIMESTAMP NULL,
+    end_time TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS trajectories (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    target_id VARCHAR(50) NOT NULL,
+    timestamp TIMESTAMP NULL,
+    longitude DECIMAL(10, 7),
+    latitude DECIMAL(10, 7),
+    altitude DECIMAL(8, 2),
+    speed DECIMAL(6, 2),
+    heading DECIMAL(5, 2),
+    status VARCHAR(50),
+    location VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_target_timestamp (target_id, timestamp)
+  )`,
+]
+
+// 建表后新增的列，已有数据库在 init 时补齐
+const ADDED_COLUMNS = {
+  targets: { category_code: 'VARCHAR(50)' },
+  relations: { start_time: 'TIMESTAMP NULL', end_time: 'TIMESTAMP NULL' },
+}
+
+export class MysqlStorage extends SqlStorage {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.dataDir - 数据目录
+   * @param {Object} options.connection - 连接配置 {host, port, user, password, database}
+   */
+  constructor({ dataDir, connection }) {
+    super({ dataDir })
+    this.type = 'mysql'
+    this.connection = connection
+    this.pool = null
+  }
+
+  async init() {
+    this.pool = mysql.createPool({
+      ...this.connection,
+      connectionLimit: 10,
+      decimalNumbers: true, // DECIMAL 列返回数字
+      timezone: 'Z', // 时间按 UTC 读写，与数据文件的 ISO 时间一致
+    })
+
+    for (const statement of SCHEMA) {
+      await this.pool.query(statement)
+    }
+    await this.addMissingColumns(ADDED_COLUMNS)
+    await this.migrateTargetLocations()
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end()
+      this.pool = null
+    }
+  }
+
+  async all(sql, params = []) {
+    const [rows] = await this.pool.query(sql, params)
+    return rows
+  }
+
+  async run(sql, params = []) {
+    await this.pool.query(sql, params)
+  }
+
+  async getColumns(table) {
+    const rows = await this.all(
+      'SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+      [table],
+    )
+    return rows.map((row) => row.name)
+  }
+
+  async transaction(fn) {
+    const connection = await this.pool.getConnection()
+    const executor = {
+      all: async (sql, params = []) => (await connection.query(sql, params))[0],
+      run: async (sql, params = []) => {
+        await connection.query(sql, params)
+      },
+    }
+
+    try {
+      await connection.beginTransaction()
+      const result = await fn(executor)
+      await connection.commit()
+      return result
+    } catch (error) {
+      await connection.rollback()
+      throw error
+    } finally {
+      connection.release()
+    }
+  }
+
+  buildUpsert(table, key, columns, updateColumns) {
+    const assignments = updateColumns.map((column) => `${column} = VALUES(${column})`)
+    return `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns
+      .map(() => '?')
+      .join(', ')}) ON DUPLICATE KEY UPDATE ${assignments.join(', ')}`
+  }
+}
+
+export default MysqlStorage
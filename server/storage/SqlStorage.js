@@ -0,0 +1,538 @@
+// SQL 存储基类 - MySQL 与 SQLite 共用的表映射、查询构建与读写逻辑
+// 表结构与导入脚本（scripts/import-all-data.js、scripts/import-data.js）一致，另外：
+//   points 数据集保存在 target_locations 表，与 targets 表分开，两者的名称、创建时间可以不同，
+//   没有基础信息的位置也不会出现在目标列表中（导入脚本写入 targets 表的位置列在初始化时迁移）
+//   融合线、地理围栏没有对应的表，仍读写 JSON 文件
+// target_ids 与时间窗口过滤在 SQL 中完成，子类只需实现连接、执行与方言相关的部分
+import { getDataset } from './datasets.js'
+import { JsonStorage } from './JsonStorage.js'
+
+// 数据集与表的映射，columns 为 {数据字段: 列名}
+export const TABLES = {
+  targets: {
+    table: 'targets',
+    key: 'id',
+    columns: {
+      id: 'id',
+      name: 'name',
+      type: 'type',
+      category_code: 'category_code',
+      description: 'description',
+      status: 'status',
+      capacity: 'capacity',
+      operator: 'operator',
+      createdAt: 'created_at',
+    },
+    timeFields: ['createdAt'],
+    orderBy: 'id',
+  },
+  points: {
+    table: 'target_locations',
+    key: 'id',
+    columns: {
+      id: 'id',
+      name: 'name',
+      longitude: 'longitude',
+      latitude: 'latitude',
+      height: 'height',
+      region: 'region',
+      province: 'province',
+      city: 'city',
+      address: 'address',
+      createdAt: 'created_at',
+    },
+    timeFields: ['createdAt'],
+    orderBy: 'id',
+  },
+  relations: {
+    table: 'relations',
+    key: 'id',
+    columns: {
+      id: 'id',
+      description: 'description',
+      source_id: 'source_id',
+      target_id: 'target_id',
+      type: 'type',
+      status: 'status',
+      priority: 'priority',
+      distance: 'distance',
+      capacity: 'capacity',
+      frequency: 'frequency',
+      startTime: 'start_time',
+      endTime: 'end_time',
+      createdAt: 'created_at',
+    },
+    timeFields: ['startTime', 'endTime', 'createdAt'],
+    orderBy: 'id',
+  },
+  events: {
+    table: 'events',
+    key: 'id',
+    columns: {
+      id: 'id',
+      source_id: 'source_id',
+      target_id: 'target_id',
+      description: 'description',
+      startTime: 'start_time',
+      endTime: 'end_time',
+      alertTime: 'alert_time',
+      duration: 'duration',
+      type: 'type',
+    },
+    timeFields: ['startTime', 'endTime', 'alertTime'],
+    orderBy: 'start_time, id',
+  },
+  targetStatuses: {
+    table: 'target_status',
+    key: 'id',
+    columns: {
+      id: 'id',
+      target_id: 'target_id',
+      target_name: 'target_name',
+      status_type: 'status_type',
+      status_name: 'status_name',
+      startTime: 'start_time',
+      colorCode: 'color_code',
+      iconState: 'icon_state',
+      animationEffect: 'animation_effect',
+      priority: 'priority',
+      description: 'description',
+      metadata: 'metadata',
+    },
+    timeFields: ['startTime'],
+    jsonFields: ['metadata'],
+    orderBy: 'id',
+  },
+  trajectories: {
+    table: 'trajectories',
+    key: 'target_id',
+    columns: {
+      target_id: 'target_id',
+      timestamp: 'timestamp',
+      longitude: 'longitude',
+      latitude: 'latitude',
+      altitude: 'altitude',
+      speed: 'speed',
+      heading: 'heading',
+      status: 'status',
+      location: 'location',
+    },
+    timeFields: ['timestamp'],
+    orderBy: 'target_id, timestamp, id',
+  },
+}
+
+export class SqlStorage {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.dataDir - 数据目录（融合线等没有对应表的数据集使用）
+   */
+  constructor({ dataDir }) {
+    this.dataDir = dataDir
+    this.fallback = new JsonStorage({ dataDir })
+    this.versions = {}
+  }
+
+  // ---- 子类实现 ----
+
+  /**
+   * 查询并返回所有行
+   * @param {string} sql - SQL 语句
+   * @param {Array} params - 参数
+   * @returns {Promise<Array>} 行数组
+   */
+  async all(sql, params = []) {
+    throw new Error('子类必须实现 all 方法')
+  }
+
+  /**
+   * 执行写入语句
+   * @param {string} sql - SQL 语句
+   * @param {Array} params - 参数
+   */
+  async run(sql, params = []) {
+    throw new Error('子类必须实现 run 方法')
+  }
+
+  /**
+   * 在事务中执行
+   * @param {Function} fn - 接收执行器 {all, run} 的异步函数
+   * @returns {Promise<*>} fn 的返回值
+   */
+  async transaction(fn) {
+    throw new Error('子类必须实现 transaction 方法')
+  }
+
+  /**
+   * 构建插入或更新语句
+   * @param {string} table - 表名
+   * @param {string} key - 主键列
+   * @param {Array} columns - 插入的列
+   * @param {Array} updateColumns - 冲突时更新的列
+   * @returns {string} SQL 语句
+   */
+  buildUpsert(table, key, columns, updateColumns) {
+    throw new Error('子类必须实现 buildUpsert 方法')
+  }
+
+  /**
+   * 获取表的现有列名
+   * @param {string} table - 表名
+   * @returns {Promise<Array>} 列名数组
+   */
+  async getColumns(table) {
+    throw new Error('子类必须实现 getColumns 方法')
+  }
+
+  /**
+   * 将 ISO 时间转换为数据库参数
+   * @param {string} value - 时间
+   * @returns {*} 数据库参数
+   */
+  toDbTime(value) {
+    return new Date(value)
+  }
+
+  // 写入完成后的回调（SQLite 用于持久化数据库文件）
+  async afterWrite() {}
+
+  // ---- 通用逻辑 ----
+
+  /**
+   * 为已有数据库补齐建表后新增的列（CREATE TABLE IF NOT EXISTS 不会修改已存在的表）
+   * @param {Object} addedColumns - {表名: {列名: 列定义}}
+   */
+  async addMissingColumns(addedColumns) {
+    for (const [table, columns] of Object.entries(addedColumns)) {
+      const existing = new Set(await this.getColumns(table))
+      for (const [column, definition] of Object.entries(columns)) {
+        if (!existing.has(column)) {
+          await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`)
+        }
+      }
+    }
+  }
+
+  /**
+   * 将旧表结构中保存在 targets 表的位置迁移到 target_locations 表（target_locations 为空时执行）
+   * 迁移后删除只有位置、没有任何基础信息的目标行（由旧版本写入位置时创建）
+   */
+  async migrateTargetLocations() {
+    const [{ count }] = await this.all('SELECT COUNT(*) AS count FROM target_locations')
+    if (Number(count) > 0) return
+
+    const columns = Object.values(TABLES.points.columns).join(', ')
+    await this.transaction(async (db) => {
+      await db.run(
+        `INSERT INTO target_locations (${columns}) SELECT ${columns} FROM targets
+          WHERE longitude IS NOT NULL AND latitude IS NOT NULL`,
+      )
+      await db.run(
+        `DELETE FROM targets WHERE type IS NULL AND description IS NULL AND status IS NULL
+          AND capacity IS NULL AND operator IS NULL AND category_code IS NULL`,
+      )
+    })
+  }
+
+  // 没有对应表的数据集使用 JSON 文件
+  usesFallback(dataset) {
+    getDataset(dataset)
+    return !TABLES[dataset]
+  }
+
+  // 数据库值转换为 ISO 时间
+  fromDbTime(value) {
+    const date = value instanceof Date ? value : new Date(value)
+    return isNaN(date.getTime()) ? value : date.toISOString()
+  }
+
+  /**
+   * 数据库行转换为数据项（空值字段不返回，与 JSON 数据保持一致）
+   * @param {Object} mapping - 表映射
+   * @param {Object} row - 数据库行
+   * @returns {Object} 数据项
+   */
+  fromRow(mapping, row) {
+    const item = {}
+    Object.entries(mapping.columns).forEach(([field, column]) => {
+      let value = row[column]
+      if (value === null || value === undefined) return
+
+      if (mapping.timeFields?.includes(field)) {
+        value = this.fromDbTime(value)
+      } else if (mapping.jsonFields?.includes(field) && typeof value === 'string') {
+        try {
+          value = JSON.parse(value)
+        } catch {
+          // 保留原始字符串
+        }
+      }
+      item[field] = value
+    })
+    return item
+  }
+
+  /**
+   * 数据项转换为写入参数
+   * @param {Object} mapping - 表映射
+   * @param {Object} item - 数据项
+   * @returns {Array} 参数数组（与 columns 顺序一致）
+   */
+  toParams(mapping, item) {
+    return Object.keys(mapping.columns).map((field) => {
+      const value = item[field]
+      if (value === undefined || value === null) return null
+      if (mapping.timeFields?.includes(field)) return value === '' ? null : this.toDbTime(value)
+      if (mapping.jsonFields?.includes(field)) return JSON.stringify(value)
+      return value
+    })
+  }
+
+  /**
+   * 构建 target_ids 与时间窗口的 WHERE 子句
+   * @param {string} dataset - 数据集名称
+   * @param {Object} filters - 过滤条件 {targetIds, startTime, endTime}
+   * @returns {Object} {where, params}
+   */
+  buildWhere(dataset, filters = {}) {
+    const definition = getDataset(dataset)
+    const mapping = TABLES[dataset]
+    const { targetIds, startTime, endTime } = filters
+    const clauses = []
+    const params = []
+
+    if (targetIds && targetIds.length > 0) {
+      const placeholders = targetIds.map(() => '?').join(', ')
+      const conditions = definition.targetFields.map(
+        (field) => `${mapping.columns[field]} IN (${placeholders})`,
+      )
+      clauses.push(`(${conditions.join(' OR ')})`)
+      definition.targetFields.forEach(() => params.push(...targetIds.map(String)))
+    }
+
+    if (definition.timeField) {
+      const column = mapping.columns[definition.timeField]
+      if (startTime) {
+        clauses.push(`${column} >= ?`)
+        params.push(this.toDbTime(startTime))
+      }
+      if (endTime) {
+        clauses.push(`${column} <= ?`)
+        params.push(this.toDbTime(endTime))
+      }
+    }
+
+    // 有效期与时间窗口相交：结束时间不早于窗口开始，开始时间（缺失时取备用字段）不晚于窗口结束
+    if (definition.validity) {
+      const { startField, endField, fallbackStartField } = definition.validity
+      const startColumn = fallbackStartField
+        ? `COALESCE(${mapping.columns[startField]}, ${mapping.columns[fallbackStartField]})`
+        : mapping.columns[startField]
+      const endColumn = mapping.columns[endField]
+      if (startTime) {
+        clauses.push(`(${endColumn} IS NULL OR ${endColumn} >= ?)`)
+        params.push(this.toDbTime(startTime))
+      }
+      if (endTime) {
+        clauses.push(`(${startColumn} IS NULL OR ${startColumn} <= ?)`)
+        params.push(this.toDbTime(endTime))
+      }
+    }
+
+    return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params }
+  }
+
+  // 记录数据集写入
+  bumpVersion(dataset) {
+    this.versions[dataset] = (this.versions[dataset] || 0) + 1
+  }
+
+  /**
+   * 获取数据集版本（本进程内的写入次数），用于判断缓存是否失效
+   * @param {string} dataset - 数据集名称
+   * @returns {Promise<number>} 版本号
+   */
+  async getVersion(dataset) {
+    if (this.usesFallback(dataset)) return this.fallback.getVersion(dataset)
+    return this.versions[dataset] || 0
+  }
+
+  /**
+   * 查询数据集
+   * @param {string} dataset - 数据集名称
+   * @param {Object} filters - 过滤条件 {targetIds, startTime, endTime}
+   * @returns {Promise<Array|Object>} 数据数组；轨迹为 {target_id: [points]}
+   */
+  async query(dataset, filters = {}) {
+    if (this.usesFallback(dataset)) return this.fallback.query(dataset, filters)
+
+    const mapping = TABLES[dataset]
+    const { where, params } = this.buildWhere(dataset, filters)
+    const rows = await this.all(
+      `SELECT * FROM ${mapping.table} ${where} ORDER BY ${mapping.orderBy}`,
+      params,
+    )
+
+    if (!getDataset(dataset).grouped) {
+      return rows.map((row) => this.fromRow(mapping, row))
+    }
+
+    const result = {}
+    rows.forEach((row) => {
+      const { target_id, ...point } = this.fromRow(mapping, row)
+      if (!result[target_id]) {
+        result[target_id] = []
+      }
+      result[target_id].push(point)
+    })
+    return result
+  }
+
+  /**
+   * 按ID查找数据项
+   * @param {string} dataset - 数据集名称
+   * @param {string|number} id - 数据ID（轨迹为 target_id）
+   * @returns {Promise<Object|Array|null>} 数据项；轨迹返回轨迹点数组
+   */
+  async findById(dataset, id) {
+    if (this.usesFallback(dataset)) return this.fallback.findById(dataset, id)
+
+    if (getDataset(dataset).grouped) {
+      const result = await this.query(dataset, { targetIds: [String(id)] })
+      return result[id] || null
+    }
+
+    const mapping = TABLES[dataset]
+    const rows = await this.all(`SELECT * FROM ${mapping.table} WHERE ${mapping.key} = ?`, [id])
+    return rows.length > 0 ? this.fromRow(mapping, rows[0]) : null
+  }
+
+  /**
+   * 获取下一个自增ID
+   * @param {string} dataset - 数据集名称
+   * @returns {Promise<number>} 自增ID
+   */
+  async nextId(dataset) {
+    if (this.usesFallback(dataset)) return this.fallback.nextId(dataset)
+
+    const { table, key } = TABLES[dataset]
+    const rows = await this.all(`SELECT MAX(${key}) AS max_id FROM ${table}`)
+    return (Number(rows[0]?.max_id) || 0) + 1
+  }
+
+  /**
+   * 插入或更新一行
+   * @param {Object} db - 执行器 {all, run}
+   * @param {string} dataset - 数据集名称
+   * @param {Object} item - 数据项
+   */
+  async upsertRow(db, dataset, item) {
+    const mapping = TABLES[dataset]
+    const columns = Object.values(mapping.columns)
+
+    await db.run(
+      this.buildUpsert(
+        mapping.table,
+        mapping.key,
+        columns,
+        columns.filter((column) => column !== mapping.key),
+      ),
+      this.toParams(mapping, item),
+    )
+  }
+
+  /**
+   * 保存数据项（存在则整体替换，不存在则新增）
+   * @param {string} dataset - 数据集名称
+   * @param {Object} item - 数据项
+   * @returns {Promise<Object>} 保存的数据项
+   */
+  async save(dataset, item) {
+    if (this.usesFallback(dataset)) return this.fallback.save(dataset, item)
+
+    await this.upsertRow(this, dataset, item)
+    this.bumpVersion(dataset)
+    await this.afterWrite()
+    return item
+  }
+
+  /**
+   * 删除数据项
+   * @param {string} dataset - 数据集名称
+   * @param {string|number} id - 数据ID
+   * @returns {Promise<Object|null>} 被删除的数据项，不存在时返回 null
+   */
+  async remove(dataset, id) {
+    if (this.usesFallback(dataset)) return this.fallback.remove(dataset, id)
+
+    const removed = await this.findById(dataset, id)
+    if (!removed) return null
+
+    const mapping = TABLES[dataset]
+    await this.run(`DELETE FROM ${mapping.table} WHERE ${mapping.key} = ?`, [id])
+    this.bumpVersion(dataset)
+    await this.afterWrite()
+    return removed
+  }
+
+  // 在事务中插入轨迹点
+  async insertTrajectoryPoints(db, targetId, points) {
+    const mapping = TABLES.trajectories
+    const columns = Object.values(mapping.columns)
+    const sql = `INSERT INTO ${mapping.table} (${columns.join(', ')}) VALUES (${columns
+      .map(() => '?')
+      .join(', ')})`
+
+    for (const point of points) {
+      await db.run(sql, this.toParams(mapping, { ...point, target_id: targetId }))
+    }
+  }
+
+  /**
+   * 替换（或创建）目标轨迹
+   * @param {string} targetId - 目标ID
+   * @param {Array} points - 轨迹点
+   * @returns {Promise<boolean>} 是否为新建
+   */
+  async setTrajectory(targetId, points) {
+    const created = !(await this.findById('trajectories', targetId))
+
+    await this.transaction(async (db) => {
+      await db.run(`DELETE FROM ${TABLES.trajectories.table} WHERE target_id = ?`, [targetId])
+      await this.insertTrajectoryPoints(db, targetId, points)
+    })
+    this.bumpVersion('trajectories')
+    await this.afterWrite()
+    return created
+  }
+
+  /**
+   * 追加轨迹点
+   * @param {string} targetId - 目标ID
+   * @param {Array} points - 轨迹点
+   * @returns {Promise<Array>} 追加后的完整轨迹
+   */
+  async appendTrajectoryPoints(targetId, points) {
+    await this.transaction((db) => this.insertTrajectoryPoints(db, targetId, points))
+    this.bumpVersion('trajectories')
+    await this.afterWrite()
+    return this.findById('trajectories', targetId)
+  }
+
+  /**
+   * 删除目标轨迹
+   * @param {string} targetId - 目标ID
+   * @returns {Promise<Array|null>} 被删除的轨迹点，不存在时返回 null
+   */
+  async removeTrajectory(targetId) {
+    const removed = await this.findById('trajectories', targetId)
+    if (!removed) return null
+
+    await this.run(`DELETE FROM ${TABLES.trajectories.table} WHERE target_id = ?`, [targetId])
+    this.bumpVersion('trajectories')
+    await this.afterWrite()
+    return removed
+  }
+}
+
+export default SqlStorage
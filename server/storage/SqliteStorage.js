@@ -0,0 +1,288 @@
+// SQLite 存储 - 使用 sql.js（WebAssembly，无需本地编译），适合本地开发与离线演示
+// 表结构与 MySQL 一致，时间以 ISO 字符串保存，可直接按字符串比较
+// 数据库文件不存在时自动建表，并从 JSON 数据文件导入初始数据（导入结果写入 import_logs）
+import fs from 'fs'
+import path from 'path'
+import initSqlJs from 'sql.js'
+import { SqlStorage } from './SqlStorage.js'
+import { getDataset } from './datasets.js'
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS targets (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    type TEXT,
+    category_code TEXT,
+    description TEXT,
+    status TEXT,
+    capacity TEXT,
+    operator TEXT,
+    longitude REAL,
+    latitude REAL,
+    height REAL,
+    region TEXT,
+    province TEXT,
+    city TEXT,
+    address TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS target_locations (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    longitude REAL,
+    latitude REAL,
+    height REAL,
+    region TEXT,
+    province TEXT,
+    city TEXT,
+    address TEXT,
+    created_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS target_status (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    target_id TEXT NOT NULL,
+    target_name TEXT,
+    status_type TEXT,
+    status_name TEXT,
+    start_time TEXT,
+    color_code TEXT,
+    icon_state TEXT,
+    animation_effect TEXT,
+    priority TEXT,
+    description TEXT,
+    metadata TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX IF NOT EXISTS idx_target_status_target_time ON target_status (target_id, start_time);
+  CREATE TABLE IF NOT EXISTS events (
+    id TEXT PRIMARY KEY,
+    source_id TEXT,
+    target_id TEXT,
+    description TEXT,
+    start_time TEXT,
+    end_time TEXT,
+    alert_time TEXT,
+    duration INTEGER,
+    type TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX IF NOT EXISTS idx_events_start_time ON events (start_time);
+  CREATE TABLE IF NOT EXISTS relations (
+    id TEXT PRIMARY KEY,
+    description TEXT,
+    source_id TEXT,
+    target_id TEXT,
+    type TEXT,
+    status TEXT,
+    priority TEXT,
+    distance REAL,
+    capacity TEXT,
+    frequency TEXT,
+    start_time TEXT,
+    end_time TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS trajectories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    target_id TEXT NOT NULL,
+    timestamp TEXT,
+    longitude REAL,
+    latitude REAL,
+    altitude REAL,
+    speed REAL,
+    heading REAL,
+    status TEXT,
+    location TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX IF NOT EXISTS idx_target_timestamp ON trajectories (target_id, timestamp);
+  CREATE TABLE IF NOT EXISTS import_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    file_name TEXT,
+    file_type TEXT,
+    total_records INTEGER,
+    success_records INTEGER,
+    failed_records INTEGER,
+    error_message TEXT,
+    start_time TEXT,
+    end_time TEXT,
+    status TEXT
+  );
+`
+
+// 建表后新增的列，已有数据库文件在 init 时补齐
+const ADDED_COLUMNS = {
+  targets: { category_code: 'TEXT' },
+  relations: { start_time: 'TEXT', end_time: 'TEXT' },
+}
+
+// 初始导入顺序：先导入目标，再导入引用目标的数据
+const SEED_DATASETS = ['targets', 'points', 'relations', 'events', 'targetStatuses']
+
+export class SqliteStorage extends SqlStorage {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.dataDir - 数据目录
+   * @param {string} options.filename - 数据库文件路径
+   */
+  constructor({ dataDir, filename }) {
+    super({ dataDir })
+    this.type = 'sqlite'
+    this.filename = filename
+    this.db = null
+  }
+
+  async init() {
+    const SQL = await initSqlJs()
+    const exists = fs.existsSync(this.filename)
+
+    this.db = exists ? new SQL.Database(fs.readFileSync(this.filename)) : new SQL.Database()
+    this.db.exec(SCHEMA)
+    await this.addMissingColumns(ADDED_COLUMNS)
+    await this.migrateTargetLocations()
+
+    if (!exists) {
+      await this.seedFromJson()
+      this.persist()
+    }
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close()
+      this.db = null
+    }
+  }
+
+  async all(sql, params = []) {
+    const statement = this.db.prepare(sql)
+    try {
+      statement.bind(params)
+      const rows = []
+      while (statement.step()) {
+        rows.push(statement.getAsObject())
+      }
+      return rows
+    } finally {
+      statement.free()
+    }
+  }
+
+  async run(sql, params = []) {
+    this.db.run(sql, params)
+  }
+
+  async getColumns(table) {
+    const rows = await this.all(`PRAGMA table_info(${table})`)
+    return rows.map((row) => row.name)
+  }
+
+  async transaction(fn) {
+    this.db.run('BEGIN')
+    try {
+      const result = await fn(this)
+      this.db.run('COMMIT')
+      return result
+    } catch (error) {
+      this.db.run('ROLLBACK')
+      throw error
+    }
+  }
+
+  buildUpsert(table, key, columns, updateColumns) {
+    const assignments = updateColumns.map((column) => `${column} = excluded.${column}`)
+    return `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns
+      .map(() => '?')
+      .join(', ')}) ON CONFLICT(${key}) DO UPDATE SET ${assignments.join(', ')}`
+  }
+
+  toDbTime(value) {
+    return new Date(value).toISOString()
+  }
+
+  async afterWrite() {
+    this.persist()
+  }
+
+  /**
+   * 原子写入数据库文件
+   */
+  persist() {
+    const tempPath = `${this.filename}.${process.pid}.${Date.now()}.tmp`
+
+    try {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true })
+      fs.writeFileSync(tempPath, Buffer.from(this.db.export()))
+      fs.renameSync(tempPath, this.filename)
+    } catch (error) {
+      if (fs.existsSync(tempPath)) {
+        fs.unlinkSync(tempPath)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * 从 JSON 数据文件导入初始数据，逐条导入，失败的记录计入导入日志
+   */
+  async seedFromJson() {
+    for (const dataset of SEED_DATASETS) {
+      const { file } = getDataset(dataset)
+      const items = this.fallback.read(file)
+      await this.importRecords(file, items, (item) => this.upsertRow(this, dataset, item))
+    }
+
+    const { file } = getDataset('trajectories')
+    const trajectoryData = this.fallback.read(file)
+    const records = Object.entries(trajectoryData).flatMap(([targetId, points]) =>
+      (points || []).map((point) => ({ targetId, point })),
+    )
+    await this.importRecords(file, records, ({ targetId, point }) =>
+      this.insertTrajectoryPoints(this, targetId, [point]),
+    )
+  }
+
+  /**
+   * 在事务中导入一组记录并写入导入日志
+   * @param {string} fileName - 数据文件名
+   * @param {Array} records - 记录
+   * @param {Function} importRecord - 单条导入函数
+   */
+  async importRecords(fileName, records, importRecord) {
+    const startTime = new Date().toISOString()
+    let successRecords = 0
+    const errors = []
+
+    await this.transaction(async () => {
+      for (const record of records) {
+        try {
+          await importRecord(record)
+          successRecords++
+        } catch (error) {
+          errors.push(error.message)
+        }
+      }
+    })
+
+    const failedRecords = records.length - successRecords
+    await this.run(
+      `INSERT INTO import_logs (file_name, file_type, total_records, success_records,
+        failed_records, error_message, start_time, end_time, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        fileName,
+        'json',
+        records.length,
+        successRecords,
+        failedRecords,
+        errors.length > 0 ? errors.slice(0, 10).join('; ') : null,
+        startTime,
+        new Date().toISOString(),
+        failedRecords > 0 ? 'partial_success' : 'success',
+      ],
+    )
+  }
+}
+
+export default SqliteStorage
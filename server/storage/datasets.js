@@ -0,0 +1,132 @@
+// 数据集定义 - 各存储后端共用的查询语义
+//   targetFields: target_ids 过滤作用的字段（任一字段命中即保留），为空表示不按目标过滤
+//   timeField: 时间窗口过滤作用的字段（时间点落在窗口内），null 表示不按时间过滤
+//   validity: 有效期字段 {startField, endField, fallbackStartField}，有效期与时间窗口相交即保留；
+//     开始时间缺失时使用 fallbackStartField，仍缺失视为一直有效，结束时间缺失视为至今有效
+//   grouped: 数据按 target_id 分组为 {target_id: [points]} 对象
+//   autoIncrementId: 使用数字自增ID
+
+export const DATASETS = {
+  targets: {
+    file: 'targetBaseData.json',
+    idField: 'id',
+    targetFields: ['id'],
+    timeField: null,
+  },
+  points: {
+    file: 'targetLocationData.json',
+    idField: 'id',
+    targetFields: ['id'],
+    timeField: null,
+  },
+  relations: {
+    file: 'relationData.json',
+    idField: 'id',
+    targetFields: ['source_id', 'target_id'],
+    timeField: null,
+    validity: { startField: 'startTime', endField: 'endTime', fallbackStartField: 'createdAt' },
+  },
+  events: {
+    file: 'eventData.json',
+    idField: 'id',
+    targetFields: ['target_id'],
+    timeField: 'startTime',
+  },
+  trajectories: {
+    file: 'shipTrajectoryData.json',
+    idField: 'target_id',
+    targetFields: ['target_id'],
+    timeField: 'timestamp',
+    grouped: true,
+  },
+  targetStatuses: {
+    file: 'targetStatusData.json',
+    idField: 'id',
+    targetFields: ['target_id'],
+    timeField: 'startTime',
+    autoIncrementId: true,
+  },
+  fusionLines: {
+    file: 'fusionLineData.json',
+    idField: 'id',
+    targetFields: ['source_id', 'target_id'],
+    timeField: null,
+    validity: { startField: 'startTime', endField: 'endTime' },
+  },
+  geofences: {
+    file: 'geofenceData.json',
+    idField: 'id',
+    targetFields: [],
+    timeField: null,
+  },
+}
+
+/**
+ * 获取数据集定义
+ * @param {string} dataset - 数据集名称
+ * @returns {Object} 数据集定义
+ */
+export const getDataset = (dataset) => {
+  const definition = DATASETS[dataset]
+  if (!definition) {
+    throw new Error(`未知的数据集: ${dataset}`)
+  }
+  return definition
+}
+
+/**
+ * 判断数据集是否支持时间窗口过滤
+ * @param {Object} definition - 数据集定义
+ * @returns {boolean} 是否支持
+ */
+export const isTimeFiltered = (definition) => Boolean(definition.timeField || definition.validity)
+
+// 数据项的时间字段转换为毫秒时间戳，缺失或无效返回 null
+const readTime = (item, field) => {
+  if (!field || item[field] === undefined || item[field] === null || item[field] === '') return null
+  const time = new Date(item[field]).getTime()
+  return isNaN(time) ? null : time
+}
+
+/**
+ * 判断数据项的有效期是否与时间窗口相交
+ * @param {Object} item - 数据项
+ * @param {Object} validity - 有效期字段 {startField, endField, fallbackStartField}
+ * @param {Object} range - 时间窗口 {startTime, endTime}
+ * @returns {boolean} 是否相交
+ */
+export const overlapsValidity = (item, validity, { startTime, endTime } = {}) => {
+  const start = readTime(item, validity.startField) ?? readTime(item, validity.fallbackStartField)
+  const end = readTime(item, validity.endField)
+  if (startTime && end !== null && end < new Date(startTime).getTime()) return false
+  if (endTime && start !== null && start > new Date(endTime).getTime()) return false
+  return true
+}
+
+/**
+ * 判断数据项是否满足 target_ids 与时间窗口条件（JSON 存储与内存过滤使用）
+ * @param {Object} item - 数据项
+ * @param {Object} definition - 数据集定义
+ * @param {Object} filters - 过滤条件 {targetIds, startTime, endTime}
+ * @returns {boolean} 是否满足
+ */
+export const matchesDatasetFilters = (item, definition, filters = {}) => {
+  const { targetIds, startTime, endTime } = filters
+
+  if (targetIds && targetIds.length > 0 && definition.targetFields.length > 0) {
+    const hit = definition.targetFields.some((field) => targetIds.includes(item[field]))
+    if (!hit) return false
+  }
+
+  if (definition.timeField && (startTime || endTime)) {
+    const time = new Date(item[definition.timeField])
+    if (startTime && !(time >= new Date(startTime))) return false
+    if (endTime && !(time <= new Date(endTime))) return false
+  }
+
+  if (definition.validity && (startTime || endTime)) {
+    if (!overlapsValidity(item, definition.validity, { startTime, endTime })) return false
+  }
+
+  return true
+}
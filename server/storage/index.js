@@ -0,0 +1,63 @@
+// 存储后端入口 - 通过环境变量 DATA_SOURCE 选择数据源
+//   json（默认）: 读写 public/data 下的 JSON 文件
+//   mysql: 连接 MYSQL_HOST / MYSQL_PORT / MYSQL_USER / MYSQL_PASSWORD / MYSQL_DATABASE
+//          默认值与导入脚本一致（localhost:3306, root/example, vue_cesium_data）
+//   sqlite: 使用 SQLITE_FILE 指定的数据库文件（默认 data/vue_cesium_data.sqlite）
+// 所有后端提供相同的异步接口：query / findById / nextId / save / remove /
+// setTrajectory / appendTrajectoryPoints / removeTrajectory / getVersion
+import path from 'path'
+import { JsonStorage } from './JsonStorage.js'
+import { MysqlStorage } from './MysqlStorage.js'
+import { SqliteStorage } from './SqliteStorage.js'
+
+export { DATASETS, getDataset, isTimeFiltered } from './datasets.js'
+export { JsonStorage, MysqlStorage, SqliteStorage }
+
+export const STORAGE_TYPES = ['json', 'mysql', 'sqlite']
+
+/**
+ * 根据环境变量创建并初始化存储后端
+ * @param {Object} options - 选项
+ * @param {string} options.dataDir - JSON 数据目录
+ * @param {string} options.rootDir - 项目根目录（SQLite 默认文件位置）
+ * @param {Object} options.env - 环境变量，默认为 process.env
+ * @returns {Promise<JsonStorage|MysqlStorage|SqliteStorage>} 存储后端
+ */
+export const createStorage = async ({ dataDir, rootDir, env = process.env }) => {
+  const type = (env.DATA_SOURCE || 'json').toLowerCase()
+  let storage
+
+  switch (type) {
+    case 'json':
+      storage = new JsonStorage({ dataDir })
+      break
+    case 'mysql':
+      storage = new MysqlStorage({
+        dataDir,
+        connection: {
+          host: env.MYSQL_HOST || 'localhost',
+          port: Number(env.MYSQL_PORT) || 3306,
+          user: env.MYSQL_USER || 'root',
+          password: env.MYSQL_PASSWORD ?? 'example',
+          database: env.MYSQL_DATABASE || 'vue_cesium_data',
+        },
+      })
+      break
+    case 'sqlite':
+      storage = new SqliteStorage({
+        dataDir,
+        filename: path.resolve(
+          rootDir,
+          env.SQLITE_FILE || path.join('data', 'vue_cesium_data.sqlite'),
+        ),
+      })
+      break
+    default:
+      throw new Error(`不支持的数据源: ${type}，可选值: ${STORAGE_TYPES.join(', ')}`)
+  }
+
+  await storage.init()
+  return storage
+}
+
+export default createStorage
@@ -5,6 +5,40 @@ export const getDataByTimeRange = async (options = {}) => {
   return apiClient.post('/data', options)
 }
 
+// 分页加载综合数据 - 逐页请求并合并，避免一次性返回全部数据阻塞首屏
+// onPage(pageData, pageIndex) 在每页返回后调用，可用于增量渲染
+export const getDataByTimeRangePaged = async (options = {}, { pageSize = 1000, onPage } = {}) => {
+  const merged = {}
+  let counts = null
+  let cursor = null
+  let pageIndex = 0
+
+  do {
+    const response = await getDataByTimeRange({ ...options, limit: pageSize, cursor })
+    counts = response.counts
+
+    Object.entries(response.data).forEach(([key, value]) => {
+      if (Array.isArray(value)) {
+        merged[key] = (merged[key] || []).concat(value)
+      } else {
+        merged[key] = { ...(merged[key] || {}), ...value }
+      }
+    })
+
+    if (onPage) {
+      onPage(response.data, pageIndex)
+    }
+
+    // 所有数据集共用同一偏移量，任一数据集还有下一页就继续请求
+    const pages = Object.values(response.pagination || {})
+    const next = pages.find((page) => page.hasMore)
+    cursor = next ? next.nextCursor : null
+    pageIndex++
+  } while (cursor)
+
+  return { success: true, data: merged, counts }
+}
+
 // 原有的API函数保持兼容性，但内部使用新的时间查询
 export const getTargetBaseData = async () => {
   return await getDataByTimeRange().then((data) => data.targetBaseData || [])
@@ -39,3 +73,64 @@ export const getCircleConnectorData = async () => {
 export const getFusionLineData = async () => {
   return await getDataByTimeRange().then((data) => data.fusionLineData || [])
 }
+
+export const getGeofenceData = async () => {
+  return await getDataByTimeRange().then((data) => data.geofenceData || [])
+}
+
+// 地理围栏 GeoJSON 导出
+export const exportGeofencesGeoJSON = async () => {
+  return apiClient.get('/geofences/geojson')
+}
+
+// 地理围栏 GeoJSON 导入 - geojson 为 FeatureCollection 或 Feature，同ID覆盖
+export const importGeofencesGeoJSON = async (geojson) => {
+  return apiClient.post('/geofences/geojson', geojson)
+}
+
+// 实时推送 - 推送增量数据
+export const publishLiveDelta = async (deltas) => {
+  return apiClient.post('/stream/publish', deltas)
+}
+
+// 实时推送 - 启动回放模拟
+export const startLiveReplay = async (options = {}) => {
+  return apiClient.post('/stream/replay/start', options)
+}
+
+// 实时推送 - 停止回放模拟
+export const stopLiveReplay = async () => {
+  return apiClient.post('/stream/replay/stop')
+}
+
+// 实时推送 - 获取回放状态
+export const getLiveReplayStatus = async () => {
+  return apiClient.get('/stream/replay/status')
+}
+
+// 数据写入 - resource 为 targets | target-locations | target-status | relations | events | fusion-lines | geofences
+export const createDataItem = async (resource, item) => {
+  return apiClient.post(`/${resource}`, item)
+}
+
+export const replaceDataItem = async (resource, id, item) => {
+  return apiClient.put(`/${resource}/${encodeURIComponent(id)}`, item)
+}
+
+export const patchDataItem = async (resource, id, changes) => {
+  return apiClient.patch(`/${resource}/${encodeURIComponent(id)}`, changes)
+}
+
+export const deleteDataItem = async (resource, id) => {
+  return apiClient.delete(`/${resource}/${encodeURIComponent(id)}`)
+}
+
+// 空间查询 - query 为 {bbox: [w, s, e, n]} | {lng, lat, radius} | {polygon: [[lng, lat], ...]}
+export const querySpatialTargets = async (query) => {
+  return apiClient.post('/spatial/targets', query)
+}
+
+// 空间查询 - 轨迹点，可附加 startTime/endTime
+export const querySpatialTrajectories = async (query) => {
+  return apiClient.post('/spatial/trajectories', query)
+}
@@ -365,7 +365,7 @@ class RenderEngine {
    * 添加数据到图层
    * @param {string} layerId - 图层ID
    * @param {Array} data - 数据数组
-   * @param {Object} options - 选项
+   * @param {Object} options - 选项，signal 取消适配，onProgress 接收适配进度 ({loaded, total})
    */
   async addData(layerId, data, options = {}) {
     const layer = this.layers.get(layerId)
@@ -374,8 +374,8 @@ class RenderEngine {
     }
 
     try {
-      // 适配数据
-      const adaptedData = await this.dataAdapter.adaptData(data, options)
+      // 适配数据（在 Worker 中执行）
+      const adaptedData = await this.dataAdapter.adaptDataAsync(data, options)
 
       // 添加到图层
       await layer.addData(adaptedData, options)
@@ -394,7 +394,7 @@ class RenderEngine {
    * 更新图层数据
    * @param {string} layerId - 图层ID
    * @param {Array} data - 数据数组
-   * @param {Object} options - 选项
+   * @param {Object} options - 选项，signal 取消适配，onProgress 接收适配进度 ({loaded, total})
    */
   async updateData(layerId, data, options = {}) {
     const layer = this.layers.get(layerId)
@@ -403,8 +403,8 @@ class RenderEngine {
     }
 
     try {
-      // 适配数据
-      const adaptedData = await this.dataAdapter.adaptData(data, options)
+      // 适配数据（在 Worker 中执行）
+      const adaptedData = await this.dataAdapter.adaptDataAsync(data, options)
 
       // 更新图层数据
       await layer.updateData(adaptedData, options)
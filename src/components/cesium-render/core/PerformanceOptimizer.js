@@ -20,10 +20,14 @@ class PerformanceOptimizer {
       memoryThreshold: 500 * 1024 * 1024, // 内存阈值 (500MB)
       performanceTarget: 60, // 目标FPS
       adaptiveQuality: true,
+      enableMonitoring: true, // 启动帧率监控与渲染循环，只使用LOD与剔除时可关闭
       debugMode: false,
       ...options,
     }
 
+    this.onCameraChanged = this.onCameraChanged.bind(this)
+    this.animationFrames = { monitor: null, render: null }
+
     // 性能监控
     this.performance = {
       fps: 0,
@@ -113,13 +117,15 @@ class PerformanceOptimizer {
     this.initLODConfigs()
 
     // 监听相机变化
-    this.camera.changed.addEventListener(this.onCameraChanged.bind(this))
+    this.camera.changed.addEventListener(this.onCameraChanged)
 
-    // 启动性能监控
-    this.startPerformanceMonitoring()
+    if (this.options.enableMonitoring) {
+      // 启动性能监控
+      this.startPerformanceMonitoring()
 
-    // 启动渲染循环
-    this.startRenderLoop()
+      // 启动渲染循环
+      this.startRenderLoop()
+    }
 
     // 初始化调试界面
     if (this.debugInfo.enabled) {
@@ -318,6 +324,14 @@ class PerformanceOptimizer {
       this.camera.up,
     )
 
+    // 地球遮挡：位于地平线之后的实体即使在视锥内也不可见
+    const occluder = this.options.enableOcclusion
+      ? new Cesium.Occluder(
+          new Cesium.BoundingSphere(Cesium.Cartesian3.ZERO, Cesium.Ellipsoid.WGS84.minimumRadius),
+          this.camera.positionWC,
+        )
+      : null
+
     // 清空之前的结果
     this.frustumCuller.culledEntities.clear()
     this.frustumCuller.visibleEntities.clear()
@@ -337,7 +351,10 @@ class PerformanceOptimizer {
       // 视锥剔除测试
       const visibility = cullingVolume.computeVisibility(boundingSphere)
 
-      if (visibility === Cesium.Intersect.OUTSIDE) {
+      if (
+        visibility === Cesium.Intersect.OUTSIDE ||
+        (occluder && !occluder.isBoundingSphereVisible(boundingSphere))
+      ) {
         this.frustumCuller.culledEntities.add(entity.id)
         entity._visible = false
       } else {
@@ -355,6 +372,24 @@ class PerformanceOptimizer {
     this.performance.culledEntityCount = this.frustumCuller.culledEntities.size
   }
 
+  /**
+   * 使视锥剔除结果失效，下次 updateFrustumCulling 时即使相机未移动也重新计算（实体增删或移动后调用）
+   */
+  invalidateFrustumCulling() {
+    this.frustumCuller.lastCameraPosition = null
+    this.frustumCuller.lastCameraDirection = null
+  }
+
+  /**
+   * 移除实体的LOD与剔除记录
+   * @param {string} entityId - 实体ID
+   */
+  removeEntity(entityId) {
+    this.lodManager.entityLOD.delete(entityId)
+    this.frustumCuller.culledEntities.delete(entityId)
+    this.frustumCuller.visibleEntities.delete(entityId)
+  }
+
   /**
    * 检查是否需要更新视锥剔除
    * @returns {boolean} 是否需要更新
@@ -742,7 +777,7 @@ class PerformanceOptimizer {
       }
 
       lastTime = currentTime
-      requestAnimationFrame(monitor)
+      this.animationFrames.monitor = requestAnimationFrame(monitor)
     }
 
     monitor()
@@ -758,7 +793,7 @@ class PerformanceOptimizer {
       // 这里可以添加自定义渲染逻辑
 
       this.performance.renderTime = performance.now() - startTime
-      requestAnimationFrame(render)
+      this.animationFrames.render = requestAnimationFrame(render)
     }
 
     render()
@@ -958,6 +993,11 @@ class PerformanceOptimizer {
     // 移除相机监听
     this.camera.changed.removeEventListener(this.onCameraChanged)
 
+    // 停止帧率监控与渲染循环
+    Object.values(this.animationFrames).forEach((frame) => {
+      if (frame !== null) cancelAnimationFrame(frame)
+    })
+
     // 清理缓存
     this.memoryManager.textureCache.clear()
     this.memoryManager.geometryCache.clear()
@@ -0,0 +1,606 @@
+/**
+ * 性能分析器 - 按固定间隔采集帧率、帧时间、实体/图元数量、缓存命中率与画质变化
+ * 采样始终保留最近 historySize 条供实时显示；开始录制后额外记录完整时间序列，
+ * 可导出为 JSON / CSV，用于不同构建之间的性能对比
+ *
+ * 数据来源（均为可选）：
+ *   renderEngine         - RenderEngine：图层统计、渲染器图元数量、getPerformanceReport
+ *   timeManager          - TimeManager：getCacheStats（未指定时使用 renderEngine.timeManager）
+ *   performanceOptimizer - PerformanceOptimizer：qualityChanged 事件与当前画质
+ */
+
+import PerformanceUtils from '../utils/PerformanceUtils.js'
+
+// CSV 中每个采样的固定列
+const CSV_COLUMNS = [
+  'timestamp',
+  'elapsed',
+  'fps',
+  'frameTime',
+  'renderTime',
+  'totalEntities',
+  'visibleEntities',
+  'primitiveCount',
+  'memoryUsage',
+  'cacheHits',
+  'cacheMisses',
+  'cacheHitRate',
+  'quality',
+  'qualityChange',
+]
+
+/**
+ * 计算数值序列的统计值
+ * @param {Array<number>} values - 数值序列
+ * @returns {Object} {average, min, max, p95}
+ */
+function summarize(values) {
+  const data = values.filter((value) => typeof value === 'number' && !isNaN(value))
+  if (data.length === 0) {
+    return { average: 0, min: 0, max: 0, p95: 0 }
+  }
+
+  const sorted = [...data].sort((a, b) => a - b)
+  const round = (value) => Math.round(value * 100) / 100
+
+  return {
+    average: round(data.reduce((sum, value) => sum + value, 0) / data.length),
+    min: round(sorted[0]),
+    max: round(sorted[sorted.length - 1]),
+    p95: round(sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)]),
+  }
+}
+
+/**
+ * 转义 CSV 字段
+ * @param {*} value - 字段值
+ * @returns {string} CSV 字段
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+class PerformanceProfiler {
+  /**
+   * @param {Cesium.Viewer} viewer - Cesium Viewer
+   * @param {Object} options - 选项
+   * @param {number} options.interval - 采样间隔（毫秒）
+   * @param {number} options.historySize - 实时显示保留的采样数
+   * @param {number} options.maxSamples - 单次录制的最大采样数，超出后丢弃最早的采样
+   * @param {string} options.label - 会话标签（如构建版本），写入导出结果
+   */
+  constructor(viewer, options = {}) {
+    this.viewer = viewer
+    this.scene = viewer.scene
+
+    this.options = {
+      interval: 1000,
+      historySize: 120,
+      maxSamples: 36000,
+      label: '',
+      ...options,
+    }
+
+    // 数据来源
+    this.sources = {
+      renderEngine: null,
+      timeManager: null,
+      performanceOptimizer: null,
+    }
+
+    // 帧统计（两次采样之间累计）
+    this.frameStats = {
+      frames: 0,
+      renderTime: 0,
+      frameStart: 0,
+      lastFrameTime: 0,
+      frameInterval: 0,
+    }
+
+    // 采样数据
+    this.history = []
+    this.latest = null
+    this.pendingQualityChanges = []
+    this.qualityChanges = []
+
+    // 录制会话
+    this.session = null
+
+    this.isRunning = false
+    this.startTime = 0
+    this.lastSampleTime = 0
+    this.samplingTimer = null
+
+    // 事件处理器
+    this.eventHandlers = new Map()
+
+    this.onPreRender = this.onPreRender.bind(this)
+    this.onPostRender = this.onPostRender.bind(this)
+    this.onQualityChanged = this.onQualityChanged.bind(this)
+  }
+
+  /**
+   * 设置数据来源，已设置的来源会被替换
+   * @param {Object} sources - {renderEngine, timeManager, performanceOptimizer}
+   */
+  attach(sources = {}) {
+    const previousOptimizer = this.sources.performanceOptimizer
+    this.sources = { ...this.sources, ...sources }
+
+    if (!this.sources.timeManager && this.sources.renderEngine?.timeManager) {
+      this.sources.timeManager = this.sources.renderEngine.timeManager
+    }
+
+    if (previousOptimizer !== this.sources.performanceOptimizer) {
+      previousOptimizer?.off('qualityChanged', this.onQualityChanged)
+      this.sources.performanceOptimizer?.on('qualityChanged', this.onQualityChanged)
+    }
+  }
+
+  /**
+   * 开始采样
+   */
+  start() {
+    if (this.isRunning) return
+
+    this.isRunning = true
+    this.startTime = performance.now()
+    this.lastSampleTime = this.startTime
+    this.resetFrameStats()
+
+    this.scene.preRender.addEventListener(this.onPreRender)
+    this.scene.postRender.addEventListener(this.onPostRender)
+
+    this.samplingTimer = setInterval(() => {
+      this.sample()
+    }, this.options.interval)
+  }
+
+  /**
+   * 停止采样（同时结束录制）
+   */
+  stop() {
+    if (!this.isRunning) return
+
+    if (this.session?.recording) {
+      this.stopRecording()
+    }
+
+    this.isRunning = false
+    this.scene.preRender.removeEventListener(this.onPreRender)
+    this.scene.postRender.removeEventListener(this.onPostRender)
+
+    if (this.samplingTimer) {
+      clearInterval(this.samplingTimer)
+      this.samplingTimer = null
+    }
+  }
+
+  /**
+   * 开始录制会话，未采样时自动开始采样
+   * @param {string} label - 会话标签，默认使用 options.label
+   */
+  startRecording(label = this.options.label) {
+    this.start()
+
+    this.session = {
+      label,
+      recording: true,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      startTime: performance.now(),
+      samples: [],
+      qualityChanges: [],
+    }
+
+    this.emit('recordingStarted', { label })
+  }
+
+  /**
+   * 结束录制会话，录制结果保留至下次录制或 clear
+   * @returns {Object|null} 会话
+   */
+  stopRecording() {
+    if (!this.session?.recording) return this.session
+
+    this.session.recording = false
+    this.session.endedAt = new Date().toISOString()
+
+    this.emit('recordingStopped', {
+      label: this.session.label,
+      samples: this.session.samples.length,
+    })
+    return this.session
+  }
+
+  /**
+   * 是否正在录制
+   * @returns {boolean}
+   */
+  isRecording() {
+    return !!this.session?.recording
+  }
+
+  /**
+   * 渲染前记录帧开始时间
+   */
+  onPreRender() {
+    this.frameStats.frameStart = performance.now()
+  }
+
+  /**
+   * 渲染后累计帧数、渲染耗时与帧间隔
+   */
+  onPostRender() {
+    const now = performance.now()
+    const stats = this.frameStats
+
+    stats.frames++
+    if (stats.frameStart) {
+      stats.renderTime += now - stats.frameStart
+    }
+    if (stats.lastFrameTime) {
+      stats.frameInterval += now - stats.lastFrameTime
+    }
+    stats.lastFrameTime = now
+  }
+
+  /**
+   * 画质变化处理
+   * @param {Object} event - {oldQuality, newQuality}
+   */
+  onQualityChanged({ oldQuality, newQuality }) {
+    const change = {
+      timestamp: Date.now(),
+      elapsed: Math.round(performance.now() - this.startTime),
+      oldQuality,
+      newQuality,
+      fps: this.sources.performanceOptimizer?.performance?.fps ?? null,
+    }
+
+    this.pendingQualityChanges.push(change)
+    this.qualityChanges.push(change)
+    if (this.qualityChanges.length > this.options.historySize) {
+      this.qualityChanges.shift()
+    }
+    if (this.session?.recording) {
+      this.session.qualityChanges.push(change)
+    }
+
+    this.emit('qualityChanged', change)
+  }
+
+  /**
+   * 重置帧统计
+   */
+  resetFrameStats() {
+    this.frameStats.frames = 0
+    this.frameStats.renderTime = 0
+    this.frameStats.frameInterval = 0
+    this.frameStats.lastFrameTime = 0
+  }
+
+  /**
+   * 立即采集一次数据
+   * @returns {Object} 采样
+   */
+  sample() {
+    const now = performance.now()
+    const seconds = Math.max(now - this.lastSampleTime, 1) / 1000
+    const { frames, renderTime, frameInterval } = this.frameStats
+    const round = (value) => Math.round(value * 100) / 100
+
+    const layers = this.collectLayerStats()
+    const cache = this.collectCacheStats()
+
+    const sample = {
+      timestamp: Date.now(),
+      elapsed: Math.round(now - this.startTime),
+      // 请求渲染模式（requestRenderMode）下场景静止时不渲染，帧率为 0
+      fps: round(frames / seconds),
+      frameTime: frames > 1 ? round(frameInterval / (frames - 1)) : 0,
+      renderTime: frames > 0 ? round(renderTime / frames) : 0,
+      totalEntities: this.sumLayers(layers, 'entities'),
+      visibleEntities: this.sumLayers(layers, 'visible'),
+      primitiveCount: this.sumLayers(layers, 'primitives'),
+      memoryUsage: performance.memory?.usedJSHeapSize ?? null,
+      cache,
+      quality: this.sources.performanceOptimizer?.adaptiveQuality?.currentQuality ?? null,
+      qualityChanges: this.pendingQualityChanges,
+      layers,
+    }
+
+    this.pendingQualityChanges = []
+    this.lastSampleTime = now
+    this.resetFrameStats()
+
+    this.latest = sample
+    this.history.push(sample)
+    if (this.history.length > this.options.historySize) {
+      this.history.shift()
+    }
+
+    if (this.session?.recording) {
+      this.session.samples.push(sample)
+      if (this.session.samples.length > this.options.maxSamples) {
+        this.session.samples.shift()
+      }
+    }
+
+    this.emit('sample', sample)
+    return sample
+  }
+
+  /**
+   * 采集各图层的实体与图元数量
+   * 图元渲染器（批处理、实例化）按 options.layerId 归入图层，未指定时按渲染器键（如 point_batch）单独列出
+   * @returns {Object} layerId -> {entities, visible, primitives}
+   */
+  collectLayerStats() {
+    const renderEngine = this.sources.renderEngine
+    const layers = {}
+    if (!renderEngine) return layers
+
+    const getLayer = (layerId) => {
+      if (!layers[layerId]) {
+        layers[layerId] = { entities: 0, visible: 0, primitives: 0 }
+      }
+      return layers[layerId]
+    }
+
+    renderEngine.layers?.forEach((layer, layerId) => {
+      const stats = layer.getStats?.() || {}
+      const target = getLayer(layerId)
+      target.entities = stats.entityCount || 0
+      target.visible = stats.visible === false ? 0 : (stats.visibleEntities ?? target.entities)
+    })
+
+    const factory = renderEngine.rendererFactory
+    const renderers = [
+      ...(factory?.rendererInstances || []),
+      ...(factory?.batchManager?.batches || []),
+      ...(factory?.instanceManager?.instances || []),
+    ]
+    renderers.forEach(([key, renderer]) => {
+      if (typeof renderer.getPrimitiveCount !== 'function') return
+
+      const target = getLayer(renderer.options?.layerId ?? key)
+      const stats = renderer.getStats?.() || {}
+      target.primitives += renderer.getPrimitiveCount()
+      if (!renderEngine.layers?.has(renderer.options?.layerId)) {
+        target.entities += stats.totalEntities || 0
+        target.visible += stats.visibleEntities || 0
+      }
+    })
+
+    return layers
+  }
+
+  /**
+   * 采集时间管理器的缓存统计
+   * @returns {Object|null} {hits, misses, size, hitRate}
+   */
+  collectCacheStats() {
+    const cacheStats = this.sources.timeManager?.getCacheStats?.()
+    if (!cacheStats) return null
+
+    const hits = cacheStats.hits || 0
+    const misses = cacheStats.misses || 0
+    return {
+      hits,
+      misses,
+      size: cacheStats.size || 0,
+      hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 10000) / 10000 : null,
+    }
+  }
+
+  /**
+   * 汇总图层字段
+   * @param {Object} layers - 图层统计
+   * @param {string} key - 字段名
+   * @returns {number} 合计
+   */
+  sumLayers(layers, key) {
+    return Object.values(layers).reduce((sum, layer) => sum + (layer[key] || 0), 0)
+  }
+
+  /**
+   * 获取实时采样历史
+   * @returns {Array<Object>} 采样数组（从旧到新）
+   */
+  getHistory() {
+    return [...this.history]
+  }
+
+  /**
+   * 获取最近一次采样
+   * @returns {Object|null} 采样
+   */
+  getLatest() {
+    return this.latest
+  }
+
+  /**
+   * 获取最近的画质变化
+   * @returns {Array<Object>} 画质变化（从旧到新）
+   */
+  getQualityChanges() {
+    return [...this.qualityChanges]
+  }
+
+  /**
+   * 获取当前录制会话
+   * @returns {Object|null} 会话
+   */
+  getSession() {
+    return this.session
+  }
+
+  /**
+   * 计算采样汇总
+   * @param {Array<Object>} samples - 采样数组，默认使用录制会话
+   * @returns {Object} 各指标的 {average, min, max, p95}
+   */
+  getSummary(samples = this.session?.samples || []) {
+    const lastCache = [...samples].reverse().find((sample) => sample.cache)?.cache
+
+    return {
+      sampleCount: samples.length,
+      duration: samples.length > 1 ? samples[samples.length - 1].elapsed - samples[0].elapsed : 0,
+      fps: summarize(samples.map((sample) => sample.fps)),
+      frameTime: summarize(samples.map((sample) => sample.frameTime)),
+      renderTime: summarize(samples.map((sample) => sample.renderTime)),
+      totalEntities: summarize(samples.map((sample) => sample.totalEntities)),
+      primitiveCount: summarize(samples.map((sample) => sample.primitiveCount)),
+      memoryUsage: summarize(samples.map((sample) => sample.memoryUsage)),
+      cacheHitRate: lastCache?.hitRate ?? null,
+      qualityChangeCount: samples.reduce((sum, sample) => sum + sample.qualityChanges.length, 0),
+    }
+  }
+
+  /**
+   * 导出录制会话
+   * @param {string} format - 导出格式（'json', 'csv'）
+   * @returns {string} 导出的数据
+   */
+  exportSession(format = 'json') {
+    return format === 'csv' ? this.exportCSV() : this.exportJSON()
+  }
+
+  /**
+   * 导出为 JSON：会话信息、汇总、渲染引擎性能报告、画质变化与全部采样
+   * @returns {string} JSON 字符串
+   */
+  exportJSON() {
+    const session = this.session
+    const renderEngine = this.sources.renderEngine
+
+    return JSON.stringify(
+      {
+        label: session?.label ?? this.options.label,
+        startedAt: session?.startedAt ?? null,
+        endedAt: session?.endedAt ?? null,
+        interval: this.options.interval,
+        browser: PerformanceUtils.getBrowserPerformanceInfo(),
+        summary: this.getSummary(),
+        report: renderEngine?.getPerformanceReport?.() ?? null,
+        qualityChanges: session?.qualityChanges || [],
+        samples: session?.samples || [],
+      },
+      null,
+      2,
+    )
+  }
+
+  /**
+   * 导出为 CSV：每个采样一行，图层按 "layer:<图层ID>:<字段>" 展开为列
+   * @returns {string} CSV 字符串
+   */
+  exportCSV() {
+    const samples = this.session?.samples || []
+
+    const layerIds = []
+    samples.forEach((sample) => {
+      Object.keys(sample.layers).forEach((layerId) => {
+        if (!layerIds.includes(layerId)) layerIds.push(layerId)
+      })
+    })
+
+    const layerFields = ['entities', 'visible', 'primitives']
+    const headers = [
+      ...CSV_COLUMNS,
+      ...layerIds.flatMap((layerId) => layerFields.map((field) => `layer:${layerId}:${field}`)),
+    ]
+
+    const rows = samples.map((sample) => [
+      new Date(sample.timestamp).toISOString(),
+      sample.elapsed,
+      sample.fps,
+      sample.frameTime,
+      sample.renderTime,
+      sample.totalEntities,
+      sample.visibleEntities,
+      sample.primitiveCount,
+      sample.memoryUsage,
+      sample.cache?.hits,
+      sample.cache?.misses,
+      sample.cache?.hitRate,
+      sample.quality,
+      sample.qualityChanges.map((change) => `${change.oldQuality}->${change.newQuality}`).join(' '),
+      ...layerIds.flatMap((layerId) => layerFields.map((field) => sample.layers[layerId]?.[field])),
+    ])
+
+    return [headers, ...rows].map((row) => row.map(toCsvField).join(',')).join('\n')
+  }
+
+  /**
+   * 清空采样历史与录制会话
+   */
+  clear() {
+    this.history = []
+    this.latest = null
+    this.pendingQualityChanges = []
+    this.qualityChanges = []
+    this.session = null
+  }
+
+  /**
+   * 事件发射器
+   * @param {string} eventName - 事件名称
+   * @param {*} data - 事件数据
+   */
+  emit(eventName, data) {
+    const handlers = this.eventHandlers.get(eventName)
+    if (handlers) {
+      handlers.forEach((handler) => {
+        try {
+          handler(data)
+        } catch (error) {
+          console.error('Performance profiler event handler error:', error)
+        }
+      })
+    }
+  }
+
+  /**
+   * 监听事件
+   * @param {string} eventName - 事件名称（sample、qualityChanged、recordingStarted、recordingStopped）
+   * @param {Function} handler - 事件处理器
+   */
+  on(eventName, handler) {
+    if (!this.eventHandlers.has(eventName)) {
+      this.eventHandlers.set(eventName, [])
+    }
+    this.eventHandlers.get(eventName).push(handler)
+  }
+
+  /**
+   * 移除事件监听
+   * @param {string} eventName - 事件名称
+   * @param {Function} handler - 事件处理器
+   */
+  off(eventName, handler) {
+    const handlers = this.eventHandlers.get(eventName)
+    if (handlers) {
+      const index = handlers.indexOf(handler)
+      if (index > -1) {
+        handlers.splice(index, 1)
+      }
+    }
+  }
+
+  /**
+   * 销毁性能分析器
+   */
+  destroy() {
+    this.stop()
+    this.sources.performanceOptimizer?.off('qualityChanged', this.onQualityChanged)
+    this.sources = { renderEngine: null, timeManager: null, performanceOptimizer: null }
+    this.eventHandlers.clear()
+    this.clear()
+  }
+}
+
+export default PerformanceProfiler
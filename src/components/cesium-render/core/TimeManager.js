@@ -18,7 +18,8 @@ class TimeManager {
       bufferTime: 3600, // 缓冲时间（秒）
       maxDataAge: 86400, // 最大数据年龄（秒）
       enableInterpolation: true,
-      interpolationMethod: 'linear', // linear, spline, step
+      interpolationMethod: 'linear', // linear, spline, hermite, step
+      speedUnit: 'knots', // Hermite 插值使用的航速单位: knots, kmh, ms
       ...options,
     }
 
@@ -57,9 +58,13 @@ class TimeManager {
     this.interpolators = new Map([
       ['linear', this.linearInterpolation.bind(this)],
       ['spline', this.splineInterpolation.bind(this)],
+      ['hermite', this.hermiteInterpolation.bind(this)],
       ['step', this.stepInterpolation.bind(this)],
     ])
 
+    // 轨迹点时间解析缓存
+    this.sampleTimeCache = new WeakMap()
+
     // 事件处理器
     this.eventHandlers = new Map()
 
@@ -395,90 +400,317 @@ class TimeManager {
    * @returns {Array} 插值后的数据
    */
   linearInterpolation(data, time, options) {
-    return data.map((item) => {
-      if (!item.trajectory || item.trajectory.length < 2) {
-        return item
+    return this.interpolateTrajectories(data, time, 'linear', (trajectory, index, factor) => {
+      const before = trajectory[index]
+      const after = trajectory[index + 1]
+
+      const position = {
+        longitude:
+          before.position.longitude +
+          (after.position.longitude - before.position.longitude) * factor,
+        latitude:
+          before.position.latitude + (after.position.latitude - before.position.latitude) * factor,
+        height:
+          (before.position.height || 0) +
+          ((after.position.height || 0) - (before.position.height || 0)) * factor,
       }
 
-      const trajectory = item.trajectory
-      const targetTime = Cesium.JulianDate.toIso8601(time)
+      return { position, heading: null }
+    })
+  }
 
-      // 找到时间范围
-      let beforeIndex = -1
-      let afterIndex = -1
+  /**
+   * 样条插值（Catmull-Rom 三次样条，按实际采样时间间隔计算切线）
+   * @param {Array} data - 数据数组
+   * @param {Cesium.JulianDate} time - 目标时间
+   * @param {Object} options - 选项
+   * @returns {Array} 插值后的数据
+   */
+  splineInterpolation(data, time, options) {
+    return this.interpolateTrajectories(data, time, 'spline', (trajectory, index, factor) => {
+      const tangentStart = this.getCatmullRomTangent(trajectory, index)
+      const tangentEnd = this.getCatmullRomTangent(trajectory, index + 1)
 
-      for (let i = 0; i < trajectory.length - 1; i++) {
-        if (trajectory[i].time <= targetTime && trajectory[i + 1].time >= targetTime) {
-          beforeIndex = i
-          afterIndex = i + 1
-          break
-        }
-      }
+      return this.cubicHermiteSegment(trajectory, index, factor, tangentStart, tangentEnd)
+    })
+  }
+
+  /**
+   * Hermite 插值（使用采样点的航速、航向作为切线，缺失时退化为 Catmull-Rom 切线）
+   * @param {Array} data - 数据数组
+   * @param {Cesium.JulianDate} time - 目标时间
+   * @param {Object} options - 选项
+   * @returns {Array} 插值后的数据
+   */
+  hermiteInterpolation(data, time, options = {}) {
+    const speedUnit = options.speedUnit || this.options.speedUnit
+
+    return this.interpolateTrajectories(data, time, 'hermite', (trajectory, index, factor) => {
+      const tangentStart =
+        this.getVelocityTangent(trajectory[index], speedUnit) ||
+        this.getCatmullRomTangent(trajectory, index)
+      const tangentEnd =
+        this.getVelocityTangent(trajectory[index + 1], speedUnit) ||
+        this.getCatmullRomTangent(trajectory, index + 1)
+
+      return this.cubicHermiteSegment(trajectory, index, factor, tangentStart, tangentEnd)
+    })
+  }
 
-      if (beforeIndex === -1 || afterIndex === -1) {
+  /**
+   * 对数据中的轨迹按指定段插值函数求目标时间的位置与属性
+   * @param {Array} data - 数据数组
+   * @param {Cesium.JulianDate} time - 目标时间
+   * @param {string} method - 插值方法名称
+   * @param {Function} interpolateSegment - 段插值函数 (trajectory, index, factor) => {position, heading}
+   * @returns {Array} 插值后的数据
+   */
+  interpolateTrajectories(data, time, method, interpolateSegment) {
+    const targetTime = Cesium.JulianDate.toDate(time).getTime()
+
+    return data.map((item) => {
+      if (!item.trajectory || item.trajectory.length < 2) {
         return item
       }
 
-      const before = trajectory[beforeIndex]
-      const after = trajectory[afterIndex]
-
-      // 计算插值因子
-      const beforeTime = new Date(before.time).getTime()
-      const afterTime = new Date(after.time).getTime()
-      const currentTime = new Date(targetTime).getTime()
+      const trajectory = item.trajectory
+      const index = this.findTrajectorySegment(trajectory, targetTime)
+      if (index === -1) {
+        return item
+      }
 
-      const factor = (currentTime - beforeTime) / (afterTime - beforeTime)
+      const before = trajectory[index]
+      const after = trajectory[index + 1]
+      const beforeTime = this.getSampleTime(before)
+      const afterTime = this.getSampleTime(after)
+      const factor =
+        afterTime > beforeTime ? (targetTime - beforeTime) / (afterTime - beforeTime) : 0
 
-      // 插值位置
-      const interpolatedPosition = {
-        longitude:
-          before.position.longitude +
-          (after.position.longitude - before.position.longitude) * factor,
-        latitude:
-          before.position.latitude + (after.position.latitude - before.position.latitude) * factor,
-        height: before.position.height + (after.position.height - before.position.height) * factor,
-      }
+      const { position, heading } = interpolateSegment(trajectory, index, factor)
+      const interpolatedProperties = this.interpolateProperties(before, after, factor)
 
-      // 插值属性
-      const interpolatedProperties = {}
-      if (before.properties && after.properties) {
-        Object.keys(before.properties).forEach((key) => {
-          if (
-            typeof before.properties[key] === 'number' &&
-            typeof after.properties[key] === 'number'
-          ) {
-            interpolatedProperties[key] =
-              before.properties[key] + (after.properties[key] - before.properties[key]) * factor
-          } else {
-            interpolatedProperties[key] =
-              factor < 0.5 ? before.properties[key] : after.properties[key]
-          }
-        })
+      // 曲线插值时航向取曲线切线方向，保证模型朝向与运动方向一致
+      if (heading !== null && heading !== undefined) {
+        interpolatedProperties.heading = heading
       }
+      interpolatedProperties.altitude = position.height
 
       return {
         ...item,
-        position: interpolatedPosition,
+        position,
         properties: {
           ...item.properties,
           ...interpolatedProperties,
         },
         _interpolated: true,
         _interpolationFactor: factor,
+        _interpolationMethod: method,
       }
     })
   }
 
   /**
-   * 样条插值（简化实现）
-   * @param {Array} data - 数据数组
-   * @param {Cesium.JulianDate} time - 目标时间
-   * @param {Object} options - 选项
-   * @returns {Array} 插值后的数据
+   * 二分查找目标时间所在的轨迹段
+   * @param {Array} trajectory - 按时间排序的轨迹点
+   * @param {number} targetTime - 目标时间（毫秒）
+   * @returns {number} 段起点索引，不在轨迹时间范围内时返回 -1
    */
-  splineInterpolation(data, time, options) {
-    // 简化实现，实际应该使用更复杂的样条插值算法
-    return this.linearInterpolation(data, time, options)
+  findTrajectorySegment(trajectory, targetTime) {
+    const last = trajectory.length - 1
+    if (
+      targetTime < this.getSampleTime(trajectory[0]) ||
+      targetTime > this.getSampleTime(trajectory[last])
+    ) {
+      return -1
+    }
+
+    let low = 0
+    let high = last
+    while (high - low > 1) {
+      const mid = (low + high) >> 1
+      if (this.getSampleTime(trajectory[mid]) <= targetTime) {
+        low = mid
+      } else {
+        high = mid
+      }
+    }
+
+    return low
+  }
+
+  /**
+   * 插值轨迹点属性：航向按最短角度插值，其余数值线性插值，非数值取最近点
+   * @param {Object} before - 前一个轨迹点
+   * @param {Object} after - 后一个轨迹点
+   * @param {number} factor - 插值因子（0-1）
+   * @returns {Object} 插值后的属性
+   */
+  interpolateProperties(before, after, factor) {
+    const interpolatedProperties = {}
+    if (!before.properties || !after.properties) {
+      return interpolatedProperties
+    }
+
+    Object.keys(before.properties).forEach((key) => {
+      const from = before.properties[key]
+      const to = after.properties[key]
+
+      if (typeof from === 'number' && typeof to === 'number') {
+        interpolatedProperties[key] =
+          key === 'heading' || key === 'course'
+            ? this.interpolateAngle(from, to, factor)
+            : from + (to - from) * factor
+      } else {
+        interpolatedProperties[key] = factor < 0.5 ? from : to
+      }
+    })
+
+    return interpolatedProperties
+  }
+
+  /**
+   * 角度插值（沿最短方向，结果范围 0-360）
+   * @param {number} from - 起始角度
+   * @param {number} to - 结束角度
+   * @param {number} factor - 插值因子（0-1）
+   * @returns {number} 插值后的角度
+   */
+  interpolateAngle(from, to, factor) {
+    const delta = ((((to - from) % 360) + 540) % 360) - 180
+    return (((from + delta * factor) % 360) + 360) % 360
+  }
+
+  /**
+   * 三次 Hermite 段插值，位置与切线均在经纬度/高度空间计算
+   * @param {Array} trajectory - 轨迹点数组
+   * @param {number} index - 段起点索引
+   * @param {number} factor - 插值因子（0-1）
+   * @param {Object} tangentStart - 起点切线（每秒变化量）
+   * @param {Object} tangentEnd - 终点切线（每秒变化量）
+   * @returns {Object} {position, heading}
+   */
+  cubicHermiteSegment(trajectory, index, factor, tangentStart, tangentEnd) {
+    const p0 = trajectory[index].position
+    const p1 = trajectory[index + 1].position
+    const duration =
+      (this.getSampleTime(trajectory[index + 1]) - this.getSampleTime(trajectory[index])) / 1000
+
+    const t = factor
+    const t2 = t * t
+    const t3 = t2 * t
+
+    // Hermite 基函数及其导数
+    const h00 = 2 * t3 - 3 * t2 + 1
+    const h10 = t3 - 2 * t2 + t
+    const h01 = -2 * t3 + 3 * t2
+    const h11 = t3 - t2
+    const d00 = 6 * t2 - 6 * t
+    const d10 = 3 * t2 - 4 * t + 1
+    const d01 = -6 * t2 + 6 * t
+    const d11 = 3 * t2 - 2 * t
+
+    const component = (key) => {
+      const v0 = p0[key] || 0
+      const v1 = p1[key] || 0
+      const m0 = tangentStart[key] * duration
+      const m1 = tangentEnd[key] * duration
+      return {
+        value: h00 * v0 + h10 * m0 + h01 * v1 + h11 * m1,
+        derivative: d00 * v0 + d10 * m0 + d01 * v1 + d11 * m1,
+      }
+    }
+
+    const longitude = component('longitude')
+    const latitude = component('latitude')
+    const height = component('height')
+
+    // 由曲线导数计算航向（正北为 0，顺时针）
+    const east = longitude.derivative * Math.cos(Cesium.Math.toRadians(latitude.value))
+    const north = latitude.derivative
+    const heading =
+      Math.abs(east) > 1e-12 || Math.abs(north) > 1e-12
+        ? (Cesium.Math.toDegrees(Math.atan2(east, north)) + 360) % 360
+        : null
+
+    return {
+      position: {
+        longitude: longitude.value,
+        latitude: latitude.value,
+        height: height.value,
+      },
+      heading,
+    }
+  }
+
+  /**
+   * 计算轨迹点的 Catmull-Rom 切线（按时间归一化，端点使用单侧差分）
+   * @param {Array} trajectory - 轨迹点数组
+   * @param {number} index - 轨迹点索引
+   * @returns {Object} 切线 {longitude, latitude, height}（每秒变化量）
+   */
+  getCatmullRomTangent(trajectory, index) {
+    const prev = trajectory[Math.max(index - 1, 0)]
+    const next = trajectory[Math.min(index + 1, trajectory.length - 1)]
+    const dt = (this.getSampleTime(next) - this.getSampleTime(prev)) / 1000
+
+    if (dt <= 0) {
+      return { longitude: 0, latitude: 0, height: 0 }
+    }
+
+    return {
+      longitude: (next.position.longitude - prev.position.longitude) / dt,
+      latitude: (next.position.latitude - prev.position.latitude) / dt,
+      height: ((next.position.height || 0) - (prev.position.height || 0)) / dt,
+    }
+  }
+
+  /**
+   * 根据轨迹点的航速和航向计算切线
+   * @param {Object} point - 轨迹点
+   * @param {string} speedUnit - 航速单位 knots | kmh | ms
+   * @returns {Object|null} 切线 {longitude, latitude, height}（每秒变化量），缺少航速航向时返回 null
+   */
+  getVelocityTangent(point, speedUnit = 'knots') {
+    const properties = point.properties || {}
+    const speed = properties.speed !== undefined ? properties.speed : point.speed
+    const heading =
+      properties.heading !== undefined
+        ? properties.heading
+        : properties.course !== undefined
+          ? properties.course
+          : point.heading
+
+    if (typeof speed !== 'number' || typeof heading !== 'number') {
+      return null
+    }
+
+    const speedFactors = { knots: 1852 / 3600, kmh: 1000 / 3600, ms: 1 }
+    const metersPerSecond = speed * (speedFactors[speedUnit] || 1)
+    const headingRadians = Cesium.Math.toRadians(heading)
+    const latitudeRadians = Cesium.Math.toRadians(point.position.latitude)
+    const earthRadius = 6371000
+
+    return {
+      longitude: Cesium.Math.toDegrees(
+        (metersPerSecond * Math.sin(headingRadians)) / (earthRadius * Math.cos(latitudeRadians)),
+      ),
+      latitude: Cesium.Math.toDegrees((metersPerSecond * Math.cos(headingRadians)) / earthRadius),
+      height: 0,
+    }
+  }
+
+  /**
+   * 获取轨迹点时间（毫秒）
+   * @param {Object} point - 轨迹点
+   * @returns {number} 时间戳
+   */
+  getSampleTime(point) {
+    let time = this.sampleTimeCache.get(point)
+    if (time === undefined) {
+      time = new Date(point.time || point.timestamp).getTime()
+      this.sampleTimeCache.set(point, time)
+    }
+    return time
   }
 
   /**
@@ -0,0 +1,79 @@
+import BaseDataAdapter from './BaseDataAdapter.js'
+import CoordinateUtils from '../utils/CoordinateUtils.js'
+
+/**
+ * 断言，失败时抛出错误
+ * @param {boolean} condition - 条件
+ * @param {string} message - 失败信息
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`断言失败: ${message}`)
+  }
+}
+
+// 上海港附近的 WGS84 坐标及其 UTM 坐标（51 带北半球）
+const LONGITUDE = 121.4737
+const LATITUDE = 31.2304
+const { easting, northing, zone } = CoordinateUtils.wgs84ToUtm(LONGITUDE, LATITUDE)
+
+/**
+ * 判断适配结果的位置是否为原始 WGS84 坐标
+ * @param {Object} item - 适配后的数据项
+ * @returns {boolean} 是否一致（误差小于 1e-6 度）
+ */
+const isOriginalPosition = (item) =>
+  !!item &&
+  Math.abs(item.position.longitude - LONGITUDE) < 1e-6 &&
+  Math.abs(item.position.latitude - LATITUDE) < 1e-6
+
+/**
+ * 测试数据适配器的 UTM 坐标转换
+ */
+function testBaseDataAdapter() {
+  console.log('开始测试数据适配器 UTM 坐标转换...')
+
+  const adapter = new BaseDataAdapter()
+
+  console.log('\n=== 测试平铺的 UTM 坐标 ===')
+  const [flat] = adapter.adaptData([{ id: 'flat', easting, northing, utmZone: zone }], 'point')
+  console.log('平铺坐标:', flat.position)
+  assert(isOriginalPosition(flat), '平铺的 easting/northing 应转换为 WGS84')
+  assert(flat.sourceCoordinateSystem === 'UTM', '源坐标系应为 UTM')
+
+  console.log('\n=== 测试嵌套在 position 中的 UTM 坐标 ===')
+  const [nested] = adapter.adaptData(
+    [{ id: 'nested', utmZone: zone, position: { easting, northing } }],
+    'point',
+  )
+  console.log('嵌套坐标:', nested.position)
+  assert(isOriginalPosition(nested), 'position 中的 easting/northing 应转换为 WGS84')
+  assert(nested.sourceCoordinateSystem === 'UTM', '嵌套坐标的源坐标系应为 UTM')
+
+  // 带号写在 position 中
+  const [nestedZone] = adapter.adaptData(
+    [{ id: 'nested_zone', position: { easting, northing, utmZone: zone } }],
+    'point',
+  )
+  assert(isOriginalPosition(nestedZone), 'position 中声明的带号应参与转换')
+
+  // 带号来自适配选项
+  const [optionZone] = adapter.adaptData([{ id: 'option_zone', position: { easting, northing } }], {
+    type: 'point',
+    utmZone: zone,
+  })
+  assert(isOriginalPosition(optionZone), '适配选项中的带号应参与转换')
+
+  console.log('\n测试完成！')
+}
+
+// 如果直接运行此文件，执行测试
+if (typeof window === 'undefined') {
+  // Node.js 环境
+  testBaseDataAdapter()
+} else {
+  // 浏览器环境，导出测试函数
+  window.testBaseDataAdapter = testBaseDataAdapter
+}
+
+export { testBaseDataAdapter }
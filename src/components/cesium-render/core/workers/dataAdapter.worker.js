@@ -0,0 +1,8 @@
+/**
+ * 数据适配 Worker - 任务定义见 dataAdapterTasks.js
+ */
+
+import { exposeTasks } from '@/utils/workerPool.js'
+import DATA_ADAPTER_TASKS from './dataAdapterTasks.js'
+
+exposeTasks(DATA_ADAPTER_TASKS)
@@ -0,0 +1,41 @@
+/**
+ * 数据适配任务 - 在 Web Worker 中执行（不支持 Worker 时由线程池在主线程执行）
+ * 只做纯计算：坐标转换、轨迹点排序、距离与边界计算、轨迹简化；
+ * 结果不含 Cesium 对象与原始数据引用，由主线程 DataAdapter.hydrateItem 补全
+ */
+
+import BaseDataAdapter from '../BaseDataAdapter.js'
+import GeometryUtils from '../../utils/GeometryUtils.js'
+
+export const DATA_ADAPTER_TASKS = {
+  /**
+   * 适配一批数据项
+   * @param {Object} payload - {items, dataType, options, adapterOptions}
+   * @returns {Array} 与 items 一一对应的适配结果，适配失败的项为 null
+   */
+  adapt({ items, dataType, options = {}, adapterOptions = {} }) {
+    const adapter = new BaseDataAdapter(adapterOptions)
+    const handler = adapter.typeMapping.get(dataType)
+    if (!handler) {
+      throw new Error(`Unsupported data type: ${dataType}`)
+    }
+
+    return items.map((item) => {
+      const adaptedItem = adapter.adaptSingleItem(item, handler, options)
+      // 原始数据由主线程补回，不再克隆一份传回
+      if (adaptedItem) delete adaptedItem._rawData
+      return adaptedItem
+    })
+  },
+
+  /**
+   * 简化轨迹点（Douglas-Peucker）
+   * @param {Object} payload - {points, tolerance}，轨迹点为经纬度坐标或带 position 的适配后轨迹点
+   * @returns {Array} 简化后的轨迹点
+   */
+  simplify({ points, tolerance }) {
+    return GeometryUtils.simplifyPath(points, tolerance, (point) => point.position || point)
+  },
+}
+
+export default DATA_ADAPTER_TASKS
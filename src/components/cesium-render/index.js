@@ -5,10 +5,12 @@
 
 import RenderEngine from './core/RenderEngine.js'
 import Layer from './core/Layer.js'
+import BaseDataAdapter from './core/BaseDataAdapter.js'
 import DataAdapter from './core/DataAdapter.js'
 import EntityManager from './core/EntityManager.js'
 import TimeManager from './core/TimeManager.js'
 import PerformanceOptimizer from './core/PerformanceOptimizer.js'
+import PerformanceProfiler from './core/PerformanceProfiler.js'
 
 import RendererFactory from './renderers/RendererFactory.js'
 import PointRenderer from './renderers/PointRenderer.js'
@@ -17,8 +19,13 @@ import RelationRenderer from './renderers/RelationRenderer.js'
 import EventRenderer from './renderers/EventRenderer.js'
 import AreaRenderer from './renderers/AreaRenderer.js'
 import RouteRenderer from './renderers/RouteRenderer.js'
+import PointBatchRenderer from './renderers/batch/PointBatchRenderer.js'
+import ModelBatchRenderer from './renderers/batch/ModelBatchRenderer.js'
+import PointInstancedRenderer from './renderers/instanced/PointInstancedRenderer.js'
+import ModelInstancedRenderer from './renderers/instanced/ModelInstancedRenderer.js'
 
 import GeometryUtils from './utils/GeometryUtils.js'
+import CoordinateUtils from './utils/CoordinateUtils.js'
 import MaterialUtils from './utils/MaterialUtils.js'
 import TimeUtils from './utils/TimeUtils.js'
 import PerformanceUtils from './utils/PerformanceUtils.js'
@@ -492,6 +499,21 @@ class CesiumRenderEngine {
     }
   }
 
+  /**
+   * 创建性能分析器，数据来源为本引擎的渲染引擎、时间管理器与性能优化器
+   * @param {Object} options - 分析器选项（interval、historySize、maxSamples、label）
+   * @returns {PerformanceProfiler} 性能分析器（需调用 start 或 startRecording 开始采样）
+   */
+  createPerformanceProfiler(options = {}) {
+    const profiler = new PerformanceProfiler(this.viewer, options)
+    profiler.attach({
+      renderEngine: this.renderEngine,
+      timeManager: this.timeManager,
+      performanceOptimizer: this.performanceOptimizer,
+    })
+    return profiler
+  }
+
   /**
    * 获取渲染统计
    * @returns {Object} 渲染统计信息
@@ -730,10 +752,12 @@ export {
   CesiumRenderEngine,
   RenderEngine,
   Layer,
+  BaseDataAdapter,
   DataAdapter,
   EntityManager,
   TimeManager,
   PerformanceOptimizer,
+  PerformanceProfiler,
   RendererFactory,
   PointRenderer,
   TrajectoryRenderer,
@@ -741,7 +765,12 @@ export {
   EventRenderer,
   AreaRenderer,
   RouteRenderer,
+  PointBatchRenderer,
+  ModelBatchRenderer,
+  PointInstancedRenderer,
+  ModelInstancedRenderer,
   GeometryUtils,
+  CoordinateUtils,
   MaterialUtils,
   TimeUtils,
   PerformanceUtils,
@@ -1,8 +1,15 @@
 /**
  * 点位渲染器 - 负责渲染各种类型的点位实体
  * 支持Billboard、Label、聚类、LOD和动态更新
+ * 聚类图标按分组（默认阵营）绘制环形占比图，点击聚类缩放到其范围或原地展开，悬停显示分组统计；
+ * 选中与展开的实体移入不参与聚类的数据源，不会被合并进聚类
  */
 
+import { getAffiliationColor } from '@/components/ui/sanbox/config/visualConfig.js'
+
+const CLUSTER_IMAGE_CACHE_SIZE = 200 // 聚类图标缓存数量
+const FAN_OUT_SPACING = 32 // 展开时相邻实体的间距（像素）
+
 class PointRenderer {
   constructor(options = {}) {
     this.viewer = options.viewer
@@ -16,6 +23,10 @@ class PointRenderer {
       enableClustering: true,
       clusterPixelRange: 80,
       clusterMinimumSize: 50,
+      clusterGroupBy: 'affiliation', // 聚类分组字段，或 (entity) => 分组
+      clusterCategoryColors: {}, // 分组颜色，未配置的分组取阵营颜色
+      clusterClickAction: 'auto', // 点击聚类：zoom 缩放到范围，fanOut 原地展开，auto 按范围大小选择
+      clusterFanOutRadius: 200, // auto 时聚类范围半径（米）不超过该值则展开
       enableLOD: true,
       lodDistances: [1000, 5000, 20000],
       maxPoints: 10000,
@@ -38,13 +49,20 @@ class PointRenderer {
     // 数据源
     this.dataSource = new Cesium.CustomDataSource('PointRenderer')
     this.viewer.dataSources.add(this.dataSource)
+    this.pinnedDataSource = null // 不参与聚类的数据源，启用聚类时创建
 
     // 聚类管理
     this.clusterManager = {
       enabled: this.options.enableClustering,
       pixelRange: this.options.clusterPixelRange,
       minimumClusterSize: this.options.clusterMinimumSize,
-      clusters: new Map(),
+      clusters: new Map(), // 聚类实体数组 -> 聚类信息
+      frameNumber: -1, // 最近一次聚类所在帧
+      imageCache: new Map(), // 图标键 -> Canvas
+      fanOut: null, // 展开中的聚类 {entries: entityId -> 原像素偏移}
+      hoveredCluster: null,
+      tooltip: null,
+      tooltipInfo: null,
       lastCameraPosition: null,
       updateThreshold: 100, // 相机移动阈值
     }
@@ -113,6 +131,10 @@ class PointRenderer {
 
     // 聚类事件处理
     this.dataSource.clustering.clusterEvent.addEventListener(this.onClusterEvent.bind(this))
+
+    // 选中或展开的实体移入该数据源，不会被合并进聚类
+    this.pinnedDataSource = new Cesium.CustomDataSource('PointRenderer-pinned')
+    this.viewer.dataSources.add(this.pinnedDataSource)
   }
 
   /**
@@ -536,11 +558,13 @@ class PointRenderer {
     const cesiumEntity = this.cesiumEntities.get(entityId)
     if (cesiumEntity) {
       this.dataSource.entities.remove(cesiumEntity)
+      this.pinnedDataSource?.entities.remove(cesiumEntity)
       this.cesiumEntities.delete(entityId)
     }
 
     this.entities.delete(entityId)
     this.lodManager.entityLOD.delete(entityId)
+    this.clusterManager.fanOut?.entries.delete(entityId)
   }
 
   /**
@@ -556,10 +580,14 @@ class PointRenderer {
    */
   clear() {
     this.dataSource.entities.removeAll()
+    this.pinnedDataSource?.entities.removeAll()
     this.entities.clear()
     this.cesiumEntities.clear()
     this.lodManager.entityLOD.clear()
     this.clusterManager.clusters.clear()
+    this.clusterManager.fanOut = null
+    this.clusterManager.hoveredCluster = null
+    this.hideClusterTooltip()
   }
 
   /**
@@ -625,6 +653,9 @@ class PointRenderer {
 
     this.lodManager.entityLOD.set(entityId, lodLevel)
 
+    // 展开中的实体保持展开样式，收起时再按LOD显示
+    if (this.clusterManager.fanOut?.entries.has(entityId)) return
+
     // 根据LOD级别调整显示
     switch (lodLevel) {
       case 0: // 最近距离 - 显示所有细节
@@ -690,27 +721,104 @@ class PointRenderer {
    * @param {Object} cluster - 聚类对象
    */
   onClusterEvent(clusteredEntities, cluster) {
-    // 自定义聚类样式
+    // 同一帧内触发的事件属于同一次聚类，新一次聚类开始时清空上一次的聚类信息
+    const frameNumber = this.scene.frameState.frameNumber
+    if (frameNumber !== this.clusterManager.frameNumber) {
+      this.clusterManager.clusters.clear()
+      this.clusterManager.frameNumber = frameNumber
+    }
+
+    const info = this.getClusterInfo(clusteredEntities)
+
+    // 自定义聚类样式，拾取聚类图标时得到聚类实体数组（与 Cesium 设置的 label.id 相同）
     cluster.label.show = false
     cluster.billboard.show = true
-    cluster.billboard.id = cluster.id
-    cluster.billboard.image = this.createClusterImage(clusteredEntities.length)
-    cluster.billboard.scale = this.calculateClusterScale(clusteredEntities.length)
+    cluster.billboard.id = clusteredEntities
+    cluster.billboard.image = this.createClusterImage(info.count, info.breakdown)
+    cluster.billboard.scale = this.calculateClusterScale(info.count)
 
     // 存储聚类信息
-    this.clusterManager.clusters.set(cluster.id, {
-      cluster,
-      entities: clusteredEntities,
-      count: clusteredEntities.length,
+    this.clusterManager.clusters.set(clusteredEntities, { cluster, ...info })
+  }
+
+  /**
+   * 统计聚类信息
+   * @param {Array<Cesium.Entity>} clusteredEntities - 聚类实体
+   * @returns {Object} {entityIds, count, breakdown: [{category, count, color}], dominant, boundingSphere}
+   */
+  getClusterInfo(clusteredEntities) {
+    const time = this.viewer.clock.currentTime
+    const entityIds = []
+    const positions = []
+    const counts = new Map()
+
+    clusteredEntities.forEach((cesiumEntity) => {
+      const entity = this.entities.get(cesiumEntity.id)
+      if (!entity) return
+
+      entityIds.push(cesiumEntity.id)
+      const position = cesiumEntity.position?.getValue(time)
+      if (position) positions.push(position)
+
+      const category = this.getClusterCategory(entity)
+      counts.set(category, (counts.get(category) || 0) + 1)
     })
+
+    // 按数量从多到少排列，第一项为主导分组
+    const breakdown = Array.from(counts, ([category, count]) => ({
+      category,
+      count,
+      color: this.getClusterCategoryColor(category),
+    })).sort((a, b) => b.count - a.count)
+
+    return {
+      entityIds,
+      count: entityIds.length,
+      breakdown,
+      dominant: breakdown[0]?.category ?? null,
+      boundingSphere: positions.length > 0 ? Cesium.BoundingSphere.fromPoints(positions) : null,
+    }
+  }
+
+  /**
+   * 获取实体的聚类分组（可重写）
+   * @param {Object} entity - 实体数据
+   * @returns {string} 分组，默认取 affiliation
+   */
+  getClusterCategory(entity) {
+    const groupBy = this.options.clusterGroupBy
+    if (typeof groupBy === 'function') {
+      return groupBy(entity) ?? 'unknown'
+    }
+
+    return (
+      entity[groupBy] ?? entity.properties?.[groupBy] ?? entity.metadata?.[groupBy] ?? 'unknown'
+    )
+  }
+
+  /**
+   * 获取聚类分组颜色（可重写）
+   * @param {string} category - 分组
+   * @returns {string} 颜色值
+   */
+  getClusterCategoryColor(category) {
+    return this.options.clusterCategoryColors[category] || getAffiliationColor(category)
   }
 
   /**
    * 创建聚类图标
+   * 有分组统计时绘制环形占比图，外圈按主导分组颜色描边；相同数量与分组的图标复用缓存
    * @param {number} count - 聚类数量
+   * @param {Array} breakdown - 分组统计 [{category, count, color}]
    * @returns {string} 图标URL或Canvas
    */
-  createClusterImage(count) {
+  createClusterImage(count, breakdown = null) {
+    const key = breakdown?.length
+      ? `${count}|${breakdown.map((item) => `${item.category}:${item.count}`).join(',')}`
+      : `${count}`
+    const imageCache = this.clusterManager.imageCache
+    if (imageCache.has(key)) return imageCache.get(key)
+
     // 创建Canvas绘制聚类图标
     const canvas = document.createElement('canvas')
     const size = 64
@@ -718,23 +826,59 @@ class PointRenderer {
     canvas.height = size
 
     const ctx = canvas.getContext('2d')
-
-    // 绘制圆形背景
+    const center = size / 2
     const radius = size / 2 - 4
-    ctx.beginPath()
-    ctx.arc(size / 2, size / 2, radius, 0, 2 * Math.PI)
-    ctx.fillStyle = this.getClusterColor(count)
-    ctx.fill()
-    ctx.strokeStyle = '#ffffff'
-    ctx.lineWidth = 3
-    ctx.stroke()
+
+    if (breakdown?.length) {
+      // 绘制各分组扇区
+      const total = breakdown.reduce((sum, item) => sum + item.count, 0)
+      let startAngle = -Math.PI / 2
+      breakdown.forEach((item) => {
+        const endAngle = startAngle + (item.count / total) * 2 * Math.PI
+        ctx.beginPath()
+        ctx.moveTo(center, center)
+        ctx.arc(center, center, radius, startAngle, endAngle)
+        ctx.closePath()
+        ctx.fillStyle = item.color
+        ctx.fill()
+        startAngle = endAngle
+      })
+
+      // 挖空中心形成环形
+      ctx.beginPath()
+      ctx.arc(center, center, radius * 0.6, 0, 2 * Math.PI)
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.75)'
+      ctx.fill()
+
+      // 外圈按主导分组颜色描边
+      ctx.beginPath()
+      ctx.arc(center, center, radius, 0, 2 * Math.PI)
+      ctx.strokeStyle = breakdown[0].color
+      ctx.lineWidth = 3
+      ctx.stroke()
+    } else {
+      // 绘制圆形背景
+      ctx.beginPath()
+      ctx.arc(center, center, radius, 0, 2 * Math.PI)
+      ctx.fillStyle = this.getClusterColor(count)
+      ctx.fill()
+      ctx.strokeStyle = '#ffffff'
+      ctx.lineWidth = 3
+      ctx.stroke()
+    }
 
     // 绘制数字
     ctx.fillStyle = '#ffffff'
     ctx.font = 'bold 16px Arial'
     ctx.textAlign = 'center'
     ctx.textBaseline = 'middle'
-    ctx.fillText(count.toString(), size / 2, size / 2)
+    ctx.fillText(count.toString(), center, center)
+
+    // 超出缓存数量时淘汰最早的图标
+    if (imageCache.size >= CLUSTER_IMAGE_CACHE_SIZE) {
+      imageCache.delete(imageCache.keys().next().value)
+    }
+    imageCache.set(key, canvas)
 
     return canvas
   }
@@ -766,7 +910,18 @@ class PointRenderer {
    */
   onEntityClick(event) {
     const pickedObject = this.viewer.scene.pick(event.position)
-    if (!pickedObject || !pickedObject.id) return
+
+    const clusteredEntities = this.getPickedCluster(pickedObject)
+    if (clusteredEntities) {
+      this.onClusterClick(clusteredEntities, event)
+      return
+    }
+
+    if (!pickedObject || !pickedObject.id) {
+      // 点击空白处收起展开的聚类
+      this.collapseFanOut()
+      return
+    }
 
     const entityId = pickedObject.id.id || pickedObject.id
     const entity = this.entities.get(entityId)
@@ -792,7 +947,14 @@ class PointRenderer {
    */
   onEntityHover(event) {
     const pickedObject = this.viewer.scene.pick(event.endPosition)
-    const entityId = pickedObject && pickedObject.id ? pickedObject.id.id || pickedObject.id : null
+
+    const clusteredEntities = this.getPickedCluster(pickedObject)
+    this.setClusterHovered(clusteredEntities, event)
+
+    const entityId =
+      !clusteredEntities && pickedObject && pickedObject.id
+        ? pickedObject.id.id || pickedObject.id
+        : null
 
     // 取消之前的悬停
     if (
@@ -834,6 +996,214 @@ class PointRenderer {
       cesiumEntity.point.pixelSize = selected ? 12 : 8
       cesiumEntity.point.color = selected ? Cesium.Color.YELLOW : Cesium.Color.WHITE
     }
+
+    // 选中的实体不参与聚类
+    this.setEntityPinned(entityId, selected || !!this.clusterManager.fanOut?.entries.has(entityId))
+  }
+
+  /**
+   * 设置实体是否移出聚类
+   * @param {string} entityId - 实体ID
+   * @param {boolean} pinned - 是否移入不参与聚类的数据源
+   */
+  setEntityPinned(entityId, pinned) {
+    const cesiumEntity = this.cesiumEntities.get(entityId)
+    if (!cesiumEntity || !this.pinnedDataSource) return
+
+    const source = pinned ? this.dataSource : this.pinnedDataSource
+    const target = pinned ? this.pinnedDataSource : this.dataSource
+    if (source.entities.remove(cesiumEntity)) {
+      target.entities.add(cesiumEntity)
+    }
+  }
+
+  /**
+   * 获取拾取到的聚类
+   * @param {Object} pickedObject - 拾取结果
+   * @returns {Array<Cesium.Entity>|null} 聚类实体数组
+   */
+  getPickedCluster(pickedObject) {
+    return this.clusterManager.enabled && Array.isArray(pickedObject?.id) ? pickedObject.id : null
+  }
+
+  /**
+   * 聚类点击事件：缩放到聚类范围或原地展开
+   * @param {Array<Cesium.Entity>} clusteredEntities - 聚类实体
+   * @param {Object} event - 点击事件
+   */
+  onClusterClick(clusteredEntities, event) {
+    const info =
+      this.clusterManager.clusters.get(clusteredEntities) || this.getClusterInfo(clusteredEntities)
+    if (!info.boundingSphere) return
+
+    const action = this.options.clusterClickAction
+    const fanOut =
+      action === 'fanOut' ||
+      (action === 'auto' && info.boundingSphere.radius <= this.options.clusterFanOutRadius)
+
+    if (fanOut) {
+      this.fanOutCluster(info)
+    } else {
+      this.zoomToCluster(info)
+    }
+
+    this.onClusterSelected(info, event)
+  }
+
+  /**
+   * 缩放到聚类范围
+   * @param {Object} info - 聚类信息
+   */
+  zoomToCluster(info) {
+    const camera = this.viewer.camera
+    const range = Math.max(info.boundingSphere.radius * 3, this.lodManager.distances[0] || 1000)
+    camera.flyToBoundingSphere(info.boundingSphere, {
+      duration: 1.0,
+      offset: new Cesium.HeadingPitchRange(camera.heading, camera.pitch, range),
+    })
+  }
+
+  /**
+   * 原地展开聚类：实体移出聚类，图标按圆周排列在聚类位置周围
+   * 点击空白处或相机移动后收起
+   * @param {Object} info - 聚类信息
+   */
+  fanOutCluster(info) {
+    this.collapseFanOut()
+
+    const entries = new Map()
+    const total = info.entityIds.length
+    const radius = Math.max(40, (total * FAN_OUT_SPACING) / (2 * Math.PI))
+    this.clusterManager.fanOut = { entries }
+
+    info.entityIds.forEach((entityId, index) => {
+      const cesiumEntity = this.cesiumEntities.get(entityId)
+      if (!cesiumEntity) return
+
+      entries.set(entityId, cesiumEntity.billboard?.pixelOffset)
+
+      if (cesiumEntity.billboard) {
+        const angle = (2 * Math.PI * index) / total - Math.PI / 2
+        cesiumEntity.billboard.pixelOffset = new Cesium.Cartesian2(
+          radius * Math.cos(angle),
+          radius * Math.sin(angle),
+        )
+        cesiumEntity.billboard.show = true
+        if (cesiumEntity.point) cesiumEntity.point.show = false
+      } else if (cesiumEntity.point) {
+        cesiumEntity.point.show = true
+      }
+      if (cesiumEntity.label) cesiumEntity.label.show = false
+
+      this.setEntityPinned(entityId, true)
+    })
+  }
+
+  /**
+   * 收起展开的聚类，实体恢复原像素偏移与LOD显示
+   */
+  collapseFanOut() {
+    const fanOut = this.clusterManager.fanOut
+    if (!fanOut) return
+
+    this.clusterManager.fanOut = null
+    fanOut.entries.forEach((pixelOffset, entityId) => {
+      const cesiumEntity = this.cesiumEntities.get(entityId)
+      if (!cesiumEntity) return
+
+      if (cesiumEntity.billboard) cesiumEntity.billboard.pixelOffset = pixelOffset
+      this.setEntityPinned(entityId, entityId === this.interactionManager.selectedEntity)
+
+      if (this.lodManager.enabled) {
+        this.setEntityLOD(entityId, this.calculateLOD(this.entities.get(entityId)))
+      }
+    })
+  }
+
+  /**
+   * 设置悬停的聚类
+   * @param {Array<Cesium.Entity>|null} clusteredEntities - 聚类实体，为空时取消悬停
+   * @param {Object} event - 鼠标移动事件
+   */
+  setClusterHovered(clusteredEntities, event) {
+    if (!clusteredEntities) {
+      if (this.clusterManager.hoveredCluster) {
+        this.clusterManager.hoveredCluster = null
+        this.hideClusterTooltip()
+      }
+      return
+    }
+
+    const info =
+      this.clusterManager.clusters.get(clusteredEntities) || this.getClusterInfo(clusteredEntities)
+    this.clusterManager.hoveredCluster = info
+    this.onClusterHovered(info, event)
+  }
+
+  /**
+   * 显示聚类分组统计提示框
+   * @param {Object} info - 聚类信息
+   * @param {Cesium.Cartesian2} position - 屏幕位置
+   */
+  showClusterTooltip(info, position) {
+    let tooltip = this.clusterManager.tooltip
+    if (!tooltip) {
+      tooltip = document.createElement('div')
+      tooltip.className = 'point-renderer-cluster-tooltip'
+      Object.assign(tooltip.style, {
+        position: 'absolute',
+        zIndex: '10',
+        pointerEvents: 'none',
+        padding: '6px 8px',
+        borderRadius: '4px',
+        background: 'rgba(0, 0, 0, 0.75)',
+        color: '#ffffff',
+        font: '12px sans-serif',
+        whiteSpace: 'nowrap',
+      })
+      this.viewer.container.appendChild(tooltip)
+      this.clusterManager.tooltip = tooltip
+    }
+
+    // 同一聚类只生成一次内容，鼠标移动时只更新位置
+    if (this.clusterManager.tooltipInfo !== info) {
+      this.clusterManager.tooltipInfo = info
+
+      const title = document.createElement('div')
+      title.textContent = `聚类 ${info.count} 个目标`
+      title.style.fontWeight = 'bold'
+
+      const rows = info.breakdown.map((item) => {
+        const row = document.createElement('div')
+        const swatch = document.createElement('span')
+        Object.assign(swatch.style, {
+          display: 'inline-block',
+          width: '8px',
+          height: '8px',
+          marginRight: '6px',
+          borderRadius: '50%',
+          background: item.color,
+        })
+        row.append(swatch, `${item.category}: ${item.count}`)
+        return row
+      })
+
+      tooltip.replaceChildren(title, ...rows)
+    }
+
+    tooltip.style.left = `${position.x + 16}px`
+    tooltip.style.top = `${position.y + 16}px`
+    tooltip.style.display = 'block'
+  }
+
+  /**
+   * 隐藏聚类提示框
+   */
+  hideClusterTooltip() {
+    this.clusterManager.tooltipInfo = null
+    if (this.clusterManager.tooltip) {
+      this.clusterManager.tooltip.style.display = 'none'
+    }
   }
 
   /**
@@ -872,10 +1242,31 @@ class PointRenderer {
     // 可以在这里显示tooltip等
   }
 
+  /**
+   * 聚类点击事件（可重写）
+   * @param {Object} info - 聚类信息 {entityIds, count, breakdown, dominant, boundingSphere}
+   * @param {Object} event - 事件对象
+   */
+  onClusterSelected(info, event) {
+    // 可以在这里打开聚类目标列表等
+  }
+
+  /**
+   * 聚类悬停事件（可重写），默认显示分组统计提示框
+   * @param {Object} info - 聚类信息
+   * @param {Object} event - 事件对象
+   */
+  onClusterHovered(info, event) {
+    this.showClusterTooltip(info, event.endPosition)
+  }
+
   /**
    * 相机变化事件
    */
   onCameraChanged() {
+    // 相机移动后聚类重新计算，收起展开的聚类
+    this.collapseFanOut()
+
     // 更新LOD
     if (this.lodManager.enabled) {
       this.updateLOD()
@@ -957,9 +1348,16 @@ class PointRenderer {
 
     // 清理数据源
     this.viewer.dataSources.remove(this.dataSource)
+    if (this.pinnedDataSource) {
+      this.viewer.dataSources.remove(this.pinnedDataSource)
+    }
 
     // 清理数据
     this.clear()
+
+    // 移除聚类提示框
+    this.clusterManager.tooltip?.remove()
+    this.clusterManager.tooltip = null
   }
 }
 
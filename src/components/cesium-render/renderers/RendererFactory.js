@@ -12,6 +12,22 @@ import AreaRenderer from './AreaRenderer.js'
 import RouteRenderer from './RouteRenderer.js'
 import ModelRenderer from './ModelRenderer.js'
 import ParticleRenderer from './ParticleRenderer.js'
+import PointBatchRenderer from './batch/PointBatchRenderer.js'
+import ModelBatchRenderer from './batch/ModelBatchRenderer.js'
+import PointInstancedRenderer from './instanced/PointInstancedRenderer.js'
+import ModelInstancedRenderer from './instanced/ModelInstancedRenderer.js'
+
+// 批处理渲染器（图元集合，一个集合渲染全部实体）
+const BATCH_RENDERERS = {
+  point: PointBatchRenderer,
+  model: ModelBatchRenderer,
+}
+
+// 实例化渲染器（全部实体共用同一几何体）
+const INSTANCED_RENDERERS = {
+  point: PointInstancedRenderer,
+  model: ModelInstancedRenderer,
+}
 
 class RendererFactory {
   constructor(viewer, options = {}) {
@@ -23,6 +39,7 @@ class RendererFactory {
       enableBatching: true,
       enableInstancing: true,
       maxBatchSize: 1000,
+      primitiveThreshold: 1000, // 实体数量达到该值时自动改用批处理/实例化渲染器
       enableShaderOptimization: true,
       enableGeometryCompression: true,
       ...options,
@@ -212,9 +229,9 @@ class RendererFactory {
   }
 
   /**
-   * 创建批处理渲染器
+   * 创建批处理渲染器（实体由调用方 render() 添加）
    * @param {string} type - 渲染器类型
-   * @param {Array} entities - 实体数组
+   * @param {Array} entities - 实体数组，用于判断是否使用批处理
    * @param {Object} options - 选项
    * @returns {Object} 批处理渲染器
    */
@@ -226,11 +243,9 @@ class RendererFactory {
 
     const batchKey = `${type}_batch`
 
-    // 检查是否已存在批处理渲染器
+    // 已存在批处理渲染器时直接复用，实体由调用方 render() 添加
     if (this.batchManager.batches.has(batchKey)) {
-      const batchRenderer = this.batchManager.batches.get(batchKey)
-      batchRenderer.addEntities(entities)
-      return batchRenderer
+      return this.batchManager.batches.get(batchKey)
     }
 
     // 创建批处理渲染器
@@ -246,7 +261,6 @@ class RendererFactory {
       viewer: this.viewer,
       factory: this,
       batchSize: this.batchManager.batchSize,
-      entities,
     }
 
     const batchRenderer = new BatchRendererClass(config)
@@ -256,10 +270,10 @@ class RendererFactory {
   }
 
   /**
-   * 创建实例化渲染器
+   * 创建实例化渲染器（实例由调用方 render() 添加）
    * @param {string} type - 渲染器类型
    * @param {string} geometryId - 几何体ID
-   * @param {Array} instances - 实例数组
+   * @param {Array} instances - 实例数组，用于判断是否使用实例化
    * @param {Object} options - 选项
    * @returns {Object} 实例化渲染器
    */
@@ -271,11 +285,9 @@ class RendererFactory {
 
     const instanceKey = `${type}_${geometryId}_instanced`
 
-    // 检查是否已存在实例化渲染器
+    // 已存在实例化渲染器时直接复用，实例由调用方 render() 添加
     if (this.instanceManager.instances.has(instanceKey)) {
-      const instancedRenderer = this.instanceManager.instances.get(instanceKey)
-      instancedRenderer.addInstances(instances)
-      return instancedRenderer
+      return this.instanceManager.instances.get(instanceKey)
     }
 
     // 创建实例化渲染器
@@ -291,7 +303,6 @@ class RendererFactory {
       viewer: this.viewer,
       factory: this,
       geometryId,
-      instances,
     }
 
     const instancedRenderer = new InstancedRendererClass(config)
@@ -318,7 +329,7 @@ class RendererFactory {
       const result = await renderer.render(entities, options)
 
       // 更新统计
-      this.updateStats(type, entities, performance.now() - startTime)
+      this.updateStats(renderer, entities, performance.now() - startTime)
 
       return result
     } catch (error) {
@@ -328,7 +339,8 @@ class RendererFactory {
   }
 
   /**
-   * 选择最优渲染器
+   * 选择最优渲染器：实体数量达到 primitiveThreshold 时，同一几何体的实体使用实例化渲染器，
+   * 其余使用批处理渲染器；数量较少或类型不支持时使用普通渲染器
    * @param {string} type - 渲染器类型
    * @param {Array} entities - 实体数组
    * @param {Object} options - 选项
@@ -360,7 +372,12 @@ class RendererFactory {
    * @returns {boolean} 是否可以使用实例化
    */
   canUseInstancing(type, entities) {
-    if (!this.instanceManager.enabled || entities.length < 5) {
+    if (!this.instanceManager.enabled || entities.length < this.options.primitiveThreshold) {
+      return false
+    }
+
+    // 检查渲染器是否支持实例化
+    if (this.getInstancedRendererClass(type) === null) {
       return false
     }
 
@@ -376,7 +393,7 @@ class RendererFactory {
    * @returns {boolean} 是否可以使用批处理
    */
   canUseBatching(type, entities) {
-    if (!this.batchManager.enabled || entities.length < 10) {
+    if (!this.batchManager.enabled || entities.length < this.options.primitiveThreshold) {
       return false
     }
 
@@ -403,6 +420,8 @@ class RendererFactory {
    */
   extractInstances(entities) {
     return entities.map((entity) => ({
+      id: entity.id,
+      modelUrl: entity.modelUrl,
       position: entity.position,
       rotation: entity.rotation || { x: 0, y: 0, z: 0 },
       scale: entity.scale || { x: 1, y: 1, z: 1 },
@@ -417,24 +436,7 @@ class RendererFactory {
    * @returns {Class|null} 批处理渲染器类
    */
   getBatchRendererClass(type) {
-    const batchRenderers = {
-      point: 'PointBatchRenderer',
-      model: 'ModelBatchRenderer',
-      particle: 'ParticleBatchRenderer',
-    }
-
-    const className = batchRenderers[type]
-    if (className) {
-      // 动态导入批处理渲染器
-      // try {
-      //   return require(`./batch/${className}.js`).default
-      // } catch (error) {
-      //   console.warn(`Batch renderer not found: ${className}`)
-      //   return null
-      // }
-    }
-
-    return null
+    return BATCH_RENDERERS[type] || null
   }
 
   /**
@@ -443,23 +445,7 @@ class RendererFactory {
    * @returns {Class|null} 实例化渲染器类
    */
   getInstancedRendererClass(type) {
-    const instancedRenderers = {
-      point: 'PointInstancedRenderer',
-      model: 'ModelInstancedRenderer',
-    }
-
-    const className = instancedRenderers[type]
-    if (className) {
-      // 动态导入实例化渲染器
-      try {
-        // return require(`./instanced/${className}.js`).default
-      } catch (error) {
-        console.warn(`Instanced renderer not found: ${className}`)
-        return null
-      }
-    }
-
-    return null
+    return INSTANCED_RENDERERS[type] || null
   }
 
   /**
@@ -718,17 +704,16 @@ class RendererFactory {
 
   /**
    * 更新统计信息
-   * @param {string} type - 渲染器类型
+   * @param {Object} renderer - 本次使用的渲染器
    * @param {Array} entities - 实体数组
    * @param {number} renderTime - 渲染时间
    */
-  updateStats(type, entities, renderTime) {
+  updateStats(renderer, entities, renderTime) {
     this.stats.renderCalls++
     this.stats.totalEntities += entities.length
     this.stats.lastUpdateTime = renderTime
 
     // 统计批处理和实例化实体数量
-    const renderer = this.getRenderer(type)
     if (renderer.isBatched) {
       this.stats.batchedEntities += entities.length
     }
@@ -0,0 +1,518 @@
+/**
+ * 图元渲染器基类 - 批处理与实例化渲染器的公共部分
+ * 使用 Cesium 图元集合（BillboardCollection、PointPrimitiveCollection、Model）代替 Entity，
+ * 每个目标只是集合中的一个图元，没有 Entity 的属性求值开销，适合数万目标的场景
+ * 接口与 PointRenderer 一致：render / addEntity / updateEntity / removeEntity / clear / getStats
+ *
+ * 子类负责具体图元：
+ *   createPrimitive(entity, options)  - 创建图元，返回图元记录
+ *   updatePrimitive(record, entity, changes) - 按变化字段更新图元
+ *   applyStyle(record, entity)        - 按实体数据与选中/悬停状态设置颜色、缩放、显隐
+ *   removePrimitive(record)           - 移除图元
+ *   clearPrimitives()                 - 移除全部图元
+ */
+
+import * as Cesium from 'cesium'
+
+/**
+ * 实体位置转换为笛卡尔坐标
+ * @param {Object|Array|Cesium.Cartesian3} position - {longitude, latitude, height|altitude}、
+ *   [经度, 纬度, 高度] 或笛卡尔坐标
+ * @returns {Cesium.Cartesian3} 笛卡尔坐标
+ */
+export function toCartesian(position) {
+  if (position instanceof Cesium.Cartesian3) return position
+  if (Array.isArray(position)) {
+    return Cesium.Cartesian3.fromDegrees(position[0], position[1], position[2] || 0)
+  }
+  return Cesium.Cartesian3.fromDegrees(
+    position.longitude,
+    position.latitude,
+    position.height ?? position.altitude ?? 0,
+  )
+}
+
+/**
+ * 解析颜色
+ * @param {string|Object|Cesium.Color} color - CSS 颜色字符串、{r, g, b, a}（0~1）或 Cesium 颜色
+ * @param {Cesium.Color} fallback - 无法解析时使用的颜色
+ * @returns {Cesium.Color} 颜色
+ */
+export function toColor(color, fallback = Cesium.Color.WHITE) {
+  if (color instanceof Cesium.Color) return color
+  if (typeof color === 'string') return Cesium.Color.fromCssColorString(color) || fallback
+  if (color && typeof color.r === 'number') {
+    return new Cesium.Color(color.r, color.g, color.b, color.a ?? 1)
+  }
+  return fallback
+}
+
+/**
+ * 解析距离显示条件
+ * @param {Object} condition - {near, far}
+ * @returns {Cesium.DistanceDisplayCondition|undefined} 距离显示条件
+ */
+export function toDistanceDisplayCondition(condition) {
+  if (!condition) return undefined
+  return new Cesium.DistanceDisplayCondition(condition.near || 0, condition.far || Number.MAX_VALUE)
+}
+
+class BasePrimitiveRenderer {
+  constructor(options = {}) {
+    this.viewer = options.viewer
+    this.scene = this.viewer.scene
+    this.factory = options.factory
+
+    // 配置选项
+    this.options = {
+      enableSelection: true,
+      enableHover: true,
+      selectedColor: '#FFFF00',
+      selectedScale: 1.5,
+      hoveredScale: 1.2,
+      batchSize: 5000,
+      ...options,
+    }
+
+    // 渲染状态
+    this.isInitialized = false
+    this.isBatched = false
+    this.isInstanced = false
+    this.visible = true
+
+    // 实体管理
+    this.entities = new Map() // entityId -> entity
+    this.records = new Map() // entityId -> 图元记录
+
+    // 子类的图元集合都添加到该集合中，整体显隐与销毁
+    this.collection = this.scene.primitives.add(new Cesium.PrimitiveCollection())
+
+    // 选择和交互
+    this.interactionManager = {
+      selectedEntity: null,
+      hoveredEntity: null,
+      handler: null,
+    }
+
+    // 性能统计
+    this.stats = {
+      totalEntities: 0,
+      visibleEntities: 0,
+      primitiveCount: 0,
+      renderTime: 0,
+      updateTime: 0,
+    }
+  }
+
+  /**
+   * 初始化渲染器（子类在创建图元集合后调用）
+   */
+  init() {
+    if (this.options.enableSelection || this.options.enableHover) {
+      this.initInteraction()
+    }
+
+    this.isInitialized = true
+  }
+
+  /**
+   * 初始化交互（使用独立的事件处理器，不覆盖 Viewer 默认的输入动作）
+   */
+  initInteraction() {
+    const handler = new Cesium.ScreenSpaceEventHandler(this.scene.canvas)
+
+    if (this.options.enableSelection) {
+      handler.setInputAction(this.onEntityClick.bind(this), Cesium.ScreenSpaceEventType.LEFT_CLICK)
+    }
+
+    if (this.options.enableHover) {
+      handler.setInputAction(this.onEntityHover.bind(this), Cesium.ScreenSpaceEventType.MOUSE_MOVE)
+    }
+
+    this.interactionManager.handler = handler
+  }
+
+  /**
+   * 渲染实体
+   * clearExisting 不为 false 时按本次数据同步：移除不在本次数据中的实体，已存在的实体原地更新
+   * @param {Array} entities - 实体数组
+   * @param {Object} options - 渲染选项
+   * @returns {Promise} 渲染结果
+   */
+  async render(entities, options = {}) {
+    const startTime = performance.now()
+
+    try {
+      if (options.clearExisting !== false) {
+        const ids = new Set(entities.map((entity) => entity.id))
+        this.removeEntities([...this.entities.keys()].filter((id) => !ids.has(id)))
+      }
+
+      await this.addEntities(entities, options)
+
+      this.updateStats()
+
+      return {
+        success: true,
+        entityCount: entities.length,
+        renderTime: performance.now() - startTime,
+      }
+    } catch (error) {
+      console.error(`${this.constructor.name} render error:`, error)
+      return {
+        success: false,
+        error: error.message,
+        renderTime: performance.now() - startTime,
+      }
+    } finally {
+      this.stats.renderTime = performance.now() - startTime
+    }
+  }
+
+  /**
+   * 批量添加实体（分批让出控制权，避免阻塞UI）
+   * @param {Array} entities - 实体数组
+   * @param {Object} options - 选项
+   */
+  async addEntities(entities, options = {}) {
+    const batchSize = options.batchSize || this.options.batchSize
+
+    for (let i = 0; i < entities.length; i += batchSize) {
+      entities.slice(i, i + batchSize).forEach((entity) => {
+        try {
+          this.addEntity(entity, options)
+        } catch (error) {
+          console.warn('Failed to add entity:', entity.id, error)
+        }
+      })
+
+      if (i + batchSize < entities.length) {
+        await new Promise((resolve) => setTimeout(resolve, 0))
+      }
+    }
+  }
+
+  /**
+   * 批量添加实例（工厂 extractInstances 的格式，需包含 id）
+   * @param {Array} instances - 实例数组
+   * @param {Object} options - 选项
+   */
+  async addInstances(instances, options = {}) {
+    await this.addEntities(instances, options)
+    this.updateStats()
+  }
+
+  /**
+   * 添加单个实体，已存在时用新数据替换
+   * @param {Object} entity - 实体数据
+   * @param {Object} options - 选项
+   */
+  addEntity(entity, options = {}) {
+    if (!entity.id || !entity.position) {
+      throw new Error('Entity must have id and position')
+    }
+
+    if (this.entities.has(entity.id)) {
+      this.updateEntity(entity, { ...options, replace: true })
+      return
+    }
+
+    const record = this.createPrimitive(entity, options)
+    this.entities.set(entity.id, entity)
+    this.records.set(entity.id, record)
+    this.applyStyle(record, entity)
+  }
+
+  /**
+   * 更新实体，只传入需要变化的字段即可（与已有数据合并）
+   * @param {Object} entity - 实体数据（需包含 id）
+   * @param {Object} options - 选项
+   * @param {boolean} options.replace - 用 entity 替换已有数据而不是合并
+   */
+  updateEntity(entity, options = {}) {
+    const record = this.records.get(entity.id)
+    if (!record) return
+
+    const startTime = performance.now()
+    const merged = options.replace ? entity : { ...this.entities.get(entity.id), ...entity }
+    this.entities.set(entity.id, merged)
+    this.updatePrimitive(record, merged, entity, options)
+    this.applyStyle(record, merged)
+    this.stats.updateTime = performance.now() - startTime
+  }
+
+  /**
+   * 设置单个实体的显隐
+   * @param {string} entityId - 实体ID
+   * @param {boolean} visible - 是否显示
+   */
+  setEntityVisible(entityId, visible) {
+    this.updateEntity({ id: entityId, visible })
+  }
+
+  /**
+   * 设置单个实体的颜色
+   * @param {string} entityId - 实体ID
+   * @param {string|Object|Cesium.Color} color - 颜色
+   */
+  setEntityColor(entityId, color) {
+    this.updateEntity({ id: entityId, color })
+  }
+
+  /**
+   * 设置整个渲染器的显隐
+   * @param {boolean} visible - 是否显示
+   */
+  setVisible(visible) {
+    this.visible = visible
+    this.collection.show = visible
+  }
+
+  /**
+   * 移除实体
+   * @param {string} entityId - 实体ID
+   */
+  removeEntity(entityId) {
+    const record = this.records.get(entityId)
+    if (record) {
+      this.removePrimitive(record)
+      this.records.delete(entityId)
+    }
+
+    this.entities.delete(entityId)
+
+    if (this.interactionManager.selectedEntity === entityId) {
+      this.interactionManager.selectedEntity = null
+    }
+    if (this.interactionManager.hoveredEntity === entityId) {
+      this.interactionManager.hoveredEntity = null
+    }
+  }
+
+  /**
+   * 批量移除实体
+   * @param {Array} entityIds - 实体ID数组
+   */
+  removeEntities(entityIds) {
+    entityIds.forEach((entityId) => this.removeEntity(entityId))
+  }
+
+  /**
+   * 清空所有实体
+   */
+  clear() {
+    this.clearPrimitives()
+    this.entities.clear()
+    this.records.clear()
+    this.interactionManager.selectedEntity = null
+    this.interactionManager.hoveredEntity = null
+  }
+
+  /**
+   * 拾取屏幕位置上属于本渲染器的实体
+   * @param {Cesium.Cartesian2} windowPosition - 屏幕坐标
+   * @returns {Object|null} 实体数据
+   */
+  pick(windowPosition) {
+    const entityId = this.pickEntityId(windowPosition)
+    return entityId ? this.entities.get(entityId) : null
+  }
+
+  /**
+   * 拾取屏幕位置上属于本渲染器的实体ID（图元的 id 即实体ID）
+   * @param {Cesium.Cartesian2} windowPosition - 屏幕坐标
+   * @returns {string|null} 实体ID
+   */
+  pickEntityId(windowPosition) {
+    if (!windowPosition) return null
+    const pickedObject = this.scene.pick(windowPosition)
+    const entityId = pickedObject ? pickedObject.id : null
+    return typeof entityId === 'string' && this.entities.has(entityId) ? entityId : null
+  }
+
+  /**
+   * 实体点击事件
+   * @param {Object} event - 点击事件
+   */
+  onEntityClick(event) {
+    const entityId = this.pickEntityId(event.position)
+    if (!entityId) return
+
+    const previous = this.interactionManager.selectedEntity
+    this.interactionManager.selectedEntity = entityId
+    if (previous && previous !== entityId) {
+      this.setEntitySelected(previous, false)
+    }
+    this.setEntitySelected(entityId, true)
+
+    this.onEntitySelected(this.entities.get(entityId), event)
+  }
+
+  /**
+   * 实体悬停事件
+   * @param {Object} event - 鼠标移动事件
+   */
+  onEntityHover(event) {
+    const entityId = this.pickEntityId(event.endPosition)
+    const previous = this.interactionManager.hoveredEntity
+    if (entityId === previous) return
+
+    this.interactionManager.hoveredEntity = entityId
+    if (previous) {
+      this.setEntityHovered(previous, false)
+    }
+    if (entityId) {
+      this.setEntityHovered(entityId, true)
+      this.onEntityHovered(this.entities.get(entityId), event)
+    }
+  }
+
+  /**
+   * 设置实体选中状态
+   * @param {string} entityId - 实体ID
+   * @param {boolean} selected - 是否选中
+   */
+  setEntitySelected(entityId, selected) {
+    if (selected) {
+      this.interactionManager.selectedEntity = entityId
+    } else if (this.interactionManager.selectedEntity === entityId) {
+      this.interactionManager.selectedEntity = null
+    }
+    this.restyle(entityId)
+  }
+
+  /**
+   * 设置实体悬停状态
+   * @param {string} entityId - 实体ID
+   * @param {boolean} hovered - 是否悬停
+   */
+  setEntityHovered(entityId, hovered) {
+    if (hovered) {
+      this.interactionManager.hoveredEntity = entityId
+    } else if (this.interactionManager.hoveredEntity === entityId) {
+      this.interactionManager.hoveredEntity = null
+    }
+    this.restyle(entityId)
+  }
+
+  /**
+   * 获取实体的交互状态
+   * @param {string} entityId - 实体ID
+   * @returns {Object} {selected, hovered}
+   */
+  getInteractionState(entityId) {
+    return {
+      selected: this.interactionManager.selectedEntity === entityId,
+      hovered: this.interactionManager.hoveredEntity === entityId,
+    }
+  }
+
+  /**
+   * 按实体数据与交互状态重新设置图元样式
+   * @param {string} entityId - 实体ID
+   */
+  restyle(entityId) {
+    const record = this.records.get(entityId)
+    if (record) {
+      this.applyStyle(record, this.entities.get(entityId))
+    }
+  }
+
+  /**
+   * 实体选择事件（可重写）
+   * @param {Object} entity - 实体数据
+   * @param {Object} event - 事件对象
+   */
+  onEntitySelected(entity, event) {
+    // 默认不处理，由使用方重写
+  }
+
+  /**
+   * 实体悬停事件（可重写）
+   * @param {Object} entity - 实体数据
+   * @param {Object} event - 事件对象
+   */
+  onEntityHovered(entity, event) {
+    // 可以在这里显示tooltip等
+  }
+
+  /**
+   * 获取图元数量（子类可重写）
+   * @returns {number} 图元数量
+   */
+  getPrimitiveCount() {
+    return this.records.size
+  }
+
+  /**
+   * 更新统计信息
+   */
+  updateStats() {
+    let visibleEntities = 0
+    this.entities.forEach((entity) => {
+      if (entity.visible !== false) visibleEntities++
+    })
+
+    this.stats.totalEntities = this.entities.size
+    this.stats.visibleEntities = this.visible ? visibleEntities : 0
+    this.stats.primitiveCount = this.getPrimitiveCount()
+  }
+
+  /**
+   * 获取统计信息
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    return { ...this.stats }
+  }
+
+  /**
+   * 获取实体
+   * @param {string} entityId - 实体ID
+   * @returns {Object|null} 实体数据
+   */
+  getEntity(entityId) {
+    return this.entities.get(entityId) || null
+  }
+
+  /**
+   * 获取所有实体
+   * @returns {Array} 实体数组
+   */
+  getAllEntities() {
+    return Array.from(this.entities.values())
+  }
+
+  /**
+   * 是否没有实体
+   * @returns {boolean} 是否为空
+   */
+  isEmpty() {
+    return this.entities.size === 0
+  }
+
+  /**
+   * 检查是否可以销毁
+   * @returns {boolean} 是否可以销毁
+   */
+  canDestroy() {
+    return this.isEmpty()
+  }
+
+  /**
+   * 销毁渲染器
+   */
+  destroy() {
+    if (this.interactionManager.handler) {
+      this.interactionManager.handler.destroy()
+      this.interactionManager.handler = null
+    }
+
+    this.clear()
+
+    // 从场景移除并销毁全部图元集合
+    this.scene.primitives.remove(this.collection)
+  }
+}
+
+export default BasePrimitiveRenderer
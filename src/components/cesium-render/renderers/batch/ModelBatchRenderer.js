@@ -0,0 +1,225 @@
+/**
+ * 模型批处理渲染器 - 使用 Model 图元渲染大量模型目标
+ * 同一 URL 的模型由 Cesium 资源缓存共享几何与纹理，每个目标只有自己的模型矩阵、颜色与显隐；
+ * 超过 modelDistance 时模型由 GPU 按距离隐藏，改为显示 PointPrimitiveCollection 中的代理点，
+ * 远距离时绘制开销与点位相当
+ * 实体格式与 ModelRenderer 相同：{id, position, modelUrl, orientation|rotation, scale, color, visible}
+ */
+
+import * as Cesium from 'cesium'
+import BasePrimitiveRenderer, { toCartesian, toColor } from './BasePrimitiveRenderer.js'
+
+class ModelBatchRenderer extends BasePrimitiveRenderer {
+  constructor(options = {}) {
+    super({
+      modelUrl: null, // 实体没有 modelUrl 时使用
+      minimumPixelSize: 32,
+      maximumScale: 20000,
+      modelDistance: 50000, // 模型显示距离，超过后显示代理点
+      proxyPixelSize: 6,
+      proxyColor: '#00FFFF',
+      ...options,
+    })
+
+    this.isBatched = true
+
+    this.models = this.collection.add(new Cesium.PrimitiveCollection())
+    this.proxies = this.collection.add(new Cesium.PointPrimitiveCollection())
+
+    this.stats.modelsLoaded = 0
+    this.stats.modelsPending = 0
+    this.stats.modelsFailed = 0
+
+    this.init()
+  }
+
+  /**
+   * 获取实体使用的模型URL
+   * @param {Object} entity - 实体数据
+   * @returns {string|null} 模型URL
+   */
+  getModelUrl(entity) {
+    return entity.modelUrl || this.options.modelUrl
+  }
+
+  /**
+   * 计算模型矩阵：orientation 为 {heading, pitch, roll}（度），
+   * 也接受工厂 extractInstances 的 rotation {x: roll, y: pitch, z: heading}
+   * @param {Object} entity - 实体数据
+   * @returns {Cesium.Matrix4} 模型矩阵
+   */
+  computeModelMatrix(entity) {
+    const orientation = entity.orientation || {}
+    const rotation = entity.rotation || {}
+    const hpr = new Cesium.HeadingPitchRoll(
+      Cesium.Math.toRadians(orientation.heading ?? rotation.z ?? 0),
+      Cesium.Math.toRadians(orientation.pitch ?? rotation.y ?? 0),
+      Cesium.Math.toRadians(orientation.roll ?? rotation.x ?? 0),
+    )
+    return Cesium.Transforms.headingPitchRollToFixedFrame(toCartesian(entity.position), hpr)
+  }
+
+  /**
+   * 获取缩放（工厂 extractInstances 的 scale 为 {x, y, z}，取 x）
+   * @param {Object} entity - 实体数据
+   * @returns {number} 缩放
+   */
+  getScale(entity) {
+    return typeof entity.scale === 'number' ? entity.scale : (entity.scale?.x ?? 1.0)
+  }
+
+  /**
+   * 创建代理点并异步加载模型
+   * @param {Object} entity - 实体数据
+   * @returns {Object} 图元记录 {model, proxy, removed, loadId}
+   */
+  createPrimitive(entity) {
+    const record = {
+      model: null,
+      proxy: this.proxies.add({
+        id: entity.id,
+        position: toCartesian(entity.position),
+        pixelSize: this.options.proxyPixelSize,
+        distanceDisplayCondition: new Cesium.DistanceDisplayCondition(
+          this.options.modelDistance,
+          Number.MAX_VALUE,
+        ),
+      }),
+      removed: false,
+      loadId: 0,
+    }
+
+    this.loadModel(record, entity)
+
+    return record
+  }
+
+  /**
+   * 加载模型，加载完成时实体已被移除则直接销毁
+   * @param {Object} record - 图元记录
+   * @param {Object} entity - 实体数据
+   */
+  async loadModel(record, entity) {
+    // 只保留最后一次加载的结果
+    const loadId = record.loadId + 1
+    record.loadId = loadId
+
+    const url = this.getModelUrl(entity)
+    if (!url) return
+
+    this.stats.modelsPending++
+    try {
+      const model = await Cesium.Model.fromGltfAsync({
+        url,
+        id: entity.id,
+        modelMatrix: this.computeModelMatrix(entity),
+        scale: this.getScale(entity),
+        minimumPixelSize: this.options.minimumPixelSize,
+        maximumScale: this.options.maximumScale,
+        colorBlendMode: Cesium.ColorBlendMode.MIX,
+        colorBlendAmount: 0.5,
+        silhouetteColor: toColor(this.options.selectedColor),
+        distanceDisplayCondition: new Cesium.DistanceDisplayCondition(
+          0,
+          this.options.modelDistance,
+        ),
+      })
+
+      // 加载期间实体已被移除或模型URL已变化
+      if (record.removed || record.loadId !== loadId) {
+        model.destroy()
+        return
+      }
+
+      record.model = this.models.add(model)
+      record.modelUrl = url
+      this.applyStyle(record, this.entities.get(entity.id) || entity)
+      this.stats.modelsLoaded++
+    } catch (error) {
+      this.stats.modelsFailed++
+      console.warn('Failed to load model:', entity.id, url, error)
+    } finally {
+      this.stats.modelsPending--
+    }
+  }
+
+  /**
+   * 按变化字段更新图元
+   * @param {Object} record - 图元记录
+   * @param {Object} entity - 合并后的实体数据
+   * @param {Object} changes - 本次变化的字段
+   */
+  updatePrimitive(record, entity, changes) {
+    if (changes.position || changes.orientation || changes.rotation) {
+      record.proxy.position = toCartesian(entity.position)
+      if (record.model) record.model.modelMatrix = this.computeModelMatrix(entity)
+    }
+
+    if (record.model && changes.scale !== undefined) {
+      record.model.scale = this.getScale(entity)
+    }
+
+    // 模型URL变化时重新加载
+    if (changes.modelUrl !== undefined && this.getModelUrl(entity) !== record.modelUrl) {
+      if (record.model) {
+        this.models.remove(record.model)
+        record.model = null
+      }
+      this.loadModel(record, entity)
+    }
+  }
+
+  /**
+   * 按实体数据与交互状态设置颜色、轮廓与显隐
+   * @param {Object} record - 图元记录
+   * @param {Object} entity - 实体数据
+   */
+  applyStyle(record, entity) {
+    const { selected, hovered } = this.getInteractionState(entity.id)
+    const visible = entity.visible !== false
+    const color = selected ? toColor(this.options.selectedColor) : null
+
+    record.proxy.show = visible
+    record.proxy.color = color || toColor(entity.color, toColor(this.options.proxyColor))
+    record.proxy.pixelSize = selected
+      ? this.options.proxyPixelSize * this.options.selectedScale
+      : this.options.proxyPixelSize
+
+    if (record.model) {
+      record.model.show = visible
+      record.model.color = color || toColor(entity.color, Cesium.Color.WHITE)
+      record.model.silhouetteSize = selected || hovered ? 2.0 : 0.0
+    }
+  }
+
+  /**
+   * 移除图元
+   * @param {Object} record - 图元记录
+   */
+  removePrimitive(record) {
+    record.removed = true
+    if (record.model) this.models.remove(record.model)
+    this.proxies.remove(record.proxy)
+  }
+
+  /**
+   * 移除全部图元
+   */
+  clearPrimitives() {
+    this.records.forEach((record) => {
+      record.removed = true
+    })
+    this.models.removeAll()
+    this.proxies.removeAll()
+  }
+
+  /**
+   * 获取图元数量
+   * @returns {number} 图元数量
+   */
+  getPrimitiveCount() {
+    return this.models.length + this.proxies.length
+  }
+}
+
+export default ModelBatchRenderer
@@ -0,0 +1,192 @@
+/**
+ * 点位批处理渲染器 - 使用 BillboardCollection / LabelCollection 渲染大量点位
+ * 全部图标合并到同一个纹理图集，一次绘制调用渲染所有 Billboard；
+ * 标注只在 labelDistance 以内显示，由 GPU 按距离剔除，不需要逐帧计算 LOD
+ * 实体格式与 PointRenderer 相同
+ */
+
+import * as Cesium from 'cesium'
+import BasePrimitiveRenderer, {
+  toCartesian,
+  toColor,
+  toDistanceDisplayCondition,
+} from './BasePrimitiveRenderer.js'
+
+class PointBatchRenderer extends BasePrimitiveRenderer {
+  constructor(options = {}) {
+    super({
+      defaultImage: '/icons/point-normal.png',
+      labelDistance: 20000,
+      ...options,
+    })
+
+    this.isBatched = true
+
+    this.billboards = this.collection.add(new Cesium.BillboardCollection({ scene: this.scene }))
+    this.labels = this.collection.add(new Cesium.LabelCollection({ scene: this.scene }))
+
+    this.init()
+  }
+
+  /**
+   * 创建 Billboard 与 Label
+   * @param {Object} entity - 实体数据
+   * @returns {Object} 图元记录 {billboard, label}
+   */
+  createPrimitive(entity) {
+    const position = toCartesian(entity.position)
+
+    const billboard = this.billboards.add({
+      id: entity.id,
+      position,
+      image: entity.image || this.options.defaultImage,
+      horizontalOrigin: Cesium.HorizontalOrigin.CENTER,
+      verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+      pixelOffset: entity.pixelOffset
+        ? new Cesium.Cartesian2(entity.pixelOffset.x, entity.pixelOffset.y)
+        : Cesium.Cartesian2.ZERO,
+      distanceDisplayCondition: toDistanceDisplayCondition(entity.distanceDisplayCondition),
+      heightReference: this.parseHeightReference(entity.heightReference),
+    })
+
+    return { billboard, label: entity.label ? this.createLabel(entity, position) : null }
+  }
+
+  /**
+   * 创建 Label
+   * @param {Object} entity - 实体数据
+   * @param {Cesium.Cartesian3} position - 位置
+   * @returns {Cesium.Label} Label
+   */
+  createLabel(entity, position) {
+    const label = entity.label
+    return this.labels.add({
+      id: entity.id,
+      position,
+      text: label.text || entity.name || entity.id,
+      font: label.font || '12pt sans-serif',
+      fillColor: toColor(label.fillColor, Cesium.Color.WHITE),
+      outlineColor: toColor(label.outlineColor, Cesium.Color.BLACK),
+      outlineWidth: label.outlineWidth || 1,
+      style: label.style || Cesium.LabelStyle.FILL_AND_OUTLINE,
+      horizontalOrigin: Cesium.HorizontalOrigin.CENTER,
+      verticalOrigin: Cesium.VerticalOrigin.TOP,
+      pixelOffset: label.pixelOffset
+        ? new Cesium.Cartesian2(label.pixelOffset.x, label.pixelOffset.y)
+        : new Cesium.Cartesian2(0, -40),
+      distanceDisplayCondition: new Cesium.DistanceDisplayCondition(0, this.options.labelDistance),
+      heightReference: this.parseHeightReference(entity.heightReference),
+    })
+  }
+
+  /**
+   * 按变化字段更新图元
+   * @param {Object} record - 图元记录
+   * @param {Object} entity - 合并后的实体数据
+   * @param {Object} changes - 本次变化的字段
+   */
+  updatePrimitive(record, entity, changes) {
+    if (changes.position) {
+      const position = toCartesian(entity.position)
+      record.billboard.position = position
+      if (record.label) record.label.position = position
+    }
+
+    if (changes.image !== undefined) {
+      record.billboard.image = entity.image || this.options.defaultImage
+    }
+
+    // 替换数据时新数据可能不再带标注
+    if (changes.label !== undefined || (record.label && !entity.label)) {
+      if (record.label && entity.label) {
+        this.updateLabel(record.label, entity)
+      } else if (record.label) {
+        this.labels.remove(record.label)
+        record.label = null
+      } else if (entity.label) {
+        record.label = this.createLabel(entity, record.billboard.position)
+      }
+    }
+  }
+
+  /**
+   * 更新 Label
+   * @param {Cesium.Label} label - Label
+   * @param {Object} entity - 实体数据
+   */
+  updateLabel(label, entity) {
+    label.text = entity.label.text || entity.name || entity.id
+    if (entity.label.font) label.font = entity.label.font
+    if (entity.label.fillColor) label.fillColor = toColor(entity.label.fillColor)
+    if (entity.label.outlineColor) label.outlineColor = toColor(entity.label.outlineColor)
+  }
+
+  /**
+   * 按实体数据与交互状态设置颜色、缩放与显隐
+   * @param {Object} record - 图元记录
+   * @param {Object} entity - 实体数据
+   */
+  applyStyle(record, entity) {
+    const { selected, hovered } = this.getInteractionState(entity.id)
+    const visible = entity.visible !== false
+    const scale = entity.scale || 1.0
+
+    record.billboard.show = visible
+    record.billboard.color = selected
+      ? toColor(this.options.selectedColor)
+      : toColor(entity.color, Cesium.Color.WHITE)
+    record.billboard.scale = selected
+      ? scale * this.options.selectedScale
+      : hovered
+        ? scale * this.options.hoveredScale
+        : scale
+
+    if (record.label) {
+      record.label.show = visible && entity.label.show !== false
+    }
+  }
+
+  /**
+   * 移除图元
+   * @param {Object} record - 图元记录
+   */
+  removePrimitive(record) {
+    this.billboards.remove(record.billboard)
+    if (record.label) this.labels.remove(record.label)
+  }
+
+  /**
+   * 移除全部图元
+   */
+  clearPrimitives() {
+    this.billboards.removeAll()
+    this.labels.removeAll()
+  }
+
+  /**
+   * 获取图元数量
+   * @returns {number} 图元数量
+   */
+  getPrimitiveCount() {
+    return this.billboards.length + this.labels.length
+  }
+
+  /**
+   * 解析高度参考
+   * @param {string} heightReference - 高度参考字符串
+   * @returns {Cesium.HeightReference} 高度参考枚举
+   */
+  parseHeightReference(heightReference) {
+    switch ((heightReference || '').toLowerCase()) {
+      case 'clamp_to_ground':
+        return Cesium.HeightReference.CLAMP_TO_GROUND
+      case 'relative_to_ground':
+        return Cesium.HeightReference.RELATIVE_TO_GROUND
+      case 'none':
+      default:
+        return Cesium.HeightReference.NONE
+    }
+  }
+}
+
+export default PointBatchRenderer
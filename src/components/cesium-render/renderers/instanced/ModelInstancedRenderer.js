@@ -0,0 +1,49 @@
+/**
+ * 模型实例化渲染器 - 大量目标共用同一个模型（工厂按 geometryId 分组创建）
+ * 所有实例使用同一个 glTF：先加载第一个实例，glTF 进入 Cesium 资源缓存后再创建其余实例，
+ * 几何与纹理只加载一次，其余实例只有各自的模型矩阵、颜色与显隐
+ * 模型URL取 options.modelUrl，未配置时取第一个实例的 modelUrl；远距离代理点与 ModelBatchRenderer 相同
+ */
+
+import ModelBatchRenderer from '../batch/ModelBatchRenderer.js'
+
+class ModelInstancedRenderer extends ModelBatchRenderer {
+  constructor(options = {}) {
+    super({
+      ...options,
+      modelUrl: options.modelUrl || null,
+    })
+
+    this.isBatched = false
+    this.isInstanced = true
+  }
+
+  /**
+   * 所有实例使用同一个模型URL，未配置时取第一个实例的 modelUrl
+   * @param {Object} entity - 实例数据
+   * @returns {string|null} 模型URL
+   */
+  getModelUrl(entity) {
+    if (!this.options.modelUrl && entity?.modelUrl) {
+      this.options.modelUrl = entity.modelUrl
+    }
+    return this.options.modelUrl
+  }
+
+  /**
+   * 加载模型：第一个实例的模型创建完成前，其余实例等待，避免同时发起大量重复请求
+   * @param {Object} record - 图元记录
+   * @param {Object} entity - 实例数据
+   */
+  async loadModel(record, entity) {
+    if (this.templateReady) {
+      await this.templateReady
+    } else {
+      this.templateReady = super.loadModel(record, entity)
+      return this.templateReady
+    }
+    return super.loadModel(record, entity)
+  }
+}
+
+export default ModelInstancedRenderer
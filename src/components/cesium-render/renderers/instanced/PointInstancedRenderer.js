@@ -0,0 +1,94 @@
+/**
+ * 点位实例化渲染器 - 使用 PointPrimitiveCollection 渲染大量同类点位
+ * 所有点位共用同一种几何（像素点），不需要纹理图集，是数量最大时开销最小的渲染方式；
+ * 不显示图标与标注，每个实例只有位置、颜色、大小与显隐
+ * 实例格式：{id, position, color, pointSize, visible}，也接受 PointRenderer 的实体格式
+ */
+
+import * as Cesium from 'cesium'
+import BasePrimitiveRenderer, {
+  toCartesian,
+  toColor,
+  toDistanceDisplayCondition,
+} from '../batch/BasePrimitiveRenderer.js'
+
+class PointInstancedRenderer extends BasePrimitiveRenderer {
+  constructor(options = {}) {
+    super({
+      pixelSize: 8,
+      color: '#FFFF00',
+      outlineColor: '#000000',
+      outlineWidth: 1,
+      ...options,
+    })
+
+    this.isInstanced = true
+
+    this.points = this.collection.add(new Cesium.PointPrimitiveCollection())
+
+    this.init()
+  }
+
+  /**
+   * 创建点图元
+   * @param {Object} entity - 实例数据
+   * @returns {Object} 图元记录 {point}
+   */
+  createPrimitive(entity) {
+    const point = this.points.add({
+      id: entity.id,
+      position: toCartesian(entity.position),
+      outlineColor: toColor(this.options.outlineColor, Cesium.Color.BLACK),
+      distanceDisplayCondition: toDistanceDisplayCondition(entity.distanceDisplayCondition),
+    })
+
+    return { point }
+  }
+
+  /**
+   * 按变化字段更新图元
+   * @param {Object} record - 图元记录
+   * @param {Object} entity - 合并后的实例数据
+   * @param {Object} changes - 本次变化的字段
+   */
+  updatePrimitive(record, entity, changes) {
+    if (changes.position) {
+      record.point.position = toCartesian(entity.position)
+    }
+  }
+
+  /**
+   * 按实例数据与交互状态设置颜色、大小与显隐
+   * @param {Object} record - 图元记录
+   * @param {Object} entity - 实例数据
+   */
+  applyStyle(record, entity) {
+    const { selected, hovered } = this.getInteractionState(entity.id)
+    const pixelSize = entity.pointSize || this.options.pixelSize
+    const color = entity.color ?? entity.pointColor
+
+    record.point.show = entity.visible !== false
+    record.point.color = selected
+      ? toColor(this.options.selectedColor)
+      : toColor(color, toColor(this.options.color))
+    record.point.pixelSize = selected ? pixelSize * this.options.selectedScale : pixelSize
+    record.point.outlineWidth = hovered ? this.options.outlineWidth + 1 : this.options.outlineWidth
+  }
+
+  /**
+   * 移除图元
+   * @param {Object} record - 图元记录
+   */
+  removePrimitive(record) {
+    this.points.remove(record.point)
+  }
+
+  /**
+   * 移除全部图元
+   */
+  clearPrimitives() {
+    this.points.removeAll()
+  }
+}
+
+export default PointInstancedRenderer
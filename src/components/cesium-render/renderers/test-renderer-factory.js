@@ -0,0 +1,122 @@
+import * as Cesium from 'cesium'
+import RendererFactory from './RendererFactory.js'
+
+/**
+ * 断言，失败时抛出错误
+ * @param {boolean} condition - 条件
+ * @param {string} message - 失败信息
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`断言失败: ${message}`)
+  }
+}
+
+// 不需要交互，渲染器不创建屏幕事件处理器
+const RENDER_OPTIONS = { enableSelection: false, enableHover: false }
+
+/**
+ * 生成实体
+ * @param {number} count - 数量
+ * @param {Function} getType - 按序号返回实体类型
+ * @returns {Array} 实体数组
+ */
+const createEntities = (count, getType) =>
+  Array.from({ length: count }, (_, index) => ({
+    id: `entity_${index}`,
+    type: getType(index),
+    position: { longitude: 120 + index * 0.01, latitude: 30 },
+  }))
+
+/**
+ * 统计渲染器添加实体的次数
+ * @param {Object} renderer - 渲染器
+ * @returns {Object} 计数 {count}
+ */
+const countAdds = (renderer) => {
+  const counter = { count: 0 }
+  const addEntity = renderer.addEntity.bind(renderer)
+  renderer.addEntity = (...args) => {
+    counter.count++
+    return addEntity(...args)
+  }
+  return counter
+}
+
+/**
+ * 测试渲染器工厂：复用的批处理、实例化渲染器不重复添加实体
+ */
+async function testRendererFactory() {
+  console.log('开始测试渲染器工厂...')
+
+  // 只提供渲染器用到的场景属性
+  const viewer = {
+    scene: {
+      primitives: new Cesium.PrimitiveCollection(),
+      canvas: null,
+      frameState: { mode: Cesium.SceneMode.SCENE3D },
+    },
+  }
+  const factory = new RendererFactory(viewer, { primitiveThreshold: 10 })
+
+  // 相同几何体 -> 实例化渲染器
+  console.log('\n=== 测试实例化渲染器 ===')
+  const ships = createEntities(20, () => 'ship')
+  const instanced = factory.createInstancedRenderer(
+    'point',
+    'ship',
+    factory.extractInstances(ships),
+    RENDER_OPTIONS,
+  )
+  assert(instanced.isInstanced, '应创建实例化渲染器')
+  assert(instanced.entities.size === 0, '创建时不应添加实例')
+
+  const instancedAdds = countAdds(instanced)
+  await factory.render('point', ships, RENDER_OPTIONS)
+  const cached = factory.createInstancedRenderer(
+    'point',
+    'ship',
+    factory.extractInstances(ships),
+    RENDER_OPTIONS,
+  )
+  assert(cached === instanced, '第二次创建应复用已有的实例化渲染器')
+  await factory.render('point', ships, RENDER_OPTIONS)
+
+  console.log('实例化渲染器统计:', instanced.getStats())
+  assert(instanced.entities.size === 20, '实例数量应为 20')
+  assert(instanced.getStats().primitiveCount === 20, '图元数量应为 20')
+  assert(instancedAdds.count === 40, '两次渲染应各添加一次实例')
+
+  // 几何体不同 -> 批处理渲染器
+  console.log('\n=== 测试批处理渲染器 ===')
+  const mixed = createEntities(20, (index) => (index % 2 ? 'ship' : 'plane'))
+  const batch = factory.createBatchRenderer('point', mixed, RENDER_OPTIONS)
+  assert(batch.isBatched, '应创建批处理渲染器')
+  assert(batch.entities.size === 0, '创建时不应添加实体')
+
+  const batchAdds = countAdds(batch)
+  await factory.render('point', mixed, RENDER_OPTIONS)
+  assert(
+    factory.createBatchRenderer('point', mixed, RENDER_OPTIONS) === batch,
+    '应复用批处理渲染器',
+  )
+  await factory.render('point', mixed, RENDER_OPTIONS)
+
+  console.log('批处理渲染器统计:', batch.getStats())
+  assert(batch.entities.size === 20, '实体数量应为 20')
+  assert(batchAdds.count === 40, '两次渲染应各添加一次实体')
+
+  factory.destroy()
+  console.log('\n测试完成！')
+}
+
+// 如果直接运行此文件，执行测试
+if (typeof window === 'undefined') {
+  // Node.js 环境
+  testRendererFactory()
+} else {
+  // 浏览器环境，导出测试函数
+  window.testRendererFactory = testRendererFactory
+}
+
+export { testRendererFactory }
@@ -0,0 +1,332 @@
+/**
+ * 坐标工具类 - 提供 WGS84 / GCJ-02 / BD-09 / UTM 坐标系之间的相互转换
+ */
+
+// WGS84 椭球参数
+const WGS84_A = 6378137.0
+const WGS84_F = 1 / 298.257223563
+const WGS84_E2 = WGS84_F * (2 - WGS84_F)
+
+// GCJ-02 偏移算法使用的克拉索夫斯基椭球参数
+const KRASOVSKY_A = 6378245.0
+const KRASOVSKY_E2 = 0.00669342162296594323
+
+// BD-09 偏移常量
+const BD_X_PI = (Math.PI * 3000.0) / 180.0
+
+// UTM 投影参数
+const UTM_K0 = 0.9996
+const UTM_FALSE_EASTING = 500000.0
+const UTM_FALSE_NORTHING_SOUTH = 10000000.0
+
+class CoordinateUtils {
+  /**
+   * 判断坐标是否在中国境外（境外不做 GCJ-02 偏移）
+   * @param {number} longitude - 经度
+   * @param {number} latitude - 纬度
+   * @returns {boolean} 是否在境外
+   */
+  static isOutOfChina(longitude, latitude) {
+    return longitude < 72.004 || longitude > 137.8347 || latitude < 0.8293 || latitude > 55.8271
+  }
+
+  /**
+   * 计算 GCJ-02 偏移量
+   * @param {number} longitude - WGS84 经度
+   * @param {number} latitude - WGS84 纬度
+   * @returns {Object} 经纬度偏移量（度）
+   */
+  static gcj02Delta(longitude, latitude) {
+    const x = longitude - 105.0
+    const y = latitude - 35.0
+
+    let dLat = -100.0 + 2.0 * x + 3.0 * y + 0.2 * y * y + 0.1 * x * y + 0.2 * Math.sqrt(Math.abs(x))
+    dLat += ((20.0 * Math.sin(6.0 * x * Math.PI) + 20.0 * Math.sin(2.0 * x * Math.PI)) * 2.0) / 3.0
+    dLat += ((20.0 * Math.sin(y * Math.PI) + 40.0 * Math.sin((y / 3.0) * Math.PI)) * 2.0) / 3.0
+    dLat +=
+      ((160.0 * Math.sin((y / 12.0) * Math.PI) + 320 * Math.sin((y * Math.PI) / 30.0)) * 2.0) / 3.0
+
+    let dLon = 300.0 + x + 2.0 * y + 0.1 * x * x + 0.1 * x * y + 0.1 * Math.sqrt(Math.abs(x))
+    dLon += ((20.0 * Math.sin(6.0 * x * Math.PI) + 20.0 * Math.sin(2.0 * x * Math.PI)) * 2.0) / 3.0
+    dLon += ((20.0 * Math.sin(x * Math.PI) + 40.0 * Math.sin((x / 3.0) * Math.PI)) * 2.0) / 3.0
+    dLon +=
+      ((150.0 * Math.sin((x / 12.0) * Math.PI) + 300.0 * Math.sin((x / 30.0) * Math.PI)) * 2.0) /
+      3.0
+
+    const radLat = (latitude / 180.0) * Math.PI
+    let magic = Math.sin(radLat)
+    magic = 1 - KRASOVSKY_E2 * magic * magic
+    const sqrtMagic = Math.sqrt(magic)
+
+    dLat = (dLat * 180.0) / (((KRASOVSKY_A * (1 - KRASOVSKY_E2)) / (magic * sqrtMagic)) * Math.PI)
+    dLon = (dLon * 180.0) / ((KRASOVSKY_A / sqrtMagic) * Math.cos(radLat) * Math.PI)
+
+    return { longitude: dLon, latitude: dLat }
+  }
+
+  /**
+   * WGS84 转 GCJ-02
+   * @param {number} longitude - 经度
+   * @param {number} latitude - 纬度
+   * @returns {Object} GCJ-02 坐标 {longitude, latitude}
+   */
+  static wgs84ToGcj02(longitude, latitude) {
+    if (this.isOutOfChina(longitude, latitude)) {
+      return { longitude, latitude }
+    }
+
+    const delta = this.gcj02Delta(longitude, latitude)
+    return {
+      longitude: longitude + delta.longitude,
+      latitude: latitude + delta.latitude,
+    }
+  }
+
+  /**
+   * GCJ-02 转 WGS84（迭代逼近，精度优于 1e-7 度）
+   * @param {number} longitude - 经度
+   * @param {number} latitude - 纬度
+   * @param {number} maxIterations - 最大迭代次数
+   * @returns {Object} WGS84 坐标 {longitude, latitude}
+   */
+  static gcj02ToWgs84(longitude, latitude, maxIterations = 10) {
+    if (this.isOutOfChina(longitude, latitude)) {
+      return { longitude, latitude }
+    }
+
+    let wgsLon = longitude
+    let wgsLat = latitude
+
+    for (let i = 0; i < maxIterations; i++) {
+      const gcj = this.wgs84ToGcj02(wgsLon, wgsLat)
+      const dLon = gcj.longitude - longitude
+      const dLat = gcj.latitude - latitude
+
+      wgsLon -= dLon
+      wgsLat -= dLat
+
+      if (Math.abs(dLon) < 1e-9 && Math.abs(dLat) < 1e-9) {
+        break
+      }
+    }
+
+    return { longitude: wgsLon, latitude: wgsLat }
+  }
+
+  /**
+   * GCJ-02 转 BD-09
+   * @param {number} longitude - 经度
+   * @param {number} latitude - 纬度
+   * @returns {Object} BD-09 坐标 {longitude, latitude}
+   */
+  static gcj02ToBd09(longitude, latitude) {
+    const z =
+      Math.sqrt(longitude * longitude + latitude * latitude) +
+      0.00002 * Math.sin(latitude * BD_X_PI)
+    const theta = Math.atan2(latitude, longitude) + 0.000003 * Math.cos(longitude * BD_X_PI)
+
+    return {
+      longitude: z * Math.cos(theta) + 0.0065,
+      latitude: z * Math.sin(theta) + 0.006,
+    }
+  }
+
+  /**
+   * BD-09 转 GCJ-02
+   * @param {number} longitude - 经度
+   * @param {number} latitude - 纬度
+   * @returns {Object} GCJ-02 坐标 {longitude, latitude}
+   */
+  static bd09ToGcj02(longitude, latitude) {
+    const x = longitude - 0.0065
+    const y = latitude - 0.006
+    const z = Math.sqrt(x * x + y * y) - 0.00002 * Math.sin(y * BD_X_PI)
+    const theta = Math.atan2(y, x) - 0.000003 * Math.cos(x * BD_X_PI)
+
+    return {
+      longitude: z * Math.cos(theta),
+      latitude: z * Math.sin(theta),
+    }
+  }
+
+  /**
+   * WGS84 转 BD-09
+   * @param {number} longitude - 经度
+   * @param {number} latitude - 纬度
+   * @returns {Object} BD-09 坐标 {longitude, latitude}
+   */
+  static wgs84ToBd09(longitude, latitude) {
+    const gcj = this.wgs84ToGcj02(longitude, latitude)
+    return this.gcj02ToBd09(gcj.longitude, gcj.latitude)
+  }
+
+  /**
+   * BD-09 转 WGS84
+   * @param {number} longitude - 经度
+   * @param {number} latitude - 纬度
+   * @returns {Object} WGS84 坐标 {longitude, latitude}
+   */
+  static bd09ToWgs84(longitude, latitude) {
+    const gcj = this.bd09ToGcj02(longitude, latitude)
+    return this.gcj02ToWgs84(gcj.longitude, gcj.latitude)
+  }
+
+  /**
+   * 根据经度计算 UTM 投影带号
+   * @param {number} longitude - 经度
+   * @param {number} latitude - 纬度（用于挪威/斯瓦尔巴特群岛特殊分带）
+   * @returns {number} 投影带号（1-60）
+   */
+  static getUTMZone(longitude, latitude = 0) {
+    const lon = ((((longitude + 180) % 360) + 360) % 360) - 180
+
+    if (latitude >= 56 && latitude < 64 && lon >= 3 && lon < 12) {
+      return 32
+    }
+
+    if (latitude >= 72 && latitude < 84 && lon >= 0 && lon < 42) {
+      if (lon < 9) return 31
+      if (lon < 21) return 33
+      if (lon < 33) return 35
+      return 37
+    }
+
+    return Math.min(Math.floor((lon + 180) / 6) + 1, 60)
+  }
+
+  /**
+   * WGS84 转 UTM
+   * @param {number} longitude - 经度
+   * @param {number} latitude - 纬度
+   * @param {number} zone - 投影带号（可选，默认按经度计算）
+   * @returns {Object} UTM 坐标 {easting, northing, zone, hemisphere}
+   */
+  static wgs84ToUtm(longitude, latitude, zone = null) {
+    const utmZone = zone || this.getUTMZone(longitude, latitude)
+    const lon0 = ((utmZone - 1) * 6 - 180 + 3) * (Math.PI / 180)
+    const phi = latitude * (Math.PI / 180)
+    const lambda = longitude * (Math.PI / 180)
+
+    const ep2 = WGS84_E2 / (1 - WGS84_E2)
+    const sinPhi = Math.sin(phi)
+    const cosPhi = Math.cos(phi)
+    const tanPhi = Math.tan(phi)
+
+    const N = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinPhi * sinPhi)
+    const T = tanPhi * tanPhi
+    const C = ep2 * cosPhi * cosPhi
+    const A = cosPhi * (lambda - lon0)
+    const M = this.meridianArc(phi)
+
+    const easting =
+      UTM_K0 *
+        N *
+        (A +
+          ((1 - T + C) * Math.pow(A, 3)) / 6 +
+          ((5 - 18 * T + T * T + 72 * C - 58 * ep2) * Math.pow(A, 5)) / 120) +
+      UTM_FALSE_EASTING
+
+    let northing =
+      UTM_K0 *
+      (M +
+        N *
+          tanPhi *
+          ((A * A) / 2 +
+            ((5 - T + 9 * C + 4 * C * C) * Math.pow(A, 4)) / 24 +
+            ((61 - 58 * T + T * T + 600 * C - 330 * ep2) * Math.pow(A, 6)) / 720))
+
+    const hemisphere = latitude < 0 ? 'S' : 'N'
+    if (hemisphere === 'S') {
+      northing += UTM_FALSE_NORTHING_SOUTH
+    }
+
+    return { easting, northing, zone: utmZone, hemisphere }
+  }
+
+  /**
+   * UTM 转 WGS84
+   * @param {number} easting - 东坐标（米）
+   * @param {number} northing - 北坐标（米）
+   * @param {number} zone - 投影带号
+   * @param {string} hemisphere - 半球 'N' 或 'S'
+   * @returns {Object} WGS84 坐标 {longitude, latitude}
+   */
+  static utmToWgs84(easting, northing, zone, hemisphere = 'N') {
+    if (!zone || zone < 1 || zone > 60) {
+      throw new Error(`Invalid UTM zone: ${zone}`)
+    }
+
+    const x = easting - UTM_FALSE_EASTING
+    const y =
+      String(hemisphere).toUpperCase() === 'S' ? northing - UTM_FALSE_NORTHING_SOUTH : northing
+    const lon0 = ((zone - 1) * 6 - 180 + 3) * (Math.PI / 180)
+
+    const ep2 = WGS84_E2 / (1 - WGS84_E2)
+    const e1 = (1 - Math.sqrt(1 - WGS84_E2)) / (1 + Math.sqrt(1 - WGS84_E2))
+
+    const M = y / UTM_K0
+    const mu =
+      M /
+      (WGS84_A *
+        (1 - WGS84_E2 / 4 - (3 * WGS84_E2 * WGS84_E2) / 64 - (5 * Math.pow(WGS84_E2, 3)) / 256))
+
+    // 底点纬度
+    const phi1 =
+      mu +
+      ((3 * e1) / 2 - (27 * Math.pow(e1, 3)) / 32) * Math.sin(2 * mu) +
+      ((21 * e1 * e1) / 16 - (55 * Math.pow(e1, 4)) / 32) * Math.sin(4 * mu) +
+      ((151 * Math.pow(e1, 3)) / 96) * Math.sin(6 * mu) +
+      ((1097 * Math.pow(e1, 4)) / 512) * Math.sin(8 * mu)
+
+    const sinPhi1 = Math.sin(phi1)
+    const cosPhi1 = Math.cos(phi1)
+    const tanPhi1 = Math.tan(phi1)
+
+    const N1 = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinPhi1 * sinPhi1)
+    const T1 = tanPhi1 * tanPhi1
+    const C1 = ep2 * cosPhi1 * cosPhi1
+    const R1 = (WGS84_A * (1 - WGS84_E2)) / Math.pow(1 - WGS84_E2 * sinPhi1 * sinPhi1, 1.5)
+    const D = x / (N1 * UTM_K0)
+
+    const phi =
+      phi1 -
+      ((N1 * tanPhi1) / R1) *
+        ((D * D) / 2 -
+          ((5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * ep2) * Math.pow(D, 4)) / 24 +
+          ((61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * ep2 - 3 * C1 * C1) * Math.pow(D, 6)) /
+            720)
+
+    const lambda =
+      lon0 +
+      (D -
+        ((1 + 2 * T1 + C1) * Math.pow(D, 3)) / 6 +
+        ((5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * ep2 + 24 * T1 * T1) * Math.pow(D, 5)) / 120) /
+        cosPhi1
+
+    return {
+      longitude: lambda * (180 / Math.PI),
+      latitude: phi * (180 / Math.PI),
+    }
+  }
+
+  /**
+   * 计算子午线弧长
+   * @param {number} phi - 纬度（弧度）
+   * @returns {number} 弧长（米）
+   */
+  static meridianArc(phi) {
+    const e2 = WGS84_E2
+    const e4 = e2 * e2
+    const e6 = e4 * e2
+
+    return (
+      WGS84_A *
+      ((1 - e2 / 4 - (3 * e4) / 64 - (5 * e6) / 256) * phi -
+        ((3 * e2) / 8 + (3 * e4) / 32 + (45 * e6) / 1024) * Math.sin(2 * phi) +
+        ((15 * e4) / 256 + (45 * e6) / 1024) * Math.sin(4 * phi) -
+        ((35 * e6) / 3072) * Math.sin(6 * phi))
+    )
+  }
+}
+
+export default CoordinateUtils
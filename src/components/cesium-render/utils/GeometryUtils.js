@@ -129,7 +129,7 @@ class GeometryUtils {
       maxHeight = -Infinity
 
     points.forEach((point) => {
-      const coord = point instanceof Cesium.Cartesian3 ? this.cartesian3ToDegrees(point) : point
+      const coord = this.isCartesian3(point) ? this.cartesian3ToDegrees(point) : point
 
       const lng = coord.longitude || coord.lng || coord.lon || coord.x
       const lat = coord.latitude || coord.lat || coord.y
@@ -324,85 +324,130 @@ class GeometryUtils {
    * 简化路径点（Douglas-Peucker算法）
    * @param {Array} points - 原始路径点
    * @param {number} tolerance - 容差（米）
+   * @param {Function} getCoordinate - 从路径点取坐标的函数（可选，默认路径点本身就是坐标）
    * @returns {Array} 简化后的路径点
    */
-  static simplifyPath(points, tolerance = 10) {
+  static simplifyPath(points, tolerance = 10, getCoordinate = (point) => point) {
     if (points.length <= 2) return points
 
-    return this.douglasPeucker(points, tolerance)
+    return this.douglasPeucker(points, tolerance, getCoordinate)
   }
 
   /**
    * Douglas-Peucker算法实现
+   * 用栈代替递归，长轨迹不会栈溢出；只用纯数学计算（不依赖 Cesium），可在 Web Worker 中使用
    * @param {Array} points - 点数组
-   * @param {number} tolerance - 容差
+   * @param {number} tolerance - 容差（米）
+   * @param {Function} getCoordinate - 从点取坐标的函数（可选）
    * @returns {Array} 简化后的点数组
    */
-  static douglasPeucker(points, tolerance) {
+  static douglasPeucker(points, tolerance, getCoordinate = (point) => point) {
     if (points.length <= 2) return points
 
-    // 找到距离直线最远的点
-    let maxDistance = 0
-    let maxIndex = 0
-    const start = points[0]
-    const end = points[points.length - 1]
-
-    for (let i = 1; i < points.length - 1; i++) {
-      const distance = this.pointToLineDistance(points[i], start, end)
-      if (distance > maxDistance) {
-        maxDistance = distance
-        maxIndex = i
+    const cartesians = points.map((point) => this.toCartesian(getCoordinate(point)))
+    const keep = new Uint8Array(points.length)
+    keep[0] = 1
+    keep[points.length - 1] = 1
+
+    const stack = [[0, points.length - 1]]
+    while (stack.length > 0) {
+      const [startIndex, endIndex] = stack.pop()
+
+      // 找到距离直线最远的点
+      let maxDistance = 0
+      let maxIndex = 0
+      for (let i = startIndex + 1; i < endIndex; i++) {
+        const distance = this.distanceToSegment(
+          cartesians[i],
+          cartesians[startIndex],
+          cartesians[endIndex],
+        )
+        if (distance > maxDistance) {
+          maxDistance = distance
+          maxIndex = i
+        }
       }
-    }
-
-    // 如果最大距离大于容差，递归简化
-    if (maxDistance > tolerance) {
-      const left = this.douglasPeucker(points.slice(0, maxIndex + 1), tolerance)
-      const right = this.douglasPeucker(points.slice(maxIndex), tolerance)
 
-      // 合并结果（去除重复点）
-      return left.slice(0, -1).concat(right)
-    } else {
-      // 如果最大距离小于容差，只保留起点和终点
-      return [start, end]
+      // 如果最大距离大于容差，保留该点并继续简化两侧
+      if (maxDistance > tolerance) {
+        keep[maxIndex] = 1
+        stack.push([startIndex, maxIndex], [maxIndex, endIndex])
+      }
     }
+
+    return points.filter((point, index) => keep[index] === 1)
   }
 
   /**
-   * 计算点到直线的距离
+   * 计算点到线段的距离
    * @param {Cesium.Cartesian3|Object} point - 点
-   * @param {Cesium.Cartesian3|Object} lineStart - 直线起点
-   * @param {Cesium.Cartesian3|Object} lineEnd - 直线终点
+   * @param {Cesium.Cartesian3|Object} lineStart - 线段起点
+   * @param {Cesium.Cartesian3|Object} lineEnd - 线段终点
    * @returns {number} 距离（米）
    */
   static pointToLineDistance(point, lineStart, lineEnd) {
-    const p = point instanceof Cesium.Cartesian3 ? point : this.degreesToCartesian3(point)
-    const a =
-      lineStart instanceof Cesium.Cartesian3 ? lineStart : this.degreesToCartesian3(lineStart)
-    const b = lineEnd instanceof Cesium.Cartesian3 ? lineEnd : this.degreesToCartesian3(lineEnd)
+    return this.distanceToSegment(
+      this.toCartesian(point),
+      this.toCartesian(lineStart),
+      this.toCartesian(lineEnd),
+    )
+  }
 
+  /**
+   * 计算地心直角坐标系中点到线段的距离
+   * @param {Object} p - 点 {x, y, z}
+   * @param {Object} a - 线段起点 {x, y, z}
+   * @param {Object} b - 线段终点 {x, y, z}
+   * @returns {number} 距离（米）
+   */
+  static distanceToSegment(p, a, b) {
     // 向量计算
-    const ab = Cesium.Cartesian3.subtract(b, a, new Cesium.Cartesian3())
-    const ap = Cesium.Cartesian3.subtract(p, a, new Cesium.Cartesian3())
+    const ab = { x: b.x - a.x, y: b.y - a.y, z: b.z - a.z }
+    const ap = { x: p.x - a.x, y: p.y - a.y, z: p.z - a.z }
 
-    const abLength = Cesium.Cartesian3.magnitude(ab)
-    if (abLength === 0) {
-      return Cesium.Cartesian3.distance(p, a)
+    const abLengthSquared = ab.x * ab.x + ab.y * ab.y + ab.z * ab.z
+    if (abLengthSquared === 0) {
+      return Math.hypot(ap.x, ap.y, ap.z)
     }
 
-    // 计算投影长度
-    const projectionLength = Cesium.Cartesian3.dot(ap, ab) / abLength
+    // 投影比例限制在线段内
+    const t = Math.max(0, Math.min(1, (ap.x * ab.x + ap.y * ab.y + ap.z * ab.z) / abLengthSquared))
 
-    // 计算投影点
-    const projection = Cesium.Cartesian3.multiplyByScalar(
-      Cesium.Cartesian3.normalize(ab, new Cesium.Cartesian3()),
-      Math.max(0, Math.min(projectionLength, abLength)),
-      new Cesium.Cartesian3(),
-    )
+    return Math.hypot(ap.x - ab.x * t, ap.y - ab.y * t, ap.z - ab.z * t)
+  }
+
+  /**
+   * 转换为地心直角坐标（不依赖 Cesium，可在 Web Worker 中使用）
+   * @param {Cesium.Cartesian3|Object} point - Cartesian3 或经纬度坐标对象
+   * @returns {Object} 地心直角坐标 {x, y, z}（米）
+   */
+  static toCartesian(point) {
+    if (this.isCartesian3(point)) return point
+
+    const longitude = ((point.longitude || point.lng || point.lon || point.x || 0) * Math.PI) / 180
+    const latitude = ((point.latitude || point.lat || point.y || 0) * Math.PI) / 180
+    const height = point.height || point.alt || point.z || 0
 
-    const projectionPoint = Cesium.Cartesian3.add(a, projection, new Cesium.Cartesian3())
+    // WGS84 椭球
+    const a = 6378137.0
+    const e2 = 0.0066943799901413165
+    const sinLat = Math.sin(latitude)
+    const n = a / Math.sqrt(1 - e2 * sinLat * sinLat)
 
-    return Cesium.Cartesian3.distance(p, projectionPoint)
+    return {
+      x: (n + height) * Math.cos(latitude) * Math.cos(longitude),
+      y: (n + height) * Math.cos(latitude) * Math.sin(longitude),
+      z: (n * (1 - e2) + height) * sinLat,
+    }
+  }
+
+  /**
+   * 判断是否为 Cesium.Cartesian3（Web Worker 中没有 Cesium，始终为 false）
+   * @param {*} point - 点
+   * @returns {boolean}
+   */
+  static isCartesian3(point) {
+    return typeof Cesium !== 'undefined' && point instanceof Cesium.Cartesian3
   }
 
   /**
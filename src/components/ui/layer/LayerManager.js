@@ -10,6 +10,43 @@ export const LAYER_DATA_TYPE = {
   EVENTS: 'events',
   TARGET_STATUS: 'targetStatuses',
   FUSION_LINES: 'fusionLines',
+  GEOFENCES: 'geofences',
+}
+
+// 派生事件：inputs 中的数据类型变化后重新生成，写入事件数据集
+// options.targetIds 存在时只重新生成涉及这些目标的派生事件
+const DERIVED_EVENT_PUBLISHERS = [
+  // 轨迹分析的停留、徘徊、会遇事件
+  {
+    inputs: [LAYER_DATA_TYPE.TRAJECTORIES],
+    publish: (dataManager, options) => dataManager.publishTrajectoryEvents(options),
+  },
+  // 地理围栏进入、离开、停留事件
+  {
+    inputs: [LAYER_DATA_TYPE.TRAJECTORIES, LAYER_DATA_TYPE.GEOFENCES],
+    publish: (dataManager, options) => dataManager.publishGeofenceEvents(options),
+  },
+  // 碰撞风险（CPA/TCPA）预警事件
+  {
+    inputs: [LAYER_DATA_TYPE.TRAJECTORIES],
+    publish: (dataManager, options) => dataManager.publishCpaWarnings(options),
+  },
+]
+
+/**
+ * 轨迹内容签名，用于判断轨迹是否实际变化（内容未变的轨迹不重新生成派生事件）
+ * @param {Array} trajectory - 轨迹点数组
+ * @returns {string} 签名
+ */
+const getTrajectorySignature = (trajectory) => {
+  const text = JSON.stringify(trajectory || [])
+  // FNV-1a 32 位哈希
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return `${text.length}:${hash >>> 0}`
 }
 
 /**
@@ -46,6 +83,7 @@ export class Layer {
       events: [],
       targetStatuses: [],
       fusionLines: [],
+      geofences: [],
     })
 
     // 显示控制
@@ -59,11 +97,34 @@ export class Layer {
       showVirtualNodes: true,
       showVirtualRelations: true,
       showFusionLines: true,
+      showGeofences: true,
+      showCpaLines: true,
+      showPredictions: true,
+    })
+
+    // 轨迹预测选项（运动模型、预测时长等，见数据管理器的 DEFAULT_PREDICTION_OPTIONS）
+    this.predictionOptions = reactive({
+      model: 'greatCircle',
+      horizon: 30,
     })
 
+    // 视口加载：true 或时间范围 {startTime, endTime} 时，可视化组件按相机可视范围从服务端补充数据
+    this.viewportQuery = options.viewportQuery || false
+
     // 每个图层都有自己的数据管理器
     this.dataManager = new DataManagerFactory()
 
+    // 已生成派生事件的轨迹签名 targetId -> signature
+    this._trajectorySignatures = new Map()
+
+    // 变更日志：记录对数据管理器的编辑，撤销/重做后刷新受影响的数据集
+    this.journal = this.dataManager.enableJournal()
+    this._offJournal = this.journal.on('change', ({ action, entry }) => {
+      if (action === 'undo' || action === 'redo') {
+        this.refreshDatasets(entry.ops)
+      }
+    })
+
     // 创建时间
     this.createdAt = new Date()
     this.updatedAt = new Date()
@@ -90,10 +151,32 @@ export class Layer {
 
     // 同步更新到对应的数据管理器
     this.syncToDataManager(dataType, newData)
+    this.refreshDerivedData([dataType])
 
     return true
   }
 
+  /**
+   * 异步加载轨迹数据（大文件使用）：排序、航程与边界在 Web Worker 中计算，加载期间地图保持可交互
+   * @param {Object|Array} trajectories - 轨迹数据，格式同 updateData('trajectories', ...)
+   * @param {Object} options - 选项 {signal, onProgress}，见 TrajectoryManager.loadTrajectoriesAsync
+   * @returns {Promise<number>} 写入的轨迹数，取消时以 AbortError 拒绝且不修改图层数据
+   */
+  async loadTrajectoriesAsync(trajectories, options = {}) {
+    const trajectoryManager = this.dataManager.trajectoryManager
+    const prepared = await trajectoryManager.prepareTrajectoriesAsync(trajectories, options)
+
+    this.data.trajectories = trajectories
+    this.updatedAt = new Date()
+
+    const count = this.dataManager.untracked(() =>
+      trajectoryManager.loadPreparedTrajectories(prepared),
+    )
+    this.refreshDerivedData([LAYER_DATA_TYPE.TRAJECTORIES])
+
+    return count
+  }
+
   /**
    * 批量更新数据
    * @param {Object} dataObject - 包含要更新的数据的对象，key必须与data对象的key匹配
@@ -105,6 +188,7 @@ export class Layer {
     }
 
     let hasUpdated = false
+    const updatedTypes = []
 
     console.group(`📊 更新图层 [${this.name}] 数据`)
     // 遍历传入的数据对象
@@ -114,6 +198,7 @@ export class Layer {
         this.data[key] = dataObject[key]
         // 同步到数据管理器
         this.syncToDataManager(key, dataObject[key])
+        updatedTypes.push(key)
         hasUpdated = true
         // 根据数据类型显示不同的统计信息
         if (key === 'trajectories') {
@@ -129,6 +214,7 @@ export class Layer {
     console.groupEnd()
 
     if (hasUpdated) {
+      this.refreshDerivedData(updatedTypes)
       this.updatedAt = new Date()
     }
 
@@ -147,14 +233,20 @@ export class Layer {
       events: '事件数据',
       targetStatuses: '目标状态数据',
       fusionLines: '融合线数据',
+      geofences: '地理围栏数据',
     }
     return displayNames[dataType] || dataType
   }
 
   /**
-   * 同步数据到数据管理器
+   * 同步数据到数据管理器（外部加载的数据，不记录到变更日志）
    */
   syncToDataManager(dataType, data) {
+    this.dataManager.untracked(() => this._syncToDataManager(dataType, data))
+  }
+
+  // 按数据类型写入对应的数据管理器
+  _syncToDataManager(dataType, data) {
     switch (dataType) {
       case LAYER_DATA_TYPE.TARGETS:
         this.dataManager.targetBaseManager.updateData(data)
@@ -179,11 +271,224 @@ export class Layer {
       case LAYER_DATA_TYPE.FUSION_LINES:
         this.dataManager.fusionLineManager.updateData(data)
         break
+      case LAYER_DATA_TYPE.GEOFENCES:
+        this.dataManager.geofenceManager.updateData(data)
+        break
       default:
         console.warn(`⚠️ 图层 [${this.name}] 未知的数据类型: ${dataType}`)
     }
   }
 
+  /**
+   * 应用实时推送的增量数据（不重新加载整个图层）
+   * @param {Object|Array} deltas - 增量消息或增量消息数组 {dataset, op, data}
+   * @returns {number} 成功应用的数量
+   */
+  applyDeltas(deltas) {
+    const list = Array.isArray(deltas) ? deltas : [deltas]
+    const changedIds = new Map() // dataType -> Set(id)
+    let applied = 0
+
+    list.forEach((delta) => {
+      if (!delta || !this.data.hasOwnProperty(delta.dataset)) return
+      if (this.dataManager.applyDelta(delta)) {
+        const id =
+          delta.dataset === LAYER_DATA_TYPE.TRAJECTORIES
+            ? (delta.data.target_id ?? delta.data.id)
+            : (delta.data.id ?? delta.data.target_id)
+        if (!changedIds.has(delta.dataset)) changedIds.set(delta.dataset, new Set())
+        changedIds.get(delta.dataset).add(id)
+        applied++
+      }
+    })
+
+    // 可视化组件已按数据管理器的变更事件局部更新，数据集只原地更新，不替换引用
+    changedIds.forEach((ids, dataType) => this.patchDataset(dataType, [...ids]))
+
+    if (applied > 0) {
+      // 实时推送的轨迹增量只重新生成涉及变化目标的派生事件
+      const trajectoryTargetIds = changedIds.get(LAYER_DATA_TYPE.TRAJECTORIES)
+      this.refreshDerivedData([...changedIds.keys()], [...(trajectoryTargetIds || [])])
+      this.updatedAt = new Date()
+    }
+
+    return applied
+  }
+
+  /**
+   * 撤销/重做后从数据管理器原地更新受影响的数据集
+   * @param {Array} changes - 变更 [{dataset, id}]，见 ChangeJournal
+   */
+  refreshDatasets(changes) {
+    const changedIds = new Map() // dataType -> Set(id)
+    changes.forEach(({ dataset, id }) => {
+      if (!this.data.hasOwnProperty(dataset)) return
+      if (!changedIds.has(dataset)) changedIds.set(dataset, new Set())
+      changedIds.get(dataset).add(id)
+    })
+
+    changedIds.forEach((ids, dataType) => this.patchDataset(dataType, [...ids]))
+    this.refreshDerivedData([...changedIds.keys()])
+    this.updatedAt = new Date()
+  }
+
+  /**
+   * 按数据管理器中的最新数据原地更新数据集，不替换数据集引用
+   * 数据集引用不变时可视化组件不会整体重建，只按数据管理器的变更事件局部更新
+   * @param {string} dataType - 数据类型
+   * @param {Array} ids - 发生变化的数据ID（轨迹为目标ID），不传时同步整个数据集
+   */
+  patchDataset(dataType, ids = null) {
+    const dataset = this.data[dataType]
+    const manager = this.dataManager.getManagerByDataset(dataType)
+    const isTrajectories = dataType === LAYER_DATA_TYPE.TRAJECTORIES
+
+    // 数据集格式与快照不一致时（如轨迹以数组形式加载），只能整体替换
+    if (!dataset || Array.isArray(dataset) === isTrajectories) {
+      this.data[dataType] = this.getDatasetSnapshot(dataType)
+      return
+    }
+
+    if (isTrajectories) {
+      const targetIds = ids || [
+        ...new Set([...Object.keys(dataset), ...manager.getAll().map((item) => item.target_id)]),
+      ]
+      targetIds.forEach((targetId) => {
+        const item = manager.findByTargetId(targetId)
+        if (item) {
+          dataset[targetId] = item.trajectory
+        } else {
+          delete dataset[targetId]
+        }
+      })
+      return
+    }
+
+    if (!ids) {
+      const items = manager.getAll()
+      items.forEach((item, index) => {
+        dataset[index] = item
+      })
+      dataset.length = items.length
+      return
+    }
+
+    ids.forEach((id) => {
+      const index = dataset.findIndex((item) => String(item[manager.idField]) === String(id))
+      const item = manager.findById(id)
+      if (item && index === -1) {
+        dataset.push(item)
+      } else if (item) {
+        dataset[index] = item
+      } else if (index !== -1) {
+        dataset.splice(index, 1)
+      }
+    })
+  }
+
+  /**
+   * 刷新派生数据：轨迹或地理围栏变化后重新生成轨迹分析事件、围栏事件与碰撞风险预警
+   * 只由轨迹变化触发时，只重新生成内容实际变化（新增、修改、删除）的轨迹所涉及的派生事件
+   * @param {string[]} dataTypes - 发生变化的数据类型数组
+   * @param {string[]} targetIds - 轨迹可能发生变化的目标ID，不传时检查全部轨迹；
+   *   除轨迹外还有其他输入数据变化时，重新生成全部派生事件
+   */
+  refreshDerivedData(dataTypes, targetIds = null) {
+    const publishers = DERIVED_EVENT_PUBLISHERS.filter(({ inputs }) =>
+      inputs.some((dataType) => dataTypes.includes(dataType)),
+    )
+    if (publishers.length === 0) return
+
+    const changedTargetIds = dataTypes.includes(LAYER_DATA_TYPE.TRAJECTORIES)
+      ? this._updateTrajectorySignatures(targetIds)
+      : []
+
+    let published = false
+    publishers.forEach(({ inputs, publish }) => {
+      const scoped = !inputs.some(
+        (dataType) => dataType !== LAYER_DATA_TYPE.TRAJECTORIES && dataTypes.includes(dataType),
+      )
+      if (scoped && changedTargetIds.length === 0) return
+
+      publish(this.dataManager, scoped ? { targetIds: changedTargetIds } : {})
+      published = true
+    })
+
+    if (published) {
+      this.patchDataset(LAYER_DATA_TYPE.EVENTS)
+    }
+  }
+
+  /**
+   * 更新轨迹签名，找出内容实际变化的轨迹
+   * @param {string[]} targetIds - 需要检查的目标ID，不传时检查全部轨迹（含已删除的轨迹）
+   * @returns {string[]} 内容发生变化的目标ID
+   * @private
+   */
+  _updateTrajectorySignatures(targetIds = null) {
+    const trajectories = this.getDatasetSnapshot(LAYER_DATA_TYPE.TRAJECTORIES)
+    const ids = new Set(
+      targetIds || [...this._trajectorySignatures.keys(), ...Object.keys(trajectories)],
+    )
+
+    return [...ids].filter((targetId) => {
+      const signature = trajectories[targetId]
+        ? getTrajectorySignature(trajectories[targetId])
+        : null
+      if (signature === (this._trajectorySignatures.get(targetId) ?? null)) return false
+
+      if (signature === null) {
+        this._trajectorySignatures.delete(targetId)
+      } else {
+        this._trajectorySignatures.set(targetId, signature)
+      }
+      return true
+    })
+  }
+
+  /**
+   * 按地理围栏重新判定全部轨迹，替换事件数据集中的围栏事件
+   * @returns {Object} 判定结果 {visits, violations, events}
+   */
+  updateGeofenceEvents() {
+    const result = this.dataManager.publishGeofenceEvents()
+    this.patchDataset(LAYER_DATA_TYPE.EVENTS)
+    return result
+  }
+
+  /**
+   * 撤销最近一次编辑
+   * @returns {Object|null} 被撤销的变更记录
+   */
+  undo() {
+    return this.journal ? this.journal.undo() : null
+  }
+
+  /**
+   * 重做最近一次撤销的编辑
+   * @returns {Object|null} 被重做的变更记录
+   */
+  redo() {
+    return this.journal ? this.journal.redo() : null
+  }
+
+  /**
+   * 从数据管理器生成数据集快照
+   * @param {string} dataType - 数据类型
+   * @returns {Array|Object} 数据集
+   */
+  getDatasetSnapshot(dataType) {
+    const manager = this.dataManager.getManagerByDataset(dataType)
+    if (dataType === LAYER_DATA_TYPE.TRAJECTORIES) {
+      const trajectories = {}
+      manager.getAll().forEach((item) => {
+        trajectories[item.target_id] = item.trajectory
+      })
+      return trajectories
+    }
+    return manager.getAll()
+  }
+
   /**
    * 从轨迹数据更新时间轴
    * @deprecated 从全局数据管理器获取时间范围
@@ -255,6 +560,15 @@ export class Layer {
     return false
   }
 
+  /**
+   * 设置轨迹预测选项
+   * @param {Object} options - 预测选项，如 {model: 'constantTurnRate', horizon: 60}
+   */
+  setPredictionOptions(options) {
+    Object.assign(this.predictionOptions, options)
+    this.updatedAt = new Date()
+  }
+
   /**
    * 设置图层可见性
    */
@@ -331,6 +645,7 @@ export class Layer {
         trajectories: Object.keys(this.data.trajectories).length,
         events: this.data.events.length,
         fusionLines: this.data.fusionLines.length,
+        geofences: this.data.geofences.length,
       },
     }
   }
@@ -348,7 +663,9 @@ export class Layer {
       }
     })
 
-    // 清空数据管理器
+    // 清空变更日志与数据管理器
+    this._offJournal?.()
+    this.journal = null
     this.dataManager = null
   }
 }
@@ -377,6 +694,7 @@ export class LayerManager {
         trajectories: {}
       },
       fusionLineData: [],
+      geofenceData: [],
       timeRange: {
         startTime: null,
         endTime: null
@@ -472,6 +790,24 @@ export class LayerManager {
     return
   }
 
+  /**
+   * 异步加载图层轨迹数据，完成后重新计算全局时间轴
+   * @param {string} layerId 图层ID
+   * @param {Object|Array} trajectories 轨迹数据
+   * @param {Object} options 选项 {signal, onProgress}
+   * @returns {Promise<number>} 写入的轨迹数
+   */
+  async loadLayerTrajectoriesAsync(layerId, trajectories, options = {}) {
+    const layer = this.layers.get(layerId)
+    if (!layer) {
+      console.warn(`⚠️ 图层不存在: ID ${layerId}`)
+      return 0
+    }
+    const count = await layer.loadTrajectoriesAsync(trajectories, options)
+    this.updateGlobalTimeline()
+    return count
+  }
+
   /**
    * 批量更新图层数据
    * @param {string} layerId 图层ID
@@ -487,6 +823,57 @@ export class LayerManager {
     return layer.updateAllData(dataUpdates)
   }
 
+  /**
+   * 撤销图层的最近一次编辑
+   * @param {string} layerId 图层ID，默认为活动图层
+   * @returns {Object|null} 被撤销的变更记录
+   */
+  undo(layerId = this.activeLayerId.value) {
+    return this.layers.get(layerId)?.undo() ?? null
+  }
+
+  /**
+   * 重做图层最近一次撤销的编辑
+   * @param {string} layerId 图层ID，默认为活动图层
+   * @returns {Object|null} 被重做的变更记录
+   */
+  redo(layerId = this.activeLayerId.value) {
+    return this.layers.get(layerId)?.redo() ?? null
+  }
+
+  /**
+   * 将实时增量数据分发到图层
+   * 未指定图层时，只分发到已加载该数据集的图层
+   * @param {Object|Array} deltas - 增量消息或增量消息数组
+   * @param {string[]} layerIds - 目标图层ID数组（可选）
+   * @returns {number} 成功应用的数量
+   */
+  applyDeltas(deltas, layerIds = null) {
+    const list = Array.isArray(deltas) ? deltas : [deltas]
+    const layers = layerIds
+      ? layerIds.map((layerId) => this.layers.get(layerId)).filter(Boolean)
+      : this.getAllLayers()
+
+    let applied = 0
+
+    // 不在此处调用 updateGlobalTimeline，避免实时数据到达时重置当前时间
+    layers.forEach((layer) => {
+      const accepted = layerIds
+        ? list
+        : list.filter((delta) => {
+            const dataset = layer.data[delta.dataset]
+            return Array.isArray(dataset)
+              ? dataset.length > 0
+              : Object.keys(dataset || {}).length > 0
+          })
+      if (accepted.length > 0) {
+        applied += layer.applyDeltas(accepted)
+      }
+    })
+
+    return applied
+  }
+
   /**
    * 获取所有图层
    */
@@ -0,0 +1,110 @@
+import { Layer, LAYER_DATA_TYPE } from './LayerManager.js'
+
+/**
+ * 断言，失败时抛出错误
+ * @param {boolean} condition - 条件
+ * @param {string} message - 失败信息
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`断言失败: ${message}`)
+  }
+}
+
+// 以 2025-01-01T00:00:00Z 为起点，按分钟偏移生成轨迹点
+const BASE_TIME = Date.parse('2025-01-01T00:00:00Z')
+const point = (minute, longitude, speed) => ({
+  timestamp: new Date(BASE_TIME + minute * 60000).toISOString(),
+  longitude,
+  latitude: 30,
+  speed,
+  heading: 90,
+})
+
+/**
+ * 测试图层派生事件：轨迹分析检测到的停留写入图层事件数据集
+ */
+function testDerivedEvents() {
+  console.log('开始测试图层派生事件...')
+
+  const layer = new Layer({ name: '派生事件测试' })
+
+  // 加载轨迹：ship_stop 在原地停留 60 分钟，ship_move 持续航行
+  console.log('\n=== 测试加载轨迹后生成停留事件 ===')
+  layer.updateData(LAYER_DATA_TYPE.TRAJECTORIES, {
+    ship_stop: [0, 20, 40, 60].map((minute) => point(minute, 120, 0)),
+    ship_move: [0, 20, 40, 60].map((minute) => point(minute, 121 + minute * 0.01, 12)),
+  })
+
+  const stops = layer.data.events.filter((event) => event.analysis === 'stop')
+  console.log('停留事件:', stops)
+  assert(stops.length === 1, '应检测到 1 个停留事件')
+  assert(stops[0].source_id === 'ship_stop', '停留事件应属于 ship_stop')
+  assert(stops[0].duration === 60, '停留时长应为 60 分钟')
+
+  // 实时增量：ship_move 减速并停留，追加的轨迹点产生新的停留事件
+  console.log('\n=== 测试增量轨迹点生成停留事件 ===')
+  const eventsBeforeDelta = layer.data.events
+  const trajectoriesBeforeDelta = layer.data.trajectories
+  layer.applyDeltas({
+    dataset: LAYER_DATA_TYPE.TRAJECTORIES,
+    op: 'append',
+    data: {
+      target_id: 'ship_move',
+      points: [80, 100, 120].map((minute) => point(minute, 121.6, 0)),
+    },
+  })
+
+  assert(
+    layer.data.events === eventsBeforeDelta,
+    '增量更新应原地修改事件数据集，不替换引用（避免可视化组件整体重建）',
+  )
+  assert(layer.data.trajectories === trajectoriesBeforeDelta, '增量更新不应替换轨迹数据集引用')
+  assert(layer.data.trajectories.ship_move.length === 7, '轨迹数据集应包含追加的轨迹点')
+  const moveStops = layer.data.events.filter(
+    (event) => event.analysis === 'stop' && event.source_id === 'ship_move',
+  )
+  console.log('增量后的停留事件:', moveStops)
+  assert(moveStops.length === 1, '增量后应检测到 ship_move 的停留事件')
+  assert(
+    layer.data.events.some((event) => event.source_id === 'ship_stop'),
+    '其他目标的停留事件应保留',
+  )
+
+  // 重新加载内容未变化的轨迹时，不重新生成派生事件
+  console.log('\n=== 测试轨迹未变化时不重新生成派生事件 ===')
+  let published = 0
+  const publishTrajectoryEvents = layer.dataManager.publishTrajectoryEvents
+  layer.dataManager.publishTrajectoryEvents = (options) => {
+    published++
+    return publishTrajectoryEvents.call(layer.dataManager, options)
+  }
+  layer.updateData(LAYER_DATA_TYPE.TRAJECTORIES, { ...layer.getDatasetSnapshot('trajectories') })
+  assert(published === 0, '轨迹未变化时不应重新生成派生事件')
+  layer.dataManager.publishTrajectoryEvents = publishTrajectoryEvents
+
+  // 移除轨迹后，该目标的派生事件同时移除
+  console.log('\n=== 测试移除轨迹后移除派生事件 ===')
+  layer.applyDeltas({
+    dataset: LAYER_DATA_TYPE.TRAJECTORIES,
+    op: 'remove',
+    data: { target_id: 'ship_stop' },
+  })
+  assert(
+    !layer.data.events.some((event) => event.source_id === 'ship_stop'),
+    '移除轨迹后不应保留 ship_stop 的派生事件',
+  )
+
+  console.log('\n测试完成！')
+}
+
+// 如果直接运行此文件，执行测试
+if (typeof window === 'undefined') {
+  // Node.js 环境
+  testDerivedEvents()
+} else {
+  // 浏览器环境，导出测试函数
+  window.testDerivedEvents = testDerivedEvents
+}
+
+export { testDerivedEvents }
@@ -21,6 +21,15 @@ export function getDistanceConfigs() {
   }
 }
 
+// 细节层次（LOD）配置：相机与目标/连线的距离（米）依次超过各阈值后进入下一级
+// 0 完整显示；1 隐藏标牌与虚拟节点；2 目标收缩为点；3 目标为点，曲线进一步简化
+export const lodConfig = {
+  distances: [300000, 1000000, 4000000],
+  curveSegments: [200, 64, 24, 12], // 各级曲线连线的采样点数
+  pointPixelSize: 8, // 收缩为点时的像素大小
+  updateInterval: 200, // 相机移动时重新计算的最小间隔（毫秒）
+}
+
 // 默认标牌配置
 export const defaultLabelConfig = {
   font: '10pt sans-serif',
@@ -413,6 +422,51 @@ export const fusionLineStyles = {
   },
 }
 
+// 关系网络路径高亮样式（最短路径等图分析结果）
+// 曲线配置沿用各关系自身的样式，使高亮线与关系线重合
+export const pathHighlightStyle = {
+  width: 6,
+  material: MATERIAL_TYPES.PolylineGlow,
+  materialProps: {
+    color: '#FFD700',
+    glowPower: 0.3,
+  },
+}
+
+// 地理围栏样式，围栏的 color 字段优先于默认颜色
+// highlight 为有目标在围栏内（违规）时叠加的高亮，只在违规时间段内显示
+export const geofenceStyle = {
+  color: '#00BFFF',
+  fillAlpha: 0.15,
+  outlineWidth: 2,
+  highlight: {
+    color: '#FF4500',
+    fillAlpha: 0.4,
+  },
+}
+
+// 碰撞风险（CPA）连线样式，按当前风险等级取色
+export const cpaLineStyle = {
+  width: 3,
+  dashLength: 16,
+  colors: {
+    high: '#FF0000',
+    medium: '#FF8C00',
+    low: '#FFD700',
+  },
+}
+
+// 轨迹预测样式：半透明目标、虚线预测航线与不确定性锥形区域，与真实轨迹区分
+export const predictionStyle = {
+  color: '#00FFFF',
+  iconAlpha: 0.5,
+  width: 2,
+  dashLength: 12,
+  coneAlpha: 0.12,
+  uncertaintyAlpha: 0.25,
+  labelSuffix: '（预测）',
+}
+
 // 事件状态样式配置
 export const eventStatusStyles = {
   预警中: {
@@ -1,13 +1,42 @@
+import EventEmitter from './EventEmitter.js'
+import { validateDatasetItem } from './schemas/index.js'
+
+// 数据变更事件
+export const CHANGE_EVENTS = ['added', 'updated', 'removed', 'change']
+
 /**
  * 通用数据管理器基类
  * 提供数据管理的通用功能，包括增删改查、索引管理、数据导入导出等
+ *
+ * 变更事件（通过 on 订阅，回调参数中 ids 为数据项ID数组）：
+ *   added   - 新增 {ids}
+ *   updated - 更新 {ids}
+ *   removed - 删除 {ids}
+ *   change  - 一次变更的汇总 {added, updated, removed}
+ * 批量操作（addItems、deleteBatch、setInitialData、clear 及 batch 内的操作）结束后合并派发一次
  */
-class BaseManager {
+class BaseManager extends EventEmitter {
   constructor() {
+    super()
     this.data = new Map() // 使用Map进行快速查找
     this.indexes = new Map() // 存储所有索引
-    this.requiredFields = ['id'] // 子类可以重写此字段
+    this.requiredFields = ['id'] // 子类可以重写此字段，设置 schemaDataset 后以 Schema 的 required 为准
     this.idField = 'id' // 子类可以重写此字段
+    this.schemaDataset = null // 校验使用的数据集 Schema（见 schemas），为空时只检查 requiredFields
+    this.journal = null // 变更日志（ChangeJournal），为空时不记录变更
+    this.journalDataset = null // 在变更日志中的数据集名称
+    this._batchDepth = 0
+    this._pendingChanges = new Map() // id -> add | update | delete，批量操作中待派发的变更
+  }
+
+  /**
+   * 设置变更日志，一般通过 ChangeJournal.attach 调用
+   * @param {ChangeJournal|null} journal - 变更日志，传 null 停止记录
+   * @param {string} dataset - 数据集名称
+   */
+  setJournal(journal, dataset = null) {
+    this.journal = journal
+    this.journalDataset = journal ? dataset : null
   }
 
   /**
@@ -15,10 +44,12 @@ class BaseManager {
    * @param {Array} initialData - 初始数据数组
    */
   setInitialData(initialData) {
-    this.clear()
-    if (Array.isArray(initialData)) {
-      initialData.forEach((item) => this.addItem(item))
-    }
+    this.batch('setInitialData', () => {
+      this.clear()
+      if (Array.isArray(initialData)) {
+        initialData.forEach((item) => this.addItem(item))
+      }
+    })
   }
 
   /**
@@ -29,12 +60,10 @@ class BaseManager {
   validateItem(item) {
     if (!item) return false
 
-    // 检查必需字段
-    for (const field of this.requiredFields) {
-      if (!item[field]) {
-        console.error(`数据项缺少必要字段 ${field}:`, item)
-        return false
-      }
+    const schemaErrors = this.getSchemaErrors(item)
+    if (schemaErrors.length > 0) {
+      schemaErrors.forEach((error) => console.error(`${error.message}:`, item))
+      return false
     }
 
     // 子类可以重写此方法添加额外验证
@@ -42,12 +71,66 @@ class BaseManager {
   }
 
   /**
-   * 自定义验证逻辑（子类重写）
+   * 获取数据项的全部校验错误（与 validateItem 规则一致，但不在首个错误处中断）
+   * @param {Object} item - 数据项
+   * @returns {Array} 错误数组 [{field, path, message}]，为空表示有效
+   */
+  getValidationErrors(item) {
+    if (!item || typeof item !== 'object') {
+      return [{ field: null, path: '', message: '数据项必须是对象' }]
+    }
+
+    const errors = this.getSchemaErrors(item)
+
+    // 已报告 Schema 错误的字段不再重复报告自定义校验错误
+    const invalidFields = new Set(errors.map((error) => error.field))
+    const customErrors = this.getCustomValidationErrors(item)
+      .filter((error) => !invalidFields.has(error.field))
+      .map((error) => ({ path: error.field ? `/${error.field}` : '', ...error }))
+
+    return errors.concat(customErrors)
+  }
+
+  /**
+   * 获取 Schema 校验错误（字段类型、格式、取值范围、必填字段）
+   * 未设置 schemaDataset 时只检查 requiredFields
+   * @param {Object} item - 数据项
+   * @returns {Array} 错误数组 [{field, path, keyword, message}]
+   */
+  getSchemaErrors(item) {
+    if (this.schemaDataset) {
+      return validateDatasetItem(this.schemaDataset, item)
+    }
+
+    return this.requiredFields
+      .filter((field) => !item[field])
+      .map((field) => ({
+        field,
+        path: `/${field}`,
+        keyword: 'required',
+        message: `缺少必要字段 ${field}`,
+      }))
+  }
+
+  /**
+   * 自定义验证逻辑
+   * 默认根据 getCustomValidationErrors 的结果判断，子类一般只需重写后者
    * @param {Object} item - 数据项
    * @returns {boolean} 是否有效
    */
   customValidation(item) {
-    return true
+    const errors = this.getCustomValidationErrors(item)
+    errors.forEach((error) => console.error(`${error.message}:`, item))
+    return errors.length === 0
+  }
+
+  /**
+   * 获取自定义校验错误（子类重写）
+   * @param {Object} item - 数据项
+   * @returns {Array} 错误数组 [{field, message}]
+   */
+  getCustomValidationErrors(item) {
+    return []
   }
 
   /**
@@ -60,11 +143,19 @@ class BaseManager {
       return false
     }
 
+    const id = item[this.idField]
+    const existing = this.data.get(id)
+    // 覆盖已有数据项时先移除旧索引
+    if (existing) {
+      this.removeFromIndexes(existing)
+    }
+
     const clonedItem = { ...item }
-    this.data.set(item[this.idField], clonedItem)
+    this.data.set(id, clonedItem)
 
     // 更新所有索引
     this.updateIndexes(clonedItem)
+    this._recordChange(existing ? 'update' : 'add', id, existing || null, clonedItem)
 
     return true
   }
@@ -86,6 +177,18 @@ class BaseManager {
       errors: [],
     }
 
+    this.batch('addItems', () => this._addItems(items, result))
+
+    return result
+  }
+
+  /**
+   * 逐条添加数据项并统计结果
+   * @param {Array} items - 数据项数组
+   * @param {Object} result - 操作结果统计
+   * @private
+   */
+  _addItems(items, result) {
     items.forEach((item, index) => {
       try {
         if (!this.validateItem(item)) {
@@ -113,8 +216,6 @@ class BaseManager {
         result.errors.push({ index, error: error.message, item })
       }
     })
-
-    return result
   }
   /**
    * 更新数据（自动去重）
@@ -204,6 +305,7 @@ class BaseManager {
 
     this.data.delete(id)
     this.removeFromIndexes(item)
+    this._recordChange('delete', id, item, null)
     return true
   }
 
@@ -215,12 +317,14 @@ class BaseManager {
   deleteBatch(ids) {
     const result = { deleted: 0, notFound: 0 }
 
-    ids.forEach((id) => {
-      if (this.deleteById(id)) {
-        result.deleted++
-      } else {
-        result.notFound++
-      }
+    this.batch('deleteBatch', () => {
+      ids.forEach((id) => {
+        if (this.deleteById(id)) {
+          result.deleted++
+        } else {
+          result.notFound++
+        }
+      })
     })
 
     return result
@@ -256,9 +360,17 @@ class BaseManager {
    * 清空所有数据
    */
   clear() {
-    this.data.clear()
-    this.indexes.clear()
-    this.initializeIndexes()
+    this.batch('clear', () => {
+      // 记录变更日志或有变更监听时，清空视为逐条删除（可以撤销，并派发 removed 事件）
+      const removed =
+        this.journal || this.hasListeners(...CHANGE_EVENTS) ? Array.from(this.data) : []
+
+      this.data.clear()
+      this.indexes.clear()
+      this.initializeIndexes()
+
+      removed.forEach(([id, item]) => this._recordChange('delete', id, item, null))
+    })
   }
 
   /**
@@ -325,6 +437,71 @@ class BaseManager {
     }
   }
 
+  /**
+   * 批量执行变更：变更日志中合并为一条记录，变更事件在最外层结束后合并派发
+   * @param {string} label - 变更日志记录名称
+   * @param {Function} fn - 操作函数
+   * @returns {*} fn 的返回值
+   */
+  batch(label, fn) {
+    this._batchDepth++
+    try {
+      return this.journal ? this.journal.group(label, fn) : fn()
+    } finally {
+      this._batchDepth--
+      if (this._batchDepth === 0) {
+        this._flushChanges()
+      }
+    }
+  }
+
+  /**
+   * 记录变更：写入变更日志并派发变更事件（批量操作中暂存）
+   * @param {string} op - 操作 add | update | delete
+   * @param {string} id - 数据项ID
+   * @param {Object|null} before - 变更前的数据项
+   * @param {Object|null} after - 变更后的数据项
+   * @protected
+   */
+  _recordChange(op, id, before, after) {
+    if (this.journal) {
+      this.journal.record({ dataset: this.journalDataset, op, id, before, after })
+    }
+    if (!this.hasListeners(...CHANGE_EVENTS)) return
+
+    // 同一批次内对同一数据项的多次变更合并为最终效果
+    const pending = this._pendingChanges.get(id)
+    if (pending === 'add' && op === 'delete') {
+      this._pendingChanges.delete(id)
+    } else if (pending === 'delete' && op === 'add') {
+      this._pendingChanges.set(id, 'update')
+    } else if (pending !== 'add') {
+      this._pendingChanges.set(id, op)
+    }
+
+    if (this._batchDepth === 0) {
+      this._flushChanges()
+    }
+  }
+
+  /**
+   * 派发暂存的变更事件
+   * @private
+   */
+  _flushChanges() {
+    if (this._pendingChanges.size === 0) return
+
+    const changes = { added: [], updated: [], removed: [] }
+    const lists = { add: changes.added, update: changes.updated, delete: changes.removed }
+    this._pendingChanges.forEach((op, id) => lists[op].push(id))
+    this._pendingChanges.clear()
+
+    if (changes.added.length > 0) this.fire('added', { ids: changes.added })
+    if (changes.updated.length > 0) this.fire('updated', { ids: changes.updated })
+    if (changes.removed.length > 0) this.fire('removed', { ids: changes.removed })
+    this.fire('change', changes)
+  }
+
   /**
    * 导出为JSON字符串
    * @returns {string} JSON字符串
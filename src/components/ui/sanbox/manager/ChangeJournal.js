@@ -0,0 +1,337 @@
+/**
+ * 变更日志
+ * 记录数据管理器的每次变更（新增、更新、删除）及变更前后的数据，支持撤销/重做
+ * 批量操作（addItems、deleteBatch 等）合并为一条记录，一次撤销即可整体还原
+ * 日志可序列化为 JSON，用于审计编辑过程或在其他数据管理器上回放
+ *
+ * 记录格式：
+ *   {id, label, timestamp, ops: [{dataset, op, id, before, after}]}
+ *   op: add | update | delete，before / after 为变更前后的数据项（新增时 before 为 null，删除时 after 为 null）
+ *
+ * 事件（通过 on 订阅）：
+ *   record - 新增记录 {entry}
+ *   undo   - 撤销 {entry}
+ *   redo   - 重做 {entry}
+ *   clear  - 清空日志
+ *   change - 以上任意变化 {action, entry, canUndo, canRedo}
+ */
+
+import EventEmitter from './EventEmitter.js'
+
+// 序列化格式版本
+export const JOURNAL_VERSION = 1
+
+class ChangeJournal extends EventEmitter {
+  /**
+   * @param {Object} options - 选项
+   * @param {number} options.limit - 最多保留的撤销记录数，默认 200
+   */
+  constructor(options = {}) {
+    super()
+    this.limit = options.limit ?? 200
+    this.managers = new Map() // dataset -> manager
+    this.undoStack = []
+    this.redoStack = []
+    this.sequence = 0
+    this._group = null
+    this._groupDepth = 0
+    this._applying = false
+  }
+
+  /**
+   * 关联数据管理器，其后的变更都会记录到本日志
+   * @param {string} dataset - 数据集名称（与 DataManagerFactory.getManagerByDataset 一致）
+   * @param {BaseManager} manager - 数据管理器
+   */
+  attach(dataset, manager) {
+    this.managers.set(dataset, manager)
+    manager.setJournal(this, dataset)
+  }
+
+  /**
+   * 取消关联数据管理器
+   * @param {string} dataset - 数据集名称
+   */
+  detach(dataset) {
+    const manager = this.managers.get(dataset)
+    if (manager) {
+      manager.setJournal(null)
+      this.managers.delete(dataset)
+    }
+  }
+
+  /**
+   * 记录一次变更（由 BaseManager 调用）
+   * 撤销、重做、回放过程中的变更不会重复记录
+   * @param {Object} change - 变更 {dataset, op, id, before, after}
+   */
+  record(change) {
+    if (this._applying) return
+
+    if (this._group) {
+      this._group.ops.push(change)
+      return
+    }
+    this._push(this._createEntry(change.op, [change]))
+  }
+
+  /**
+   * 开始记录分组，分组内的变更合并为一条记录，可嵌套（以最外层为准）
+   * @param {string} label - 记录名称
+   */
+  beginGroup(label) {
+    if (this._groupDepth === 0) {
+      this._group = this._createEntry(label, [])
+    }
+    this._groupDepth++
+  }
+
+  /**
+   * 结束记录分组，没有变更的分组不会产生记录
+   */
+  endGroup() {
+    if (this._groupDepth === 0) return
+    this._groupDepth--
+    if (this._groupDepth > 0) return
+
+    const entry = this._group
+    this._group = null
+    if (entry.ops.length > 0) {
+      this._push(entry)
+    }
+  }
+
+  /**
+   * 在分组中执行操作
+   * @param {string} label - 记录名称
+   * @param {Function} fn - 操作函数
+   * @returns {*} fn 的返回值
+   */
+  group(label, fn) {
+    this.beginGroup(label)
+    try {
+      return fn()
+    } finally {
+      this.endGroup()
+    }
+  }
+
+  /**
+   * 执行不记录到日志的变更（如实时推送的数据，不应被用户撤销）
+   * @param {Function} fn - 操作函数
+   * @returns {*} fn 的返回值
+   */
+  untracked(fn) {
+    return this._apply(fn)
+  }
+
+  /**
+   * 是否可以撤销
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0
+  }
+
+  /**
+   * 是否可以重做
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0
+  }
+
+  /**
+   * 撤销最近一条记录，按相反顺序还原其中的变更
+   * @returns {Object|null} 被撤销的记录
+   */
+  undo() {
+    const entry = this.undoStack.pop()
+    if (!entry) return null
+
+    this._writeOps(entry.label, [...entry.ops].reverse(), 'before')
+    this.redoStack.push(entry)
+    this._notify('undo', entry)
+    return entry
+  }
+
+  /**
+   * 重做最近一条被撤销的记录
+   * @returns {Object|null} 被重做的记录
+   */
+  redo() {
+    const entry = this.redoStack.pop()
+    if (!entry) return null
+
+    this._writeOps(entry.label, entry.ops, 'after')
+    this.undoStack.push(entry)
+    this._notify('redo', entry)
+    return entry
+  }
+
+  /**
+   * 清空日志
+   */
+  clear() {
+    this.undoStack = []
+    this.redoStack = []
+    this._notify('clear', null)
+  }
+
+  /**
+   * 获取记录列表（从旧到新）
+   * @returns {Array} 记录数组
+   */
+  getEntries() {
+    return [...this.undoStack]
+  }
+
+  /**
+   * 序列化为 JSON 对象
+   * @returns {Object} {version, entries, redo}
+   */
+  toJSON() {
+    return {
+      version: JOURNAL_VERSION,
+      entries: this.undoStack,
+      redo: this.redoStack,
+    }
+  }
+
+  /**
+   * 从序列化结果恢复撤销/重做记录（不修改数据，数据应与序列化时一致）
+   * @param {Object|string} serialized - toJSON 的结果或其 JSON 文本
+   */
+  load(serialized) {
+    const { entries, redo } = this._parse(serialized)
+    this.undoStack = entries
+    this.redoStack = redo
+    this.sequence = Math.max(0, ...[...entries, ...redo].map((entry) => entry.id))
+    this._notify('clear', null)
+  }
+
+  /**
+   * 在已关联的数据管理器上按顺序回放序列化的记录
+   * 回放的每条记录作为新记录写入本日志，可以逐条撤销
+   * @param {Object|string} serialized - toJSON 的结果或其 JSON 文本
+   * @returns {Object} {entries, ops, skipped}，skipped 为没有关联管理器的变更数
+   */
+  replay(serialized) {
+    const { entries } = this._parse(serialized)
+    const result = { entries: 0, ops: 0, skipped: 0 }
+
+    entries.forEach((source) => {
+      const ops = source.ops.filter((change) => this.managers.has(change.dataset))
+      result.skipped += source.ops.length - ops.length
+      if (ops.length === 0) return
+
+      this._writeOps(source.label, ops, 'after')
+      this._push(this._createEntry(source.label, ops))
+      result.entries++
+      result.ops += ops.length
+    })
+
+    return result
+  }
+
+  /**
+   * 创建记录
+   * @private
+   */
+  _createEntry(label, ops) {
+    return { id: ++this.sequence, label, timestamp: new Date().toISOString(), ops }
+  }
+
+  /**
+   * 写入撤销栈，新记录会清空重做栈
+   * @private
+   */
+  _push(entry) {
+    this.undoStack.push(entry)
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.splice(0, this.undoStack.length - this.limit)
+    }
+    this.redoStack = []
+    this._notify('record', entry)
+  }
+
+  /**
+   * 执行撤销/重做/回放，期间的变更不记录
+   * @private
+   */
+  _apply(fn) {
+    const applying = this._applying
+    this._applying = true
+    try {
+      return fn()
+    } finally {
+      this._applying = applying
+    }
+  }
+
+  /**
+   * 按顺序写入一组变更（不记录到日志）
+   * 涉及的数据管理器都处于批量操作中，与原操作一样每个数据集只派发一次合并后的变更事件
+   * @param {string} label - 记录名称
+   * @param {Array} ops - 变更数组
+   * @param {string} state - 写入的状态：before 或 after
+   * @private
+   */
+  _writeOps(label, ops, state) {
+    const managers = new Set(ops.map((change) => this.managers.get(change.dataset)))
+    managers.delete(undefined)
+
+    const write = () =>
+      ops.forEach((change) => this._write(change.dataset, change.id, change[state]))
+    const run = [...managers].reduce((next, manager) => () => manager.batch(label, next), write)
+    this._apply(run)
+  }
+
+  /**
+   * 将数据项写为指定状态：item 为 null 时删除，否则替换
+   * @private
+   */
+  _write(dataset, id, item) {
+    const manager = this.managers.get(dataset)
+    if (!manager) {
+      console.warn('变更日志中未关联的数据集:', dataset)
+      return
+    }
+    if (item) {
+      manager.addItem(item)
+    } else {
+      manager.deleteById(id)
+    }
+  }
+
+  /**
+   * 解析序列化结果
+   * @private
+   */
+  _parse(serialized) {
+    const value = typeof serialized === 'string' ? JSON.parse(serialized) : serialized
+    if (!value || !Array.isArray(value.entries)) {
+      throw new Error('无效的变更日志')
+    }
+    if (value.version !== JOURNAL_VERSION) {
+      throw new Error(`不支持的变更日志版本: ${value.version}`)
+    }
+    return { entries: value.entries, redo: Array.isArray(value.redo) ? value.redo : [] }
+  }
+
+  /**
+   * 触发具体事件与 change 事件
+   * @private
+   */
+  _notify(action, entry) {
+    this.fire(action, { entry })
+    this.fire('change', {
+      action,
+      entry,
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+    })
+  }
+}
+
+export default ChangeJournal
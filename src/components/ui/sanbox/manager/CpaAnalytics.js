@@ -0,0 +1,443 @@
+/**
+ * 碰撞风险分析（CPA/TCPA）
+ * 对两两轨迹计算最近会遇距离（CPA）与到达最近会遇点的时间（TCPA）：取某一时刻双方的位置（轨迹点之间线性插值）
+ * 与最近一次上报的航向、航速，假设双方保持航向航速，在局部平面上求相对运动的最近点
+ * 轨迹结束后在 maxProjection 时间内按最后航向航速推算位置，用于对最新数据做预测
+ *
+ * 单位：航速为节，航向为度（正北为 0，顺时针），距离为米，TCPA 与时长为分钟
+ */
+import { haversineDistance } from './spatialUtils.js'
+
+// 派生事件的来源标记
+export const CPA_EVENT_SOURCE = 'cpa'
+
+// 节换算为米/秒
+const KNOTS_TO_MS = 0.514444
+
+// 每度纬度对应的米数（局部平面近似）
+const METERS_PER_DEGREE = 111320
+
+export const DEFAULT_CPA_OPTIONS = {
+  // 风险等级，按顺序匹配（排在前面的等级更高）：CPA 不超过 cpa 米且 TCPA 在 0 ~ tcpa 分钟内
+  levels: [
+    { level: 'high', label: '高', cpa: 500, tcpa: 6 },
+    { level: 'medium', label: '中', cpa: 1000, tcpa: 12 },
+    { level: 'low', label: '低', cpa: 1852, tcpa: 20 },
+  ],
+  sampleInterval: 60, // 历史扫描的采样间隔（秒）
+  maxProjection: 30, // 轨迹结束后按最后航向航速推算的最长时间（分钟）
+}
+
+const toIsoString = (time) => new Date(time).toISOString()
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+
+// 航向航速转换为平面速度（米/秒，x 向东，y 向北）
+const toVelocity = (speed, heading) => ({
+  vx: speed * KNOTS_TO_MS * Math.sin(toRadians(heading)),
+  vy: speed * KNOTS_TO_MS * Math.cos(toRadians(heading)),
+})
+
+// 两点之间的航向（度）与航速（节）
+const getCourse = (from, to) => {
+  const seconds = (to.time - from.time) / 1000
+  const dx = (to.lng - from.lng) * Math.cos(toRadians((from.lat + to.lat) / 2)) * METERS_PER_DEGREE
+  const dy = (to.lat - from.lat) * METERS_PER_DEGREE
+  return {
+    heading: ((Math.atan2(dx, dy) * 180) / Math.PI + 360) % 360,
+    speed: seconds > 0 ? Math.hypot(dx, dy) / seconds / KNOTS_TO_MS : 0,
+  }
+}
+
+/**
+ * 计算两个运动目标的 CPA/TCPA（假设双方保持当前航向航速）
+ * @param {Object} a - 目标状态 {lng, lat, speed, heading}
+ * @param {Object} b - 目标状态 {lng, lat, speed, heading}
+ * @returns {Object} {distance, cpa, tcpa, positionA, positionB}
+ *   distance 为当前距离，tcpa 为负数表示双方正在驶离（最近会遇点已过，cpa 取当前距离），
+ *   positionA/positionB 为最近会遇时双方的位置 {longitude, latitude}
+ */
+export function computeCpa(a, b) {
+  const cosLat = Math.cos(toRadians((a.lat + b.lat) / 2))
+  const toPlane = (state) => ({
+    x: (state.lng - a.lng) * cosLat * METERS_PER_DEGREE,
+    y: (state.lat - a.lat) * METERS_PER_DEGREE,
+    ...toVelocity(state.speed, state.heading),
+  })
+  const pa = toPlane(a)
+  const pb = toPlane(b)
+
+  const rx = pb.x - pa.x
+  const ry = pb.y - pa.y
+  const vx = pb.vx - pa.vx
+  const vy = pb.vy - pa.vy
+  const relativeSpeed = vx * vx + vy * vy
+  // 相对速度为 0 时距离保持不变，最近会遇点即当前
+  const seconds = relativeSpeed > 1e-9 ? -(rx * vx + ry * vy) / relativeSpeed : 0
+  const elapsed = Math.max(seconds, 0)
+
+  const toLngLat = (point) => ({
+    longitude: a.lng + (point.x + point.vx * elapsed) / (cosLat * METERS_PER_DEGREE),
+    latitude: a.lat + (point.y + point.vy * elapsed) / METERS_PER_DEGREE,
+  })
+
+  return {
+    distance: haversineDistance(a.lat, a.lng, b.lat, b.lng) * 1000,
+    cpa: Math.hypot(rx + vx * elapsed, ry + vy * elapsed),
+    tcpa: seconds / 60,
+    positionA: toLngLat(pa),
+    positionB: toLngLat(pb),
+  }
+}
+
+/**
+ * 按 CPA/TCPA 判定风险等级
+ * @param {number} cpa - 最近会遇距离（米）
+ * @param {number} tcpa - 到达最近会遇点的时间（分钟）
+ * @param {Array} levels - 风险等级，见 DEFAULT_CPA_OPTIONS.levels
+ * @returns {Object|null} 风险等级，没有风险时返回 null
+ */
+export function classifyCpaRisk(cpa, tcpa, levels = DEFAULT_CPA_OPTIONS.levels) {
+  if (tcpa < 0) return null
+  return levels.find((level) => cpa <= level.cpa && tcpa <= level.tcpa) || null
+}
+
+class CpaAnalytics {
+  /**
+   * @param {TrajectoryManager} trajectoryManager - 轨迹数据管理器
+   */
+  constructor(trajectoryManager) {
+    this.trajectoryManager = trajectoryManager
+  }
+
+  /**
+   * 获取参与分析的轨迹（按时间排序，跳过缺少有效时间或坐标的点）
+   * 缺少航速或航向的点使用相邻轨迹段的航速、航向
+   * @param {Array} targetIds - 目标ID数组，不传时分析全部轨迹
+   * @returns {Array} [{targetId, start, end, maxSpeed, maxRate, bounds, points: [{time, lng, lat, speed, heading}]}]
+   *   maxRate 为位置变化的最大速率（米/秒），取上报航速与相邻轨迹点实际位移速率的最大值
+   */
+  getTracks(targetIds = null) {
+    const items = targetIds
+      ? targetIds.map((id) => this.trajectoryManager.findByTargetId(id)).filter(Boolean)
+      : this.trajectoryManager.getAll()
+
+    return items
+      .map((item) => {
+        const points = (Array.isArray(item.trajectory) ? item.trajectory : [])
+          .map((point) => ({
+            time: new Date(point.timestamp).getTime(),
+            lng: point.longitude,
+            lat: point.latitude,
+            speed: typeof point.speed === 'number' ? point.speed : null,
+            heading: typeof point.heading === 'number' ? point.heading : null,
+          }))
+          .filter((point) => !isNaN(point.time) && isFinite(point.lng) && isFinite(point.lat))
+          .sort((a, b) => a.time - b.time)
+        if (points.length === 0) return null
+
+        points.forEach((point, index) => {
+          if (point.speed !== null && point.heading !== null) return
+          const isLast = index === points.length - 1
+          const course =
+            points.length > 1
+              ? getCourse(points[isLast ? index - 1 : index], points[isLast ? index : index + 1])
+              : { speed: 0, heading: 0 }
+          point.speed = point.speed ?? course.speed
+          point.heading = point.heading ?? course.heading
+        })
+
+        const lngs = points.map((point) => point.lng)
+        const lats = points.map((point) => point.lat)
+        const maxSpeed = Math.max(...points.map((point) => point.speed))
+        const maxSegmentSpeed = Math.max(
+          0,
+          ...points.slice(1).map((point, index) => getCourse(points[index], point).speed),
+        )
+        return {
+          targetId: item.target_id,
+          points,
+          start: points[0].time,
+          end: points[points.length - 1].time,
+          maxSpeed,
+          maxRate: Math.max(maxSpeed, maxSegmentSpeed) * KNOTS_TO_MS,
+          bounds: {
+            minLng: Math.min(...lngs),
+            maxLng: Math.max(...lngs),
+            minLat: Math.min(...lats),
+            maxLat: Math.max(...lats),
+          },
+        }
+      })
+      .filter(Boolean)
+  }
+
+  /**
+   * 获取目标在指定时刻的状态：位置在轨迹点之间线性插值，航向航速取最近一次上报的值
+   * 轨迹结束后在 maxProjection 内按最后航向航速推算位置
+   * @param {Object} track - 轨迹，见 getTracks
+   * @param {number} time - 时间（毫秒）
+   * @param {number} maxProjection - 最长推算时间（分钟）
+   * @returns {Object|null} {lng, lat, speed, heading, projected}，轨迹开始前或超出推算时间时返回 null
+   */
+  getStateAt(track, time, maxProjection = DEFAULT_CPA_OPTIONS.maxProjection) {
+    const { points } = track
+    if (time < track.start || time - track.end > maxProjection * 60000) return null
+
+    // 二分查找时间不晚于 time 的最后一个轨迹点
+    let low = 0
+    let high = points.length - 1
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2)
+      if (points[middle].time <= time) {
+        low = middle
+      } else {
+        high = middle - 1
+      }
+    }
+
+    const current = points[low]
+    const next = points[low + 1]
+    const { speed, heading } = current
+    if (next) {
+      const ratio =
+        next.time === current.time ? 0 : (time - current.time) / (next.time - current.time)
+      return {
+        lng: current.lng + (next.lng - current.lng) * ratio,
+        lat: current.lat + (next.lat - current.lat) * ratio,
+        speed,
+        heading,
+        projected: false,
+      }
+    }
+
+    const seconds = (time - current.time) / 1000
+    const { vx, vy } = toVelocity(speed, heading)
+    return {
+      lng: current.lng + (vx * seconds) / (Math.cos(toRadians(current.lat)) * METERS_PER_DEGREE),
+      lat: current.lat + (vy * seconds) / METERS_PER_DEGREE,
+      speed,
+      heading,
+      projected: seconds > 0,
+    }
+  }
+
+  /**
+   * 计算两条轨迹在指定时刻的 CPA/TCPA
+   * @param {Object} trackA - 轨迹，见 getTracks
+   * @param {Object} trackB - 轨迹
+   * @param {number} time - 时间（毫秒）
+   * @param {Object} options - 选项，见 DEFAULT_CPA_OPTIONS
+   * @returns {Object|null} {targetIds, time, distance, cpa, tcpa, cpaTime, positionA, positionB, projected, risk}，
+   *   任一方没有状态时返回 null
+   */
+  assessPair(trackA, trackB, time, options = {}) {
+    const { levels, maxProjection } = { ...DEFAULT_CPA_OPTIONS, ...options }
+    const stateA = this.getStateAt(trackA, time, maxProjection)
+    const stateB = this.getStateAt(trackB, time, maxProjection)
+    if (!stateA || !stateB) return null
+
+    const result = computeCpa(stateA, stateB)
+    return {
+      targetIds: [trackA.targetId, trackB.targetId],
+      time: toIsoString(time),
+      ...result,
+      cpaTime: toIsoString(time + Math.max(result.tcpa, 0) * 60000),
+      projected: stateA.projected || stateB.projected,
+      risk: classifyCpaRisk(result.cpa, result.tcpa, levels),
+    }
+  }
+
+  /**
+   * 计算指定时刻全部轨迹两两之间的碰撞风险
+   * @param {Date|string|number} time - 时间
+   * @param {Object} options - 选项，见 DEFAULT_CPA_OPTIONS，另支持 targetIds、includeSafe（包含没有风险的目标对）
+   * @returns {Array} 评估结果，见 assessPair，按 CPA 从小到大排序
+   */
+  assessAt(time, options = {}) {
+    const timestamp = new Date(time).getTime()
+    const tracks = this.getTracks(options.targetIds)
+    const results = []
+
+    for (let i = 0; i < tracks.length; i++) {
+      for (let j = i + 1; j < tracks.length; j++) {
+        const result = this.assessPair(tracks[i], tracks[j], timestamp, options)
+        if (result && (result.risk || options.includeSafe)) results.push(result)
+      }
+    }
+
+    return results.sort((a, b) => a.cpa - b.cpa)
+  }
+
+  /**
+   * 扫描历史轨迹（及结束后的推算时间）检测碰撞风险时间段
+   * 在两条轨迹共同存在的时间内按采样间隔计算 CPA/TCPA，连续存在风险的采样合并为一次预警
+   * @param {Object} options - 选项，见 DEFAULT_CPA_OPTIONS，另支持 targetIds（只检测涉及这些目标的目标对，
+   *   对方可以是任意轨迹）
+   * @returns {Array} 预警，见 _createWarning，按开始时间排序
+   */
+  detectWarnings(options = {}) {
+    const settings = { ...DEFAULT_CPA_OPTIONS, ...options }
+    const step = Math.max(1, settings.sampleInterval) * 1000
+    const projectionMs = settings.maxProjection * 60000
+    const maxCpa = Math.max(...settings.levels.map((level) => level.cpa))
+    const maxTcpa = Math.max(...settings.levels.map((level) => level.tcpa))
+    const focus = options.targetIds ? new Set(options.targetIds) : null
+    const tracks = this.getTracks()
+    const warnings = []
+
+    for (let i = 0; i < tracks.length; i++) {
+      for (let j = i + 1; j < tracks.length; j++) {
+        const a = tracks[i]
+        const b = tracks[j]
+        if (focus && !focus.has(a.targetId) && !focus.has(b.targetId)) continue
+
+        const start = Math.max(a.start, b.start)
+        const end = Math.min(Math.max(a.end, b.end), Math.min(a.end, b.end) + projectionMs)
+        if (end < start) continue
+
+        // 外接矩形扩展为双方在 TCPA 上限内可航行的距离加 CPA 上限，不相交的目标对不可能存在风险
+        const reach = maxCpa + (a.maxSpeed + b.maxSpeed) * KNOTS_TO_MS * maxTcpa * 60
+        const margin = reach / METERS_PER_DEGREE
+        const farLat = Math.max(
+          ...[a, b].flatMap(({ bounds }) => [bounds.minLat, bounds.maxLat]).map(Math.abs),
+        )
+        const lngMargin = margin / Math.max(Math.cos(toRadians(farLat)), 1e-6)
+        if (
+          a.bounds.maxLat + margin < b.bounds.minLat ||
+          b.bounds.maxLat + margin < a.bounds.minLat ||
+          a.bounds.maxLng + lngMargin < b.bounds.minLng ||
+          b.bounds.maxLng + lngMargin < a.bounds.minLng
+        ) {
+          continue
+        }
+
+        warnings.push(...this._scanPair(a, b, start, end, step, settings))
+      }
+    }
+
+    return warnings.sort((a, b) => a.startTime.localeCompare(b.startTime))
+  }
+
+  /**
+   * 按采样间隔扫描一对轨迹，合并连续存在风险的采样
+   * 双方距离每秒最多缩短 closingRate 米，距离超出风险可达范围时，跳过缩短到该范围之前的采样
+   * @private
+   */
+  _scanPair(a, b, start, end, step, settings) {
+    const warnings = []
+    let period = null
+
+    const closingRate = a.maxRate + b.maxRate
+    const maxCpa = Math.max(...settings.levels.map((level) => level.cpa))
+    const maxTcpa = Math.max(...settings.levels.map((level) => level.tcpa))
+    // 留 10% 余量，抵消 computeCpa 局部平面近似与球面距离的差异
+    const reach = (maxCpa + closingRate * maxTcpa * 60) * 1.1
+
+    const closePeriod = (ongoing) => {
+      if (period) warnings.push(this._createWarning(period, ongoing))
+      period = null
+    }
+
+    for (let time = start; ; ) {
+      const result = this.assessPair(a, b, time, settings)
+
+      if (result?.risk) {
+        if (!period) period = { start: time, end: time, worst: result }
+        period.end = time
+        if (this._isWorse(result, period.worst, settings.levels)) period.worst = result
+      } else {
+        closePeriod(false)
+      }
+
+      if (time >= end) break
+
+      // 跳过的采样仍落在原采样间隔上，结果与逐个采样一致
+      const skip =
+        result && !result.risk && result.distance > reach
+          ? Math.max(1, Math.floor((result.distance - reach) / closingRate / (step / 1000)))
+          : 1
+      time = Math.min(time + skip * step, end)
+    }
+    closePeriod(true)
+
+    return warnings
+  }
+
+  // 风险等级更高，或等级相同但 CPA 更小
+  _isWorse(result, current, levels) {
+    const rank = levels.indexOf(result.risk)
+    const currentRank = levels.indexOf(current.risk)
+    return rank < currentRank || (rank === currentRank && result.cpa < current.cpa)
+  }
+
+  /**
+   * 生成预警
+   * @param {Object} period - 风险时间段 {start, end, worst}，worst 为风险最高的评估结果
+   * @param {boolean} ongoing - 是否持续到扫描结束（尚未解除）
+   * @returns {Object} {targetIds, startTime, endTime, duration, riskLevel, riskLabel, cpa, tcpa, cpaTime,
+   *   distance, positionA, positionB, longitude, latitude, projected, ongoing}
+   * @private
+   */
+  _createWarning({ start, end, worst }, ongoing) {
+    const { positionA, positionB } = worst
+    return {
+      targetIds: worst.targetIds,
+      startTime: toIsoString(start),
+      endTime: toIsoString(end),
+      duration: Math.round((end - start) / 60000),
+      riskLevel: worst.risk.level,
+      riskLabel: worst.risk.label,
+      cpa: Math.round(worst.cpa),
+      tcpa: Math.round(worst.tcpa * 10) / 10,
+      cpaTime: worst.cpaTime,
+      distance: Math.round(worst.distance),
+      positionA,
+      positionB,
+      longitude: (positionA.longitude + positionB.longitude) / 2,
+      latitude: (positionA.latitude + positionB.latitude) / 2,
+      projected: worst.projected,
+      ongoing,
+    }
+  }
+
+  /**
+   * 检测碰撞风险并转换为派生事件
+   * @param {Object} options - 选项，见 detectWarnings
+   * @returns {Array} EventManager 兼容的事件数组
+   */
+  detectEvents(options = {}) {
+    return this.detectWarnings(options).map(toCpaEvent)
+  }
+}
+
+/**
+ * 将碰撞风险预警转换为 EventManager 兼容的派生事件，连线两端为两个目标
+ * 事件ID由目标与开始时间生成，重复检测时覆盖已有的派生事件
+ * @param {Object} warning - 预警，见 CpaAnalytics.detectWarnings
+ * @returns {Object} 事件 {id, source_id, target_id, description, startTime, endTime, duration, type, ...}
+ */
+export function toCpaEvent(warning) {
+  const [sourceId, targetId] = warning.targetIds
+  const projected = warning.projected ? '（按最后航向航速推算）' : ''
+
+  return {
+    id: ['cpa', sourceId, targetId, new Date(warning.startTime).getTime()].join('_'),
+    source_id: sourceId,
+    target_id: targetId,
+    description: `目标 ${sourceId} 与 ${targetId} 碰撞风险${warning.riskLabel}：最近会遇距离 ${warning.cpa} 米，${warning.tcpa} 分钟后到达${projected}`,
+    startTime: warning.startTime,
+    endTime: warning.endTime,
+    duration: warning.duration,
+    type: warning.ongoing ? '预警中' : '已完成',
+    longitude: warning.longitude,
+    latitude: warning.latitude,
+    riskLevel: warning.riskLevel,
+    cpa: warning.cpa,
+    tcpa: warning.tcpa,
+    cpaTime: warning.cpaTime,
+    derivedFrom: CPA_EVENT_SOURCE,
+  }
+}
+
+export default CpaAnalytics
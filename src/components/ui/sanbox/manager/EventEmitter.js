@@ -0,0 +1,65 @@
+/**
+ * 事件派发基类
+ * 数据管理器与变更日志共用的 on / off / fire 事件接口
+ */
+class EventEmitter {
+  constructor() {
+    this._events = new Map()
+  }
+
+  /**
+   * 添加事件监听
+   * @param {string} type - 事件类型
+   * @param {Function} callback - 回调函数
+   * @returns {Function} 取消监听的函数
+   */
+  on(type, callback) {
+    if (!this._events.has(type)) {
+      this._events.set(type, [])
+    }
+    this._events.get(type).push(callback)
+    return () => this.off(type, callback)
+  }
+
+  /**
+   * 移除事件监听
+   * @param {string} type - 事件类型
+   * @param {Function} callback - 回调函数
+   */
+  off(type, callback) {
+    const listeners = this._events.get(type)
+    if (!listeners) return
+    const index = listeners.indexOf(callback)
+    if (index !== -1) {
+      listeners.splice(index, 1)
+    }
+  }
+
+  /**
+   * 是否有指定事件的监听
+   * @param {...string} types - 事件类型
+   * @returns {boolean}
+   */
+  hasListeners(...types) {
+    return types.some((type) => this._events.get(type)?.length > 0)
+  }
+
+  /**
+   * 触发事件，单个监听出错不影响其他监听
+   * @param {string} type - 事件类型
+   * @param {Object} data - 事件数据
+   */
+  fire(type, data = {}) {
+    const listeners = this._events.get(type)
+    if (!listeners) return
+    ;[...listeners].forEach((callback) => {
+      try {
+        callback({ type, target: this, ...data })
+      } catch (error) {
+        console.error('事件处理错误:', error)
+      }
+    })
+  }
+}
+
+export default EventEmitter
@@ -7,7 +7,7 @@ import BaseManager from './BaseManager.js'
 class EventManager extends BaseManager {
   constructor() {
     super()
-    this.requiredFields = ['id', 'source_id', 'target_id', 'description', 'startTime']
+    this.schemaDataset = 'events'
     this.initializeIndexes()
   }
 
@@ -23,45 +23,19 @@ class EventManager extends BaseManager {
   }
 
   /**
-   * 自定义验证逻辑
+   * 获取自定义校验错误（字段格式由 events Schema 校验，这里只校验时间先后）
    * @param {Object} item - 事件数据项
-   * @returns {boolean} 是否有效
+   * @returns {Array} 错误数组 [{field, message}]
    */
-  customValidation(item) {
-    // 验证时间格式
-    if (!this.isValidDateTime(item.startTime)) {
-      console.error('事件开始时间格式无效:', item.startTime)
-      return false
-    }
-
-    if (item.endTime && !this.isValidDateTime(item.endTime)) {
-      console.error('事件结束时间格式无效:', item.endTime)
-      return false
-    }
-
-    if (item.alertTime && !this.isValidDateTime(item.alertTime)) {
-      console.error('事件预警时间格式无效:', item.alertTime)
-      return false
-    }
+  getCustomValidationErrors(item) {
+    const errors = []
 
     // 验证时间逻辑
     if (item.endTime && new Date(item.startTime) > new Date(item.endTime)) {
-      console.error('事件开始时间不能晚于结束时间:', item)
-      return false
+      errors.push({ field: 'endTime', message: '事件开始时间不能晚于结束时间' })
     }
 
-    return true
-  }
-
-  /**
-   * 验证日期时间格式
-   * @param {string} dateTime - 日期时间字符串
-   * @returns {boolean} 是否有效
-   */
-  isValidDateTime(dateTime) {
-    if (!dateTime) return false
-    const date = new Date(dateTime)
-    return !isNaN(date.getTime())
+    return errors
   }
 
   /**
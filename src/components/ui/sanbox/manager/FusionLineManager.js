@@ -1,4 +1,10 @@
 import BaseManager from './BaseManager.js'
+import {
+  getValidityInterval,
+  isActiveAt,
+  isActiveDuring,
+  getValidityErrors,
+} from './temporalValidity.js'
 
 /**
  * 融合线数据管理器
@@ -7,7 +13,9 @@ import BaseManager from './BaseManager.js'
 class FusionLineManager extends BaseManager {
   constructor() {
     super()
-    this.requiredFields = ['id', 'source_id', 'target_id', 'type']
+    this.schemaDataset = 'fusionLines'
+    // 有效期字段：startTime ~ endTime，缺失的一端视为不限
+    this.validityFields = { startField: 'startTime', endField: 'endTime' }
     this.initializeIndexes()
   }
 
@@ -27,19 +35,18 @@ class FusionLineManager extends BaseManager {
   }
 
   /**
-   * 自定义验证
+   * 获取自定义校验错误
    * @param {Object} item - 数据项
-   * @returns {boolean} 验证是否通过
+   * @returns {Array} 错误数组 [{field, message}]
    * @protected
    */
-  customValidation(item) {
-    // 验证线条类型
-    if (!item.type || typeof item.type !== 'string') {
-      console.warn('融合线类型必须是字符串', item)
-      return false
-    }
+  getCustomValidationErrors(item) {
+    const errors = []
+
+    // 验证有效期
+    errors.push(...getValidityErrors(item, this.validityFields))
 
-    return true
+    return errors
   }
 
   /**
@@ -48,12 +55,12 @@ class FusionLineManager extends BaseManager {
    * @protected
    */
   updateIndexes(item) {
-    this._updateIndex(this.indexes.get('type'), item.type, item.id)
-    this._updateIndex(this.indexes.get('status'), item.status, item.id)
-    this._updateIndex(this.indexes.get('priority'), item.priority, item.id)
-    this._updateIndex(this.indexes.get('layer'), item.layer_id, item.id)
-    this._updateIndex(this.indexes.get('source_target'), item.source_id, item.id)
-    this._updateIndex(this.indexes.get('destination_target'), item.target_id, item.id)
+    this._updateIndex('type', item.type, item.id)
+    this._updateIndex('status', item.status, item.id)
+    this._updateIndex('priority', item.priority, item.id)
+    this._updateIndex('layer', item.layer_id, item.id)
+    this._updateIndex('source_target', item.source_id, item.id)
+    this._updateIndex('destination_target', item.target_id, item.id)
   }
 
   /**
@@ -62,12 +69,12 @@ class FusionLineManager extends BaseManager {
    * @protected
    */
   removeFromIndexes(item) {
-    this._removeFromIndex(this.indexes.get('type'), item.type, item.id)
-    this._removeFromIndex(this.indexes.get('status'), item.status, item.id)
-    this._removeFromIndex(this.indexes.get('priority'), item.priority, item.id)
-    this._removeFromIndex(this.indexes.get('layer'), item.layer_id, item.id)
-    this._removeFromIndex(this.indexes.get('source_target'), item.source_id, item.id)
-    this._removeFromIndex(this.indexes.get('destination_target'), item.target_id, item.id)
+    this._removeFromIndex('type', item.type, item.id)
+    this._removeFromIndex('status', item.status, item.id)
+    this._removeFromIndex('priority', item.priority, item.id)
+    this._removeFromIndex('layer', item.layer_id, item.id)
+    this._removeFromIndex('source_target', item.source_id, item.id)
+    this._removeFromIndex('destination_target', item.target_id, item.id)
   }
 
   /**
@@ -163,6 +170,44 @@ class FusionLineManager extends BaseManager {
     return results
   }
 
+  /**
+   * 获取融合线的有效期
+   * @param {Object} line - 融合线
+   * @returns {Object} {start, end}，毫秒时间戳，null 表示无下限/无上限
+   */
+  getValidityInterval(line) {
+    return getValidityInterval(line, this.validityFields)
+  }
+
+  /**
+   * 判断融合线在指定时刻是否有效
+   * @param {Object|string} line - 融合线或融合线ID
+   * @param {string|Date|number} time - 时刻
+   * @returns {boolean} 是否有效
+   */
+  isActiveAt(line, time) {
+    const item = typeof line === 'object' ? line : this.findById(line)
+    return !!item && isActiveAt(item, time, this.validityFields)
+  }
+
+  /**
+   * 查找指定时刻有效的融合线
+   * @param {string|Date|number} time - 时刻
+   * @returns {Array} 融合线数组
+   */
+  findActiveAt(time) {
+    return this.getAll().filter((line) => isActiveAt(line, time, this.validityFields))
+  }
+
+  /**
+   * 查找有效期与时间范围相交的融合线
+   * @param {Object} range - 时间范围 {startTime, endTime}
+   * @returns {Array} 融合线数组
+   */
+  findActiveDuring(range) {
+    return this.getAll().filter((line) => isActiveDuring(line, range, this.validityFields))
+  }
+
   /**
    * 获取所有线条类型
    * @returns {Array} 类型数组
@@ -0,0 +1,116 @@
+/**
+ * 地理围栏数据管理器
+ * 管理命名的地理围栏（多边形、圆形、沿折线的走廊），形状定义见 geofences/geometry.js
+ */
+import BaseManager from './BaseManager.js'
+import { isPointInBounds } from './spatialUtils.js'
+import { isPointInGeofence, getGeofenceBounds } from './geofences/geometry.js'
+
+class GeofenceManager extends BaseManager {
+  constructor() {
+    super()
+    this.schemaDataset = 'geofences'
+    this.initializeIndexes()
+  }
+
+  /**
+   * 初始化索引
+   */
+  initializeIndexes() {
+    this.indexes.set('shape', new Map())
+    this.bounds = new Map() // 围栏ID -> 外接边界，用于快速排除
+  }
+
+  /**
+   * 获取自定义校验错误（字段格式由 geofences Schema 校验，这里校验各形状所需的几何字段）
+   * @param {Object} item - 围栏数据项
+   * @returns {Array} 错误数组 [{field, message}]
+   */
+  getCustomValidationErrors(item) {
+    const errors = []
+    const coordinates = Array.isArray(item.coordinates) ? item.coordinates : []
+
+    if (item.shape === 'polygon' && coordinates.length < 3) {
+      errors.push({ field: 'coordinates', message: '多边形围栏至少需要 3 个顶点' })
+    }
+    if (item.shape === 'corridor') {
+      if (coordinates.length < 2) {
+        errors.push({ field: 'coordinates', message: '走廊围栏的中心线至少需要 2 个点' })
+      }
+      if (item.width === undefined || item.width === null) {
+        errors.push({ field: 'width', message: '走廊围栏缺少宽度 width' })
+      }
+    }
+    if (item.shape === 'circle') {
+      if (!Array.isArray(item.center)) {
+        errors.push({ field: 'center', message: '圆形围栏缺少圆心 center' })
+      }
+      if (item.radius === undefined || item.radius === null) {
+        errors.push({ field: 'radius', message: '圆形围栏缺少半径 radius' })
+      }
+    }
+
+    return errors
+  }
+
+  /**
+   * 更新索引
+   * @param {Object} item - 围栏数据项
+   */
+  updateIndexes(item) {
+    this._updateIndex('shape', item.shape, item.id)
+    this.bounds.set(item.id, getGeofenceBounds(item))
+  }
+
+  /**
+   * 从索引中移除数据项
+   * @param {Object} item - 围栏数据项
+   */
+  removeFromIndexes(item) {
+    this._removeFromIndex('shape', item.shape, item.id)
+    this.bounds.delete(item.id)
+  }
+
+  /**
+   * 根据形状查找围栏
+   * @param {string} shape - 形状 polygon | circle | corridor
+   * @returns {Array} 围栏数组
+   */
+  findByShape(shape) {
+    return this.findByIndex('shape', shape)
+  }
+
+  /**
+   * 获取围栏的外接边界
+   * @param {string} id - 围栏ID
+   * @returns {Object|null} 边界 {minLng, maxLng, minLat, maxLat}
+   */
+  getBounds(id) {
+    return this.bounds.get(id) || null
+  }
+
+  /**
+   * 判断点是否在围栏内
+   * @param {string} id - 围栏ID
+   * @param {number} lng - 经度
+   * @param {number} lat - 纬度
+   * @returns {boolean} 是否在围栏内，围栏不存在时返回 false
+   */
+  containsPoint(id, lng, lat) {
+    const geofence = this.findById(id)
+    if (!geofence || !isPointInBounds(lng, lat, this.bounds.get(id))) return false
+    return isPointInGeofence(geofence, lng, lat)
+  }
+
+  /**
+   * 查找包含指定点的全部围栏
+   * @param {number} lng - 经度
+   * @param {number} lat - 纬度
+   * @returns {Array} 围栏数组
+   */
+  findContaining(lng, lat) {
+    return this.getAll().filter((geofence) => this.containsPoint(geofence.id, lng, lat))
+  }
+}
+
+export default GeofenceManager
@@ -0,0 +1,434 @@
+/**
+ * 关系网络图分析
+ * 由 RelationManager 中的关系构建邻接表（关系端点为节点，关系为边），提供加权最短路径、k 跳邻域、
+ * 度中心性、介数中心性、连通分量与割点（关节点）分析
+ */
+
+/**
+ * 最小堆（用于 Dijkstra）
+ */
+class MinHeap {
+  constructor() {
+    this.items = []
+  }
+
+  get size() {
+    return this.items.length
+  }
+
+  push(priority, value) {
+    const items = this.items
+    items.push({ priority, value })
+    let index = items.length - 1
+    while (index > 0) {
+      const parent = (index - 1) >> 1
+      if (items[parent].priority <= items[index].priority) break
+      ;[items[parent], items[index]] = [items[index], items[parent]]
+      index = parent
+    }
+  }
+
+  pop() {
+    const items = this.items
+    const top = items[0]
+    const last = items.pop()
+    if (items.length > 0) {
+      items[0] = last
+      let index = 0
+      for (;;) {
+        const left = index * 2 + 1
+        const right = left + 1
+        let smallest = index
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left
+        if (right < items.length && items[right].priority < items[smallest].priority)
+          smallest = right
+        if (smallest === index) break
+        ;[items[smallest], items[index]] = [items[index], items[smallest]]
+        index = smallest
+      }
+    }
+    return top
+  }
+}
+
+class RelationGraph {
+  /**
+   * @param {RelationManager} relationManager - 关系数据管理器
+   * @param {Object} options - 选项
+   * @param {boolean} options.directed - 是否按 source -> target 有向处理，默认 false（关系视为双向链路）
+   * @param {Function} options.filter - 关系过滤函数，返回 false 的关系不参与分析（如排除中断的链路）
+   * @param {Function} options.weight - 边权函数，默认使用关系的 distance，缺失时为 defaultWeight
+   * @param {number} options.defaultWeight - 没有 distance 的关系的权重，默认 1
+   */
+  constructor(relationManager, options = {}) {
+    const { directed = false, filter = null, weight = null, defaultWeight = 1 } = options
+    this.directed = directed
+    this.adjacency = new Map() // 目标ID -> [{to, relation, weight}]
+
+    const getWeight =
+      weight ||
+      ((relation) =>
+        typeof relation.distance === 'number' && relation.distance >= 0
+          ? relation.distance
+          : defaultWeight)
+
+    relationManager.getAll().forEach((relation) => {
+      if (filter && !filter(relation)) return
+      const edgeWeight = getWeight(relation)
+      this._addEdge(relation.source_id, relation.target_id, relation, edgeWeight)
+      if (!directed) {
+        this._addEdge(relation.target_id, relation.source_id, relation, edgeWeight)
+      } else if (!this.adjacency.has(relation.target_id)) {
+        this.adjacency.set(relation.target_id, [])
+      }
+    })
+  }
+
+  /**
+   * 添加一条边
+   * @private
+   */
+  _addEdge(from, to, relation, weight) {
+    if (!this.adjacency.has(from)) {
+      this.adjacency.set(from, [])
+    }
+    this.adjacency.get(from).push({ to, relation, weight })
+  }
+
+  /**
+   * 获取所有节点（目标ID）
+   * @returns {Array} 目标ID数组
+   */
+  getNodes() {
+    return Array.from(this.adjacency.keys())
+  }
+
+  /**
+   * 获取节点的出边
+   * @param {string} targetId - 目标ID
+   * @returns {Array} [{to, relation, weight}]
+   */
+  getEdges(targetId) {
+    return this.adjacency.get(targetId) || []
+  }
+
+  /**
+   * 加权最短路径（Dijkstra）
+   * @param {string} sourceId - 起点目标ID
+   * @param {string} targetId - 终点目标ID
+   * @returns {Object} {found, distance, hops, targetIds, relations}，不可达时 found 为 false
+   */
+  findShortestPath(sourceId, targetId) {
+    const notFound = { found: false, distance: Infinity, hops: 0, targetIds: [], relations: [] }
+    if (!this.adjacency.has(sourceId) || !this.adjacency.has(targetId)) {
+      return notFound
+    }
+    if (sourceId === targetId) {
+      return { found: true, distance: 0, hops: 0, targetIds: [sourceId], relations: [] }
+    }
+
+    const distances = new Map([[sourceId, 0]])
+    const previous = new Map() // 目标ID -> {from, relation}
+    const visited = new Set()
+    const heap = new MinHeap()
+    heap.push(0, sourceId)
+
+    while (heap.size > 0) {
+      const { priority, value: node } = heap.pop()
+      if (visited.has(node)) continue
+      visited.add(node)
+      if (node === targetId) break
+
+      this.getEdges(node).forEach(({ to, relation, weight }) => {
+        const candidate = priority + weight
+        if (!visited.has(to) && candidate < (distances.get(to) ?? Infinity)) {
+          distances.set(to, candidate)
+          previous.set(to, { from: node, relation })
+          heap.push(candidate, to)
+        }
+      })
+    }
+
+    if (!distances.has(targetId)) {
+      return notFound
+    }
+
+    const targetIds = [targetId]
+    const relations = []
+    let node = targetId
+    while (node !== sourceId) {
+      const step = previous.get(node)
+      relations.unshift(step.relation)
+      targetIds.unshift(step.from)
+      node = step.from
+    }
+
+    return {
+      found: true,
+      distance: distances.get(targetId),
+      hops: relations.length,
+      targetIds,
+      relations,
+    }
+  }
+
+  /**
+   * k 跳邻域（广度优先，不考虑权重）
+   * @param {string} targetId - 中心目标ID
+   * @param {number} k - 最大跳数，默认 1
+   * @returns {Object} {targetIds, hops: {目标ID: 跳数}, relations}，不包含中心目标
+   */
+  getNeighborhood(targetId, k = 1) {
+    const hops = new Map([[targetId, 0]])
+    const relations = new Map()
+    let frontier = [targetId]
+
+    for (let depth = 1; depth <= k && frontier.length > 0; depth++) {
+      const next = []
+      frontier.forEach((node) => {
+        this.getEdges(node).forEach(({ to, relation }) => {
+          relations.set(relation.id, relation)
+          if (!hops.has(to)) {
+            hops.set(to, depth)
+            next.push(to)
+          }
+        })
+      })
+      frontier = next
+    }
+
+    hops.delete(targetId)
+    return {
+      targetIds: Array.from(hops.keys()),
+      hops: Object.fromEntries(hops),
+      relations: Array.from(relations.values()),
+    }
+  }
+
+  /**
+   * 度中心性
+   * 无向图返回度数，有向图额外返回入度与出度；normalized 为度数 / (节点数 - 1)
+   * @returns {Array} [{targetId, degree, inDegree, outDegree, normalized}]，按度数降序
+   */
+  getDegreeCentrality() {
+    const nodes = this.getNodes()
+    const inDegree = new Map(nodes.map((node) => [node, 0]))
+    nodes.forEach((node) => {
+      this.getEdges(node).forEach(({ to }) => inDegree.set(to, inDegree.get(to) + 1))
+    })
+
+    const denominator = Math.max(nodes.length - 1, 1)
+    return nodes
+      .map((node) => {
+        const outDegree = this.getEdges(node).length
+        const degree = this.directed ? outDegree + inDegree.get(node) : outDegree
+        return {
+          targetId: node,
+          degree,
+          inDegree: this.directed ? inDegree.get(node) : degree,
+          outDegree,
+          normalized: degree / denominator,
+        }
+      })
+      .sort((a, b) => b.degree - a.degree)
+  }
+
+  /**
+   * 介数中心性（Brandes 算法）
+   * @param {Object} options - 选项
+   * @param {boolean} options.weighted - 是否按边权计算最短路径，默认 true
+   * @param {boolean} options.normalized - 是否归一化到 [0, 1]，默认 true
+   * @returns {Array} [{targetId, betweenness}]，按介数降序
+   */
+  getBetweennessCentrality(options = {}) {
+    const { weighted = true, normalized = true } = options
+    const nodes = this.getNodes()
+    const centrality = new Map(nodes.map((node) => [node, 0]))
+
+    nodes.forEach((source) => {
+      const stack = []
+      const predecessors = new Map(nodes.map((node) => [node, []]))
+      const sigma = new Map(nodes.map((node) => [node, 0]))
+      const distance = new Map()
+      sigma.set(source, 1)
+      distance.set(source, 0)
+
+      if (weighted) {
+        const heap = new MinHeap()
+        const settled = new Set()
+        heap.push(0, source)
+        while (heap.size > 0) {
+          const { priority, value: node } = heap.pop()
+          if (settled.has(node)) continue
+          settled.add(node)
+          stack.push(node)
+          this.getEdges(node).forEach(({ to, weight }) => {
+            const candidate = priority + weight
+            const current = distance.get(to) ?? Infinity
+            if (candidate < current) {
+              distance.set(to, candidate)
+              sigma.set(to, sigma.get(node))
+              predecessors.set(to, [node])
+              heap.push(candidate, to)
+            } else if (candidate === current && !settled.has(to)) {
+              sigma.set(to, sigma.get(to) + sigma.get(node))
+              predecessors.get(to).push(node)
+            }
+          })
+        }
+      } else {
+        const queue = [source]
+        for (let head = 0; head < queue.length; head++) {
+          const node = queue[head]
+          stack.push(node)
+          this.getEdges(node).forEach(({ to }) => {
+            if (!distance.has(to)) {
+              distance.set(to, distance.get(node) + 1)
+              queue.push(to)
+            }
+            if (distance.get(to) === distance.get(node) + 1) {
+              sigma.set(to, sigma.get(to) + sigma.get(node))
+              predecessors.get(to).push(node)
+            }
+          })
+        }
+      }
+
+      const delta = new Map(nodes.map((node) => [node, 0]))
+      while (stack.length > 0) {
+        const node = stack.pop()
+        predecessors.get(node).forEach((predecessor) => {
+          delta.set(
+            predecessor,
+            delta.get(predecessor) +
+              (sigma.get(predecessor) / sigma.get(node)) * (1 + delta.get(node)),
+          )
+        })
+        if (node !== source) {
+          centrality.set(node, centrality.get(node) + delta.get(node))
+        }
+      }
+    })
+
+    // 无向图中每条最短路径被两个端点各计算一次；归一化时两者的系数恰好都为 1 / ((n - 1)(n - 2))
+    const n = nodes.length
+    let factor = this.directed ? 1 : 0.5
+    if (normalized) {
+      factor = n > 2 ? 1 / ((n - 1) * (n - 2)) : 0
+    }
+    return nodes
+      .map((node) => ({ targetId: node, betweenness: centrality.get(node) * factor }))
+      .sort((a, b) => b.betweenness - a.betweenness)
+  }
+
+  /**
+   * 连通分量（有向图按弱连通计算）
+   * @returns {Array} 目标ID数组的数组，按分量大小降序
+   */
+  getConnectedComponents() {
+    const undirected = this._getUndirectedNeighbors()
+    const visited = new Set()
+    const components = []
+
+    undirected.forEach((_, start) => {
+      if (visited.has(start)) return
+      const component = []
+      const queue = [start]
+      visited.add(start)
+      for (let head = 0; head < queue.length; head++) {
+        const node = queue[head]
+        component.push(node)
+        undirected.get(node).forEach((neighbor) => {
+          if (!visited.has(neighbor)) {
+            visited.add(neighbor)
+            queue.push(neighbor)
+          }
+        })
+      }
+      components.push(component)
+    })
+
+    return components.sort((a, b) => b.length - a.length)
+  }
+
+  /**
+   * 割点（关节点）：移除后会使所在连通分量分裂的目标
+   * 使用迭代版 Tarjan 算法，有向图按无向处理
+   * @returns {Array} [{targetId, splitsInto}]，splitsInto 为移除后该分量分裂成的分量数，按其降序
+   */
+  getArticulationPoints() {
+    const undirected = this._getUndirectedNeighbors()
+    const discovery = new Map()
+    const low = new Map()
+    const splits = new Map() // 目标ID -> 移除后分裂出的子树数量
+    let time = 0
+
+    undirected.forEach((_, root) => {
+      if (discovery.has(root)) return
+      discovery.set(root, time)
+      low.set(root, time)
+      time++
+      let rootChildren = 0
+      const stack = [
+        { node: root, parent: null, neighbors: Array.from(undirected.get(root)), i: 0 },
+      ]
+
+      while (stack.length > 0) {
+        const frame = stack[stack.length - 1]
+        if (frame.i < frame.neighbors.length) {
+          const neighbor = frame.neighbors[frame.i++]
+          if (!discovery.has(neighbor)) {
+            discovery.set(neighbor, time)
+            low.set(neighbor, time)
+            time++
+            if (frame.node === root) rootChildren++
+            stack.push({
+              node: neighbor,
+              parent: frame.node,
+              neighbors: Array.from(undirected.get(neighbor)),
+              i: 0,
+            })
+          } else if (neighbor !== frame.parent) {
+            low.set(frame.node, Math.min(low.get(frame.node), discovery.get(neighbor)))
+          }
+          continue
+        }
+
+        stack.pop()
+        const parent = frame.parent
+        if (parent === null) continue
+        low.set(parent, Math.min(low.get(parent), low.get(frame.node)))
+        if (parent !== root && low.get(frame.node) >= discovery.get(parent)) {
+          splits.set(parent, (splits.get(parent) || 0) + 1)
+        }
+      }
+
+      if (rootChildren > 1) {
+        splits.set(root, rootChildren - 1)
+      }
+    })
+
+    // 非根割点：分裂出的子树数 + 父节点所在的部分
+    return Array.from(splits.entries())
+      .map(([targetId, count]) => ({ targetId, splitsInto: count + 1 }))
+      .sort((a, b) => b.splitsInto - a.splitsInto)
+  }
+
+  /**
+   * 构建无向邻居集合（去掉平行边）
+   * @returns {Map} 目标ID -> Set(邻居目标ID)
+   * @private
+   */
+  _getUndirectedNeighbors() {
+    const neighbors = new Map(this.getNodes().map((node) => [node, new Set()]))
+    this.adjacency.forEach((edges, node) => {
+      edges.forEach(({ to }) => {
+        neighbors.get(node).add(to)
+        neighbors.get(to).add(node)
+      })
+    })
+    return neighbors
+  }
+}
+
+export default RelationGraph
@@ -1,4 +1,11 @@
 import BaseManager from './BaseManager.js'
+import RelationGraph from './RelationGraph.js'
+import {
+  getValidityInterval,
+  isActiveAt,
+  isActiveDuring,
+  getValidityErrors,
+} from './temporalValidity.js'
 
 /**
  * 关系数据管理器
@@ -7,7 +14,13 @@ import BaseManager from './BaseManager.js'
 class RelationManager extends BaseManager {
   constructor() {
     super()
-    this.requiredFields = ['id', 'source_id', 'target_id', 'type']
+    this.schemaDataset = 'relations'
+    // 有效期字段：没有 startTime 时从 createdAt 起有效，没有 endTime 时至今有效
+    this.validityFields = {
+      startField: 'startTime',
+      endField: 'endTime',
+      fallbackStartField: 'createdAt',
+    }
     this.initializeIndexes()
   }
 
@@ -22,28 +35,27 @@ class RelationManager extends BaseManager {
     this.indexes.set('source', new Map())
     this.indexes.set('target', new Map())
     this.indexes.set('bidirectional', new Map())
+    this._graph = null
   }
 
   /**
-   * 自定义验证
+   * 获取自定义校验错误
    * @param {Object} item - 数据项
-   * @returns {boolean} 验证是否通过
+   * @returns {Array} 错误数组 [{field, message}]
    * @protected
    */
-  customValidation(item) {
-    // 验证关系类型
-    if (!item.type || typeof item.type !== 'string') {
-      console.warn('关系类型必须是字符串', item)
-      return false
-    }
+  getCustomValidationErrors(item) {
+    const errors = []
 
     // 验证源目标和目标不能相同
     if (item.source_id === item.target_id) {
-      console.warn('源目标和目标不能相同', item)
-      return false
+      errors.push({ field: 'target_id', message: '源目标和目标不能相同' })
     }
 
-    return true
+    // 验证有效期
+    errors.push(...getValidityErrors(item, this.validityFields))
+
+    return errors
   }
 
   /**
@@ -52,16 +64,17 @@ class RelationManager extends BaseManager {
    * @protected
    */
   updateIndexes(item) {
-    this._updateIndex(this.indexes.get('type'), item.type, item.id)
-    this._updateIndex(this.indexes.get('status'), item.status, item.id)
-    this._updateIndex(this.indexes.get('priority'), item.priority, item.id)
-    this._updateIndex(this.indexes.get('source'), item.source_id, item.id)
-    this._updateIndex(this.indexes.get('target'), item.target_id, item.id)
+    this._graph = null
+    this._updateIndex('type', item.type, item.id)
+    this._updateIndex('status', item.status, item.id)
+    this._updateIndex('priority', item.priority, item.id)
+    this._updateIndex('source', item.source_id, item.id)
+    this._updateIndex('target', item.target_id, item.id)
 
     // 双向关系索引
     if (item.is_bidirectional) {
       const bidirectionalKey = this._getBidirectionalKey(item.source_id, item.target_id)
-      this._updateIndex(this.indexes.get('bidirectional'), bidirectionalKey, item.id)
+      this._updateIndex('bidirectional', bidirectionalKey, item.id)
     }
   }
 
@@ -71,16 +84,17 @@ class RelationManager extends BaseManager {
    * @protected
    */
   removeFromIndexes(item) {
-    this._removeFromIndex(this.indexes.get('type'), item.type, item.id)
-    this._removeFromIndex(this.indexes.get('status'), item.status, item.id)
-    this._removeFromIndex(this.indexes.get('priority'), item.priority, item.id)
-    this._removeFromIndex(this.indexes.get('source'), item.source_id, item.id)
-    this._removeFromIndex(this.indexes.get('target'), item.target_id, item.id)
+    this._graph = null
+    this._removeFromIndex('type', item.type, item.id)
+    this._removeFromIndex('status', item.status, item.id)
+    this._removeFromIndex('priority', item.priority, item.id)
+    this._removeFromIndex('source', item.source_id, item.id)
+    this._removeFromIndex('target', item.target_id, item.id)
 
     // 双向关系索引
     if (item.is_bidirectional) {
       const bidirectionalKey = this._getBidirectionalKey(item.source_id, item.target_id)
-      this._removeFromIndex(this.indexes.get('bidirectional'), bidirectionalKey, item.id)
+      this._removeFromIndex('bidirectional', bidirectionalKey, item.id)
     }
   }
 
@@ -230,6 +244,44 @@ class RelationManager extends BaseManager {
     return relationsToDelete.length
   }
 
+  /**
+   * 获取关系的有效期
+   * @param {Object} relation - 关系
+   * @returns {Object} {start, end}，毫秒时间戳，null 表示无下限/无上限
+   */
+  getValidityInterval(relation) {
+    return getValidityInterval(relation, this.validityFields)
+  }
+
+  /**
+   * 判断关系在指定时刻是否有效
+   * @param {Object|string} relation - 关系或关系ID
+   * @param {string|Date|number} time - 时刻
+   * @returns {boolean} 是否有效
+   */
+  isActiveAt(relation, time) {
+    const item = typeof relation === 'object' ? relation : this.findById(relation)
+    return !!item && isActiveAt(item, time, this.validityFields)
+  }
+
+  /**
+   * 查找指定时刻有效的关系
+   * @param {string|Date|number} time - 时刻
+   * @returns {Array} 关系数组
+   */
+  findActiveAt(time) {
+    return this.getAll().filter((relation) => isActiveAt(relation, time, this.validityFields))
+  }
+
+  /**
+   * 查找有效期与时间范围相交的关系
+   * @param {Object} range - 时间范围 {startTime, endTime}
+   * @returns {Array} 关系数组
+   */
+  findActiveDuring(range) {
+    return this.getAll().filter((relation) => isActiveDuring(relation, range, this.validityFields))
+  }
+
   /**
    * 获取所有关系类型
    * @returns {Array} 类型数组
@@ -307,6 +359,82 @@ class RelationManager extends BaseManager {
     return stats
   }
 
+  /**
+   * 获取关系网络图
+   * 不传选项时使用缓存的默认图（无向、按 distance 加权），关系变化后自动重建
+   * @param {Object} options - 选项，见 RelationGraph（directed、filter、weight、defaultWeight）
+   * @returns {RelationGraph} 关系网络图
+   */
+  getGraph(options = null) {
+    if (options) {
+      return new RelationGraph(this, options)
+    }
+    if (!this._graph) {
+      this._graph = new RelationGraph(this)
+    }
+    return this._graph
+  }
+
+  /**
+   * 查找两个目标之间的加权最短路径（中继链），权重为关系的 distance
+   * @param {string} sourceId - 起点目标ID
+   * @param {string} targetId - 终点目标ID
+   * @param {Object} options - 图选项，见 getGraph
+   * @returns {Object} {found, distance, hops, targetIds, relations}
+   */
+  findShortestPath(sourceId, targetId, options = null) {
+    return this.getGraph(options).findShortestPath(sourceId, targetId)
+  }
+
+  /**
+   * 获取目标的 k 跳邻域
+   * @param {string} targetId - 中心目标ID
+   * @param {number} k - 最大跳数，默认 1
+   * @param {Object} options - 图选项，见 getGraph
+   * @returns {Object} {targetIds, hops, relations}
+   */
+  getNeighborhood(targetId, k = 1, options = null) {
+    return this.getGraph(options).getNeighborhood(targetId, k)
+  }
+
+  /**
+   * 获取度中心性
+   * @param {Object} options - 图选项，见 getGraph
+   * @returns {Array} [{targetId, degree, inDegree, outDegree, normalized}]
+   */
+  getDegreeCentrality(options = null) {
+    return this.getGraph(options).getDegreeCentrality()
+  }
+
+  /**
+   * 获取介数中心性
+   * @param {Object} options - 图选项（见 getGraph），以及 weighted、normalized
+   * @returns {Array} [{targetId, betweenness}]
+   */
+  getBetweennessCentrality(options = null) {
+    const { weighted, normalized, ...graphOptions } = options || {}
+    const graph = this.getGraph(Object.keys(graphOptions).length > 0 ? graphOptions : null)
+    return graph.getBetweennessCentrality({ weighted, normalized })
+  }
+
+  /**
+   * 获取连通分量
+   * @param {Object} options - 图选项，见 getGraph
+   * @returns {Array} 目标ID数组的数组，按大小降序
+   */
+  getConnectedComponents(options = null) {
+    return this.getGraph(options).getConnectedComponents()
+  }
+
+  /**
+   * 获取割点：失效后会使网络分裂的枢纽目标
+   * @param {Object} options - 图选项，见 getGraph
+   * @returns {Array} [{targetId, splitsInto}]
+   */
+  getArticulationPoints(options = null) {
+    return this.getGraph(options).getArticulationPoints()
+  }
+
   /**
    * 生成双向关系键
    * @param {string} sourceId - 源目标ID
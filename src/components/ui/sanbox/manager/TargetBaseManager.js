@@ -7,7 +7,7 @@ import BaseManager from './BaseManager.js'
 class TargetBaseManager extends BaseManager {
   constructor() {
     super()
-    this.requiredFields = ['id']
+    this.schemaDataset = 'targets'
     this.initializeIndexes()
   }
 
@@ -3,11 +3,18 @@
  * 管理目标的地理位置信息，包括经纬度、高度、区域等
  */
 import BaseManager from './BaseManager.js'
+import {
+  getGridKeysInBounds,
+  getRadiusBounds,
+  getPolygonBounds,
+  isPointInBounds,
+  isPointInPolygon,
+} from './spatialUtils.js'
 
 class TargetLocationManager extends BaseManager {
   constructor() {
     super()
-    this.requiredFields = ['id', 'longitude', 'latitude']
+    this.schemaDataset = 'points'
     this.gridSize = 1.0 // 网格大小（度）
     this.initializeIndexes()
   }
@@ -22,26 +29,6 @@ class TargetLocationManager extends BaseManager {
     this.indexes.set('spatial', new Map()) // 空间索引（简单的网格索引）
   }
 
-  /**
-   * 自定义验证逻辑
-   * @param {Object} item - 数据项
-   * @returns {boolean} 是否有效
-   */
-  customValidation(item) {
-    // 验证经纬度范围
-    if (item.longitude < -180 || item.longitude > 180) {
-      console.error('经度超出有效范围:', item.longitude)
-      return false
-    }
-
-    if (item.latitude < -90 || item.latitude > 90) {
-      console.error('纬度超出有效范围:', item.latitude)
-      return false
-    }
-
-    return true
-  }
-
   /**
    * 更新索引
    * @param {Object} item - 数据项
@@ -92,39 +79,28 @@ class TargetLocationManager extends BaseManager {
   }
 
   /**
-   * 根据坐标范围查找数据
+   * 根据地理边界查找数据（使用网格空间索引）
    * @param {Object} bounds - 边界 {minLng, maxLng, minLat, maxLat}
    * @returns {Array} 匹配的数据项数组
    */
   findByBounds(bounds) {
-    const { minLng, maxLng, minLat, maxLat } = bounds
-    const results = []
-
-    for (const item of this.data.values()) {
-      if (
-        item.longitude >= minLng &&
-        item.longitude <= maxLng &&
-        item.latitude >= minLat &&
-        item.latitude <= maxLat
-      ) {
-        results.push(item)
-      }
-    }
-
-    return results
+    return this._findCandidatesInBounds(bounds).filter((item) =>
+      isPointInBounds(item.longitude, item.latitude, bounds),
+    )
   }
 
   /**
-   * 根据中心点和半径查找数据
+   * 根据半径查找数据（使用网格空间索引）
    * @param {number} centerLng - 中心经度
    * @param {number} centerLat - 中心纬度
    * @param {number} radiusKm - 半径（公里）
-   * @returns {Array} 匹配的数据项数组
+   * @returns {Array} 匹配的数据项数组（包含distance字段，按距离排序）
    */
   findByRadius(centerLng, centerLat, radiusKm) {
     const results = []
+    const candidates = this._findCandidatesInBounds(getRadiusBounds(centerLng, centerLat, radiusKm))
 
-    for (const item of this.data.values()) {
+    for (const item of candidates) {
       const distance = this._calculateDistance(centerLat, centerLng, item.latitude, item.longitude)
 
       if (distance <= radiusKm) {
@@ -139,6 +115,41 @@ class TargetLocationManager extends BaseManager {
     return results.sort((a, b) => a.distance - b.distance)
   }
 
+  /**
+   * 根据多边形查找数据（使用网格空间索引）
+   * @param {Array} polygon - 多边形顶点 [[lng, lat], ...]
+   * @returns {Array} 匹配的数据项数组
+   */
+  findByPolygon(polygon) {
+    if (!Array.isArray(polygon) || polygon.length < 3) return []
+
+    return this._findCandidatesInBounds(getPolygonBounds(polygon)).filter((item) =>
+      isPointInPolygon(item.longitude, item.latitude, polygon),
+    )
+  }
+
+  /**
+   * 从空间索引中取出边界覆盖网格内的候选数据
+   * @param {Object} bounds - 边界 {minLng, maxLng, minLat, maxLat}
+   * @returns {Array} 候选数据项数组
+   * @private
+   */
+  _findCandidatesInBounds(bounds) {
+    const spatialIndex = this.indexes.get('spatial')
+    const results = []
+
+    getGridKeysInBounds(bounds, this.gridSize).forEach((gridKey) => {
+      const ids = spatialIndex.get(gridKey)
+      if (!ids) return
+      ids.forEach((id) => {
+        const item = this.data.get(id)
+        if (item) results.push(item)
+      })
+    })
+
+    return results
+  }
+
   /**
    * 模糊搜索
    * @param {string} keyword - 搜索关键词
@@ -7,7 +7,7 @@ import BaseManager from './BaseManager.js'
 class TargetStatusManager extends BaseManager {
   constructor() {
     super()
-    this.requiredFields = ['id', 'target_id']
+    this.schemaDataset = 'targetStatuses'
     this.initializeIndexes()
   }
 
@@ -46,32 +46,6 @@ class TargetStatusManager extends BaseManager {
     this._removeFromIndex('color_code', item.color_code, item.id || item.target_id)
   }
 
-  /**
-   * 自定义验证逻辑
-   * @param {Object} item - 数据项
-   * @returns {boolean} 是否有效
-   */
-  customValidation(item) {
-    // 验证target_id是否存在
-    if (!item.target_id) {
-      console.error('目标状态数据缺少target_id字段:', item)
-      return false
-    }
-
-    // 验证时间格式（如果存在）
-    if (item.start_time && !this.isValidDateTime(item.start_time)) {
-      console.error('start_time格式无效:', item.start_time)
-      return false
-    }
-
-    if (item.end_time && !this.isValidDateTime(item.end_time)) {
-      console.error('end_time格式无效:', item.end_time)
-      return false
-    }
-
-    return true
-  }
-
   /**
    * 验证日期时间格式
    * @param {string} dateTime - 日期时间字符串
@@ -0,0 +1,485 @@
+/**
+ * 轨迹行为分析
+ * 基于 TrajectoryManager 中的轨迹检测停留（低速持续一段时间）、徘徊（在一定半径内曲折航行）与会遇
+ * （两个目标在一定距离内持续一段时间），检测结果可转换为 EventManager 兼容的派生事件，与其他事件一样渲染
+ *
+ * 单位：航速为节（与轨迹数据一致），距离、半径为米，时长为分钟
+ */
+import { haversineDistance } from './spatialUtils.js'
+
+// 派生事件的来源标记，用于区分原始事件与分析生成的事件
+export const DERIVED_EVENT_SOURCE = 'trajectoryAnalytics'
+
+// 米/秒换算为节
+const MS_TO_KNOTS = 1.943844
+
+export const DEFAULT_STOP_OPTIONS = {
+  speedThreshold: 1, // 低于该航速（节）视为停留
+  minDuration: 30, // 最短停留时长（分钟）
+  radius: 500, // 停留期间偏离首个停留点的最大距离（米）
+}
+
+export const DEFAULT_LOITERING_OPTIONS = {
+  radius: 5000, // 徘徊区域半径（米）
+  minDuration: 60, // 最短徘徊时长（分钟）
+  minTortuosity: 3, // 最小曲折度（航程 / 活动范围外接矩形对角线）
+  minSpeed: 1, // 最低平均航速（节），排除停留
+}
+
+export const DEFAULT_RENDEZVOUS_OPTIONS = {
+  distance: 1000, // 会遇距离（米）
+  minDuration: 30, // 最短会遇时长（分钟）
+  sampleInterval: 60, // 采样间隔（秒）
+}
+
+// 两点间距离（米）
+const distanceMeters = (a, b) => haversineDistance(a.lat, a.lng, b.lat, b.lng) * 1000
+
+const toIsoString = (time) => new Date(time).toISOString()
+
+const toMinutes = (ms) => Math.round(ms / 60000)
+
+/**
+ * 生成按时间单调递增查询的线性插值函数
+ * @param {Array} points - 按时间排序的轨迹点 [{time, lng, lat}]
+ * @returns {Function} (time) => {lng, lat}
+ */
+const createInterpolator = (points) => {
+  let cursor = 0
+  return (time) => {
+    while (cursor < points.length - 2 && points[cursor + 1].time <= time) cursor++
+    const a = points[cursor]
+    const b = points[Math.min(cursor + 1, points.length - 1)]
+    if (b.time === a.time) return { lng: a.lng, lat: a.lat }
+    const ratio = Math.min(1, Math.max(0, (time - a.time) / (b.time - a.time)))
+    return { lng: a.lng + (b.lng - a.lng) * ratio, lat: a.lat + (b.lat - a.lat) * ratio }
+  }
+}
+
+/**
+ * 滑动窗口内轨迹点的外接矩形，窗口两端只向后移动，每个点最多入队、出队一次
+ * @param {Array} points - 轨迹点 [{lng, lat}]
+ * @returns {Object} {push(index) 将点加入窗口, getBox(start) 获取从 start 开始的窗口外接矩形}
+ */
+const createWindowBounds = (points) => {
+  // 单调队列：队首为窗口内的最值，keeps(队尾值, 新值) 为 false 时队尾出队
+  const queues = [
+    { name: 'minLng', key: 'lng', keeps: (a, b) => a < b },
+    { name: 'maxLng', key: 'lng', keeps: (a, b) => a > b },
+    { name: 'minLat', key: 'lat', keeps: (a, b) => a < b },
+    { name: 'maxLat', key: 'lat', keeps: (a, b) => a > b },
+  ].map((queue) => ({ ...queue, indices: [], head: 0 }))
+
+  return {
+    push(index) {
+      queues.forEach(({ key, keeps, indices, head }) => {
+        while (
+          indices.length > head &&
+          !keeps(points[indices[indices.length - 1]][key], points[index][key])
+        ) {
+          indices.pop()
+        }
+        indices.push(index)
+      })
+    },
+    getBox(start) {
+      const box = {}
+      queues.forEach((queue) => {
+        while (queue.indices[queue.head] < start) queue.head++
+        box[queue.name] = points[queue.indices[queue.head]][queue.key]
+      })
+      return box
+    },
+  }
+}
+
+class TrajectoryAnalytics {
+  /**
+   * @param {TrajectoryManager} trajectoryManager - 轨迹数据管理器
+   */
+  constructor(trajectoryManager) {
+    this.trajectoryManager = trajectoryManager
+  }
+
+  /**
+   * 获取参与分析的轨迹（按时间排序，跳过缺少有效时间或坐标的点）
+   * @param {Array} targetIds - 目标ID数组，不传时分析全部轨迹
+   * @returns {Array} [{targetId, points: [{time, lng, lat, speed, location}]}]
+   * @private
+   */
+  _getTracks(targetIds = null) {
+    const items = targetIds
+      ? targetIds.map((id) => this.trajectoryManager.findByTargetId(id)).filter(Boolean)
+      : this.trajectoryManager.getAll()
+
+    return items
+      .map((item) => {
+        const points = (Array.isArray(item.trajectory) ? item.trajectory : [])
+          .map((point) => ({
+            time: new Date(point.timestamp).getTime(),
+            lng: point.longitude,
+            lat: point.latitude,
+            speed: typeof point.speed === 'number' ? point.speed : null,
+            location: point.location || null,
+          }))
+          .filter((point) => !isNaN(point.time) && isFinite(point.lng) && isFinite(point.lat))
+          .sort((a, b) => a.time - b.time)
+
+        // 缺少航速的点使用相邻轨迹段的平均航速
+        points.forEach((point, index) => {
+          if (point.speed !== null) return
+          const prev = points[index === points.length - 1 ? index - 1 : index]
+          const next = points[index === points.length - 1 ? index : index + 1]
+          const seconds = prev && next ? (next.time - prev.time) / 1000 : 0
+          point.speed = seconds > 0 ? (distanceMeters(prev, next) / seconds) * MS_TO_KNOTS : 0
+        })
+
+        return { targetId: item.target_id, points }
+      })
+      .filter((track) => track.points.length > 0)
+  }
+
+  /**
+   * 检测停留：航速持续低于阈值且位置基本不变
+   * @param {Object} options - 选项，见 DEFAULT_STOP_OPTIONS，另支持 targetIds
+   * @returns {Array} 停留结果，见 _createResult
+   */
+  detectStops(options = {}) {
+    const { speedThreshold, minDuration, radius } = { ...DEFAULT_STOP_OPTIONS, ...options }
+    const results = []
+
+    this._getTracks(options.targetIds).forEach(({ targetId, points }) => {
+      const isSlow = (index) => points[index].speed <= speedThreshold
+      let start = 0
+
+      while (start < points.length) {
+        if (!isSlow(start)) {
+          start++
+          continue
+        }
+
+        let end = start
+        while (
+          end + 1 < points.length &&
+          isSlow(end + 1) &&
+          distanceMeters(points[start], points[end + 1]) <= radius
+        ) {
+          end++
+        }
+
+        const duration = points[end].time - points[start].time
+        if (duration >= minDuration * 60000) {
+          const window = points.slice(start, end + 1)
+          results.push(
+            this._createResult('stop', [targetId], window, end === points.length - 1, {
+              maxSpeed: Math.max(...window.map((point) => point.speed)),
+            }),
+          )
+        }
+        start = end + 1
+      }
+    })
+
+    return results
+  }
+
+  /**
+   * 检测徘徊：在半径范围内持续航行且航迹曲折（航程远大于活动范围）
+   * @param {Object} options - 选项，见 DEFAULT_LOITERING_OPTIONS，另支持 targetIds
+   * @returns {Array} 徘徊结果，见 _createResult
+   */
+  detectLoitering(options = {}) {
+    const { radius, minDuration, minTortuosity, minSpeed } = {
+      ...DEFAULT_LOITERING_OPTIONS,
+      ...options,
+    }
+    const results = []
+
+    this._getTracks(options.targetIds).forEach(({ targetId, points }) => {
+      // 窗口两端只向后移动：外接矩形由单调队列维护，航程由前缀和计算，整体为线性复杂度
+      const bounds = createWindowBounds(points)
+      const distances = [0]
+      for (let i = 1; i < points.length; i++) {
+        distances.push(distances[i - 1] + distanceMeters(points[i - 1], points[i]))
+      }
+
+      let start = 0
+      let end = -1
+
+      while (start < points.length - 2) {
+        if (end < start) {
+          end = start
+          bounds.push(start)
+        }
+
+        // 向后扩展窗口，直到外接矩形对角线超出区域直径
+        let box = bounds.getBox(start)
+        while (end + 1 < points.length) {
+          const next = points[end + 1]
+          const candidate = {
+            minLng: Math.min(box.minLng, next.lng),
+            maxLng: Math.max(box.maxLng, next.lng),
+            minLat: Math.min(box.minLat, next.lat),
+            maxLat: Math.max(box.maxLat, next.lat),
+          }
+          const diagonal = distanceMeters(
+            { lng: candidate.minLng, lat: candidate.minLat },
+            { lng: candidate.maxLng, lat: candidate.maxLat },
+          )
+          if (diagonal > radius * 2) break
+
+          box = candidate
+          end++
+          bounds.push(end)
+        }
+
+        const path = distances[end] - distances[start]
+        const duration = points[end].time - points[start].time
+        const extent = distanceMeters(
+          { lng: box.minLng, lat: box.minLat },
+          { lng: box.maxLng, lat: box.maxLat },
+        )
+        const tortuosity = path / Math.max(extent, 1)
+        const averageSpeed = duration > 0 ? (path / (duration / 1000)) * MS_TO_KNOTS : 0
+
+        if (
+          end - start >= 2 &&
+          duration >= minDuration * 60000 &&
+          tortuosity >= minTortuosity &&
+          averageSpeed >= minSpeed
+        ) {
+          results.push(
+            this._createResult(
+              'loitering',
+              [targetId],
+              points.slice(start, end + 1),
+              end === points.length - 1,
+              {
+                center: {
+                  longitude: (box.minLng + box.maxLng) / 2,
+                  latitude: (box.minLat + box.maxLat) / 2,
+                },
+                pathLength: Math.round(path),
+                tortuosity: Math.round(tortuosity * 100) / 100,
+                averageSpeed: Math.round(averageSpeed * 100) / 100,
+                radius,
+              },
+            ),
+          )
+          start = end + 1
+        } else {
+          start++
+        }
+      }
+    })
+
+    return results
+  }
+
+  /**
+   * 检测会遇：两个目标（按轨迹插值）在会遇距离内持续一段时间
+   * @param {Object} options - 选项，见 DEFAULT_RENDEZVOUS_OPTIONS，另支持 targetIds（只检测涉及这些目标的
+   *   目标对，对方可以是任意轨迹）
+   * @returns {Array} 会遇结果，见 _createResult
+   */
+  detectRendezvous(options = {}) {
+    const { distance, minDuration, sampleInterval } = {
+      ...DEFAULT_RENDEZVOUS_OPTIONS,
+      ...options,
+    }
+    const step = Math.max(1, sampleInterval) * 1000
+    const minMs = minDuration * 60000
+    // 会遇距离换算为纬度差，用于外接矩形预筛选
+    const margin = distance / 111320
+
+    const focus = options.targetIds ? new Set(options.targetIds) : null
+    const tracks = this._getTracks().map((track) => {
+      const lngs = track.points.map((point) => point.lng)
+      const lats = track.points.map((point) => point.lat)
+      return {
+        ...track,
+        start: track.points[0].time,
+        end: track.points[track.points.length - 1].time,
+        bounds: {
+          minLng: Math.min(...lngs),
+          maxLng: Math.max(...lngs),
+          minLat: Math.min(...lats),
+          maxLat: Math.max(...lats),
+        },
+      }
+    })
+    const results = []
+
+    for (let i = 0; i < tracks.length; i++) {
+      for (let j = i + 1; j < tracks.length; j++) {
+        const a = tracks[i]
+        const b = tracks[j]
+        if (focus && !focus.has(a.targetId) && !focus.has(b.targetId)) continue
+
+        const overlapStart = Math.max(a.start, b.start)
+        const overlapEnd = Math.min(a.end, b.end)
+        if (overlapEnd - overlapStart < minMs) continue
+
+        const lngMargin = margin / Math.max(Math.cos((a.bounds.minLat * Math.PI) / 180), 1e-6)
+        if (
+          a.bounds.maxLat + margin < b.bounds.minLat ||
+          b.bounds.maxLat + margin < a.bounds.minLat ||
+          a.bounds.maxLng + lngMargin < b.bounds.minLng ||
+          b.bounds.maxLng + lngMargin < a.bounds.minLng
+        ) {
+          continue
+        }
+
+        results.push(...this._findEncounters(a, b, overlapStart, overlapEnd, step, distance, minMs))
+      }
+    }
+
+    return results
+  }
+
+  /**
+   * 在两条轨迹的重叠时间段内按固定间隔采样，找出距离持续不超过会遇距离的时间段
+   * @private
+   */
+  _findEncounters(a, b, overlapStart, overlapEnd, step, distance, minMs) {
+    const positionA = createInterpolator(a.points)
+    const positionB = createInterpolator(b.points)
+    const results = []
+    let run = null
+
+    const closeRun = (ongoing) => {
+      if (run && run.end - run.start >= minMs) {
+        const { lng, lat } = run.closest.midpoint
+        const window = [{ time: run.start }, { time: run.end }]
+        results.push(
+          this._createResult('rendezvous', [a.targetId, b.targetId], window, ongoing, {
+            center: { longitude: lng, latitude: lat },
+            minDistance: Math.round(run.closest.distance),
+            closestTime: toIsoString(run.closest.time),
+          }),
+        )
+      }
+      run = null
+    }
+
+    for (let time = overlapStart; ; time = Math.min(time + step, overlapEnd)) {
+      const pa = positionA(time)
+      const pb = positionB(time)
+      const gap = distanceMeters(pa, pb)
+
+      if (gap <= distance) {
+        const closest = {
+          time,
+          distance: gap,
+          midpoint: { lng: (pa.lng + pb.lng) / 2, lat: (pa.lat + pb.lat) / 2 },
+        }
+        if (!run) run = { start: time, end: time, closest }
+        run.end = time
+        if (gap < run.closest.distance) run.closest = closest
+      } else {
+        closeRun(false)
+      }
+
+      if (time >= overlapEnd) break
+    }
+    closeRun(true)
+
+    return results
+  }
+
+  /**
+   * 生成分析结果
+   * @param {string} kind - 类型 stop | loitering | rendezvous
+   * @param {Array} targetIds - 涉及的目标ID
+   * @param {Array} window - 时间段内的轨迹点 [{time, lng, lat, location}]
+   * @param {boolean} ongoing - 是否持续到轨迹末尾（尚未结束）
+   * @param {Object} metrics - 附加指标，center 为结果位置 {longitude, latitude}，默认取轨迹点平均位置
+   * @returns {Object} {kind, targetIds, startTime, endTime, duration, longitude, latitude, location, ongoing, metrics}
+   * @private
+   */
+  _createResult(kind, targetIds, window, ongoing, { center = null, ...metrics } = {}) {
+    const first = window[0]
+    const last = window[window.length - 1]
+    const position = center || {
+      longitude: window.reduce((sum, point) => sum + point.lng, 0) / window.length,
+      latitude: window.reduce((sum, point) => sum + point.lat, 0) / window.length,
+    }
+
+    return {
+      kind,
+      targetIds,
+      startTime: toIsoString(first.time),
+      endTime: toIsoString(last.time),
+      duration: toMinutes(last.time - first.time),
+      longitude: position.longitude,
+      latitude: position.latitude,
+      location: window.find((point) => point.location)?.location || null,
+      ongoing,
+      metrics,
+    }
+  }
+
+  /**
+   * 执行全部检测
+   * @param {Object} options - 选项
+   * @param {Array} options.targetIds - 目标ID数组，不传时分析全部轨迹
+   * @param {Object|false} options.stops - 停留检测选项，false 表示不检测
+   * @param {Object|false} options.loitering - 徘徊检测选项，false 表示不检测
+   * @param {Object|false} options.rendezvous - 会遇检测选项，false 表示不检测
+   * @returns {Array} 分析结果，按开始时间排序
+   */
+  detectAll(options = {}) {
+    const { targetIds, stops = {}, loitering = {}, rendezvous = {} } = options
+    const results = []
+
+    if (stops) results.push(...this.detectStops({ targetIds, ...stops }))
+    if (loitering) results.push(...this.detectLoitering({ targetIds, ...loitering }))
+    if (rendezvous) results.push(...this.detectRendezvous({ targetIds, ...rendezvous }))
+
+    return results.sort((a, b) => a.startTime.localeCompare(b.startTime))
+  }
+
+  /**
+   * 执行全部检测并转换为派生事件
+   * @param {Object} options - 选项，见 detectAll
+   * @returns {Array} EventManager 兼容的事件数组
+   */
+  detectEvents(options = {}) {
+    return this.detectAll(options).map(toDerivedEvent)
+  }
+}
+
+/**
+ * 将分析结果转换为 EventManager 兼容的派生事件
+ * 事件ID由类型、目标与开始时间生成，重复分析同一轨迹时覆盖已有的派生事件
+ * 停留与徘徊事件的源目标和目标相同，连线端点随轨迹移动
+ * @param {Object} result - 分析结果
+ * @returns {Object} 事件 {id, source_id, target_id, description, startTime, endTime, duration, type, ...}
+ */
+export function toDerivedEvent(result) {
+  const [sourceId, targetId = sourceId] = result.targetIds
+  const place = result.location ? `（${result.location}）` : ''
+  const descriptions = {
+    stop: `目标 ${sourceId} 停留 ${result.duration} 分钟${place}`,
+    loitering: `目标 ${sourceId} 在半径 ${result.metrics.radius} 米范围内徘徊 ${result.duration} 分钟${place}`,
+    rendezvous: `目标 ${sourceId} 与 ${targetId} 会遇 ${result.duration} 分钟，最近距离 ${result.metrics.minDistance} 米`,
+  }
+
+  return {
+    id: [result.kind, ...result.targetIds, new Date(result.startTime).getTime()].join('_'),
+    source_id: sourceId,
+    target_id: targetId,
+    description: descriptions[result.kind],
+    startTime: result.startTime,
+    endTime: result.endTime,
+    duration: result.duration,
+    type: result.ongoing ? '进行中' : '已完成',
+    longitude: result.longitude,
+    latitude: result.latitude,
+    analysis: result.kind,
+    metrics: result.metrics,
+    derivedFrom: DERIVED_EVENT_SOURCE,
+  }
+}
+
+export default TrajectoryAnalytics
@@ -3,11 +3,50 @@
  * 管理目标的轨迹信息，包括时间序列位置、速度、航向等
  */
 import BaseManager from './BaseManager.js'
+import TrajectoryAnalytics from './TrajectoryAnalytics.js'
+import CpaAnalytics from './CpaAnalytics.js'
+import TrajectoryPredictor from './TrajectoryPredictor.js'
+import { validateSchema, TRAJECTORY_POINT_SCHEMA } from './schemas/index.js'
+import {
+  getGridKeysInBounds,
+  getRadiusBounds,
+  getPolygonBounds,
+  isPointInBounds,
+  isPointInPolygon,
+  haversineDistance,
+} from './spatialUtils.js'
+import { summarizeTrajectory, TRAJECTORY_TASKS } from './workers/trajectoryTasks.js'
+import WorkerPool, { chunkArray, createAbortError } from '../../../../utils/workerPool.js'
+
+// 异步加载时每个 Worker 任务处理的轨迹数
+const TRAJECTORY_CHUNK_SIZE = 20
+
+// 轨迹预处理线程池，所有轨迹管理器共用，首次异步加载时创建
+let workerPool = null
+
+/**
+ * 获取轨迹预处理线程池
+ * @returns {WorkerPool} 线程池
+ */
+function getWorkerPool() {
+  if (!workerPool) {
+    workerPool = new WorkerPool({
+      createWorker: () =>
+        new Worker(new URL('./workers/trajectory.worker.js', import.meta.url), {
+          type: 'module',
+        }),
+      tasks: TRAJECTORY_TASKS,
+    })
+  }
+  return workerPool
+}
 
 class TrajectoryManager extends BaseManager {
   constructor() {
     super()
-    this.requiredFields = ['target_id'] // 轨迹数据以target_id为主键
+    this.schemaDataset = 'trajectories' // 轨迹数据以target_id为主键，addItem 时同步为 id
+    this.gridSize = 1.0 // 位置索引网格大小（度）
+    this.summaries = new WeakMap() // 轨迹点数组 -> 汇总（航程、边界、时间范围），见 summarizeTrajectory
     this.initializeIndexes()
   }
 
@@ -26,58 +65,27 @@ class TrajectoryManager extends BaseManager {
   }
 
   /**
-   * 自定义验证逻辑
-   * @param {Object} item - 轨迹数据项 {target_id: string, trajectory: Array}
+   * 验证轨迹点数据
+   * @param {Object} point - 轨迹点
    * @returns {boolean} 是否有效
    */
-  customValidation(item) {
-    if (!item.target_id) {
-      console.error('轨迹数据缺少target_id字段:', item)
-      return false
-    }
-
-    if (!Array.isArray(item.trajectory)) {
-      console.error('轨迹数据trajectory字段必须是数组:', item)
-      return false
-    }
-
-    // 验证轨迹点数据
-    for (const point of item.trajectory) {
-      if (!this.validateTrajectoryPoint(point)) {
-        return false
-      }
-    }
-
-    return true
+  validateTrajectoryPoint(point) {
+    const errors = this.getTrajectoryPointErrors(point)
+    errors.forEach((error) => console.error(`${error.message}:`, point))
+    return errors.length === 0
   }
 
   /**
-   * 验证轨迹点数据
+   * 获取轨迹点校验错误（按轨迹点 Schema 校验）
    * @param {Object} point - 轨迹点
-   * @returns {boolean} 是否有效
+   * @param {string} prefix - 字段名前缀，如 trajectory[3].
+   * @returns {Array} 错误数组 [{field, path, keyword, message}]，path 为相对轨迹点的路径
    */
-  validateTrajectoryPoint(point) {
-    const requiredFields = ['timestamp', 'longitude', 'latitude']
-
-    for (const field of requiredFields) {
-      if (point[field] === undefined || point[field] === null) {
-        console.error(`轨迹点缺少必要字段 ${field}:`, point)
-        return false
-      }
-    }
-
-    // 验证经纬度范围
-    if (point.longitude < -180 || point.longitude > 180) {
-      console.error('经度超出有效范围:', point.longitude)
-      return false
-    }
-
-    if (point.latitude < -90 || point.latitude > 90) {
-      console.error('纬度超出有效范围:', point.latitude)
-      return false
-    }
-
-    return true
+  getTrajectoryPointErrors(point, prefix = '') {
+    return validateSchema(TRAJECTORY_POINT_SCHEMA, point).map((error) => ({
+      ...error,
+      field: error.field ? `${prefix}${error.field}` : prefix.replace(/\.$/, '') || null,
+    }))
   }
 
   /**
@@ -85,22 +93,24 @@ class TrajectoryManager extends BaseManager {
    * @param {Object} initialData - 初始数据对象，格式为 {target_id: [trajectory_points]}
    */
   setInitialData(initialData) {
-    this.clear()
+    this.batch('setInitialData', () => {
+      this.clear()
 
-    if (typeof initialData === 'object' && initialData !== null) {
-      // 转换数据格式
-      const trajectoryItems = []
+      if (typeof initialData === 'object' && initialData !== null) {
+        // 转换数据格式
+        const trajectoryItems = []
 
-      for (const [targetId, trajectory] of Object.entries(initialData)) {
-        trajectoryItems.push({
-          target_id: targetId,
-          id: targetId, // 使用target_id作为主键
-          trajectory: trajectory || [],
-        })
-      }
+        for (const [targetId, trajectory] of Object.entries(initialData)) {
+          trajectoryItems.push({
+            target_id: targetId,
+            id: targetId, // 使用target_id作为主键
+            trajectory: trajectory || [],
+          })
+        }
 
-      trajectoryItems.forEach((item) => this.addItem(item))
-    }
+        trajectoryItems.forEach((item) => this.addItem(item))
+      }
+    })
   }
 
   /**
@@ -117,16 +127,109 @@ class TrajectoryManager extends BaseManager {
         this.addItem(newData)
       } else {
         // 处理shipTrajectoryData.json格式的对象数据
-        for (const [targetId, trajectory] of Object.entries(newData)) {
-          const trajectoryItem = {
-            target_id: targetId,
-            id: targetId,
-            trajectory: trajectory || [],
+        this.batch('updateData', () => {
+          for (const [targetId, trajectory] of Object.entries(newData)) {
+            const trajectoryItem = {
+              target_id: targetId,
+              id: targetId,
+              trajectory: trajectory || [],
+            }
+            this.addItem(trajectoryItem)
           }
-          this.addItem(trajectoryItem)
-        }
+        })
+      }
+    }
+  }
+
+  /**
+   * 异步加载轨迹数据（大文件使用），数据格式同 updateData
+   * 排序、航程、边界与时间范围在 Web Worker 中计算，主线程只写入数据与索引
+   * @param {Array|Object} newData - 新数据
+   * @param {Object} options - 选项
+   * @param {AbortSignal} options.signal - 取消信号，取消后不写入任何数据，以 AbortError 拒绝
+   * @param {Function} options.onProgress - 进度回调 ({loaded, total})，按已处理的轨迹数计
+   * @returns {Promise<number>} 写入的轨迹数
+   */
+  async loadTrajectoriesAsync(newData, options = {}) {
+    const prepared = await this.prepareTrajectoriesAsync(newData, options)
+    return this.loadPreparedTrajectories(prepared)
+  }
+
+  /**
+   * 在 Web Worker 中预处理轨迹数据：轨迹点按时间排序并计算汇总，不写入管理器
+   * @param {Array|Object} newData - 新数据，格式同 updateData
+   * @param {Object} options - 选项，见 loadTrajectoriesAsync
+   * @returns {Promise<Array>} 预处理结果 [{item, summary}]，交给 loadPreparedTrajectories 写入
+   */
+  async prepareTrajectoriesAsync(newData, { signal, onProgress } = {}) {
+    const items = this._toTrajectoryItems(newData)
+    const chunks = chunkArray(items, TRAJECTORY_CHUNK_SIZE)
+    let loaded = 0
+
+    const results = await getWorkerPool().map(
+      'summarize',
+      chunks.map((chunk) =>
+        chunk.map((item) => (Array.isArray(item.trajectory) ? item.trajectory : [])),
+      ),
+      {
+        signal,
+        onProgress: ({ index }) => {
+          if (index >= 0) loaded += chunks[index].length
+          onProgress?.({ loaded, total: items.length })
+        },
+      },
+    )
+    if (signal?.aborted) throw createAbortError()
+
+    return results.flat().map(({ order, ...summary }, index) => {
+      const item = items[index]
+      return {
+        item: order ? { ...item, trajectory: order.map((i) => item.trajectory[i]) } : item,
+        summary,
       }
+    })
+  }
+
+  /**
+   * 写入预处理后的轨迹数据
+   * @param {Array} prepared - prepareTrajectoriesAsync 的结果
+   * @returns {number} 写入的轨迹数
+   */
+  loadPreparedTrajectories(prepared) {
+    let count = 0
+    this.batch('loadTrajectories', () => {
+      prepared.forEach(({ item, summary }) => {
+        if (!this.addItem(item)) return
+        const stored = this.data.get(item.id)
+        if (Array.isArray(stored.trajectory)) {
+          this.summaries.set(stored.trajectory, summary)
+        }
+        count++
+      })
+    })
+    return count
+  }
+
+  /**
+   * 把 updateData 支持的数据格式转换为轨迹数据项数组
+   * @param {Array|Object} newData - 数组、单个轨迹数据项或 {target_id: [轨迹点]}
+   * @returns {Array} 轨迹数据项数组
+   */
+  _toTrajectoryItems(newData) {
+    if (Array.isArray(newData)) {
+      return newData.filter(Boolean)
+    }
+    if (typeof newData !== 'object' || newData === null) {
+      return []
     }
+    if (newData.target_id || newData.id) {
+      return [newData]
+    }
+    return Object.entries(newData).map(([targetId, trajectory]) => ({
+      target_id: targetId,
+      id: targetId,
+      trajectory: trajectory || [],
+    }))
   }
 
   /**
@@ -144,15 +247,62 @@ class TrajectoryManager extends BaseManager {
       item.id = item.target_id
     }
 
+    const existing = this.data.get(item.id)
+    // 覆盖已有轨迹时先移除旧索引
+    if (existing) {
+      this.removeFromIndexes(existing)
+    }
+
     const clonedItem = { ...item }
     this.data.set(item.id, clonedItem)
 
     // 更新所有索引
     this.updateIndexes(clonedItem)
+    this._recordChange(existing ? 'update' : 'add', item.id, existing || null, clonedItem)
 
     return true
   }
 
+  /**
+   * 向目标轨迹追加轨迹点（实时推送增量使用）
+   * 相同时间戳的点会被覆盖，追加后按时间排序
+   * @param {string} targetId - 目标ID
+   * @param {Array|Object} points - 轨迹点或轨迹点数组
+   * @returns {boolean} 是否成功
+   */
+  appendPoints(targetId, points) {
+    const newPoints = (Array.isArray(points) ? points : [points]).filter(Boolean)
+    if (!targetId || newPoints.length === 0) {
+      return false
+    }
+
+    for (const point of newPoints) {
+      if (!this.validateTrajectoryPoint(point)) {
+        return false
+      }
+    }
+
+    const existing = this.findByTargetId(targetId)
+    const pointMap = new Map()
+    ;(existing?.trajectory || []).forEach((point) => {
+      pointMap.set(new Date(point.timestamp).getTime(), point)
+    })
+    newPoints.forEach((point) => {
+      pointMap.set(new Date(point.timestamp).getTime(), { ...point })
+    })
+
+    const trajectory = Array.from(pointMap.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([, point]) => point)
+
+    return this.addItem({
+      ...(existing || {}),
+      target_id: targetId,
+      id: targetId,
+      trajectory,
+    })
+  }
+
   /**
    * 更新索引
    * @param {Object} item - 轨迹数据项
@@ -264,26 +414,92 @@ class TrajectoryManager extends BaseManager {
    */
   findByBounds(bounds) {
     const { west, east, south, north } = bounds
-    const results = new Set()
+    return this.findPointsByBounds({
+      minLng: west,
+      maxLng: east,
+      minLat: south,
+      maxLat: north,
+    }).map((match) => this.findById(match.id))
+  }
 
-    for (const trajectory of this.data.values()) {
-      if (Array.isArray(trajectory.trajectory)) {
-        const hasPointInBounds = trajectory.trajectory.some((point) => {
-          return (
-            point.longitude >= west &&
-            point.longitude <= east &&
-            point.latitude >= south &&
-            point.latitude <= north
-          )
-        })
+  /**
+   * 查找边界内的轨迹点（使用网格空间索引）
+   * @param {Object} bounds - 边界 {minLng, maxLng, minLat, maxLat}
+   * @param {Object} timeRange - 时间范围 {startTime, endTime}（可选）
+   * @returns {Array} 匹配结果 [{id, target_id, trajectory}]，trajectory 只包含命中的轨迹点
+   */
+  findPointsByBounds(bounds, timeRange = {}) {
+    return this._findMatchingPoints(bounds, timeRange, (point) =>
+      isPointInBounds(point.longitude, point.latitude, bounds),
+    )
+  }
 
-        if (hasPointInBounds) {
-          results.add(trajectory)
-        }
+  /**
+   * 查找半径范围内的轨迹点（使用网格空间索引）
+   * @param {number} centerLng - 中心经度
+   * @param {number} centerLat - 中心纬度
+   * @param {number} radiusKm - 半径（公里）
+   * @param {Object} timeRange - 时间范围 {startTime, endTime}（可选）
+   * @returns {Array} 匹配结果 [{id, target_id, trajectory}]
+   */
+  findPointsByRadius(centerLng, centerLat, radiusKm, timeRange = {}) {
+    return this._findMatchingPoints(
+      getRadiusBounds(centerLng, centerLat, radiusKm),
+      timeRange,
+      (point) =>
+        haversineDistance(centerLat, centerLng, point.latitude, point.longitude) <= radiusKm,
+    )
+  }
+
+  /**
+   * 查找多边形内的轨迹点（使用网格空间索引）
+   * @param {Array} polygon - 多边形顶点 [[lng, lat], ...]
+   * @param {Object} timeRange - 时间范围 {startTime, endTime}（可选）
+   * @returns {Array} 匹配结果 [{id, target_id, trajectory}]
+   */
+  findPointsByPolygon(polygon, timeRange = {}) {
+    if (!Array.isArray(polygon) || polygon.length < 3) return []
+
+    return this._findMatchingPoints(getPolygonBounds(polygon), timeRange, (point) =>
+      isPointInPolygon(point.longitude, point.latitude, polygon),
+    )
+  }
+
+  /**
+   * 通过位置索引筛选候选轨迹，再逐点判断空间与时间条件
+   * @param {Object} bounds - 候选网格范围 {minLng, maxLng, minLat, maxLat}
+   * @param {Object} timeRange - 时间范围 {startTime, endTime}
+   * @param {Function} predicate - 轨迹点空间判断函数
+   * @returns {Array} 匹配结果 [{id, target_id, trajectory}]
+   * @private
+   */
+  _findMatchingPoints(bounds, timeRange, predicate) {
+    const locationIndex = this.indexes.get('location')
+    const candidateIds = new Set()
+    getGridKeysInBounds(bounds, this.gridSize).forEach((gridKey) => {
+      const ids = locationIndex.get(gridKey)
+      if (ids) ids.forEach((id) => candidateIds.add(id))
+    })
+
+    const start = timeRange.startTime ? new Date(timeRange.startTime).getTime() : -Infinity
+    const end = timeRange.endTime ? new Date(timeRange.endTime).getTime() : Infinity
+    const results = []
+
+    candidateIds.forEach((id) => {
+      const item = this.data.get(id)
+      if (!item || !Array.isArray(item.trajectory)) return
+
+      const points = item.trajectory.filter((point) => {
+        const time = new Date(point.timestamp).getTime()
+        return time >= start && time <= end && predicate(point)
+      })
+
+      if (points.length > 0) {
+        results.push({ id: item.id, target_id: item.target_id, trajectory: points })
       }
-    }
+    })
 
-    return Array.from(results)
+    return results
   }
 
   /**
@@ -325,14 +541,7 @@ class TrajectoryManager extends BaseManager {
       return null
     }
 
-    const timestamps = trajectory.trajectory
-      .map((point) => new Date(point.timestamp))
-      .sort((a, b) => a - b)
-
-    return {
-      start: timestamps[0].toISOString(),
-      end: timestamps[timestamps.length - 1].toISOString(),
-    }
+    return this._getTrajectorySummary(trajectory.trajectory).timeRange
   }
 
   /**
@@ -350,19 +559,7 @@ class TrajectoryManager extends BaseManager {
       return null
     }
 
-    let west = Infinity,
-      east = -Infinity,
-      south = Infinity,
-      north = -Infinity
-
-    trajectory.trajectory.forEach((point) => {
-      west = Math.min(west, point.longitude)
-      east = Math.max(east, point.longitude)
-      south = Math.min(south, point.latitude)
-      north = Math.max(north, point.latitude)
-    })
-
-    return { west, east, south, north }
+    return this._getTrajectorySummary(trajectory.trajectory).bounds
   }
 
   /**
@@ -382,19 +579,43 @@ class TrajectoryManager extends BaseManager {
     }
 
     const speeds = points.filter((p) => p.speed !== undefined).map((p) => p.speed)
-    const distances = this._calculateTrajectoryDistances(points)
+    const summary = this._getTrajectorySummary(points)
 
     return {
       pointCount: points.length,
-      totalDistance: distances.reduce((sum, d) => sum + d, 0),
+      totalDistance: summary.totalDistance,
       averageSpeed: speeds.length > 0 ? speeds.reduce((sum, s) => sum + s, 0) / speeds.length : 0,
       maxSpeed: speeds.length > 0 ? Math.max(...speeds) : 0,
       minSpeed: speeds.length > 0 ? Math.min(...speeds) : 0,
-      timeRange: this.getTrajectoryTimeRange(targetId),
-      bounds: this.getTrajectoryBounds(targetId),
+      timeRange: summary.timeRange,
+      bounds: summary.bounds,
     }
   }
 
+  /**
+   * 获取轨迹行为分析（停留、徘徊、会遇检测）
+   * @returns {TrajectoryAnalytics} 轨迹行为分析
+   */
+  getAnalytics() {
+    return new TrajectoryAnalytics(this)
+  }
+
+  /**
+   * 获取碰撞风险分析（CPA/TCPA）
+   * @returns {CpaAnalytics} 碰撞风险分析
+   */
+  getCpaAnalytics() {
+    return new CpaAnalytics(this)
+  }
+
+  /**
+   * 获取轨迹航位推算（预测未来位置）
+   * @returns {TrajectoryPredictor} 轨迹预测
+   */
+  getPredictor() {
+    return new TrajectoryPredictor(this)
+  }
+
   /**
    * 检查数据项是否匹配关键词
    * @param {Object} item - 轨迹数据项
@@ -427,74 +648,25 @@ class TrajectoryManager extends BaseManager {
    * @returns {string} 网格键
    */
   _getGridKey(lng, lat) {
-    const gridSize = 1.0 // 1度网格
-    const gridX = Math.floor(lng / gridSize)
-    const gridY = Math.floor(lat / gridSize)
+    const gridX = Math.floor(lng / this.gridSize)
+    const gridY = Math.floor(lat / this.gridSize)
     return `${gridX},${gridY}`
   }
 
   /**
-   * 计算轨迹各段距离
+   * 获取轨迹汇总（航程、边界、时间范围），异步加载时由 Worker 计算，否则首次使用时计算并缓存
    * @param {Array} points - 轨迹点数组
-   * @returns {Array} 距离数组（公里）
-   */
-  _calculateTrajectoryDistances(points) {
-    const distances = []
-
-    for (let i = 1; i < points.length; i++) {
-      const prev = points[i - 1]
-      const curr = points[i]
-
-      if (
-        prev.longitude !== undefined &&
-        prev.latitude !== undefined &&
-        curr.longitude !== undefined &&
-        curr.latitude !== undefined
-      ) {
-        const distance = this._calculateDistance(
-          prev.latitude,
-          prev.longitude,
-          curr.latitude,
-          curr.longitude,
-        )
-        distances.push(distance)
-      }
-    }
-
-    return distances
-  }
-
-  /**
-   * 计算两点间距离（公里）
-   * @param {number} lat1 - 点1纬度
-   * @param {number} lng1 - 点1经度
-   * @param {number} lat2 - 点2纬度
-   * @param {number} lng2 - 点2经度
-   * @returns {number} 距离（公里）
+   * @returns {Object} 汇总 {pointCount, totalDistance, bounds, timeRange}，见 summarizeTrajectory
    */
-  _calculateDistance(lat1, lng1, lat2, lng2) {
-    const R = 6371 // 地球半径（公里）
-    const dLat = this._toRadians(lat2 - lat1)
-    const dLng = this._toRadians(lng2 - lng1)
-
-    const a =
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(this._toRadians(lat1)) *
-        Math.cos(this._toRadians(lat2)) *
-        Math.sin(dLng / 2) *
-        Math.sin(dLng / 2)
-
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
-    return R * c
-  }
-
-  /**
-   * 角度转弧度
-   * @param {number} degrees - 角度
-   * @returns {number} 弧度
-   */
-  _toRadians(degrees) {
-    return degrees * (Math.PI / 180)
+  _getTrajectorySummary(points) {
+    let summary = this.summaries.get(points)
+    // 轨迹点数组被原地修改时重新计算
+    if (!summary || summary.pointCount !== points.length) {
+      summary = summarizeTrajectory(points)
+      delete summary.order
+      this.summaries.set(points, summary)
+    }
+    return summary
   }
 
   /**
@@ -0,0 +1,307 @@
+/**
+ * 轨迹航位推算（预测）
+ * 从轨迹最后一个点的航速、航向向后推算未来位置，支持两种运动模型：
+ *   greatCircle       - 沿大圆航线保持初始航向匀速航行
+ *   constantTurnRate  - 按最近的转向速率匀速转弯（转向速率由最后几个轨迹点的航向变化估算）
+ * 预测位置的不确定性随航程增长，输出沿预测航线展开的不确定性锥形区域
+ *
+ * 单位：航速为节，航向为度（正北为 0，顺时针），转向速率为度/分钟，距离为米，时长为分钟
+ */
+
+export const PREDICTION_MODELS = ['greatCircle', 'constantTurnRate']
+
+export const DEFAULT_PREDICTION_OPTIONS = {
+  model: 'greatCircle', // 运动模型
+  horizon: 30, // 预测时长（分钟）
+  step: 60, // 预测点间隔（秒）
+  baseUncertainty: 100, // 最后一个轨迹点的位置误差（米）
+  speedUncertainty: 0.1, // 航速相对误差，沿航线方向的误差随航程增长
+  headingUncertainty: 5, // 航向误差（度），横向误差随航程增长
+  maxTurnRate: 3, // 最大转向速率（度/分钟），超出时截断，避免个别航向跳变导致预测打转
+}
+
+// 地球半径（米）
+const EARTH_RADIUS = 6371000
+
+// 节换算为米/秒
+const KNOTS_TO_MS = 0.514444
+
+// 推算的积分步长上限（秒），转弯模型按该步长逐段推进
+const MAX_INTEGRATION_STEP = 10
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+
+const toDegrees = (radians) => (radians * 180) / Math.PI
+
+const normalizeHeading = (heading) => ((heading % 360) + 360) % 360
+
+// 航向差，范围 -180 ~ 180
+const headingDelta = (from, to) => ((to - from + 540) % 360) - 180
+
+/**
+ * 按初始航向沿大圆航行指定距离后的位置
+ * @param {number} lng - 经度
+ * @param {number} lat - 纬度
+ * @param {number} heading - 初始航向（度）
+ * @param {number} distance - 距离（米）
+ * @returns {Object} {lng, lat}
+ */
+export function destinationPoint(lng, lat, heading, distance) {
+  const angular = distance / EARTH_RADIUS
+  const theta = toRadians(heading)
+  const phi1 = toRadians(lat)
+  const lambda1 = toRadians(lng)
+
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(angular) + Math.cos(phi1) * Math.sin(angular) * Math.cos(theta),
+  )
+  const lambda2 =
+    lambda1 +
+    Math.atan2(
+      Math.sin(theta) * Math.sin(angular) * Math.cos(phi1),
+      Math.cos(angular) - Math.sin(phi1) * Math.sin(phi2),
+    )
+
+  return { lng: ((toDegrees(lambda2) + 540) % 360) - 180, lat: toDegrees(phi2) }
+}
+
+/**
+ * 两点之间大圆航线的初始航向
+ * @param {Object} from - 起点 {lng, lat}
+ * @param {Object} to - 终点 {lng, lat}
+ * @returns {number} 航向（度）
+ */
+export function initialBearing(from, to) {
+  const phi1 = toRadians(from.lat)
+  const phi2 = toRadians(to.lat)
+  const deltaLambda = toRadians(to.lng - from.lng)
+  const y = Math.sin(deltaLambda) * Math.cos(phi2)
+  const x =
+    Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda)
+  return normalizeHeading(toDegrees(Math.atan2(y, x)))
+}
+
+// 两点之间的大圆距离（米）
+const distanceBetween = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat)
+  const dLng = toRadians(to.lng - from.lng)
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2
+  return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+}
+
+/**
+ * 估算轨迹末尾的运动状态：航速、航向取最后一个点的上报值（缺失时按最后一段轨迹计算），
+ * 转向速率按最后两个点的航向变化计算
+ * @param {Array} points - 按时间排序的轨迹点 [{time, lng, lat, speed, heading}]
+ * @param {number} maxTurnRate - 最大转向速率（度/分钟）
+ * @returns {Object} {speed, heading, turnRate}
+ */
+export function estimateMotion(points, maxTurnRate = DEFAULT_PREDICTION_OPTIONS.maxTurnRate) {
+  const last = points[points.length - 1]
+  const previous = points[points.length - 2]
+  const segmentCourse = (from, to) => ({
+    heading: initialBearing(from, to),
+    speed:
+      to.time > from.time
+        ? distanceBetween(from, to) / ((to.time - from.time) / 1000) / KNOTS_TO_MS
+        : 0,
+  })
+
+  const course = previous ? segmentCourse(previous, last) : { heading: 0, speed: 0 }
+  const speed = last.speed ?? course.speed
+  const heading = last.heading ?? course.heading
+
+  let turnRate = 0
+  if (previous && last.time > previous.time) {
+    const previousHeading =
+      previous.heading ??
+      (points.length > 2 ? segmentCourse(points[points.length - 3], previous).heading : heading)
+    const minutes = (last.time - previous.time) / 60000
+    turnRate = headingDelta(previousHeading, heading) / minutes
+    turnRate = Math.max(-maxTurnRate, Math.min(maxTurnRate, turnRate))
+  }
+
+  return { speed, heading, turnRate }
+}
+
+/**
+ * 生成不确定性锥形区域：沿预测航线两侧按不确定性半径展开，末端为圆弧
+ * @param {Array} samples - 预测点 [{longitude, latitude, heading, uncertainty}]
+ * @returns {Array} 多边形顶点 [[lng, lat], ...]
+ */
+export function buildUncertaintyCone(samples) {
+  const offset = (sample, bearing) => {
+    const { lng, lat } = destinationPoint(
+      sample.longitude,
+      sample.latitude,
+      bearing,
+      sample.uncertainty,
+    )
+    return [lng, lat]
+  }
+
+  const left = samples.map((sample) => offset(sample, sample.heading - 90))
+  const right = samples.map((sample) => offset(sample, sample.heading + 90))
+  const last = samples[samples.length - 1]
+  const cap = []
+  for (let angle = -60; angle <= 60; angle += 30) {
+    cap.push(offset(last, last.heading + angle))
+  }
+
+  return [...left, ...cap, ...right.reverse()]
+}
+
+/**
+ * 从轨迹末尾向后推算
+ * @param {Array} points - 按时间排序的轨迹点 [{time, lng, lat, speed, heading}]
+ * @param {Object} options - 选项，见 DEFAULT_PREDICTION_OPTIONS
+ * @returns {Object|null} {model, startTime, endTime, speed, heading, turnRate, samples, cone}，
+ *   samples 为 [{timestamp, longitude, latitude, heading, speed, uncertainty, predicted: true}]，
+ *   第一个预测点即最后一个轨迹点；没有轨迹点时返回 null
+ */
+export function predictPath(points, options = {}) {
+  const settings = { ...DEFAULT_PREDICTION_OPTIONS, ...options }
+  if (!PREDICTION_MODELS.includes(settings.model)) {
+    throw new Error(`未知的预测模型: ${settings.model}`)
+  }
+  if (points.length === 0) return null
+
+  const last = points[points.length - 1]
+  const { speed, heading, turnRate } = estimateMotion(points, settings.maxTurnRate)
+  const turning = settings.model === 'constantTurnRate' ? turnRate / 60 : 0 // 度/秒
+  const metersPerSecond = speed * KNOTS_TO_MS
+  const growth = settings.speedUncertainty + Math.sin(toRadians(settings.headingUncertainty))
+  const totalSeconds = settings.horizon * 60
+  const step = Math.max(1, settings.step)
+
+  const samples = []
+  let position = { lng: last.lng, lat: last.lat }
+  let currentHeading = heading
+  let travelled = 0
+
+  const pushSample = (elapsed) => {
+    // 大圆航线的航向沿途变化，取从起点出发的航向推算当前位置的航向
+    const sampleHeading =
+      settings.model === 'greatCircle' && travelled > 0
+        ? normalizeHeading(initialBearing(position, { lng: last.lng, lat: last.lat }) + 180)
+        : normalizeHeading(currentHeading)
+    samples.push({
+      timestamp: new Date(last.time + elapsed * 1000).toISOString(),
+      longitude: position.lng,
+      latitude: position.lat,
+      heading: sampleHeading,
+      speed,
+      uncertainty: settings.baseUncertainty + travelled * growth,
+      predicted: true,
+    })
+  }
+
+  pushSample(0)
+  for (let elapsed = 0; elapsed < totalSeconds; ) {
+    const next = Math.min(elapsed + step, totalSeconds)
+
+    if (settings.model === 'greatCircle') {
+      travelled = metersPerSecond * next
+      position = destinationPoint(last.lng, last.lat, heading, travelled)
+    } else {
+      // 转弯模型逐段推进：每段沿当前航向航行后按转向速率调整航向
+      while (elapsed < next) {
+        const dt = Math.min(MAX_INTEGRATION_STEP, next - elapsed)
+        position = destinationPoint(
+          position.lng,
+          position.lat,
+          currentHeading,
+          metersPerSecond * dt,
+        )
+        currentHeading += turning * dt
+        travelled += metersPerSecond * dt
+        elapsed += dt
+      }
+    }
+
+    elapsed = next
+    pushSample(elapsed)
+  }
+
+  return {
+    model: settings.model,
+    startTime: samples[0].timestamp,
+    endTime: samples[samples.length - 1].timestamp,
+    speed,
+    heading,
+    turnRate,
+    samples,
+    cone: buildUncertaintyCone(samples),
+  }
+}
+
+/**
+ * 获取预测时间段内指定时刻的不确定性半径（在相邻预测点之间线性插值）
+ * @param {Object} prediction - 预测结果，见 predictPath
+ * @param {Date|string|number} time - 时间
+ * @returns {number|null} 不确定性半径（米），超出预测时间段时返回 null
+ */
+export function getPredictionUncertainty(prediction, time) {
+  const { samples } = prediction
+  const timestamp = new Date(time).getTime()
+  const start = new Date(samples[0].timestamp).getTime()
+  const end = new Date(samples[samples.length - 1].timestamp).getTime()
+  if (timestamp < start || timestamp > end) return null
+
+  const index = samples.findIndex((sample) => new Date(sample.timestamp).getTime() >= timestamp)
+  if (index <= 0) return samples[0].uncertainty
+  const a = samples[index - 1]
+  const b = samples[index]
+  const aTime = new Date(a.timestamp).getTime()
+  const ratio = (timestamp - aTime) / (new Date(b.timestamp).getTime() - aTime)
+  return a.uncertainty + (b.uncertainty - a.uncertainty) * ratio
+}
+
+class TrajectoryPredictor {
+  /**
+   * @param {TrajectoryManager} trajectoryManager - 轨迹数据管理器
+   */
+  constructor(trajectoryManager) {
+    this.trajectoryManager = trajectoryManager
+  }
+
+  /**
+   * 预测单个目标的未来位置
+   * @param {string} targetId - 目标ID
+   * @param {Object} options - 选项，见 DEFAULT_PREDICTION_OPTIONS
+   * @returns {Object|null} 预测结果，见 predictPath，另包含 targetId；没有轨迹时返回 null
+   */
+  predict(targetId, options = {}) {
+    const item = this.trajectoryManager.findByTargetId(targetId)
+    if (!item || !Array.isArray(item.trajectory)) return null
+
+    const points = item.trajectory
+      .map((point) => ({
+        time: new Date(point.timestamp).getTime(),
+        lng: point.longitude,
+        lat: point.latitude,
+        speed: typeof point.speed === 'number' ? point.speed : null,
+        heading: typeof point.heading === 'number' ? point.heading : null,
+      }))
+      .filter((point) => !isNaN(point.time) && isFinite(point.lng) && isFinite(point.lat))
+      .sort((a, b) => a.time - b.time)
+
+    const prediction = predictPath(points, options)
+    return prediction ? { targetId, ...prediction } : null
+  }
+
+  /**
+   * 预测全部（或指定）目标的未来位置
+   * @param {Object} options - 选项，见 DEFAULT_PREDICTION_OPTIONS，另支持 targetIds
+   * @returns {Array} 预测结果数组
+   */
+  predictAll(options = {}) {
+    const targetIds =
+      options.targetIds || this.trajectoryManager.getAll().map((item) => item.target_id)
+    return targetIds.map((targetId) => this.predict(targetId, options)).filter(Boolean)
+  }
+}
+
+export default TrajectoryPredictor
@@ -0,0 +1,337 @@
+/**
+ * CZML 导出
+ * 按 DataVisualization.vue 的场景构建方式序列化为时间动态文档：
+ *   目标     - 固定位置 + 按状态时间线变化的图标颜色与图片
+ *   轨迹     - 采样位置（SampledPositionProperty）+ availability
+ *   事件     - 引用两端目标位置的连线 + availability
+ *   关系     - 引用两端目标位置的连线 + 有效期 availability
+ *   融合线   - 引用两端目标位置的连线 + 有效期 availability
+ * 每个数据包在扩展字段 managerData 中保存原始数据，供 importers/czml.js 还原为 DataManagerFactory 数据
+ */
+import {
+  getTargetIconConfig,
+  getRelationStyleConfig,
+  getFusionLineStyleConfig,
+  getEventStatusStyleConfig,
+  getTargetStatusStyleConfig,
+} from '../../config/visualConfig.js'
+import { parseColor } from './exportData.js'
+
+// CZML 中表示无下限、无上限的时间边界
+export const CZML_MIN_TIME = '0000-01-01T00:00:00Z'
+export const CZML_MAX_TIME = '9999-12-31T24:00:00Z'
+
+// 各图层数据包ID后缀，与场景中实体ID（如 target_001@trajectory@layer）保持一致的命名方式
+export const CZML_PACKET_SUFFIXES = {
+  trajectories: '@trajectory',
+  relations: '@relation',
+  fusionLines: '@fusionLine',
+  events: '@event',
+}
+
+// 事件没有结束时间和持续时间时的默认时长（与场景一致，1小时）
+const DEFAULT_EVENT_DURATION = 3600 * 1000
+
+// 转换为 ISO 时间，无效返回 null
+const toIso = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  const date = new Date(value)
+  return isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+// 颜色转换为 CZML rgba 数组（0-255）
+const toRgba = (color, fallback = '#FFFFFF') => {
+  const rgba = parseColor(color) || parseColor(fallback)
+  return [rgba.r, rgba.g, rgba.b, Math.round(rgba.a * 255)]
+}
+
+const solidColor = (color) => ({ solidColor: { color: { rgba: toRgba(color) } } })
+
+// 线样式颜色：自定义材质的颜色在 materialProps 中，默认样式直接放在 color 上
+const lineColor = (config) => config?.materialProps?.color ?? config?.color
+
+/**
+ * 计算目标状态时间线
+ * 每个状态从 startTime 持续到 endTime，没有 endTime 时持续到下一个状态开始
+ * @param {Array} statuses - 目标的状态数组
+ * @returns {Array} [{interval, status}]，按开始时间排序
+ */
+export function buildStatusTimeline(statuses) {
+  const sorted = statuses
+    .map((status) => ({ status, start: toIso(status.startTime ?? status.start_time) }))
+    .filter((entry) => entry.start)
+    .sort((a, b) => new Date(a.start) - new Date(b.start))
+
+  return sorted.map((entry, index) => {
+    const end =
+      toIso(entry.status.endTime ?? entry.status.end_time) ||
+      sorted[index + 1]?.start ||
+      CZML_MAX_TIME
+    return { interval: `${entry.start}/${end}`, status: entry.status }
+  })
+}
+
+/**
+ * 计算事件的时间可用性（与场景一致：结束时间 > 开始时间 + duration 分钟 > 开始时间 + 1小时）
+ * @param {Object} event - 事件
+ * @returns {string|null} ISO 8601 时间区间，没有开始时间时返回 null
+ */
+export function getEventAvailability(event) {
+  const start = toIso(event.startTime)
+  if (!start) return null
+
+  const end =
+    toIso(event.endTime) ||
+    new Date(
+      new Date(start).getTime() +
+        (event.duration ? event.duration * 60 * 1000 : DEFAULT_EVENT_DURATION),
+    ).toISOString()
+  return `${start}/${end}`
+}
+
+/**
+ * 计算关系、融合线的有效期可用性
+ * @param {RelationManager|FusionLineManager} manager - 数据管理器
+ * @param {Object} item - 数据项
+ * @returns {string|null} ISO 8601 时间区间，一直有效时返回 null
+ */
+export function getValidityAvailability(manager, item) {
+  const { start, end } = manager.getValidityInterval(item)
+  if (start === null && end === null) return null
+  const startIso = start === null ? CZML_MIN_TIME : new Date(start).toISOString()
+  const endIso = end === null ? CZML_MAX_TIME : new Date(end).toISOString()
+  return `${startIso}/${endIso}`
+}
+
+/**
+ * 生成目标数据包
+ * @param {Object} base - 目标基础数据
+ * @param {Object} location - 目标位置数据
+ * @param {Array} statuses - 目标状态数组
+ * @returns {Object} CZML 数据包
+ */
+function targetPacket(base, location, statuses) {
+  const id = base?.id ?? location.id
+  const name = base?.name ?? location?.name ?? id
+  const iconConfig = getTargetIconConfig(base?.type)
+  const timeline = buildStatusTimeline(statuses)
+
+  // 没有时间区间的值作为默认值，状态区间覆盖在其上
+  const colors = [{ rgba: toRgba(iconConfig.billboard?.color) }]
+  const images = [{ uri: iconConfig.billboard?.image }]
+  timeline.forEach(({ interval, status }) => {
+    const statusConfig = getTargetStatusStyleConfig(status.status_type)
+    colors.push({
+      interval,
+      rgba: toRgba(status.colorCode || statusConfig.billboard?.color),
+    })
+    images.push({ interval, uri: statusConfig.billboard?.image || iconConfig.billboard?.image })
+  })
+
+  const packet = {
+    id,
+    name,
+    description: base?.description,
+    billboard: {
+      image: images,
+      scale: iconConfig.billboard?.scale ?? 1,
+      color: colors,
+    },
+    label: {
+      text: name,
+      font: iconConfig.label?.font,
+      fillColor: { rgba: toRgba(iconConfig.label?.fillColor) },
+      pixelOffset: { cartesian2: [0, -30] },
+    },
+    managerData: {
+      layer: 'targets',
+      base: base || null,
+      location: location || null,
+      statuses,
+    },
+  }
+
+  if (location && Number.isFinite(location.longitude) && Number.isFinite(location.latitude)) {
+    packet.position = {
+      cartographicDegrees: [location.longitude, location.latitude, location.height || 0],
+    }
+  }
+  return packet
+}
+
+/**
+ * 生成轨迹数据包
+ * @param {Object} item - 轨迹数据项 {id, target_id, trajectory}
+ * @param {Object} base - 目标基础数据
+ * @returns {Object|null} CZML 数据包，没有有效轨迹点时返回 null
+ */
+function trajectoryPacket(item, base) {
+  const points = (item.trajectory || [])
+    .filter((point) => toIso(point.timestamp))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+  if (points.length === 0) return null
+
+  const epoch = toIso(points[0].timestamp)
+  const epochTime = new Date(epoch).getTime()
+  const samples = []
+  points.forEach((point) => {
+    samples.push(
+      (new Date(point.timestamp).getTime() - epochTime) / 1000,
+      point.longitude,
+      point.latitude,
+      point.altitude || point.height || 0,
+    )
+  })
+  const iconConfig = getTargetIconConfig(base?.type)
+
+  return {
+    id: `${item.target_id}${CZML_PACKET_SUFFIXES.trajectories}`,
+    name: base?.name ?? item.target_id,
+    parent: base ? item.target_id : undefined,
+    availability: `${epoch}/${toIso(points[points.length - 1].timestamp)}`,
+    position: {
+      epoch,
+      cartographicDegrees: samples,
+      interpolationAlgorithm: 'LAGRANGE',
+      interpolationDegree: 1,
+    },
+    billboard: {
+      image: iconConfig.billboard?.image,
+      scale: iconConfig.billboard?.scale ?? 1,
+      color: { rgba: toRgba(iconConfig.billboard?.color) },
+    },
+    path: {
+      material: solidColor(iconConfig.billboard?.color),
+      width: 2,
+      leadTime: 0,
+    },
+    managerData: {
+      layer: 'trajectories',
+      target_id: item.target_id,
+      points,
+    },
+  }
+}
+
+/**
+ * 生成连线数据包（关系、融合线、事件），端点引用目标数据包的位置
+ * @param {string} layer - 图层 relations | fusionLines | events
+ * @param {Object} item - 数据项
+ * @param {Object} styleConfig - 线样式配置
+ * @param {string|null} availability - 时间可用性
+ * @returns {Object} CZML 数据包
+ */
+function linePacket(layer, item, styleConfig, availability) {
+  const packet = {
+    id: `${item.id}${CZML_PACKET_SUFFIXES[layer]}`,
+    name: item.name ?? item.description ?? item.id,
+    description: item.description,
+    polyline: {
+      positions: { references: [`${item.source_id}#position`, `${item.target_id}#position`] },
+      width: styleConfig?.width ?? 2,
+      material: solidColor(lineColor(styleConfig)),
+      arcType: 'GEODESIC',
+    },
+    managerData: { layer, record: item },
+  }
+  if (availability) {
+    packet.availability = availability
+  }
+  return packet
+}
+
+/**
+ * 导出为 CZML 文档（数据包数组）
+ * @param {DataManagerFactory} factory - 数据管理器工厂
+ * @param {Object} options - 选项
+ * @param {string} options.name - 文档名称
+ * @param {Object} options.clock - 时钟 {startTime, endTime, currentTime, multiplier}，
+ *   默认取轨迹与事件的整体时间范围
+ * @returns {Array} CZML 数据包数组，第一个为 document 数据包
+ */
+export function exportCZML(factory, options = {}) {
+  const { name = '可视化场景' } = options
+  const packets = []
+  const times = []
+
+  const baseManager = factory.targetBaseManager
+  const locationManager = factory.targetLocationManager
+  const statusManager = factory.targetStatusManager
+
+  // 目标：基础数据与位置数据按ID合并，状态按目标归集
+  const targetIds = new Set([
+    ...(baseManager?.getAll() || []).map((item) => item.id),
+    ...(locationManager?.getAll() || []).map((item) => item.id),
+  ])
+  targetIds.forEach((targetId) => {
+    packets.push(
+      targetPacket(
+        baseManager?.findById(targetId),
+        locationManager?.findById(targetId),
+        statusManager?.findByTargetId(targetId) || [],
+      ),
+    )
+  })
+
+  // 没有基础数据和位置数据、只有状态的目标仍需保留状态
+  const orphanStatuses = (statusManager?.getAll() || []).filter(
+    (status) => !targetIds.has(status.target_id),
+  )
+  if (orphanStatuses.length > 0) {
+    packets.push({
+      id: 'targetStatuses',
+      name: '目标状态',
+      managerData: { layer: 'targetStatuses', records: orphanStatuses },
+    })
+  }
+
+  ;(factory.trajectoryManager?.getAll() || []).forEach((item) => {
+    const packet = trajectoryPacket(item, baseManager?.findById(item.target_id))
+    if (packet) {
+      packets.push(packet)
+      times.push(...packet.availability.split('/'))
+    }
+  })
+  ;(factory.relationManager?.getAll() || []).forEach((item) => {
+    const availability = getValidityAvailability(factory.relationManager, item)
+    packets.push(linePacket('relations', item, getRelationStyleConfig(item.type), availability))
+  })
+  ;(factory.fusionLineManager?.getAll() || []).forEach((item) => {
+    const availability = getValidityAvailability(factory.fusionLineManager, item)
+    packets.push(linePacket('fusionLines', item, getFusionLineStyleConfig(item.type), availability))
+  })
+  ;(factory.eventManager?.getAll() || []).forEach((item) => {
+    const availability = getEventAvailability(item)
+    if (availability) times.push(...availability.split('/'))
+    packets.push(linePacket('events', item, getEventStatusStyleConfig(item.type), availability))
+  })
+
+  const sortedTimes = times.sort()
+  const clock = options.clock || {}
+  const startTime = toIso(clock.startTime) || sortedTimes[0]
+  const endTime = toIso(clock.endTime) || sortedTimes[sortedTimes.length - 1]
+  const document = { id: 'document', name, version: '1.0' }
+  if (startTime && endTime) {
+    document.clock = {
+      interval: `${startTime}/${endTime}`,
+      currentTime: toIso(clock.currentTime) || startTime,
+      multiplier: clock.multiplier ?? 60,
+      range: 'LOOP_STOP',
+      step: 'SYSTEM_CLOCK_MULTIPLIER',
+    }
+  }
+
+  return [document, ...packets]
+}
+
+/**
+ * 导出为 CZML 文本
+ * @param {DataManagerFactory} factory - 数据管理器工厂
+ * @param {Object} options - 选项，同 exportCZML
+ * @returns {string} CZML JSON 文本
+ */
+export function exportCZMLString(factory, options = {}) {
+  return JSON.stringify(exportCZML(factory, options))
+}
+
+export default exportCZML
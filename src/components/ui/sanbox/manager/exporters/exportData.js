@@ -0,0 +1,296 @@
+/**
+ * 导出数据收集
+ * 从 DataManagerFactory 中取出当前可视化状态（目标、关系、融合线、事件、轨迹），
+ * 按时间窗口与选择集过滤，并附带 visualConfig.js 中的状态与样式，供 GeoJSON / KML 导出共用
+ */
+import {
+  getTargetIconConfig,
+  getRelationStyleConfig,
+  getFusionLineStyleConfig,
+  getEventStatusStyleConfig,
+  getTargetStatusStyleConfig,
+} from '../../config/visualConfig.js'
+
+// 转换为毫秒时间戳，缺失或无效返回 null
+const toTime = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  const time = new Date(value).getTime()
+  return isNaN(time) ? null : time
+}
+
+/**
+ * 解析颜色为 RGBA 分量
+ * 支持 #RGB、#RRGGBB、#RRGGBBAA 与 rgb()/rgba()
+ * @param {string} color - 颜色
+ * @returns {Object|null} {r, g, b, a}，a 取值 0-1；无法解析时返回 null
+ */
+export function parseColor(color) {
+  if (typeof color !== 'string') return null
+  const text = color.trim()
+
+  const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i)
+  if (hex) {
+    const digits =
+      hex[1].length === 3
+        ? hex[1]
+            .split('')
+            .map((digit) => digit + digit)
+            .join('')
+        : hex[1]
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1,
+    }
+  }
+
+  const rgb = text.match(
+    /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i,
+  )
+  if (rgb) {
+    return {
+      r: Math.round(Number(rgb[1])),
+      g: Math.round(Number(rgb[2])),
+      b: Math.round(Number(rgb[3])),
+      a: rgb[4] === undefined ? 1 : Number(rgb[4]),
+    }
+  }
+
+  return null
+}
+
+/**
+ * 颜色转换为 #RRGGBB
+ * @param {string} color - 颜色
+ * @returns {string|null} 十六进制颜色，无法解析时返回 null
+ */
+export function toHexColor(color) {
+  const rgba = parseColor(color)
+  if (!rgba) return null
+  return `#${[rgba.r, rgba.g, rgba.b].map((value) => value.toString(16).padStart(2, '0')).join('')}`
+}
+
+/**
+ * 判断时间段是否与时间窗口相交
+ * @param {string} startTime - 开始时间（缺失视为无下限）
+ * @param {string} endTime - 结束时间（缺失视为无上限）
+ * @param {Object} window - 时间窗口 {start, end}（毫秒，null 表示不限）
+ * @returns {boolean} 是否相交
+ */
+const overlapsWindow = (startTime, endTime, window) => {
+  const start = toTime(startTime)
+  const end = toTime(endTime)
+  if (window.start !== null && end !== null && end < window.start) return false
+  if (window.end !== null && start !== null && start > window.end) return false
+  return true
+}
+
+/**
+ * 查找目标在参考时间的状态
+ * 优先取时间段包含参考时间的状态，否则取参考时间之前最近开始的状态
+ * @param {TargetStatusManager} manager - 目标状态管理器
+ * @param {string} targetId - 目标ID
+ * @param {number} referenceTime - 参考时间（毫秒）
+ * @returns {Object|null} 状态数据
+ */
+function findStatusAt(manager, targetId, referenceTime) {
+  if (!manager) return null
+
+  let current = null
+  let currentStart = -Infinity
+  manager.findByTargetId(targetId).forEach((status) => {
+    const start = toTime(status.startTime ?? status.start_time) ?? -Infinity
+    const end = toTime(status.endTime ?? status.end_time)
+    if (start > referenceTime || (end !== null && end < referenceTime)) return
+    if (start >= currentStart) {
+      current = status
+      currentStart = start
+    }
+  })
+  return current
+}
+
+// 线样式颜色：自定义材质的颜色在 materialProps 中，默认样式直接放在 color 上
+const lineStyle = (config) => ({
+  color: toHexColor(config?.materialProps?.color ?? config?.color) || '#FFFFFF',
+  opacity: parseColor(config?.materialProps?.color ?? config?.color)?.a ?? 1,
+  width: config?.width ?? 2,
+  material: config?.material ?? null,
+})
+
+/**
+ * 收集导出数据
+ * @param {DataManagerFactory} factory - 数据管理器工厂
+ * @param {Object} options - 选项
+ * @param {Object} options.timeRange - 时间窗口 {startTime, endTime}，只导出与窗口相交的事件、融合线，
+ *   并裁剪轨迹点；目标状态取窗口结束时刻的状态
+ * @param {Object} options.selection - 选择集 {targetIds}，只导出选中的目标、目标的轨迹，
+ *   以及一端为选中目标的关系、融合线和事件
+ * @param {Array} options.layers - 导出的图层，默认全部 ['targets', 'relations', 'fusionLines', 'events', 'trajectories']
+ * @returns {Object} {targets, relations, fusionLines, events, trajectories, skipped, timeRange}
+ */
+export function collectExportData(factory, options = {}) {
+  const {
+    timeRange = null,
+    selection = null,
+    layers = ['targets', 'relations', 'fusionLines', 'events', 'trajectories'],
+  } = options
+
+  const window = {
+    start: toTime(timeRange?.startTime),
+    end: toTime(timeRange?.endTime),
+  }
+  const referenceTime = window.end ?? Date.now()
+  const selectedIds = selection?.targetIds ? new Set(selection.targetIds) : null
+  const isSelected = (targetId) => !selectedIds || selectedIds.has(targetId)
+  const touchesSelection = (item) => isSelected(item.source_id) || isSelected(item.target_id)
+
+  const locations = factory.targetLocationManager
+  const positionOf = (targetId) => {
+    const location = locations?.findById(targetId)
+    if (!location || !Number.isFinite(location.longitude) || !Number.isFinite(location.latitude)) {
+      return null
+    }
+    return Number.isFinite(location.height)
+      ? [location.longitude, location.latitude, location.height]
+      : [location.longitude, location.latitude]
+  }
+
+  const skipped = []
+  const skip = (layer, id, reason) => skipped.push({ layer, id, reason })
+  const result = {
+    targets: [],
+    relations: [],
+    fusionLines: [],
+    events: [],
+    trajectories: [],
+    skipped,
+    timeRange: timeRange ? { ...timeRange } : null,
+  }
+
+  if (layers.includes('targets')) {
+    const targetIds = new Set([
+      ...(factory.targetBaseManager?.getAll() || []).map((item) => item.id),
+      ...(locations?.getAll() || []).map((item) => item.id),
+    ])
+    targetIds.forEach((targetId) => {
+      if (!isSelected(targetId)) return
+      const position = positionOf(targetId)
+      if (!position) {
+        skip('targets', targetId, '缺少目标位置')
+        return
+      }
+
+      const base = factory.targetBaseManager?.findById(targetId) || {}
+      const location = locations?.findById(targetId) || {}
+      const status = findStatusAt(factory.targetStatusManager, targetId, referenceTime)
+      const iconConfig = status
+        ? getTargetStatusStyleConfig(status.status_type)
+        : getTargetIconConfig(base.type)
+
+      result.targets.push({
+        id: targetId,
+        name: base.name ?? location.name ?? targetId,
+        position,
+        properties: { ...location, ...base },
+        status: status
+          ? {
+              type: status.status_type,
+              name: status.status_name,
+              priority: status.priority,
+              startTime: status.startTime ?? status.start_time ?? null,
+              endTime: status.endTime ?? status.end_time ?? null,
+            }
+          : null,
+        style: {
+          color:
+            toHexColor(status?.colorCode) || toHexColor(iconConfig.billboard?.color) || '#FFFFFF',
+          icon: iconConfig.billboard?.image ?? null,
+          scale: iconConfig.billboard?.scale ?? 1,
+        },
+      })
+    })
+  }
+
+  // 关系、融合线、事件都是两个目标之间的连线
+  const collectLines = (layer, items, styleOf, inWindow) => {
+    items.forEach((item) => {
+      if (!touchesSelection(item) || !inWindow(item)) return
+      const from = positionOf(item.source_id)
+      const to = positionOf(item.target_id)
+      if (!from || !to) {
+        skip(layer, item.id, '缺少起点或终点目标位置')
+        return
+      }
+      result[layer].push({
+        id: item.id,
+        name: item.name ?? item.description ?? item.id,
+        coordinates: [from, to],
+        properties: { ...item },
+        style: lineStyle(styleOf(item)),
+      })
+    })
+  }
+
+  if (layers.includes('relations')) {
+    collectLines(
+      'relations',
+      factory.relationManager?.getAll() || [],
+      (item) => getRelationStyleConfig(item.type),
+      () => true,
+    )
+  }
+
+  if (layers.includes('fusionLines')) {
+    collectLines(
+      'fusionLines',
+      factory.fusionLineManager?.getAll() || [],
+      (item) => getFusionLineStyleConfig(item.type),
+      (item) => overlapsWindow(item.startTime, item.endTime, window),
+    )
+  }
+
+  if (layers.includes('events')) {
+    collectLines(
+      'events',
+      factory.eventManager?.getAll() || [],
+      (item) => getEventStatusStyleConfig(item.type),
+      (item) => overlapsWindow(item.startTime, item.endTime, window),
+    )
+  }
+
+  if (layers.includes('trajectories')) {
+    ;(factory.trajectoryManager?.getAll() || []).forEach((item) => {
+      if (!isSelected(item.target_id)) return
+      // gx:Track 与 coordTimes 要求轨迹点按时间排序
+      const points = (item.trajectory || [])
+        .filter((point) => {
+          const time = toTime(point.timestamp)
+          return (
+            (window.start === null || time >= window.start) &&
+            (window.end === null || time <= window.end)
+          )
+        })
+        .sort((a, b) => toTime(a.timestamp) - toTime(b.timestamp))
+      if (points.length === 0) return
+
+      const base = factory.targetBaseManager?.findById(item.target_id) || {}
+      const iconConfig = getTargetIconConfig(base.type)
+      result.trajectories.push({
+        id: item.id,
+        targetId: item.target_id,
+        name: base.name ?? item.target_id,
+        points,
+        style: {
+          color: toHexColor(iconConfig.billboard?.color) || '#FFFFFF',
+          width: 2,
+        },
+      })
+    })
+  }
+
+  return result
+}
+
+export default collectExportData
@@ -0,0 +1,116 @@
+/**
+ * GeoJSON 导出
+ * 目标导出为 Point，关系、融合线、事件导出为 LineString，轨迹导出为带 coordTimes 的 LineString
+ * 样式按 simplestyle-spec 写入属性（marker-color、stroke、stroke-width 等），GIS 工具可直接识别
+ */
+import { collectExportData } from './exportData.js'
+
+// 导出时从属性中移除的字段（已体现在几何或样式中）
+const GEOMETRY_FIELDS = ['longitude', 'latitude', 'height']
+
+const omit = (object, fields) =>
+  Object.fromEntries(Object.entries(object).filter(([key]) => !fields.includes(key)))
+
+const lineFeature = (layer, line) => ({
+  type: 'Feature',
+  id: line.id,
+  geometry: { type: 'LineString', coordinates: line.coordinates },
+  properties: {
+    ...line.properties,
+    layer,
+    stroke: line.style.color,
+    'stroke-width': line.style.width,
+    'stroke-opacity': line.style.opacity,
+    material: line.style.material,
+  },
+})
+
+/**
+ * 由导出数据生成 GeoJSON FeatureCollection
+ * @param {Object} data - collectExportData 的结果
+ * @returns {Object} FeatureCollection
+ */
+export function toGeoJSON(data) {
+  const features = []
+
+  data.targets.forEach((target) => {
+    features.push({
+      type: 'Feature',
+      id: target.id,
+      geometry: { type: 'Point', coordinates: target.position },
+      properties: {
+        ...omit(target.properties, GEOMETRY_FIELDS),
+        name: target.name,
+        layer: 'targets',
+        // 目标基础数据中的 status 是运营状态，可视化状态单独以 status_ 前缀输出
+        status_type: target.status?.type ?? null,
+        status_name: target.status?.name ?? null,
+        status_priority: target.status?.priority ?? null,
+        'marker-color': target.style.color,
+        'marker-symbol': target.style.icon,
+        'marker-scale': target.style.scale,
+      },
+    })
+  })
+
+  data.relations.forEach((line) => features.push(lineFeature('relations', line)))
+  data.fusionLines.forEach((line) => features.push(lineFeature('fusionLines', line)))
+  data.events.forEach((line) => features.push(lineFeature('events', line)))
+
+  data.trajectories.forEach((trajectory) => {
+    const { points } = trajectory
+    features.push({
+      type: 'Feature',
+      id: trajectory.id,
+      // 只有一个点的轨迹无法构成线，导出为 Point
+      geometry:
+        points.length > 1
+          ? {
+              type: 'LineString',
+              coordinates: points.map((point) => [
+                point.longitude,
+                point.latitude,
+                point.altitude ?? 0,
+              ]),
+            }
+          : {
+              type: 'Point',
+              coordinates: [points[0].longitude, points[0].latitude, points[0].altitude ?? 0],
+            },
+      properties: {
+        layer: 'trajectories',
+        target_id: trajectory.targetId,
+        name: trajectory.name,
+        startTime: points[0].timestamp,
+        endTime: points[points.length - 1].timestamp,
+        coordTimes: points.map((point) => point.timestamp),
+        speeds: points.map((point) => point.speed ?? null),
+        headings: points.map((point) => point.heading ?? null),
+        stroke: trajectory.style.color,
+        'stroke-width': trajectory.style.width,
+      },
+    })
+  })
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    properties: {
+      exportedAt: new Date().toISOString(),
+      timeRange: data.timeRange,
+      skipped: data.skipped,
+    },
+  }
+}
+
+/**
+ * 导出当前可视化状态为 GeoJSON
+ * @param {DataManagerFactory} factory - 数据管理器工厂
+ * @param {Object} options - 选项，见 collectExportData（timeRange、selection、layers）
+ * @returns {Object} FeatureCollection
+ */
+export function exportGeoJSON(factory, options = {}) {
+  return toGeoJSON(collectExportData(factory, options))
+}
+
+export default exportGeoJSON
@@ -0,0 +1,69 @@
+/**
+ * 可视化状态导出统一入口
+ * 将 DataManagerFactory 中的目标、关系、融合线、事件、轨迹导出为 GeoJSON、KML/KMZ 或 CZML，
+ * 可按时间窗口 timeRange 与选择集 selection 过滤
+ */
+import { exportGeoJSON } from './geojson.js'
+import { exportKML, exportKMZ } from './kml.js'
+import { exportCZMLString } from './czml.js'
+
+export { collectExportData, parseColor, toHexColor } from './exportData.js'
+export { exportGeoJSON, toGeoJSON } from './geojson.js'
+export { exportKML, exportKMZ, toKML, toKmlColor } from './kml.js'
+export {
+  exportCZML,
+  exportCZMLString,
+  buildStatusTimeline,
+  getEventAvailability,
+  CZML_PACKET_SUFFIXES,
+} from './czml.js'
+export { createZip, crc32 } from './zip.js'
+
+// 支持的导出格式：[导出函数, MIME 类型, 扩展名]
+export const VISUALIZATION_EXPORT_FORMATS = {
+  geojson: [
+    (factory, options) => JSON.stringify(exportGeoJSON(factory, options)),
+    'application/geo+json',
+    'geojson',
+  ],
+  kml: [exportKML, 'application/vnd.google-earth.kml+xml', 'kml'],
+  kmz: [exportKMZ, 'application/vnd.google-earth.kmz', 'kmz'],
+  czml: [exportCZMLString, 'application/json', 'czml'],
+}
+
+/**
+ * 导出当前可视化状态为文件
+ * @param {DataManagerFactory} factory - 数据管理器工厂
+ * @param {string} format - 格式 geojson | kml | kmz | czml
+ * @param {Object} options - 选项，见 collectExportData（timeRange、selection、layers）
+ * @returns {Blob} 文件内容
+ */
+export function exportVisualizationBlob(factory, format, options = {}) {
+  const entry = VISUALIZATION_EXPORT_FORMATS[format]
+  if (!entry) {
+    throw new Error(
+      `不支持的导出格式: ${format}，支持 ${Object.keys(VISUALIZATION_EXPORT_FORMATS).join(', ')}`,
+    )
+  }
+  const [exporter, type] = entry
+  return new Blob([exporter(factory, options)], { type })
+}
+
+/**
+ * 导出并下载（浏览器环境）
+ * @param {DataManagerFactory} factory - 数据管理器工厂
+ * @param {string} format - 格式 geojson | kml | kmz | czml
+ * @param {Object} options - 选项，同 exportVisualizationBlob，额外支持文件名 fileName（不含扩展名）
+ */
+export function downloadVisualization(factory, format, options = {}) {
+  const blob = exportVisualizationBlob(factory, format, options)
+  const [, , extension] = VISUALIZATION_EXPORT_FORMATS[format]
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `${options.fileName || 'visualization'}.${extension}`
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+export default exportVisualizationBlob
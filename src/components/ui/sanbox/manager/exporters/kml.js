@@ -0,0 +1,216 @@
+/**
+ * KML / KMZ 导出
+ * 目标导出为 Point，关系、融合线、事件导出为 LineString（带 TimeSpan），轨迹导出为 gx:Track
+ * 每个图层一个 Folder，相同样式合并为共享 Style
+ */
+import { collectExportData, parseColor } from './exportData.js'
+import { createZip } from './zip.js'
+
+// 图层对应的文件夹名称
+const LAYER_NAMES = {
+  targets: '目标',
+  relations: '关系',
+  fusionLines: '融合线',
+  events: '事件',
+  trajectories: '轨迹',
+}
+
+// 转义 XML 文本
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+
+/**
+ * 颜色转换为 KML 颜色（aabbggrr）
+ * @param {string} color - 颜色
+ * @param {number} opacity - 透明度，默认取颜色自身的透明度
+ * @returns {string} KML 颜色
+ */
+export function toKmlColor(color, opacity) {
+  const rgba = parseColor(color) || { r: 255, g: 255, b: 255, a: 1 }
+  const alpha = Math.round(Math.min(Math.max(opacity ?? rgba.a, 0), 1) * 255)
+  return [alpha, rgba.b, rgba.g, rgba.r]
+    .map((value) => value.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+const coordinate = (position) => position.join(',')
+
+// 属性写入 ExtendedData，对象与数组序列化为 JSON
+const extendedData = (properties) => {
+  const entries = Object.entries(properties).filter(
+    ([, value]) => value !== undefined && value !== null,
+  )
+  if (entries.length === 0) return ''
+  const data = entries
+    .map(([key, value]) => {
+      const text = typeof value === 'object' ? JSON.stringify(value) : value
+      return `<Data name="${escapeXml(key)}"><value>${escapeXml(text)}</value></Data>`
+    })
+    .join('')
+  return `<ExtendedData>${data}</ExtendedData>`
+}
+
+const timeSpan = (startTime, endTime) => {
+  if (!startTime && !endTime) return ''
+  const begin = startTime ? `<begin>${escapeXml(startTime)}</begin>` : ''
+  const end = endTime ? `<end>${escapeXml(endTime)}</end>` : ''
+  return `<TimeSpan>${begin}${end}</TimeSpan>`
+}
+
+/**
+ * 共享样式表，相同样式只生成一个 Style
+ */
+class KmlStyleSheet {
+  constructor() {
+    this.styles = new Map() // 样式内容 -> 样式ID
+  }
+
+  /**
+   * 获取样式ID，不存在时创建
+   * @param {string} body - Style 内部的 XML
+   * @returns {string} 样式ID
+   */
+  use(body) {
+    if (!this.styles.has(body)) {
+      this.styles.set(body, `style_${this.styles.size + 1}`)
+    }
+    return this.styles.get(body)
+  }
+
+  point(style) {
+    const icon = style.icon ? `<Icon><href>${escapeXml(style.icon)}</href></Icon>` : ''
+    return this.use(
+      `<IconStyle><color>${toKmlColor(style.color)}</color><scale>${style.scale}</scale>${icon}</IconStyle>`,
+    )
+  }
+
+  line(style) {
+    return this.use(
+      `<LineStyle><color>${toKmlColor(style.color, style.opacity)}</color><width>${style.width}</width></LineStyle>`,
+    )
+  }
+
+  track(style) {
+    return this.use(
+      `<IconStyle><color>${toKmlColor(style.color)}</color></IconStyle>` +
+        `<LineStyle><color>${toKmlColor(style.color)}</color><width>${style.width}</width></LineStyle>`,
+    )
+  }
+
+  toKml() {
+    return Array.from(this.styles.entries())
+      .map(([body, id]) => `<Style id="${id}">${body}</Style>`)
+      .join('\n')
+  }
+}
+
+const folder = (layer, placemarks) =>
+  placemarks.length > 0
+    ? `<Folder><name>${LAYER_NAMES[layer]}</name>\n${placemarks.join('\n')}\n</Folder>`
+    : ''
+
+/**
+ * 由导出数据生成 KML 文档
+ * @param {Object} data - collectExportData 的结果
+ * @param {Object} options - 选项
+ * @param {string} options.name - 文档名称
+ * @returns {string} KML 文本
+ */
+export function toKML(data, options = {}) {
+  const { name = '可视化导出' } = options
+  const styles = new KmlStyleSheet()
+
+  const targets = data.targets.map((target) => {
+    const { longitude, latitude, height, ...properties } = target.properties
+    return (
+      `<Placemark id="${escapeXml(target.id)}"><name>${escapeXml(target.name)}</name>` +
+      `<styleUrl>#${styles.point(target.style)}</styleUrl>` +
+      extendedData({
+        ...properties,
+        status_type: target.status?.type,
+        status_name: target.status?.name,
+      }) +
+      `<Point><coordinates>${coordinate(target.position)}</coordinates></Point></Placemark>`
+    )
+  })
+
+  const lines = (items) =>
+    items.map(
+      (line) =>
+        `<Placemark id="${escapeXml(line.id)}"><name>${escapeXml(line.name)}</name>` +
+        timeSpan(line.properties.startTime, line.properties.endTime) +
+        `<styleUrl>#${styles.line(line.style)}</styleUrl>` +
+        extendedData(line.properties) +
+        `<LineString><tessellate>1</tessellate><coordinates>${line.coordinates
+          .map(coordinate)
+          .join(' ')}</coordinates></LineString></Placemark>`,
+    )
+
+  const trajectories = data.trajectories.map((trajectory) => {
+    const { points } = trajectory
+    const whens = points.map((point) => `<when>${escapeXml(point.timestamp)}</when>`).join('')
+    const coords = points
+      .map(
+        (point) =>
+          `<gx:coord>${point.longitude} ${point.latitude} ${point.altitude ?? 0}</gx:coord>`,
+      )
+      .join('')
+    const angles = points
+      .map((point) => `<gx:angles>${point.heading ?? 0} 0 0</gx:angles>`)
+      .join('')
+    return (
+      `<Placemark id="${escapeXml(trajectory.id)}"><name>${escapeXml(trajectory.name)}</name>` +
+      `<styleUrl>#${styles.track(trajectory.style)}</styleUrl>` +
+      extendedData({ target_id: trajectory.targetId }) +
+      `<gx:Track><altitudeMode>absolute</altitudeMode>${whens}${coords}${angles}</gx:Track></Placemark>`
+    )
+  })
+
+  const folders = [
+    folder('targets', targets),
+    folder('relations', lines(data.relations)),
+    folder('fusionLines', lines(data.fusionLines)),
+    folder('events', lines(data.events)),
+    folder('trajectories', trajectories),
+  ].filter(Boolean)
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    `<Document><name>${escapeXml(name)}</name>`,
+    timeSpan(data.timeRange?.startTime, data.timeRange?.endTime),
+    styles.toKml(),
+    ...folders,
+    '</Document>',
+    '</kml>',
+  ]
+    .filter(Boolean)
+    .join('\n')
+}
+
+/**
+ * 导出当前可视化状态为 KML
+ * @param {DataManagerFactory} factory - 数据管理器工厂
+ * @param {Object} options - 选项，见 collectExportData（timeRange、selection、layers），以及文档名称 name
+ * @returns {string} KML 文本
+ */
+export function exportKML(factory, options = {}) {
+  return toKML(collectExportData(factory, options), options)
+}
+
+/**
+ * 导出当前可视化状态为 KMZ（KML 打包为 doc.kml）
+ * @param {DataManagerFactory} factory - 数据管理器工厂
+ * @param {Object} options - 选项，同 exportKML
+ * @returns {Uint8Array} KMZ 文件内容
+ */
+export function exportKMZ(factory, options = {}) {
+  return createZip([{ name: 'doc.kml', content: exportKML(factory, options) }])
+}
+
+export default exportKML
@@ -0,0 +1,106 @@
+/**
+ * 最小 ZIP 打包（仅存储，不压缩）
+ * 用于生成 KMZ，避免为单个文件引入压缩库
+ */
+
+// CRC32 查找表
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+/**
+ * 计算 CRC32
+ * @param {Uint8Array} bytes - 数据
+ * @returns {number} CRC32 值
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// 转换为 DOS 时间与日期
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+})
+
+/**
+ * 打包 ZIP
+ * @param {Array} files - 文件 [{name, content}]，content 为字符串或 Uint8Array
+ * @param {Date} modifiedAt - 修改时间，默认当前时间
+ * @returns {Uint8Array} ZIP 文件内容
+ */
+export function createZip(files, modifiedAt = new Date()) {
+  const encoder = new TextEncoder()
+  const { time, date } = toDosDateTime(modifiedAt)
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  files.forEach((file) => {
+    const name = encoder.encode(file.name)
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true) // 解压所需版本
+    local.setUint16(6, 0x0800, true) // 文件名为 UTF-8
+    local.setUint16(8, 0, true) // 存储方式：不压缩
+    local.setUint16(10, time, true)
+    local.setUint16(12, date, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    local.setUint16(28, 0, true)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014b50, true)
+    central.setUint16(4, 20, true)
+    central.setUint16(6, 20, true)
+    central.setUint16(8, 0x0800, true)
+    central.setUint16(10, 0, true)
+    central.setUint16(12, time, true)
+    central.setUint16(14, date, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, data.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, name.length, true)
+    central.setUint32(42, offset, true)
+
+    localParts.push(new Uint8Array(local.buffer), name, data)
+    centralParts.push(new Uint8Array(central.buffer), name)
+    offset += 30 + name.length + data.length
+  })
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)]
+  const zip = new Uint8Array(offset + centralSize + 22)
+  let position = 0
+  parts.forEach((part) => {
+    zip.set(part, position)
+    position += part.length
+  })
+  return zip
+}
+
+export default createZip
@@ -0,0 +1,372 @@
+/**
+ * 地理围栏穿越判定
+ * 按时间顺序遍历 TrajectoryManager 中的轨迹点，判断目标在各围栏内的时间段（访问），
+ * 相邻轨迹点跨越围栏边界时在两点之间线性插值，二分查找进出时刻
+ * 轨迹点间隔较大时（如相隔数小时的航迹点），连线落在围栏外接边界内的部分按围栏尺寸加密采样，
+ * 两个相邻轨迹点都在围栏外、连线穿过围栏时同样判定进出
+ *
+ * 访问格式：
+ *   {geofenceId, geofenceName, targetId, startTime, endTime, duration, entered, exited,
+ *    enterPosition, exitPosition}
+ *   entered/exited 为 false 表示轨迹开始时已在围栏内 / 轨迹结束时仍在围栏内（没有观测到穿越）
+ */
+import { isPointInGeofence, getGeofenceBounds } from './geometry.js'
+
+// 派生事件的来源标记
+export const GEOFENCE_EVENT_SOURCE = 'geofence'
+
+export const DEFAULT_GEOFENCE_OPTIONS = {
+  dwellTime: 10, // 停留事件的最短时长（分钟），围栏的 dwellTime 字段优先
+  precision: 1000, // 进出时刻的二分查找精度（毫秒）
+}
+
+// 加密采样间隔为围栏最小尺寸的 1/PROBE_DIVISIONS，每段轨迹最多插入 MAX_PROBES 个采样点
+const PROBE_DIVISIONS = 8
+const MAX_PROBES = 1000
+
+// 每度纬度对应的米数
+const METERS_PER_DEGREE = 111320
+
+const toIsoString = (time) => new Date(time).toISOString()
+
+// 两个边界是否相交
+const boundsIntersect = (a, b) =>
+  a.minLng <= b.maxLng && a.maxLng >= b.minLng && a.minLat <= b.maxLat && a.maxLat >= b.minLat
+
+// 相邻两点之间的线性插值位置
+const interpolate = (a, b, time) => {
+  const ratio = b.time === a.time ? 0 : (time - a.time) / (b.time - a.time)
+  return { lng: a.lng + (b.lng - a.lng) * ratio, lat: a.lat + (b.lat - a.lat) * ratio }
+}
+
+/**
+ * 计算轨迹段加密采样的间隔（度）
+ * @param {Object} geofence - 围栏
+ * @param {Object} bounds - 围栏外接边界
+ * @returns {number} 采样间隔
+ */
+const getProbeSpacing = (geofence, bounds) => {
+  switch (geofence.shape) {
+    case 'circle':
+      return (geofence.radius * 2) / METERS_PER_DEGREE / PROBE_DIVISIONS
+    case 'corridor':
+      return geofence.width / METERS_PER_DEGREE / PROBE_DIVISIONS
+    default:
+      return (
+        Math.min(bounds.maxLng - bounds.minLng, bounds.maxLat - bounds.minLat) / PROBE_DIVISIONS
+      )
+  }
+}
+
+/**
+ * 计算线段落在边界内的参数区间（Liang-Barsky 裁剪）
+ * @param {Object} a - 起点 {lng, lat}
+ * @param {Object} b - 终点 {lng, lat}
+ * @param {Object} bounds - 边界
+ * @returns {Array|null} 参数区间 [t0, t1]（0 ~ 1），不相交时返回 null
+ */
+const clipSegment = (a, b, bounds) => {
+  const dx = b.lng - a.lng
+  const dy = b.lat - a.lat
+  const edges = [
+    [-dx, a.lng - bounds.minLng],
+    [dx, bounds.maxLng - a.lng],
+    [-dy, a.lat - bounds.minLat],
+    [dy, bounds.maxLat - a.lat],
+  ]
+
+  let t0 = 0
+  let t1 = 1
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q < 0) return null
+    } else if (p < 0) {
+      t0 = Math.max(t0, q / p)
+    } else {
+      t1 = Math.min(t1, q / p)
+    }
+  }
+  return t0 <= t1 ? [t0, t1] : null
+}
+
+/**
+ * 在落入围栏外接边界的轨迹段上插入采样点，使穿过围栏但两端都在围栏外的轨迹段也能判定进出
+ * @param {Array} points - 按时间排序的轨迹点 [{time, lng, lat}]
+ * @param {Object} bounds - 围栏外接边界
+ * @param {number} spacing - 采样间隔（度）
+ * @returns {Array} 插入采样点后的轨迹点
+ */
+const densifyPoints = (points, bounds, spacing) => {
+  const result = [points[0]]
+
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1]
+    const b = points[i]
+    const range = b.time > a.time ? clipSegment(a, b, bounds) : null
+
+    if (range) {
+      const [t0, t1] = range
+      const length = Math.hypot(b.lng - a.lng, b.lat - a.lat) * (t1 - t0)
+      const count = Math.max(1, Math.min(MAX_PROBES, Math.ceil(length / spacing)))
+      for (let k = 0; k <= count; k++) {
+        const t = t0 + ((t1 - t0) * k) / count
+        if (t <= 0 || t >= 1) continue
+        const time = a.time + (b.time - a.time) * t
+        result.push({ time, ...interpolate(a, b, time) })
+      }
+    }
+    result.push(b)
+  }
+
+  return result
+}
+
+/**
+ * 二分查找相邻两点之间穿越围栏边界的时刻
+ * @param {Object} geofence - 围栏
+ * @param {Object} a - 前一点 {time, lng, lat}
+ * @param {Object} b - 后一点 {time, lng, lat}
+ * @param {boolean} insideAtA - 前一点是否在围栏内
+ * @param {number} precision - 精度（毫秒）
+ * @returns {Object} 穿越点 {time, lng, lat}（取边界内侧的时刻）
+ */
+const findCrossing = (geofence, a, b, insideAtA, precision) => {
+  let low = a.time
+  let high = b.time
+  while (high - low > precision) {
+    const middle = (low + high) / 2
+    const position = interpolate(a, b, middle)
+    if (isPointInGeofence(geofence, position.lng, position.lat) === insideAtA) {
+      low = middle
+    } else {
+      high = middle
+    }
+  }
+  const time = Math.round(insideAtA ? low : high)
+  return { time, ...interpolate(a, b, time) }
+}
+
+/**
+ * 获取轨迹点（按时间排序，跳过无效点）及外接边界
+ * @param {Object} item - 轨迹数据项
+ * @returns {Object|null} {targetId, points, bounds}
+ */
+const toTrack = (item) => {
+  const points = (Array.isArray(item.trajectory) ? item.trajectory : [])
+    .map((point) => ({
+      time: new Date(point.timestamp).getTime(),
+      lng: point.longitude,
+      lat: point.latitude,
+    }))
+    .filter((point) => !isNaN(point.time) && isFinite(point.lng) && isFinite(point.lat))
+    .sort((a, b) => a.time - b.time)
+  if (points.length === 0) return null
+
+  const lngs = points.map((point) => point.lng)
+  const lats = points.map((point) => point.lat)
+  return {
+    targetId: item.target_id,
+    points,
+    bounds: {
+      minLng: Math.min(...lngs),
+      maxLng: Math.max(...lngs),
+      minLat: Math.min(...lats),
+      maxLat: Math.max(...lats),
+    },
+  }
+}
+
+/**
+ * 计算一条轨迹在一个围栏内的访问
+ * @param {Object} geofence - 围栏
+ * @param {Object} track - 轨迹 {targetId, points}
+ * @param {number} precision - 进出时刻精度（毫秒）
+ * @returns {Array} 访问数组
+ */
+export function findGeofenceVisits(
+  geofence,
+  track,
+  precision = DEFAULT_GEOFENCE_OPTIONS.precision,
+) {
+  const bounds = getGeofenceBounds(geofence)
+  const points = densifyPoints(track.points, bounds, getProbeSpacing(geofence, bounds))
+  const visits = []
+  let current = null
+  let previousInside = false
+
+  const createVisit = (start, entered) => ({
+    geofenceId: geofence.id,
+    geofenceName: geofence.name,
+    targetId: track.targetId,
+    start,
+    end: null,
+    entered,
+    exited: false,
+  })
+
+  points.forEach((point, index) => {
+    const inside = isPointInGeofence(geofence, point.lng, point.lat)
+
+    if (index === 0) {
+      if (inside) current = createVisit(point, false)
+    } else if (inside !== previousInside) {
+      const crossing = findCrossing(geofence, points[index - 1], point, previousInside, precision)
+      if (inside) {
+        current = createVisit(crossing, true)
+      } else {
+        current.end = crossing
+        current.exited = true
+        visits.push(current)
+        current = null
+      }
+    }
+    previousInside = inside
+  })
+
+  if (current) {
+    current.end = points[points.length - 1]
+    visits.push(current)
+  }
+
+  return visits.map(({ start, end, ...visit }) => ({
+    ...visit,
+    startTime: toIsoString(start.time),
+    endTime: toIsoString(end.time),
+    duration: Math.round((end.time - start.time) / 60000),
+    enterPosition: visit.entered ? { longitude: start.lng, latitude: start.lat } : null,
+    exitPosition: visit.exited ? { longitude: end.lng, latitude: end.lat } : null,
+  }))
+}
+
+/**
+ * 合并时间段（用于围栏的违规时间段：任一目标在围栏内）
+ * @param {Array} intervals - [{startTime, endTime}]
+ * @returns {Array} 合并后的时间段 [{startTime, endTime}]，按开始时间排序
+ */
+export function mergeIntervals(intervals) {
+  const sorted = intervals
+    .map((interval) => ({
+      start: new Date(interval.startTime).getTime(),
+      end: new Date(interval.endTime).getTime(),
+    }))
+    .sort((a, b) => a.start - b.start)
+
+  const merged = []
+  sorted.forEach((interval) => {
+    const last = merged[merged.length - 1]
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end)
+    } else {
+      merged.push({ ...interval })
+    }
+  })
+
+  return merged.map(({ start, end }) => ({
+    startTime: toIsoString(start),
+    endTime: toIsoString(end),
+  }))
+}
+
+/**
+ * 按围栏判定全部轨迹
+ * @param {TrajectoryManager} trajectoryManager - 轨迹数据管理器
+ * @param {GeofenceManager} geofenceManager - 地理围栏数据管理器
+ * @param {Object} options - 选项
+ * @param {Array} options.geofenceIds - 只判定这些围栏，不传时判定全部
+ * @param {Array} options.targetIds - 只判定这些目标的轨迹，不传时判定全部
+ * @param {number} options.precision - 进出时刻精度（毫秒）
+ * @returns {Object} {visits, violations: {geofenceId: [{startTime, endTime}]}}
+ */
+export function evaluateGeofences(trajectoryManager, geofenceManager, options = {}) {
+  const { geofenceIds, targetIds, precision } = { ...DEFAULT_GEOFENCE_OPTIONS, ...options }
+
+  const geofences = geofenceIds
+    ? geofenceIds.map((id) => geofenceManager.findById(id)).filter(Boolean)
+    : geofenceManager.getAll()
+  const tracks = (
+    targetIds
+      ? targetIds.map((id) => trajectoryManager.findByTargetId(id)).filter(Boolean)
+      : trajectoryManager.getAll()
+  )
+    .map(toTrack)
+    .filter(Boolean)
+
+  const visits = []
+  const violations = {}
+
+  geofences.forEach((geofence) => {
+    const bounds = geofenceManager.getBounds(geofence.id) || getGeofenceBounds(geofence)
+    const geofenceVisits = tracks
+      .filter((track) => boundsIntersect(track.bounds, bounds))
+      .flatMap((track) => findGeofenceVisits(geofence, track, precision))
+
+    visits.push(...geofenceVisits)
+    violations[geofence.id] = mergeIntervals(geofenceVisits)
+  })
+
+  return { visits, violations }
+}
+
+/**
+ * 将访问转换为 EventManager 兼容的派生事件：进入、离开与停留（在围栏内持续超过 dwellTime）
+ * 进入、离开事件为时间点事件（没有结束时间），停留事件覆盖整个访问时间段
+ * 事件ID由类型、围栏、目标与时间生成，重复判定时覆盖已有的派生事件
+ * @param {Array} visits - 访问数组
+ * @param {Object} options - 选项
+ * @param {number} options.dwellTime - 默认停留时长阈值（分钟）
+ * @param {Function} options.getGeofence - 按ID获取围栏（读取围栏的 dwellTime），可选
+ * @returns {Array} 事件数组
+ */
+export function toGeofenceEvents(visits, options = {}) {
+  const { dwellTime, getGeofence = null } = { ...DEFAULT_GEOFENCE_OPTIONS, ...options }
+  const events = []
+
+  visits.forEach((visit) => {
+    const { geofenceId, geofenceName, targetId } = visit
+    const label = `围栏「${geofenceName || geofenceId}」`
+    const createEvent = (kind, time, fields) => ({
+      id: ['geofence', kind, geofenceId, targetId, new Date(time).getTime()].join('_'),
+      source_id: targetId,
+      target_id: targetId,
+      startTime: time,
+      endTime: null,
+      geofenceId,
+      geofenceEvent: kind,
+      derivedFrom: GEOFENCE_EVENT_SOURCE,
+      ...fields,
+    })
+
+    if (visit.entered) {
+      events.push(
+        createEvent('enter', visit.startTime, {
+          description: `目标 ${targetId} 进入${label}`,
+          type: '已完成',
+          ...visit.enterPosition,
+        }),
+      )
+    }
+    if (visit.exited) {
+      events.push(
+        createEvent('exit', visit.endTime, {
+          description: `目标 ${targetId} 离开${label}`,
+          type: '已完成',
+          ...visit.exitPosition,
+        }),
+      )
+    }
+
+    const threshold = getGeofence?.(geofenceId)?.dwellTime ?? dwellTime
+    if (visit.duration >= threshold) {
+      events.push(
+        createEvent('dwell', visit.startTime, {
+          description: `目标 ${targetId} 在${label}内停留 ${visit.duration} 分钟`,
+          endTime: visit.endTime,
+          duration: visit.duration,
+          type: visit.exited ? '已完成' : '进行中',
+        }),
+      )
+    }
+  })
+
+  return events.sort((a, b) => a.startTime.localeCompare(b.startTime))
+}
@@ -0,0 +1,131 @@
+/**
+ * 地理围栏 GeoJSON 导入导出
+ * GeoJSON 没有圆形与走廊几何，按以下约定转换（与常见 GIS 工具的缓冲区约定一致）：
+ *   polygon  - Polygon（只使用外环，首尾闭合）
+ *   circle   - Point + properties.radius（米）
+ *   corridor - LineString + properties.width（米）
+ * 围栏的其他字段写入 properties，导入时原样还原
+ */
+import GeofenceManager from '../GeofenceManager.js'
+
+// 由几何体现的字段，导出时不写入 properties
+const GEOMETRY_FIELDS = ['id', 'shape', 'coordinates', 'center']
+
+const omit = (object, fields) =>
+  Object.fromEntries(Object.entries(object).filter(([key]) => !fields.includes(key)))
+
+// 多边形外环首尾闭合
+const closeRing = (ring) => {
+  const [first] = ring
+  const last = ring[ring.length - 1]
+  return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first]
+}
+
+// 去掉外环末尾重复的首点
+const openRing = (ring) => {
+  const [first] = ring
+  const last = ring[ring.length - 1]
+  return ring.length > 1 && first[0] === last[0] && first[1] === last[1] ? ring.slice(0, -1) : ring
+}
+
+/**
+ * 围栏转换为 GeoJSON Feature
+ * @param {Object} geofence - 围栏
+ * @returns {Object} Feature
+ */
+export function geofenceToFeature(geofence) {
+  const geometries = {
+    polygon: () => ({ type: 'Polygon', coordinates: [closeRing(geofence.coordinates)] }),
+    circle: () => ({ type: 'Point', coordinates: geofence.center }),
+    corridor: () => ({ type: 'LineString', coordinates: geofence.coordinates }),
+  }
+
+  return {
+    type: 'Feature',
+    id: geofence.id,
+    geometry: geometries[geofence.shape](),
+    properties: { ...omit(geofence, GEOMETRY_FIELDS), shape: geofence.shape },
+  }
+}
+
+/**
+ * 围栏导出为 GeoJSON FeatureCollection
+ * @param {Array} geofences - 围栏数组
+ * @returns {Object} FeatureCollection
+ */
+export function geofencesToGeoJSON(geofences) {
+  return { type: 'FeatureCollection', features: geofences.map(geofenceToFeature) }
+}
+
+/**
+ * GeoJSON Feature 转换为围栏
+ * @param {Object} feature - Feature
+ * @param {number} index - 序号，Feature 没有 id 时用于生成围栏ID
+ * @returns {Object} 围栏（未校验）
+ * @throws {Error} 不支持的几何类型
+ */
+export function featureToGeofence(feature, index = 0) {
+  const { geometry, properties = {} } = feature || {}
+  if (!geometry) {
+    throw new Error('缺少几何 geometry')
+  }
+
+  const geofence = {
+    ...omit(properties || {}, ['shape']),
+    id: feature.id ?? properties?.id ?? `geofence_${index + 1}`,
+    name: properties?.name ?? String(feature.id ?? `围栏 ${index + 1}`),
+  }
+
+  switch (geometry.type) {
+    case 'Polygon':
+      return { ...geofence, shape: 'polygon', coordinates: openRing(geometry.coordinates[0] || []) }
+    case 'Point':
+      return { ...geofence, shape: 'circle', center: geometry.coordinates }
+    case 'LineString':
+      return { ...geofence, shape: 'corridor', coordinates: geometry.coordinates }
+    default:
+      throw new Error(`不支持的几何类型: ${geometry.type}`)
+  }
+}
+
+/**
+ * 从 GeoJSON 导入围栏，按 GeofenceManager 的校验规则逐个记录错误
+ * @param {string|Object} input - GeoJSON 文本、FeatureCollection 或 Feature
+ * @returns {Object} {geofences, errors: [{index, id, errors: [{field, message}]}], stats}
+ */
+export function geofencesFromGeoJSON(input) {
+  const geojson = typeof input === 'string' ? JSON.parse(input) : input
+  const features =
+    geojson?.type === 'FeatureCollection' ? geojson.features || [] : geojson ? [geojson] : []
+
+  const validator = new GeofenceManager()
+  const geofences = []
+  const errors = []
+
+  features.forEach((feature, index) => {
+    let geofence
+    try {
+      geofence = featureToGeofence(feature, index)
+    } catch (error) {
+      errors.push({
+        index,
+        id: feature?.id ?? null,
+        errors: [{ field: null, message: error.message }],
+      })
+      return
+    }
+
+    const itemErrors = validator.getValidationErrors(geofence)
+    if (itemErrors.length > 0) {
+      errors.push({ index, id: geofence.id, errors: itemErrors })
+      return
+    }
+    geofences.push(geofence)
+  })
+
+  return {
+    geofences,
+    errors,
+    stats: { features: features.length, imported: geofences.length, failed: errors.length },
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * 地理围栏几何计算
+ * 围栏形状：
+ *   polygon  - 多边形，coordinates 为顶点 [[lng, lat], ...]（首尾不必重复）
+ *   circle   - 圆形，center 为圆心 [lng, lat]，radius 为半径（米）
+ *   corridor - 走廊，coordinates 为中心线 [[lng, lat], ...]，width 为走廊总宽度（米）
+ */
+import {
+  getRadiusBounds,
+  getPolygonBounds,
+  isPointInPolygon,
+  haversineDistance,
+} from '../spatialUtils.js'
+
+export const GEOFENCE_SHAPES = ['polygon', 'circle', 'corridor']
+
+// 每度纬度对应的米数（走廊距离计算使用局部平面近似）
+const METERS_PER_DEGREE = 111320
+
+/**
+ * 计算点到折线的最短距离（米），在点附近做等距投影，适用于走廊宽度量级的距离
+ * @param {number} lng - 经度
+ * @param {number} lat - 纬度
+ * @param {Array} line - 折线 [[lng, lat], ...]
+ * @returns {number} 距离（米）
+ */
+export function distanceToPolyline(lng, lat, line) {
+  const cosLat = Math.cos((lat * Math.PI) / 180)
+  const project = ([x, y]) => [
+    (x - lng) * cosLat * METERS_PER_DEGREE,
+    (y - lat) * METERS_PER_DEGREE,
+  ]
+
+  let min = Infinity
+  for (let i = 1; i < line.length; i++) {
+    const [ax, ay] = project(line[i - 1])
+    const [bx, by] = project(line[i])
+    const dx = bx - ax
+    const dy = by - ay
+    const lengthSquared = dx * dx + dy * dy
+    // 点（投影后为原点）在线段上的垂足参数
+    const t = lengthSquared > 0 ? Math.min(1, Math.max(0, -(ax * dx + ay * dy) / lengthSquared)) : 0
+    min = Math.min(min, Math.hypot(ax + t * dx, ay + t * dy))
+  }
+  return min
+}
+
+/**
+ * 判断点是否在围栏内
+ * @param {Object} geofence - 围栏
+ * @param {number} lng - 经度
+ * @param {number} lat - 纬度
+ * @returns {boolean} 是否在围栏内
+ */
+export function isPointInGeofence(geofence, lng, lat) {
+  switch (geofence.shape) {
+    case 'polygon':
+      return isPointInPolygon(lng, lat, geofence.coordinates)
+    case 'circle': {
+      const [centerLng, centerLat] = geofence.center
+      return haversineDistance(centerLat, centerLng, lat, lng) * 1000 <= geofence.radius
+    }
+    case 'corridor':
+      return distanceToPolyline(lng, lat, geofence.coordinates) <= geofence.width / 2
+    default:
+      return false
+  }
+}
+
+/**
+ * 计算围栏的外接边界
+ * @param {Object} geofence - 围栏
+ * @returns {Object} 边界 {minLng, maxLng, minLat, maxLat}
+ */
+export function getGeofenceBounds(geofence) {
+  switch (geofence.shape) {
+    case 'circle':
+      return getRadiusBounds(geofence.center[0], geofence.center[1], geofence.radius / 1000)
+    case 'corridor': {
+      // 中心线外接边界向外扩展半个走廊宽度，经度扩展量按离赤道较远的纬度计算
+      const bounds = getPolygonBounds(geofence.coordinates)
+      const farLat =
+        Math.abs(bounds.minLat) > Math.abs(bounds.maxLat) ? bounds.minLat : bounds.maxLat
+      const margin = getRadiusBounds(0, 0, geofence.width / 2 / 1000)
+      const lngMargin = getRadiusBounds(0, farLat, geofence.width / 2 / 1000).maxLng
+      return {
+        minLng: Math.max(-180, bounds.minLng - lngMargin),
+        maxLng: Math.min(180, bounds.maxLng + lngMargin),
+        minLat: Math.max(-90, bounds.minLat - margin.maxLat),
+        maxLat: Math.min(90, bounds.maxLat + margin.maxLat),
+      }
+    }
+    default:
+      return getPolygonBounds(geofence.coordinates)
+  }
+}
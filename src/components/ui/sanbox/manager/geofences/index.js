@@ -0,0 +1,24 @@
+/**
+ * 地理围栏统一入口
+ * 几何判定（多边形、圆形、走廊）、轨迹进出判定与派生事件、GeoJSON 导入导出
+ */
+export {
+  GEOFENCE_SHAPES,
+  isPointInGeofence,
+  getGeofenceBounds,
+  distanceToPolyline,
+} from './geometry.js'
+export {
+  GEOFENCE_EVENT_SOURCE,
+  DEFAULT_GEOFENCE_OPTIONS,
+  findGeofenceVisits,
+  mergeIntervals,
+  evaluateGeofences,
+  toGeofenceEvents,
+} from './evaluator.js'
+export {
+  geofenceToFeature,
+  geofencesToGeoJSON,
+  featureToGeofence,
+  geofencesFromGeoJSON,
+} from './geojson.js'
@@ -0,0 +1,97 @@
+import { findGeofenceVisits } from './evaluator.js'
+
+/**
+ * 断言，失败时抛出错误
+ * @param {boolean} condition - 条件
+ * @param {string} message - 失败信息
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`断言失败: ${message}`)
+  }
+}
+
+// 以 2025-01-01T00:00:00Z 为起点，按小时偏移生成轨迹点
+const BASE_TIME = Date.parse('2025-01-01T00:00:00Z')
+const point = (hour, lng, lat) => ({ time: BASE_TIME + hour * 3600000, lng, lat })
+
+const polygon = {
+  id: 'geofence_002',
+  name: '东海管控区',
+  shape: 'polygon',
+  coordinates: [
+    [124, 31],
+    [127, 31],
+    [127, 33.5],
+    [124, 33.5],
+  ],
+}
+
+const circle = {
+  id: 'geofence_001',
+  name: '上海港锚地',
+  shape: 'circle',
+  center: [121.4737, 31.2304],
+  radius: 30000,
+}
+
+/**
+ * 测试地理围栏进出判定
+ */
+function testGeofenceEvaluator() {
+  console.log('开始测试地理围栏进出判定...')
+
+  // 两个轨迹点都在围栏外，连线横穿多边形围栏
+  console.log('\n=== 测试轨迹点都在围栏外时穿越多边形 ===')
+  const crossing = findGeofenceVisits(polygon, {
+    targetId: 'ship_cross',
+    points: [point(0, 123, 32), point(5, 128, 32)],
+  })
+  console.log('穿越访问:', crossing)
+  assert(crossing.length === 1, '横穿围栏应判定为 1 次访问')
+  assert(crossing[0].entered && crossing[0].exited, '应同时判定进入与离开')
+  assert(Math.abs(crossing[0].enterPosition.longitude - 124) < 0.01, '进入位置应在围栏西边界附近')
+  assert(Math.abs(crossing[0].exitPosition.longitude - 127) < 0.01, '离开位置应在围栏东边界附近')
+  // 匀速航行 5 小时经过 5 个经度，在围栏内约 3 小时
+  assert(Math.abs(crossing[0].duration - 180) <= 1, '访问时长应约为 180 分钟')
+
+  // 两个轨迹点都在圆形围栏外，连线经过圆心
+  console.log('\n=== 测试轨迹点都在围栏外时穿越圆形围栏 ===')
+  const circleCrossing = findGeofenceVisits(circle, {
+    targetId: 'ship_circle',
+    points: [point(0, 121, 31.2304), point(2, 122, 31.2304)],
+  })
+  console.log('穿越访问:', circleCrossing)
+  assert(circleCrossing.length === 1, '横穿圆形围栏应判定为 1 次访问')
+
+  // 连线从围栏旁经过，不应判定为访问
+  console.log('\n=== 测试连线未穿过围栏 ===')
+  const passing = findGeofenceVisits(polygon, {
+    targetId: 'ship_pass',
+    points: [point(0, 123, 30), point(5, 128, 30.5)],
+  })
+  assert(passing.length === 0, '未穿过围栏时不应判定为访问')
+
+  // 轨迹开始时已在围栏内，之后离开
+  console.log('\n=== 测试轨迹开始时已在围栏内 ===')
+  const leaving = findGeofenceVisits(polygon, {
+    targetId: 'ship_leave',
+    points: [point(0, 125, 32), point(2, 126, 32), point(4, 128, 32)],
+  })
+  assert(leaving.length === 1, '应判定为 1 次访问')
+  assert(!leaving[0].entered && leaving[0].exited, '开始时已在围栏内，只判定离开')
+  assert(leaving[0].startTime === new Date(BASE_TIME).toISOString(), '访问应从首个轨迹点开始')
+
+  console.log('\n测试完成！')
+}
+
+// 如果直接运行此文件，执行测试
+if (typeof window === 'undefined') {
+  // Node.js 环境
+  testGeofenceEvaluator()
+} else {
+  // 浏览器环境，导出测试函数
+  window.testGeofenceEvaluator = testGeofenceEvaluator
+}
+
+export { testGeofenceEvaluator }
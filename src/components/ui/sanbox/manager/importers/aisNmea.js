@@ -0,0 +1,377 @@
+/**
+ * AIS NMEA 解析
+ * 解码 !AIVDM / !AIVDO 语句，支持多段语句拼接与校验和检查
+ * 支持的消息类型：1/2/3（A类位置报告）、5（静态与航次数据）、18（B类位置报告）
+ *
+ * AIS 消息本身只包含 UTC 秒，轨迹点时间按以下顺序确定：
+ *   1. NMEA 4.0 标签块中的 c:（Unix 秒），如 \c:1693820112*55\!AIVDM,...
+ *   2. 行首的时间前缀（ISO 时间或 Unix 时间戳），如 2025-09-04T09:55:12Z !AIVDM,...
+ *   3. options.defaultTimestamp
+ */
+import { TrajectoryImportReport, parseTimestamp } from './importReport.js'
+
+// 6位 ASCII 字符表
+const SIXBIT_ASCII = '@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_ !"#$%&\'()*+,-./0123456789:;<=>?'
+
+// 航行状态（与轨迹数据 status 字段一致使用中文）
+export const AIS_NAVIGATION_STATUS = {
+  0: '航行中',
+  1: '锚泊',
+  2: '失控',
+  3: '操纵受限',
+  4: '吃水受限',
+  5: '系泊',
+  6: '搁浅',
+  7: '捕捞作业',
+  8: '帆船航行中',
+  14: 'AIS-SART',
+  15: '未定义',
+}
+
+/**
+ * 计算 NMEA 校验和（! 或 $ 与 * 之间字符的异或）
+ * @param {string} body - 校验内容
+ * @returns {string} 两位十六进制校验和
+ */
+export function nmeaChecksum(body) {
+  let checksum = 0
+  for (let i = 0; i < body.length; i++) {
+    checksum ^= body.charCodeAt(i)
+  }
+  return checksum.toString(16).toUpperCase().padStart(2, '0')
+}
+
+/**
+ * 6位编码载荷读取器
+ */
+class AisPayload {
+  /**
+   * @param {string} payload - 载荷
+   * @param {number} fillBits - 填充位数
+   */
+  constructor(payload, fillBits = 0) {
+    this.bits = []
+    for (const char of payload) {
+      let value = char.charCodeAt(0) - 48
+      if (value > 40) value -= 8
+      if (value < 0 || value > 63) {
+        throw new Error(`载荷包含无效字符: ${char}`)
+      }
+      for (let bit = 5; bit >= 0; bit--) {
+        this.bits.push((value >> bit) & 1)
+      }
+    }
+    this.length = this.bits.length - fillBits
+  }
+
+  // 读取无符号整数
+  uint(start, length) {
+    if (start + length > this.length) {
+      throw new Error(`载荷长度不足: 需要 ${start + length} 位，实际 ${this.length} 位`)
+    }
+    let value = 0
+    for (let i = start; i < start + length; i++) {
+      value = value * 2 + this.bits[i]
+    }
+    return value
+  }
+
+  // 读取有符号整数（二进制补码）
+  int(start, length) {
+    const value = this.uint(start, length)
+    return this.bits[start] === 1 ? value - 2 ** length : value
+  }
+
+  // 读取6位 ASCII 字符串，去除填充的 @ 与空格
+  string(start, length) {
+    let text = ''
+    for (let i = start; i + 6 <= start + length; i += 6) {
+      text += SIXBIT_ASCII[this.uint(i, 6)]
+    }
+    return text.replace(/@.*$/, '').trim()
+  }
+}
+
+// 解码位置信息（无效值返回 null，由轨迹点校验报告错误）
+const decodeCoordinate = (raw, unavailable) => (raw === unavailable ? null : raw / 600000)
+
+/**
+ * 解码 A 类位置报告（消息类型 1/2/3）
+ * @param {AisPayload} bits - 载荷
+ * @returns {Object} 消息内容
+ */
+function decodePositionReportA(bits) {
+  const sog = bits.uint(50, 10)
+  const cog = bits.uint(116, 12)
+  const heading = bits.uint(128, 9)
+
+  return {
+    mmsi: bits.uint(8, 30),
+    navigationStatus: bits.uint(38, 4),
+    speed: sog === 1023 ? null : sog / 10,
+    longitude: decodeCoordinate(bits.int(61, 28), 181 * 600000),
+    latitude: decodeCoordinate(bits.int(89, 27), 91 * 600000),
+    course: cog === 3600 ? null : cog / 10,
+    heading: heading === 511 ? null : heading,
+    second: bits.uint(137, 6),
+  }
+}
+
+/**
+ * 解码 B 类位置报告（消息类型 18）
+ * @param {AisPayload} bits - 载荷
+ * @returns {Object} 消息内容
+ */
+function decodePositionReportB(bits) {
+  const sog = bits.uint(46, 10)
+  const cog = bits.uint(112, 12)
+  const heading = bits.uint(124, 9)
+
+  return {
+    mmsi: bits.uint(8, 30),
+    navigationStatus: null,
+    speed: sog === 1023 ? null : sog / 10,
+    longitude: decodeCoordinate(bits.int(57, 28), 181 * 600000),
+    latitude: decodeCoordinate(bits.int(85, 27), 91 * 600000),
+    course: cog === 3600 ? null : cog / 10,
+    heading: heading === 511 ? null : heading,
+    second: bits.uint(133, 6),
+  }
+}
+
+/**
+ * 解码静态与航次数据（消息类型 5）
+ * @param {AisPayload} bits - 载荷
+ * @returns {Object} 消息内容
+ */
+function decodeStaticVoyageData(bits) {
+  const imo = bits.uint(40, 30)
+  const draught = bits.uint(294, 8)
+
+  return {
+    mmsi: bits.uint(8, 30),
+    imo: imo || null,
+    callsign: bits.string(70, 42),
+    name: bits.string(112, 120),
+    shipType: bits.uint(232, 8),
+    dimension: {
+      toBow: bits.uint(240, 9),
+      toStern: bits.uint(249, 9),
+      toPort: bits.uint(258, 6),
+      toStarboard: bits.uint(264, 6),
+    },
+    draught: draught ? draught / 10 : null,
+    destination: bits.string(302, 120),
+  }
+}
+
+/**
+ * 解码 AIS 载荷
+ * @param {string} payload - 6位编码载荷
+ * @param {number} fillBits - 填充位数
+ * @returns {Object} {type, ...消息内容}，不支持的类型只返回 {type}
+ */
+export function decodeAisPayload(payload, fillBits = 0) {
+  const bits = new AisPayload(payload, fillBits)
+  const type = bits.uint(0, 6)
+
+  switch (type) {
+    case 1:
+    case 2:
+    case 3:
+      return { type, ...decodePositionReportA(bits) }
+    case 5:
+      return { type, ...decodeStaticVoyageData(bits) }
+    case 18:
+      return { type, ...decodePositionReportB(bits) }
+    default:
+      return { type }
+  }
+}
+
+/**
+ * 拆分一行为时间前缀、标签块与 NMEA 语句
+ * @param {string} line - 原始行
+ * @returns {Object|null} {timestamp, sentence}，不包含 AIS 语句时返回 null
+ */
+function splitLine(line) {
+  const start = line.search(/[!$]AIVD[MO],/)
+  if (start === -1) return null
+
+  let prefix = line.slice(0, start)
+  let timestamp = null
+
+  // NMEA 4.0 标签块 \c:1693820112,s:xxx*hh\
+  const tagBlock = prefix.match(/\\([^\\]*)\\\s*$/)
+  if (tagBlock) {
+    const time = tagBlock[1].match(/(?:^|,)c:(\d+)/)
+    if (time) timestamp = parseTimestamp(time[1])
+    prefix = prefix.slice(0, tagBlock.index)
+  }
+
+  prefix = prefix.trim().replace(/[,;]$/, '').trim()
+  if (!timestamp && prefix) {
+    timestamp = parseTimestamp(prefix)
+  }
+
+  return { timestamp, sentence: line.slice(start).trim() }
+}
+
+/**
+ * 解析 NMEA 语句字段并检查校验和
+ * @param {string} sentence - NMEA 语句
+ * @returns {Object} {count, number, sequenceId, channel, payload, fillBits}
+ */
+function parseSentence(sentence) {
+  const [body, checksum] = sentence.slice(1).split('*')
+  if (checksum !== undefined && nmeaChecksum(body) !== checksum.slice(0, 2).toUpperCase()) {
+    throw new Error(`校验和错误: 期望 ${nmeaChecksum(body)}，实际 ${checksum.slice(0, 2)}`)
+  }
+
+  const fields = body.split(',')
+  if (fields.length < 7) {
+    throw new Error('NMEA 语句字段数量不足')
+  }
+
+  const count = Number(fields[1])
+  const number = Number(fields[2])
+  if (!(count >= 1) || !(number >= 1) || number > count) {
+    throw new Error(`分段编号无效: ${fields[2]}/${fields[1]}`)
+  }
+
+  return {
+    count,
+    number,
+    sequenceId: fields[3],
+    channel: fields[4],
+    payload: fields[5],
+    fillBits: Number(fields[6]) || 0,
+  }
+}
+
+/**
+ * 解析 AIS NMEA 文本
+ * @param {string} content - 文本内容，每行一条语句
+ * @param {Object} options - 选项
+ * @param {Object|Function} options.mmsiMap - MMSI 到目标ID的映射对象或映射函数
+ * @param {string} options.targetIdPrefix - 未映射 MMSI 的目标ID前缀，默认 'mmsi_'
+ * @param {string} options.defaultTimestamp - 行内没有时间时使用的时间
+ * @returns {Object} 导入结果 {format, items, targets, errors, stats}
+ */
+export function parseAisNmea(content, options = {}) {
+  const { mmsiMap = null, targetIdPrefix = 'mmsi_', defaultTimestamp = null } = options
+  const report = new TrajectoryImportReport('ais')
+  const pending = new Map() // 多段语句缓存 key -> {parts, lines, raw, timestamp}
+
+  const resolveTargetId = (mmsi) => {
+    if (typeof mmsiMap === 'function') return mmsiMap(mmsi)
+    if (mmsiMap && mmsiMap[mmsi] !== undefined) return mmsiMap[mmsi]
+    return `${targetIdPrefix}${mmsi}`
+  }
+
+  const handleMessage = (lineNumber, raw, timestamp, payload, fillBits) => {
+    const message = decodeAisPayload(payload, fillBits)
+
+    if (message.type === 5) {
+      report.addTargetInfo(resolveTargetId(message.mmsi), {
+        mmsi: message.mmsi,
+        name: message.name,
+        callsign: message.callsign,
+        imo: message.imo,
+        shipType: message.shipType,
+        dimension: message.dimension,
+        draught: message.draught,
+        destination: message.destination,
+      })
+      return
+    }
+
+    if (![1, 2, 3, 18].includes(message.type)) {
+      report.addSkipped()
+      return
+    }
+
+    const time = timestamp || parseTimestamp(defaultTimestamp)
+    if (!time) {
+      report.addError(lineNumber, raw, [{ field: 'timestamp', message: '缺少时间戳' }])
+      return
+    }
+
+    const point = {
+      timestamp: time,
+      longitude: message.longitude,
+      latitude: message.latitude,
+      speed: message.speed,
+      heading: message.heading ?? message.course,
+      course: message.course,
+      status: AIS_NAVIGATION_STATUS[message.navigationStatus],
+      mmsi: message.mmsi,
+    }
+    Object.keys(point).forEach((key) => {
+      if (point[key] === null || point[key] === undefined) delete point[key]
+    })
+    report.addPoint(lineNumber, raw, resolveTargetId(message.mmsi), point)
+  }
+
+  String(content)
+    .split(/\r?\n/)
+    .forEach((raw, index) => {
+      const lineNumber = index + 1
+      const line = raw.trim()
+      if (!line || line.startsWith('#')) return
+      report.stats.lines++
+
+      try {
+        const parts = splitLine(line)
+        if (!parts) {
+          throw new Error('不是 AIS NMEA 语句')
+        }
+
+        const sentence = parseSentence(parts.sentence)
+        if (sentence.count === 1) {
+          handleMessage(lineNumber, raw, parts.timestamp, sentence.payload, sentence.fillBits)
+          return
+        }
+
+        // 多段语句：按序号与信道缓存，收齐后解码，时间取第一段
+        const key = `${sentence.sequenceId}|${sentence.channel}|${sentence.count}`
+        if (sentence.number === 1) {
+          pending.set(key, { parts: [], lines: [], raw, timestamp: parts.timestamp })
+        }
+        const group = pending.get(key)
+        if (!group || group.parts.length !== sentence.number - 1) {
+          pending.delete(key)
+          throw new Error(`多段语句顺序错误: 第 ${sentence.number}/${sentence.count} 段`)
+        }
+
+        group.parts.push(sentence.payload)
+        group.lines.push(lineNumber)
+        if (sentence.number === sentence.count) {
+          pending.delete(key)
+          handleMessage(
+            group.lines[0],
+            group.raw,
+            group.timestamp,
+            group.parts.join(''),
+            sentence.fillBits,
+          )
+        }
+      } catch (error) {
+        report.addError(lineNumber, raw, error.message)
+      }
+    })
+
+  // 未收齐的多段语句
+  pending.forEach((group, key) => {
+    const count = key.split('|')[2]
+    report.addError(
+      group.lines[0],
+      group.raw,
+      `多段语句不完整: 收到 ${group.parts.length}/${count} 段`,
+    )
+  })
+
+  return report.toResult()
+}
+
+export default parseAisNmea
@@ -0,0 +1,185 @@
+/**
+ * CSV 解析
+ * 第一行为表头，列名按别名匹配（大小写不敏感），分隔符自动识别（逗号、分号、制表符）
+ * 目标列可以是 target_id 或 mmsi，均缺失时使用 options.targetId
+ */
+import { TrajectoryImportReport, parseTimestamp, toKnots } from './importReport.js'
+
+// 轨迹点字段与列名别名
+export const CSV_COLUMN_ALIASES = {
+  target_id: ['target_id', 'targetid', 'target', 'id', 'vessel_id', 'track_id'],
+  mmsi: ['mmsi'],
+  timestamp: ['timestamp', 'time', 'datetime', 'date_time', 'basedatetime', 'utc', '时间'],
+  longitude: ['longitude', 'lon', 'lng', 'long', 'x', '经度'],
+  latitude: ['latitude', 'lat', 'y', '纬度'],
+  altitude: ['altitude', 'alt', 'ele', 'elevation', 'height', '高度'],
+  speed: ['speed', 'sog', 'speed_knots', '航速', '速度'],
+  heading: ['heading', 'cog', 'course', 'bearing', '航向'],
+  status: ['status', 'nav_status', 'navstatus', '状态'],
+  location: ['location', 'place', 'description', '位置'],
+}
+
+// 数值字段
+const NUMERIC_FIELDS = ['longitude', 'latitude', 'altitude', 'speed', 'heading']
+
+/**
+ * 拆分一行 CSV（支持双引号包裹与转义）
+ * @param {string} line - 行内容
+ * @param {string} delimiter - 分隔符
+ * @returns {Array} 字段数组
+ */
+export function splitCsvLine(line, delimiter = ',') {
+  const fields = []
+  let current = ''
+  let quoted = false
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        current += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === delimiter) {
+      fields.push(current.trim())
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  fields.push(current.trim())
+  return fields
+}
+
+// 按表头中出现次数最多的候选字符识别分隔符
+const detectDelimiter = (header) =>
+  [',', ';', '\t'].reduce(
+    (best, delimiter) =>
+      header.split(delimiter).length > header.split(best).length ? delimiter : best,
+    ',',
+  )
+
+/**
+ * 根据表头建立字段到列序号的映射
+ * @param {Array} headers - 表头
+ * @returns {Object} {字段: 列序号}
+ */
+function mapColumns(headers) {
+  const normalized = headers.map((header) =>
+    header
+      .replace(/^\uFEFF/, '')
+      .trim()
+      .toLowerCase(),
+  )
+  const columns = {}
+  Object.entries(CSV_COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const index = normalized.findIndex((header) => aliases.includes(header))
+    if (index !== -1) columns[field] = index
+  })
+  return columns
+}
+
+/**
+ * 解析 CSV 文本
+ * @param {string} content - CSV 内容
+ * @param {Object} options - 选项
+ * @param {string} options.targetId - 没有目标列时使用的目标ID
+ * @param {Object|Function} options.mmsiMap - MMSI 到目标ID的映射对象或映射函数
+ * @param {string} options.targetIdPrefix - 未映射 MMSI 的目标ID前缀，默认 'mmsi_'
+ * @param {string} options.speedUnit - 航速列单位 knots | kmh | ms，默认 knots
+ * @param {string} options.delimiter - 分隔符，默认自动识别
+ * @returns {Object} 导入结果 {format, items, targets, errors, stats}
+ */
+export function parseCsv(content, options = {}) {
+  const {
+    targetId = null,
+    mmsiMap = null,
+    targetIdPrefix = 'mmsi_',
+    speedUnit = 'knots',
+    delimiter: delimiterOption = null,
+  } = options
+  const report = new TrajectoryImportReport('csv')
+  const lines = String(content).split(/\r?\n/)
+
+  const headerIndex = lines.findIndex((line) => line.trim() && !line.trim().startsWith('#'))
+  if (headerIndex === -1) {
+    return report.toResult()
+  }
+
+  const delimiter = delimiterOption || detectDelimiter(lines[headerIndex])
+  const columns = mapColumns(splitCsvLine(lines[headerIndex], delimiter))
+  const missingColumns = ['timestamp', 'longitude', 'latitude'].filter(
+    (field) => columns[field] === undefined,
+  )
+  if (missingColumns.length > 0) {
+    report.addError(
+      headerIndex + 1,
+      lines[headerIndex],
+      missingColumns.map((field) => ({ field, message: `表头缺少 ${field} 列` })),
+    )
+    return report.toResult()
+  }
+
+  const resolveTargetId = (values) => {
+    const value = (field) => (columns[field] !== undefined ? values[columns[field]] : '')
+    if (value('target_id')) return value('target_id')
+    if (value('mmsi')) {
+      const mmsi = value('mmsi')
+      if (typeof mmsiMap === 'function') return mmsiMap(mmsi)
+      if (mmsiMap && mmsiMap[mmsi] !== undefined) return mmsiMap[mmsi]
+      return `${targetIdPrefix}${mmsi}`
+    }
+    return targetId
+  }
+
+  for (let index = headerIndex + 1; index < lines.length; index++) {
+    const raw = lines[index]
+    const lineNumber = index + 1
+    if (!raw.trim() || raw.trim().startsWith('#')) continue
+    report.stats.lines++
+
+    const values = splitCsvLine(raw, delimiter)
+    const errors = []
+    const point = {}
+
+    const timeText = values[columns.timestamp]
+    if (timeText) {
+      point.timestamp = parseTimestamp(timeText)
+      if (!point.timestamp) {
+        errors.push({ field: 'timestamp', message: `时间格式无效: ${timeText}` })
+      }
+    }
+
+    NUMERIC_FIELDS.forEach((field) => {
+      const text = columns[field] !== undefined ? values[columns[field]] : ''
+      if (text === undefined || text === '') return
+      const number = Number(text)
+      if (Number.isNaN(number)) {
+        errors.push({ field, message: `${field} 不是有效数字: ${text}` })
+        return
+      }
+      point[field] = field === 'speed' ? toKnots(number, speedUnit) : number
+    })
+    ;['status', 'location'].forEach((field) => {
+      if (columns[field] !== undefined && values[columns[field]]) {
+        point[field] = values[columns[field]]
+      }
+    })
+
+    if (errors.length > 0) {
+      report.addError(lineNumber, raw, errors)
+      continue
+    }
+    report.addPoint(lineNumber, raw, resolveTargetId(values), point)
+  }
+
+  return report.toResult()
+}
+
+export default parseCsv
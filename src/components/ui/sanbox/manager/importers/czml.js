@@ -0,0 +1,253 @@
+/**
+ * CZML 解析
+ * 将 CZML 数据包还原为 DataManagerFactory 数据，用于场景归档后的回放
+ * 优先读取 exporters/czml.js 写入的 managerData 扩展字段（无损还原）；
+ * 其他来源的 CZML 按标准字段尽量还原：固定位置 -> 目标，采样位置 -> 轨迹，
+ * 引用两个实体位置的 polyline -> 关系（有 availability 时为事件）
+ */
+import TargetBaseManager from '../TargetBaseManager.js'
+import TargetLocationManager from '../TargetLocationManager.js'
+import TargetStatusManager from '../TargetStatusManager.js'
+import RelationManager from '../RelationManager.js'
+import TrajectoryManager from '../TrajectoryManager.js'
+import EventManager from '../EventManager.js'
+import FusionLineManager from '../FusionLineManager.js'
+
+// 数据集与校验所用的管理器
+const DATASET_VALIDATORS = {
+  targetBase: TargetBaseManager,
+  targetLocations: TargetLocationManager,
+  targetStatuses: TargetStatusManager,
+  relations: RelationManager,
+  events: EventManager,
+  fusionLines: FusionLineManager,
+}
+
+// 数据包 managerData.layer 对应的数据集
+const LINE_LAYERS = {
+  relations: 'relations',
+  fusionLines: 'fusionLines',
+  events: 'events',
+}
+
+// 其他来源的连线没有类型属性时使用的类型
+const FOREIGN_LINE_TYPE = 'CZML导入'
+
+// 取属性的常量值（忽略按时间区间变化的值，取第一个）
+const constantValue = (property) => (Array.isArray(property) ? property[0] : property)
+
+// 去掉数据包ID中的图层后缀（如 target_001@trajectory）
+const stripSuffix = (id) => String(id).split('@')[0]
+
+/**
+ * 从标准 CZML 位置还原
+ * @param {Object} position - CZML position
+ * @returns {Object|null} {constant: [lng, lat, h]} 或 {samples: [{timestamp, longitude, latitude, altitude}]}
+ */
+function readPosition(position) {
+  const value = constantValue(position)
+  const degrees = value?.cartographicDegrees
+  if (!Array.isArray(degrees)) return null
+
+  if (degrees.length === 3 && !value.epoch) {
+    return { constant: degrees }
+  }
+
+  const epoch = value.epoch ? new Date(value.epoch).getTime() : null
+  const samples = []
+  for (let i = 0; i + 3 < degrees.length; i += 4) {
+    const time = degrees[i]
+    const timestamp =
+      typeof time === 'string'
+        ? new Date(time).toISOString()
+        : epoch !== null
+          ? new Date(epoch + time * 1000).toISOString()
+          : null
+    if (!timestamp) continue
+    samples.push({
+      timestamp,
+      longitude: degrees[i + 1],
+      latitude: degrees[i + 2],
+      altitude: degrees[i + 3],
+    })
+  }
+  return { samples }
+}
+
+/**
+ * 解析 CZML
+ * @param {string|Array} content - CZML 文本或数据包数组
+ * @returns {Object} 解析结果
+ *   data   - {targetBase, targetLocations, targetStatuses, relations, trajectories, events, fusionLines}，
+ *            trajectories 为 {target_id: [轨迹点]}（与 shipTrajectoryData.json 相同）
+ *   clock  - document 数据包中的时钟
+ *   errors - 逐个数据包的错误 [{packet, errors: [{field, message}]}]
+ *   stats  - 统计 {packets, skipped, failed, ...各数据集数量}
+ */
+export function parseCzml(content) {
+  const packets = typeof content === 'string' ? JSON.parse(content) : content
+  if (!Array.isArray(packets)) {
+    throw new Error('CZML 必须是数据包数组')
+  }
+
+  const data = {
+    targetBase: [],
+    targetLocations: [],
+    targetStatuses: [],
+    relations: [],
+    trajectories: {},
+    events: [],
+    fusionLines: [],
+  }
+  const errors = []
+  const stats = { packets: packets.length, skipped: 0, failed: 0 }
+  let clock = null
+
+  const validators = Object.fromEntries(
+    Object.entries(DATASET_VALIDATORS).map(([dataset, Manager]) => [dataset, new Manager()]),
+  )
+  const trajectoryValidator = new TrajectoryManager()
+
+  // 校验通过后加入数据集，否则记录到该数据包的错误中
+  const collect = (dataset, item, packetErrors) => {
+    const itemErrors = validators[dataset].getValidationErrors(item)
+    if (itemErrors.length > 0) {
+      packetErrors.push(...itemErrors)
+      return
+    }
+    data[dataset].push(item)
+  }
+
+  const collectTrajectory = (targetId, points, packetErrors) => {
+    const valid = []
+    points.forEach((point, index) => {
+      const pointErrors = trajectoryValidator.getTrajectoryPointErrors(
+        point,
+        `trajectory[${index}].`,
+      )
+      if (pointErrors.length > 0) packetErrors.push(...pointErrors)
+      else valid.push(point)
+    })
+    if (valid.length > 0) {
+      data.trajectories[targetId] = [...(data.trajectories[targetId] || []), ...valid]
+    }
+  }
+
+  packets.forEach((packet) => {
+    if (!packet || typeof packet !== 'object') {
+      stats.skipped++
+      return
+    }
+    if (packet.id === 'document') {
+      clock = packet.clock || null
+      return
+    }
+
+    const packetErrors = []
+    const managerData = packet.managerData
+    const layer = managerData?.layer
+
+    if (layer === 'targets') {
+      if (managerData.base) collect('targetBase', managerData.base, packetErrors)
+      if (managerData.location) collect('targetLocations', managerData.location, packetErrors)
+      ;(managerData.statuses || []).forEach((status) =>
+        collect('targetStatuses', status, packetErrors),
+      )
+    } else if (layer === 'targetStatuses') {
+      ;(managerData.records || []).forEach((status) =>
+        collect('targetStatuses', status, packetErrors),
+      )
+    } else if (layer === 'trajectories') {
+      collectTrajectory(managerData.target_id, managerData.points || [], packetErrors)
+    } else if (LINE_LAYERS[layer]) {
+      collect(LINE_LAYERS[layer], managerData.record, packetErrors)
+    } else {
+      // 其他来源的 CZML：按标准字段还原
+      const position = packet.position ? readPosition(packet.position) : null
+      const references = constantValue(packet.polyline?.positions)?.references
+      const id = stripSuffix(packet.id)
+
+      if (position?.constant) {
+        const [longitude, latitude, height] = position.constant
+        collect('targetBase', { id, name: packet.name ?? id }, packetErrors)
+        collect(
+          'targetLocations',
+          { id, name: packet.name ?? id, longitude, latitude, height },
+          packetErrors,
+        )
+      } else if (position?.samples) {
+        collectTrajectory(id, position.samples, packetErrors)
+      } else if (Array.isArray(references) && references.length === 2) {
+        const [sourceId, targetId] = references.map((reference) =>
+          stripSuffix(reference.split('#')[0]),
+        )
+        const availability = constantValue(packet.availability)
+        const type = constantValue(packet.properties?.type) ?? FOREIGN_LINE_TYPE
+        if (typeof availability === 'string') {
+          const [startTime, endTime] = availability.split('/')
+          collect(
+            'events',
+            {
+              id,
+              source_id: sourceId,
+              target_id: targetId,
+              description: packet.name ?? id,
+              type,
+              startTime,
+              endTime,
+            },
+            packetErrors,
+          )
+        } else {
+          collect(
+            'relations',
+            { id, source_id: sourceId, target_id: targetId, description: packet.name ?? id, type },
+            packetErrors,
+          )
+        }
+      } else {
+        stats.skipped++
+        return
+      }
+    }
+
+    if (packetErrors.length > 0) {
+      errors.push({ packet: packet.id ?? null, errors: packetErrors })
+      stats.failed++
+    }
+  })
+
+  Object.entries(data).forEach(([dataset, items]) => {
+    stats[dataset] = Array.isArray(items) ? items.length : Object.keys(items).length
+  })
+
+  return { format: 'czml', data, clock, errors, stats }
+}
+
+/**
+ * 解析 CZML 并合并到数据管理器工厂
+ * 已有数据按ID覆盖，轨迹按时间戳合并
+ * @param {DataManagerFactory} factory - 数据管理器工厂
+ * @param {string|Array} content - CZML 文本或数据包数组
+ * @returns {Object} 解析结果，额外包含 applied（各数据集的 addItems 结果）
+ */
+export function importCzmlInto(factory, content) {
+  const result = parseCzml(content)
+  const { data } = result
+
+  const applied = {
+    targetBase: factory.targetBaseManager.addItems(data.targetBase),
+    targetLocations: factory.targetLocationManager.addItems(data.targetLocations),
+    targetStatuses: factory.targetStatusManager.addItems(data.targetStatuses),
+    relations: factory.relationManager.addItems(data.relations),
+    events: factory.eventManager.addItems(data.events),
+    fusionLines: factory.fusionLineManager.addItems(data.fusionLines),
+    trajectories: Object.entries(data.trajectories)
+      .filter(([targetId, points]) => factory.trajectoryManager.appendPoints(targetId, points))
+      .map(([targetId]) => targetId),
+  }
+
+  return { ...result, applied }
+}
+
+export default parseCzml
@@ -0,0 +1,137 @@
+/**
+ * GPX 解析
+ * 读取 <trk> 中的 <trkpt> 与 <rte> 中的 <rtept>，每条航迹/航线对应一个目标
+ * 使用正则解析而非 DOMParser，浏览器与 Node（服务端导入）均可使用
+ */
+import { TrajectoryImportReport, parseTimestamp, toKnots } from './importReport.js'
+
+// 读取子元素文本（忽略命名空间前缀，如 gpxtpx:speed）
+const readTag = (xml, tag) => {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`))
+  return match ? decodeXml(match[1].trim()) : undefined
+}
+
+// 读取属性
+const readAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`))
+  return match ? match[1] : undefined
+}
+
+// 解码 XML 实体与 CDATA
+const decodeXml = (text) =>
+  text
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+
+// 解析数字，缺失返回 undefined，无效返回 NaN
+const toNumber = (value) => (value === undefined || value === '' ? undefined : Number(value))
+
+/**
+ * 计算字符偏移所在行号
+ * @param {Array} lineStarts - 各行起始偏移
+ * @param {number} offset - 字符偏移
+ * @returns {number} 行号（从1开始）
+ */
+const lineAt = (lineStarts, offset) => {
+  let low = 0
+  let high = lineStarts.length - 1
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2)
+    if (lineStarts[mid] <= offset) low = mid
+    else high = mid - 1
+  }
+  return low + 1
+}
+
+/**
+ * 解析 GPX 文本
+ * @param {string} content - GPX 内容
+ * @param {Object} options - 选项
+ * @param {string} options.targetId - 目标ID，指定后所有轨迹点归入该目标
+ * @param {string} options.targetIdPrefix - 航迹没有名称时的目标ID前缀，默认 'gpx_track_'
+ * @param {string} options.speedUnit - <speed> 的单位，GPX 规范为 ms（米/秒）
+ * @returns {Object} 导入结果 {format, items, targets, errors, stats}
+ */
+export function parseGpx(content, options = {}) {
+  const { targetId = null, targetIdPrefix = 'gpx_track_', speedUnit = 'ms' } = options
+  const report = new TrajectoryImportReport('gpx')
+  const xml = String(content)
+
+  if (!/<gpx\b/.test(xml)) {
+    report.addError(1, xml.split(/\r?\n/)[0], '不是有效的 GPX 文件')
+    return report.toResult()
+  }
+
+  const lineStarts = [0]
+  for (let i = 0; i < xml.length; i++) {
+    if (xml[i] === '\n') lineStarts.push(i + 1)
+  }
+
+  let trackIndex = 0
+  const trackPattern = /<(trk|rte)\b[^>]*>([\s\S]*?)<\/\1>/g
+  let track
+  while ((track = trackPattern.exec(xml)) !== null) {
+    const [, trackTag, trackBody] = track
+    const pointTag = trackTag === 'trk' ? 'trkpt' : 'rtept'
+    const bodyOffset = track.index + track[0].indexOf('>') + 1
+    trackIndex++
+
+    // 点的子元素中也可能有 <name>，航迹名称只取第一个点之前的部分
+    const header = trackBody.split(new RegExp(`<${pointTag}\\b`))[0]
+    const name = readTag(header, 'name')
+    const trackTargetId = targetId || name || `${targetIdPrefix}${trackIndex}`
+    if (name) {
+      report.addTargetInfo(trackTargetId, { name, source: trackTag })
+    }
+
+    const pointPattern = new RegExp(
+      `<${pointTag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${pointTag}>)`,
+      'g',
+    )
+    let match
+    while ((match = pointPattern.exec(trackBody)) !== null) {
+      const [raw, attributes, body = ''] = match
+      const line = lineAt(lineStarts, bodyOffset + match.index)
+      report.stats.lines++
+
+      const latitude = toNumber(readAttribute(attributes, 'lat'))
+      const longitude = toNumber(readAttribute(attributes, 'lon'))
+      const altitude = toNumber(readTag(body, 'ele'))
+      const speed = toNumber(readTag(body, 'speed'))
+      const course = toNumber(readTag(body, 'course'))
+      const timeText = readTag(body, 'time')
+      const timestamp = parseTimestamp(timeText)
+
+      const errors = []
+      if (timeText !== undefined && !timestamp) {
+        errors.push({ field: 'timestamp', message: `时间格式无效: ${timeText}` })
+      }
+      Object.entries({ latitude, longitude, altitude, speed, course }).forEach(([field, value]) => {
+        if (Number.isNaN(value)) {
+          errors.push({ field, message: `${field} 不是有效数字` })
+        }
+      })
+      if (errors.length > 0) {
+        report.addError(line, raw.trim(), errors)
+        continue
+      }
+
+      const point = { timestamp, longitude, latitude }
+      if (altitude !== undefined) point.altitude = altitude
+      if (speed !== undefined) point.speed = toKnots(speed, speedUnit)
+      if (course !== undefined) point.heading = course
+      const description = readTag(body, 'desc') ?? readTag(body, 'name')
+      if (description) point.location = description
+
+      report.addPoint(line, raw.trim(), trackTargetId, point)
+    }
+  }
+
+  return report.toResult()
+}
+
+export default parseGpx
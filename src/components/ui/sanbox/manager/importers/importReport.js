@@ -0,0 +1,147 @@
+/**
+ * 轨迹导入结果
+ * 汇总各格式解析出的轨迹点，按 TrajectoryManager 的校验规则逐行记录错误
+ */
+import TrajectoryManager from '../TrajectoryManager.js'
+
+// 航速单位换算为节
+const SPEED_TO_KNOTS = {
+  knots: 1,
+  kmh: 1000 / 1852,
+  ms: 3600 / 1852,
+}
+
+/**
+ * 航速换算为节（轨迹数据与 TimeManager 默认使用节）
+ * @param {number} speed - 航速
+ * @param {string} unit - 单位 knots | kmh | ms
+ * @returns {number} 航速（节）
+ */
+export function toKnots(speed, unit = 'knots') {
+  const factor = SPEED_TO_KNOTS[unit]
+  if (!factor) {
+    throw new Error(`不支持的航速单位: ${unit}`)
+  }
+  return Math.round(speed * factor * 100) / 100
+}
+
+/**
+ * 解析时间为 ISO 字符串，支持 ISO 字符串与 Unix 时间戳（秒或毫秒）
+ * @param {string|number} value - 时间
+ * @returns {string|null} ISO 时间，无法解析时返回 null
+ */
+export function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null
+
+  const text = String(value).trim()
+  let date
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const number = Number(text)
+    date = new Date(number < 1e11 ? number * 1000 : number)
+  } else {
+    date = new Date(text)
+  }
+  return isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+export class TrajectoryImportReport {
+  /**
+   * @param {string} format - 导入格式
+   */
+  constructor(format) {
+    this.format = format
+    this.validator = new TrajectoryManager()
+    this.trajectories = new Map() // target_id -> Map(时间戳毫秒 -> 轨迹点)
+    this.targets = {}
+    this.errors = []
+    this.stats = { lines: 0, points: 0, failed: 0, skipped: 0 }
+  }
+
+  /**
+   * 记录解析失败的行
+   * @param {number} line - 行号（从1开始）
+   * @param {string} raw - 原始内容
+   * @param {Array|string} errors - 错误数组 [{field, message}] 或错误信息
+   */
+  addError(line, raw, errors) {
+    const list = Array.isArray(errors) ? errors : [{ field: null, message: errors }]
+    this.errors.push({ line, raw, errors: list })
+    this.stats.failed++
+  }
+
+  /**
+   * 记录跳过的行（不包含轨迹点，例如不支持的 AIS 消息类型）
+   */
+  addSkipped() {
+    this.stats.skipped++
+  }
+
+  /**
+   * 添加轨迹点，未通过轨迹点校验时记录为错误行
+   * 同一目标相同时间戳的点以后出现的为准
+   * @param {number} line - 行号
+   * @param {string} raw - 原始内容
+   * @param {string} targetId - 目标ID
+   * @param {Object} point - 轨迹点
+   * @returns {boolean} 是否添加成功
+   */
+  addPoint(line, raw, targetId, point) {
+    const errors = []
+    if (!targetId) {
+      errors.push({ field: 'target_id', message: '无法确定轨迹点所属目标' })
+    }
+    errors.push(...this.validator.getTrajectoryPointErrors(point))
+
+    if (errors.length > 0) {
+      this.addError(line, raw, errors)
+      return false
+    }
+
+    if (!this.trajectories.has(targetId)) {
+      this.trajectories.set(targetId, new Map())
+    }
+    this.trajectories.get(targetId).set(new Date(point.timestamp).getTime(), point)
+    this.stats.points++
+    return true
+  }
+
+  /**
+   * 合并目标静态信息（如 AIS 5 号消息中的船名、呼号）
+   * @param {string} targetId - 目标ID
+   * @param {Object} info - 目标信息
+   */
+  addTargetInfo(targetId, info) {
+    this.targets[targetId] = { ...(this.targets[targetId] || {}), ...info }
+  }
+
+  /**
+   * 生成 TrajectoryManager 数据项
+   * @returns {Array} [{id, target_id, trajectory}]，轨迹点按时间排序
+   */
+  getItems() {
+    return Array.from(this.trajectories.entries()).map(([targetId, points]) => ({
+      id: targetId,
+      target_id: targetId,
+      trajectory: Array.from(points.entries())
+        .sort((a, b) => a[0] - b[0])
+        .map(([, point]) => point),
+    }))
+  }
+
+  /**
+   * 生成导入结果
+   * @returns {Object} {format, items, targets, errors, stats}
+   */
+  toResult() {
+    const items = this.getItems()
+    return {
+      format: this.format,
+      items,
+      targets: this.targets,
+      errors: this.errors,
+      stats: { ...this.stats, targets: items.length },
+    }
+  }
+}
+
+export default TrajectoryImportReport
@@ -0,0 +1,97 @@
+/**
+ * 轨迹导入统一入口
+ * 将 AIS NMEA、GPX、CSV 解码为 TrajectoryManager 数据项 {id, target_id, trajectory}
+ * 每种格式都返回相同的导入结果：
+ *   items   - 轨迹数据项（轨迹点已通过 getTrajectoryPointErrors 校验）
+ *   targets - 目标静态信息（AIS 5 号消息、GPX 航迹名称）
+ *   errors  - 逐行错误报告 [{line, raw, errors: [{field, message}]}]
+ *   stats   - 统计 {lines, points, failed, skipped, targets}
+ */
+import { parseAisNmea } from './aisNmea.js'
+import { parseGpx } from './gpx.js'
+import { parseCsv } from './csv.js'
+
+export { parseAisNmea, decodeAisPayload, nmeaChecksum, AIS_NAVIGATION_STATUS } from './aisNmea.js'
+export { parseGpx } from './gpx.js'
+export { parseCsv, splitCsvLine, CSV_COLUMN_ALIASES } from './csv.js'
+export { parseCzml, importCzmlInto } from './czml.js'
+export { TrajectoryImportReport, parseTimestamp, toKnots } from './importReport.js'
+
+// 支持的导入格式
+export const TRAJECTORY_IMPORT_FORMATS = {
+  ais: parseAisNmea,
+  gpx: parseGpx,
+  csv: parseCsv,
+}
+
+// 文件扩展名与格式的对应关系
+const EXTENSION_FORMATS = {
+  nmea: 'ais',
+  ais: 'ais',
+  gpx: 'gpx',
+  xml: 'gpx',
+  csv: 'csv',
+  tsv: 'csv',
+}
+
+/**
+ * 识别轨迹文件格式
+ * 优先按内容识别，无法识别时按文件扩展名
+ * @param {string} content - 文件内容
+ * @param {string} fileName - 文件名（可选）
+ * @returns {string|null} 格式 ais | gpx | csv，无法识别时返回 null
+ */
+export function detectTrajectoryFormat(content, fileName = '') {
+  const head = String(content).slice(0, 2000)
+
+  if (/<gpx\b/.test(head)) return 'gpx'
+  if (/[!$]AIVD[MO],/.test(head)) return 'ais'
+
+  const extension = String(fileName).split('.').pop().toLowerCase()
+  if (EXTENSION_FORMATS[extension]) return EXTENSION_FORMATS[extension]
+
+  const firstLine = head.split(/\r?\n/).find((line) => line.trim()) || ''
+  if (/[,;\t]/.test(firstLine)) return 'csv'
+
+  return null
+}
+
+/**
+ * 导入轨迹
+ * @param {string} content - 文件内容
+ * @param {Object} options - 选项（各格式的选项见对应解析函数）
+ * @param {string} options.format - 格式 ais | gpx | csv，默认自动识别
+ * @param {string} options.fileName - 文件名，用于识别格式
+ * @returns {Object} 导入结果 {format, items, targets, errors, stats}
+ */
+export function importTrajectories(content, options = {}) {
+  const format = options.format || detectTrajectoryFormat(content, options.fileName)
+  const parser = TRAJECTORY_IMPORT_FORMATS[format]
+
+  if (!parser) {
+    throw new Error(
+      `无法识别的轨迹格式: ${format || '未知'}，支持 ${Object.keys(TRAJECTORY_IMPORT_FORMATS).join(', ')}`,
+    )
+  }
+
+  return parser(content, options)
+}
+
+/**
+ * 导入轨迹并合并到轨迹管理器
+ * 已有目标的轨迹按时间戳合并（相同时间戳以导入数据为准）
+ * @param {TrajectoryManager} manager - 轨迹管理器
+ * @param {string} content - 文件内容
+ * @param {Object} options - 选项，同 importTrajectories
+ * @returns {Object} 导入结果，额外包含 applied（成功合并的目标ID数组）
+ */
+export function importTrajectoriesInto(manager, content, options = {}) {
+  const result = importTrajectories(content, options)
+  const applied = result.items
+    .filter((item) => manager.appendPoints(item.target_id, item.trajectory))
+    .map((item) => item.target_id)
+
+  return { ...result, applied }
+}
+
+export default importTrajectories
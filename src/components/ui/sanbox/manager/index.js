@@ -11,6 +11,12 @@ import RelationManager from './RelationManager.js'
 import TrajectoryManager from './TrajectoryManager.js'
 import EventManager from './EventManager.js'
 import FusionLineManager from './FusionLineManager.js'
+import GeofenceManager from './GeofenceManager.js'
+import ChangeJournal from './ChangeJournal.js'
+import TrajectoryAnalytics, { DERIVED_EVENT_SOURCE } from './TrajectoryAnalytics.js'
+import CpaAnalytics, { CPA_EVENT_SOURCE } from './CpaAnalytics.js'
+import TrajectoryPredictor from './TrajectoryPredictor.js'
+import { evaluateGeofences, toGeofenceEvents, GEOFENCE_EVENT_SOURCE } from './geofences/index.js'
 
 /**
  * 数据管理器工厂类
@@ -25,6 +31,7 @@ class DataManagerFactory {
     trajectoryData = [],
     eventData = [],
     fusionLineData = [],
+    geofenceData = [],
   ) {
     this.targetBaseManager = this.createTargetBaseManager(targetBaseData)
     this.targetLocationManager = this.createTargetLocationManager(targetLocationData)
@@ -33,6 +40,42 @@ class DataManagerFactory {
     this.trajectoryManager = this.createTrajectoryManager(trajectoryData)
     this.eventManager = this.createEventManager(eventData)
     this.fusionLineManager = this.createFusionLineManager(fusionLineData)
+    this.geofenceManager = this.createGeofenceManager(geofenceData)
+    this.journal = null
+  }
+
+  /**
+   * 启用变更日志，记录所有管理器的变更，支持撤销/重做
+   * 已启用时返回现有日志
+   * @param {Object} options - 变更日志选项，见 ChangeJournal
+   * @returns {ChangeJournal} 变更日志
+   */
+  enableJournal(options = {}) {
+    if (this.journal) return this.journal
+
+    this.journal = new ChangeJournal(options)
+    Object.entries(this.getDatasetManagers()).forEach(([dataset, manager]) => {
+      this.journal.attach(dataset, manager)
+    })
+    return this.journal
+  }
+
+  /**
+   * 停用变更日志
+   */
+  disableJournal() {
+    if (!this.journal) return
+    Object.keys(this.getDatasetManagers()).forEach((dataset) => this.journal.detach(dataset))
+    this.journal = null
+  }
+
+  /**
+   * 执行不记录到变更日志的变更（外部数据同步、实时推送等非用户编辑）
+   * @param {Function} fn - 操作函数
+   * @returns {*} fn 的返回值
+   */
+  untracked(fn) {
+    return this.journal ? this.journal.untracked(fn) : fn()
   }
 
   /**
@@ -126,6 +169,19 @@ class DataManagerFactory {
     return this.fusionLineManager
   }
 
+  /**
+   * 创建地理围栏数据管理器
+   * @param {Array} initialData - 初始数据
+   * @returns {GeofenceManager} 管理器实例
+   */
+  createGeofenceManager(initialData = []) {
+    this.geofenceManager = new GeofenceManager()
+    if (initialData.length > 0) {
+      this.geofenceManager.setInitialData(initialData)
+    }
+    return this.geofenceManager
+  }
+
   /**
    * 获取所有管理器实例
    * @returns {Object} 管理器实例对象
@@ -138,9 +194,183 @@ class DataManagerFactory {
       relationManager: this.relationManager,
       trajectoryManager: this.trajectoryManager,
       eventManager: this.eventManager,
+      geofenceManager: this.geofenceManager,
     }
   }
 
+  /**
+   * 根据数据集名称获取管理器
+   * @param {string} dataset - 数据集名称（与图层数据类型一致）
+   * @returns {BaseManager|null} 管理器实例
+   */
+  getManagerByDataset(dataset) {
+    return this.getDatasetManagers()[dataset] || null
+  }
+
+  /**
+   * 获取数据集名称与管理器的对应关系
+   * @returns {Object} {dataset: manager}
+   */
+  getDatasetManagers() {
+    return {
+      points: this.targetLocationManager,
+      targets: this.targetBaseManager,
+      relations: this.relationManager,
+      trajectories: this.trajectoryManager,
+      events: this.eventManager,
+      targetStatuses: this.targetStatusManager,
+      fusionLines: this.fusionLineManager,
+      geofences: this.geofenceManager,
+    }
+  }
+
+  /**
+   * 应用实时推送的增量数据（不记录到变更日志）
+   * @param {Object} delta - 增量消息 {dataset, op, data}
+   *   op: upsert（新增或更新） | append（轨迹追加点，data 为 {target_id, points}） | remove（删除）
+   * @returns {boolean} 是否成功
+   */
+  applyDelta(delta) {
+    if (!delta || !delta.data) return false
+    return this.untracked(() => this._applyDelta(delta))
+  }
+
+  /**
+   * 应用增量数据
+   * @param {Object} delta - 增量消息
+   * @returns {boolean} 是否成功
+   * @private
+   */
+  _applyDelta(delta) {
+    const manager = this.getManagerByDataset(delta.dataset)
+    if (!manager) {
+      console.warn('未知的增量数据集:', delta.dataset)
+      return false
+    }
+
+    const { op, data } = delta
+
+    switch (op) {
+      case 'append':
+        if (manager !== this.trajectoryManager) return false
+        return this.trajectoryManager.appendPoints(data.target_id, data.points || data.point)
+      case 'remove': {
+        const id = data.id ?? data.target_id
+        return manager.deleteById(id)
+      }
+      case 'upsert':
+        // addItem 覆盖已有数据时会先移除旧索引，校验失败时保留旧数据
+        return manager.addItem(data)
+      default:
+        console.warn('未知的增量操作:', op)
+        return false
+    }
+  }
+
+  /**
+   * 分析轨迹（停留、徘徊、会遇）并将结果作为派生事件写入事件管理器（不记录到变更日志）
+   * 先移除分析范围内已有的派生事件，再写入新的分析结果，原始事件不受影响
+   * @param {Object} options - 选项，见 TrajectoryAnalytics.detectAll
+   * @returns {Array} 写入的派生事件
+   */
+  publishTrajectoryEvents(options = {}) {
+    const events = this.trajectoryManager.getAnalytics().detectEvents(options)
+    const targetIds = options.targetIds ? new Set(options.targetIds) : null
+
+    this._replaceDerivedEvents(
+      'publishTrajectoryEvents',
+      (event) =>
+        event.derivedFrom === DERIVED_EVENT_SOURCE &&
+        (!targetIds || targetIds.has(event.source_id) || targetIds.has(event.target_id)),
+      events,
+    )
+    return events
+  }
+
+  /**
+   * 检测轨迹两两之间的碰撞风险（不修改数据）
+   * @param {Object} options - 选项，见 CpaAnalytics.detectWarnings
+   * @returns {Array} 预警数组
+   */
+  detectCpaWarnings(options = {}) {
+    return this.trajectoryManager.getCpaAnalytics().detectWarnings(options)
+  }
+
+  /**
+   * 检测碰撞风险并将预警作为派生事件写入事件管理器（不记录到变更日志）
+   * 先移除检测范围内已有的碰撞风险事件，再写入新的检测结果
+   * @param {Object} options - 选项，见 CpaAnalytics.detectWarnings
+   * @returns {Array} 写入的派生事件
+   */
+  publishCpaWarnings(options = {}) {
+    const events = this.trajectoryManager.getCpaAnalytics().detectEvents(options)
+    const targetIds = options.targetIds ? new Set(options.targetIds) : null
+
+    this._replaceDerivedEvents(
+      'publishCpaWarnings',
+      (event) =>
+        event.derivedFrom === CPA_EVENT_SOURCE &&
+        (!targetIds || targetIds.has(event.source_id) || targetIds.has(event.target_id)),
+      events,
+    )
+    return events
+  }
+
+  /**
+   * 按地理围栏判定轨迹（不修改数据）
+   * @param {Object} options - 选项，见 geofences/evaluator.js 的 evaluateGeofences
+   * @returns {Object} {visits, violations: {geofenceId: [{startTime, endTime}]}}
+   */
+  evaluateGeofences(options = {}) {
+    return evaluateGeofences(this.trajectoryManager, this.geofenceManager, options)
+  }
+
+  /**
+   * 按地理围栏判定轨迹，并将进入、离开、停留事件作为派生事件写入事件管理器（不记录到变更日志）
+   * 先移除判定范围内已有的围栏事件，再写入新的判定结果
+   * @param {Object} options - 选项
+   * @param {Array} options.geofenceIds - 只判定这些围栏
+   * @param {Array} options.targetIds - 只判定这些目标的轨迹
+   * @param {number} options.dwellTime - 默认停留时长阈值（分钟），围栏的 dwellTime 字段优先
+   * @returns {Object} {visits, violations, events}
+   */
+  publishGeofenceEvents(options = {}) {
+    const result = this.evaluateGeofences(options)
+    const events = toGeofenceEvents(result.visits, {
+      ...options,
+      getGeofence: (id) => this.geofenceManager.findById(id),
+    })
+    const geofenceIds = options.geofenceIds ? new Set(options.geofenceIds) : null
+    const targetIds = options.targetIds ? new Set(options.targetIds) : null
+
+    this._replaceDerivedEvents(
+      'publishGeofenceEvents',
+      (event) =>
+        event.derivedFrom === GEOFENCE_EVENT_SOURCE &&
+        (!geofenceIds || geofenceIds.has(event.geofenceId)) &&
+        (!targetIds || targetIds.has(event.source_id)),
+      events,
+    )
+    return { ...result, events }
+  }
+
+  /**
+   * 替换事件管理器中的派生事件（不记录到变更日志），合并为一次变更事件
+   * @param {string} label - 批量操作名称
+   * @param {Function} isStale - 判断已有事件是否需要移除
+   * @param {Array} events - 新的派生事件
+   * @private
+   */
+  _replaceDerivedEvents(label, isStale, events) {
+    this.untracked(() => {
+      this.eventManager.batch(label, () => {
+        const stale = this.eventManager.getAll().filter(isStale)
+        this.eventManager.deleteBatch(stale.map((event) => event.id))
+        events.forEach((event) => this.eventManager.addItem(event))
+      })
+    })
+  }
+
   /**
    * 清空所有管理器数据
    */
@@ -151,6 +381,7 @@ class DataManagerFactory {
     if (this.relationManager) this.relationManager.clear()
     if (this.trajectoryManager) this.trajectoryManager.clear()
     if (this.eventManager) this.eventManager.clear()
+    if (this.geofenceManager) this.geofenceManager.clear()
   }
 
   /**
@@ -199,31 +430,122 @@ class DataManagerFactory {
   }
 }
 
+// 轨迹导入（AIS NMEA、GPX、CSV）与 CZML 场景还原
+export {
+  importTrajectories,
+  importTrajectoriesInto,
+  detectTrajectoryFormat,
+  parseCzml,
+  importCzmlInto,
+} from './importers/index.js'
+
+// 可视化状态导出（GeoJSON、KML、KMZ、CZML）
+export {
+  exportGeoJSON,
+  exportKML,
+  exportKMZ,
+  exportCZML,
+  exportVisualizationBlob,
+  downloadVisualization,
+} from './exporters/index.js'
+
+// 数据集 JSON Schema 与部署扩展
+export {
+  DATASET_SCHEMAS,
+  getDatasetSchema,
+  getDatasetSchemas,
+  registerSchemaExtension,
+  registerSchemaExtensions,
+  clearSchemaExtensions,
+  validateDatasetItem,
+  validateSchema,
+} from './schemas/index.js'
+
+// 轨迹行为分析（停留、徘徊、会遇）
+export {
+  toDerivedEvent,
+  DERIVED_EVENT_SOURCE,
+  DEFAULT_STOP_OPTIONS,
+  DEFAULT_LOITERING_OPTIONS,
+  DEFAULT_RENDEZVOUS_OPTIONS,
+} from './TrajectoryAnalytics.js'
+
+// 碰撞风险分析（CPA/TCPA）
+export {
+  computeCpa,
+  classifyCpaRisk,
+  toCpaEvent,
+  CPA_EVENT_SOURCE,
+  DEFAULT_CPA_OPTIONS,
+} from './CpaAnalytics.js'
+
+// 轨迹航位推算（大圆、匀速转弯模型与不确定性锥形区域）
+export {
+  predictPath,
+  estimateMotion,
+  buildUncertaintyCone,
+  getPredictionUncertainty,
+  destinationPoint,
+  initialBearing,
+  PREDICTION_MODELS,
+  DEFAULT_PREDICTION_OPTIONS,
+} from './TrajectoryPredictor.js'
+
+// 地理围栏（几何判定、进出事件、GeoJSON 导入导出）
+export {
+  GEOFENCE_SHAPES,
+  GEOFENCE_EVENT_SOURCE,
+  isPointInGeofence,
+  evaluateGeofences,
+  toGeofenceEvents,
+  geofencesToGeoJSON,
+  geofencesFromGeoJSON,
+} from './geofences/index.js'
+
+// 跨数据集引用完整性检查与自动修复
+export {
+  checkIntegrity,
+  repairIntegrity,
+  INTEGRITY_CHECKS,
+  DEFAULT_REPAIR_STRATEGIES,
+  PLACEHOLDER_REPAIR_STRATEGIES,
+} from './integrity/index.js'
+
 // 创建全局工厂实例
 const dataManagerFactory = new DataManagerFactory()
 
 export {
   BaseManager,
+  ChangeJournal,
   TargetBaseManager,
   TargetLocationManager,
   TargetStatusManager,
   RelationManager,
   TrajectoryManager,
+  TrajectoryAnalytics,
+  CpaAnalytics,
+  TrajectoryPredictor,
   EventManager,
   FusionLineManager,
+  GeofenceManager,
   DataManagerFactory,
   dataManagerFactory,
 }
 
 export default {
   BaseManager,
+  ChangeJournal,
   TargetBaseManager,
   TargetLocationManager,
   TargetStatusManager,
   RelationManager,
   TrajectoryManager,
+  TrajectoryAnalytics,
+  CpaAnalytics,
+  TrajectoryPredictor,
   EventManager,
   FusionLineManager,
+  GeofenceManager,
   DataManagerFactory,
   dataManagerFactory,
 }
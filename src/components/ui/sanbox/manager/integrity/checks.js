@@ -0,0 +1,300 @@
+/**
+ * 数据完整性检查项
+ * 每个检查返回问题数组，问题格式：
+ *   {type, severity, dataset, id, field, value, message, repairs, ...}
+ *   severity: error（渲染时会被丢弃或出错） | warning（可以渲染，但结果可能不符合预期）
+ *   repairs: 该问题可用的修复策略，见 repairs.js
+ *
+ * 问题类型：
+ *   danglingReference - 引用的目标不存在（缺少基础信息，或连线端点既没有位置也没有轨迹）
+ *   duplicateId       - 数据文件中 ID 重复，加载时后者覆盖前者
+ *   invalidItem       - 数据项未通过管理器校验，加载时被丢弃
+ *   orphanLocation    - 位置没有对应的目标基础信息
+ *   overlappingStatus - 同一目标的状态时间段重叠或开始时间相同
+ *   invalidStatusTime - 状态缺少有效的开始时间
+ */
+
+// 数据集名称与 DataManagerFactory 中管理器属性的对应关系（与 getDatasetManagers 一致）
+export const DATASET_MANAGERS = {
+  targets: 'targetBaseManager',
+  points: 'targetLocationManager',
+  targetStatuses: 'targetStatusManager',
+  relations: 'relationManager',
+  trajectories: 'trajectoryManager',
+  events: 'eventManager',
+  fusionLines: 'fusionLineManager',
+  geofences: 'geofenceManager',
+}
+
+// 引用目标的数据集：fields 为引用目标ID的字段，requireLocation 表示端点必须有位置或轨迹才能绘制连线
+export const REFERENCE_RULES = [
+  { dataset: 'relations', fields: ['source_id', 'target_id'], requireLocation: true },
+  { dataset: 'events', fields: ['source_id', 'target_id'], requireLocation: true },
+  { dataset: 'fusionLines', fields: ['source_id', 'target_id'], requireLocation: true },
+  { dataset: 'targetStatuses', fields: ['target_id'], requireLocation: false },
+  { dataset: 'trajectories', fields: ['target_id'], requireLocation: false },
+]
+
+// 原始数据中的ID字段，未列出的数据集使用 id
+const SOURCE_ID_FIELDS = {
+  trajectories: 'target_id',
+}
+
+/**
+ * 获取数据集对应的管理器
+ * @param {DataManagerFactory} factory - 数据管理器工厂（或包含同名管理器属性的对象）
+ * @param {string} dataset - 数据集名称
+ * @returns {BaseManager|null} 管理器
+ */
+export function getDatasetManager(factory, dataset) {
+  return factory[DATASET_MANAGERS[dataset]] || null
+}
+
+/**
+ * 将原始数据转换为数据项数组，轨迹的 {target_id: [points]} 格式转换为轨迹数据项
+ * @param {string} dataset - 数据集名称
+ * @param {Array|Object} records - 原始数据
+ * @returns {Array} 数据项数组
+ */
+export function toSourceItems(dataset, records) {
+  if (Array.isArray(records)) return records
+  if (dataset === 'trajectories' && records && typeof records === 'object') {
+    return Object.entries(records).map(([targetId, trajectory]) => ({
+      target_id: targetId,
+      id: targetId,
+      trajectory: trajectory || [],
+    }))
+  }
+  return []
+}
+
+// 转换为毫秒时间戳，缺失返回 null，无效返回 NaN
+const toTime = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  return new Date(value).getTime()
+}
+
+const createIssue = (type, severity, dataset, id, details) => ({
+  type,
+  severity,
+  dataset,
+  id,
+  field: null,
+  repairs: [],
+  ...details,
+})
+
+/**
+ * 查找悬空引用
+ * 关系、事件、融合线的端点，状态与轨迹的 target_id 必须在目标基础信息中存在；
+ * 连线端点还必须有位置或轨迹，否则无法确定连线位置
+ * @param {DataManagerFactory} factory - 数据管理器工厂
+ * @returns {Array} 问题数组
+ */
+export function findDanglingReferences(factory) {
+  const targets = getDatasetManager(factory, 'targets')
+  const points = getDatasetManager(factory, 'points')
+  const trajectories = getDatasetManager(factory, 'trajectories')
+  const issues = []
+
+  REFERENCE_RULES.forEach(({ dataset, fields, requireLocation }) => {
+    const manager = getDatasetManager(factory, dataset)
+    if (!manager) return
+
+    manager.getAll().forEach((item) => {
+      const id = item[manager.idField]
+      fields.forEach((field) => {
+        const value = item[field]
+        if (!targets.findById(value)) {
+          issues.push(
+            createIssue('danglingReference', 'error', dataset, id, {
+              field,
+              value,
+              missingIn: 'targets',
+              message: `${field} 引用的目标 ${value} 没有基础信息`,
+              repairs: ['placeholder', 'remove'],
+            }),
+          )
+        }
+        if (requireLocation && !points.findById(value) && !trajectories.findById(value)) {
+          issues.push(
+            createIssue('danglingReference', 'error', dataset, id, {
+              field,
+              value,
+              missingIn: 'points',
+              message: `${field} 引用的目标 ${value} 既没有位置也没有轨迹`,
+              repairs: ['remove'],
+            }),
+          )
+        }
+      })
+    })
+  })
+
+  return issues
+}
+
+/**
+ * 查找原始数据中的重复ID（管理器按ID存储，加载后无法再发现重复）
+ * @param {Object} sources - 原始数据 {dataset: records}
+ * @returns {Array} 问题数组
+ */
+export function findDuplicateIds(sources = {}) {
+  const issues = []
+
+  Object.entries(sources).forEach(([dataset, records]) => {
+    // 轨迹等分组数据以对象键为ID，不会重复
+    if (!Array.isArray(records)) return
+
+    const idField = SOURCE_ID_FIELDS[dataset] || 'id'
+    const firstIndexes = new Map()
+    records.forEach((record, index) => {
+      const id = record?.[idField]
+      if (id === undefined || id === null || id === '') return
+
+      if (!firstIndexes.has(id)) {
+        firstIndexes.set(id, index)
+        return
+      }
+      const firstIndex = firstIndexes.get(id)
+      issues.push(
+        createIssue('duplicateId', 'error', dataset, id, {
+          field: idField,
+          value: id,
+          index,
+          firstIndex,
+          first: records[firstIndex],
+          message: `ID ${id} 重复（第 ${firstIndex + 1} 条与第 ${index + 1} 条），加载时后者覆盖前者`,
+          repairs: ['keepLast', 'keepFirst'],
+        }),
+      )
+    })
+  })
+
+  return issues
+}
+
+/**
+ * 查找未通过管理器校验的原始数据项（加载时被丢弃）
+ * @param {DataManagerFactory} factory - 数据管理器工厂
+ * @param {Object} sources - 原始数据 {dataset: records}
+ * @returns {Array} 问题数组
+ */
+export function findInvalidItems(factory, sources = {}) {
+  const issues = []
+
+  Object.entries(sources).forEach(([dataset, records]) => {
+    const manager = getDatasetManager(factory, dataset)
+    if (!manager) return
+
+    const idField = SOURCE_ID_FIELDS[dataset] || 'id'
+    toSourceItems(dataset, records).forEach((record, index) => {
+      const errors = manager.getValidationErrors(record)
+      if (errors.length === 0) return
+
+      issues.push(
+        createIssue('invalidItem', 'error', dataset, record?.[idField] ?? null, {
+          index,
+          errors,
+          message: errors.map((error) => error.message).join('；'),
+        }),
+      )
+    })
+  })
+
+  return issues
+}
+
+/**
+ * 查找孤立位置（没有目标基础信息的位置不会显示）
+ * @param {DataManagerFactory} factory - 数据管理器工厂
+ * @returns {Array} 问题数组
+ */
+export function findOrphanLocations(factory) {
+  const targets = getDatasetManager(factory, 'targets')
+
+  return getDatasetManager(factory, 'points')
+    .getAll()
+    .filter((point) => !targets.findById(point.id))
+    .map((point) =>
+      createIssue('orphanLocation', 'warning', 'points', point.id, {
+        field: 'id',
+        value: point.id,
+        message: `位置 ${point.id} 没有对应的目标基础信息，不会显示`,
+        repairs: ['placeholder', 'remove'],
+      }),
+    )
+}
+
+/**
+ * 查找重叠的状态时间段
+ * 状态从开始时间起生效，到结束时间或同一目标的下一个状态开始时结束；
+ * 结束时间晚于下一个状态的开始时间、或开始时间相同时，显示时只会使用其中一个
+ * @param {DataManagerFactory} factory - 数据管理器工厂
+ * @returns {Array} 问题数组
+ */
+export function findStatusOverlaps(factory) {
+  const issues = []
+  const byTarget = new Map()
+
+  getDatasetManager(factory, 'targetStatuses')
+    .getAll()
+    .forEach((status) => {
+      // 数据文件使用 startTime / endTime，TargetStatusManager 的校验使用 start_time / end_time
+      const start = toTime(status.startTime ?? status.start_time)
+      const end = toTime(status.endTime ?? status.end_time)
+
+      if (start === null || Number.isNaN(start)) {
+        issues.push(
+          createIssue('invalidStatusTime', 'error', 'targetStatuses', status.id, {
+            field: 'startTime',
+            value: status.startTime ?? status.start_time ?? null,
+            message: `目标 ${status.target_id} 的状态 ${status.id} 缺少有效的开始时间`,
+            repairs: ['remove'],
+          }),
+        )
+        return
+      }
+
+      if (!byTarget.has(status.target_id)) {
+        byTarget.set(status.target_id, [])
+      }
+      byTarget.get(status.target_id).push({ status, start, end: Number.isNaN(end) ? null : end })
+    })
+
+  byTarget.forEach((entries, targetId) => {
+    entries.sort((a, b) => a.start - b.start)
+
+    for (let i = 0; i < entries.length - 1; i++) {
+      const { status, start, end } = entries[i]
+      const next = entries[i + 1]
+
+      if (start === next.start) {
+        issues.push(
+          createIssue('overlappingStatus', 'warning', 'targetStatuses', status.id, {
+            field: 'startTime',
+            value: status.startTime ?? status.start_time,
+            targetId,
+            related: next.status.id,
+            message: `目标 ${targetId} 的状态 ${status.id} 与状态 ${next.status.id} 开始时间相同`,
+            repairs: ['remove'],
+          }),
+        )
+      } else if (end !== null && end > next.start) {
+        issues.push(
+          createIssue('overlappingStatus', 'warning', 'targetStatuses', status.id, {
+            field: 'endTime',
+            value: status.endTime ?? status.end_time,
+            targetId,
+            related: next.status.id,
+            limit: new Date(next.start).toISOString(),
+            message: `目标 ${targetId} 的状态 ${status.id} 结束时间晚于下一个状态 ${next.status.id} 的开始时间`,
+            repairs: ['truncate', 'remove'],
+          }),
+        )
+      }
+    }
+  })
+
+  return issues
+}
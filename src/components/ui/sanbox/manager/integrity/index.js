@@ -0,0 +1,109 @@
+/**
+ * 跨数据集引用完整性检查统一入口
+ * 检查 DataManagerFactory 中关系、事件、融合线、状态、轨迹对目标的引用，以及重复ID、孤立位置与状态时间段，
+ * 生成结构化报告，并可按策略自动修复（见 repairs.js）
+ *
+ * 报告格式：
+ *   valid     - 是否没有错误级问题
+ *   checkedAt - 检查时间
+ *   checks    - 已执行的检查项
+ *   skipped   - 因缺少原始数据而跳过的检查项
+ *   counts    - 各数据集的数据项数量
+ *   summary   - {errors, warnings, byType}
+ *   issues    - 问题数组，格式见 checks.js
+ */
+import {
+  DATASET_MANAGERS,
+  getDatasetManager,
+  findDanglingReferences,
+  findDuplicateIds,
+  findInvalidItems,
+  findOrphanLocations,
+  findStatusOverlaps,
+} from './checks.js'
+
+export {
+  DATASET_MANAGERS,
+  REFERENCE_RULES,
+  getDatasetManager,
+  toSourceItems,
+  findDanglingReferences,
+  findDuplicateIds,
+  findInvalidItems,
+  findOrphanLocations,
+  findStatusOverlaps,
+} from './checks.js'
+export {
+  DEFAULT_REPAIR_STRATEGIES,
+  PLACEHOLDER_REPAIR_STRATEGIES,
+  createPlaceholderTarget,
+  repairIntegrity,
+} from './repairs.js'
+
+// 检查项，sources 为原始数据 {dataset: records}
+export const INTEGRITY_CHECKS = {
+  danglingReferences: (factory) => findDanglingReferences(factory),
+  duplicateIds: (factory, sources) => findDuplicateIds(sources),
+  invalidItems: (factory, sources) => findInvalidItems(factory, sources),
+  orphanLocations: (factory) => findOrphanLocations(factory),
+  statusOverlaps: (factory) => findStatusOverlaps(factory),
+}
+
+// 需要原始数据的检查项（数据加载到管理器后，重复与无效的数据项已被覆盖或丢弃）
+const SOURCE_CHECKS = ['duplicateIds', 'invalidItems']
+
+/**
+ * 检查数据完整性
+ * @param {DataManagerFactory} factory - 数据管理器工厂（或包含同名管理器属性的对象）
+ * @param {Object} options - 选项
+ * @param {Object} options.sources - 加载前的原始数据 {dataset: records}，缺失时跳过重复ID与无效数据检查
+ * @param {Array} options.checks - 要执行的检查项，默认全部
+ * @returns {Object} 检查报告
+ */
+export function checkIntegrity(factory, options = {}) {
+  const { sources = null, checks = Object.keys(INTEGRITY_CHECKS) } = options
+  const executed = []
+  const skipped = []
+  const issues = []
+
+  checks.forEach((name) => {
+    const check = INTEGRITY_CHECKS[name]
+    if (!check) {
+      throw new Error(`未知的完整性检查项: ${name}`)
+    }
+    if (SOURCE_CHECKS.includes(name) && !sources) {
+      skipped.push(name)
+      return
+    }
+    issues.push(...check(factory, sources))
+    executed.push(name)
+  })
+
+  const counts = {}
+  Object.keys(DATASET_MANAGERS).forEach((dataset) => {
+    const manager = getDatasetManager(factory, dataset)
+    if (manager) {
+      counts[dataset] = manager.getCount()
+    }
+  })
+
+  const summary = { errors: 0, warnings: 0, byType: {} }
+  issues.forEach((issue) => {
+    if (issue.severity === 'error') {
+      summary.errors++
+    } else {
+      summary.warnings++
+    }
+    summary.byType[issue.type] = (summary.byType[issue.type] || 0) + 1
+  })
+
+  return {
+    valid: summary.errors === 0,
+    checkedAt: new Date().toISOString(),
+    checks: executed,
+    skipped,
+    counts,
+    summary,
+    issues,
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * 数据完整性自动修复
+ * 按问题类型选择修复策略，修复直接作用于 DataManagerFactory 中的管理器；
+ * 启用变更日志时，一次修复合并为一条记录，可以整体撤销
+ *
+ * 修复策略：
+ *   danglingReference - placeholder：创建占位目标基础信息 | remove：删除引用方数据项
+ *   duplicateId       - keepLast：保留最后一条（与加载行为一致） | keepFirst：保留第一条
+ *   orphanLocation    - placeholder：按位置信息创建目标基础信息 | remove：删除位置
+ *   overlappingStatus - truncate：将结束时间截断到下一个状态的开始时间 | remove：删除该状态
+ *   invalidStatusTime - remove：删除该状态
+ */
+import { getDatasetManager } from './checks.js'
+
+// 默认修复策略：悬空引用删除引用方数据项，孤立位置只报告不修复
+export const DEFAULT_REPAIR_STRATEGIES = {
+  danglingReference: 'remove',
+  duplicateId: 'keepLast',
+  overlappingStatus: 'truncate',
+  invalidStatusTime: 'remove',
+}
+
+// 创建占位目标的修复策略，占位目标不是真实数据，需要显式启用
+export const PLACEHOLDER_REPAIR_STRATEGIES = {
+  danglingReference: 'placeholder',
+  orphanLocation: 'placeholder',
+}
+
+/**
+ * 创建占位目标基础信息，有位置数据时沿用其名称与类型
+ * @param {DataManagerFactory} factory - 数据管理器工厂
+ * @param {string} targetId - 目标ID
+ * @returns {Object} 目标基础信息
+ */
+export function createPlaceholderTarget(factory, targetId) {
+  const location = getDatasetManager(factory, 'points').findById(targetId)
+  return {
+    id: targetId,
+    name: location?.name || targetId,
+    type: location?.type || 'unknown',
+    description: '数据完整性修复时创建的占位目标',
+    status: 'placeholder',
+    placeholder: true,
+  }
+}
+
+// 添加占位目标，目标已存在（被其他问题的修复创建）时返回 null
+const addPlaceholderTarget = (factory, targetId) => {
+  const targets = getDatasetManager(factory, 'targets')
+  if (targets.findById(targetId)) return null
+  return targets.addItem(createPlaceholderTarget(factory, targetId))
+    ? `创建占位目标 ${targetId}`
+    : null
+}
+
+// 删除问题所在的数据项，已被删除时返回 null
+const removeItem = (factory, issue) => {
+  const manager = getDatasetManager(factory, issue.dataset)
+  return manager.deleteById(issue.id) ? `删除 ${issue.dataset} 中的 ${issue.id}` : null
+}
+
+// 各问题类型的修复函数，返回修复说明，无需修复时返回 null
+const REPAIRS = {
+  danglingReference: {
+    placeholder: (factory, issue) => addPlaceholderTarget(factory, issue.value),
+    remove: removeItem,
+  },
+  duplicateId: {
+    keepLast: (factory, issue) => `保留 ID ${issue.id} 的第 ${issue.index + 1} 条数据`,
+    keepFirst: (factory, issue) => {
+      const manager = getDatasetManager(factory, issue.dataset)
+      return manager.addItem(issue.first)
+        ? `保留 ID ${issue.id} 的第 ${issue.firstIndex + 1} 条数据`
+        : null
+    },
+  },
+  orphanLocation: {
+    placeholder: (factory, issue) => addPlaceholderTarget(factory, issue.id),
+    remove: removeItem,
+  },
+  overlappingStatus: {
+    truncate: (factory, issue) => {
+      const manager = getDatasetManager(factory, issue.dataset)
+      const status = manager.findById(issue.id)
+      if (!status) return null
+      const field =
+        status.endTime === undefined && status.end_time !== undefined ? 'end_time' : 'endTime'
+      return manager.addItem({ ...status, [field]: issue.limit })
+        ? `状态 ${issue.id} 的结束时间截断为 ${issue.limit}`
+        : null
+    },
+    remove: removeItem,
+  },
+  invalidStatusTime: {
+    remove: removeItem,
+  },
+}
+
+/**
+ * 按修复策略修复完整性检查发现的问题
+ * @param {DataManagerFactory} factory - 数据管理器工厂
+ * @param {Object} report - checkIntegrity 的检查报告
+ * @param {Object} strategies - 修复策略 {问题类型: 策略}，未指定策略的问题类型不修复
+ * @returns {Object} {repaired: [{issue, strategy, action}], skipped: [{issue, strategy, reason}]}
+ */
+export function repairIntegrity(factory, report, strategies = DEFAULT_REPAIR_STRATEGIES) {
+  const result = { repaired: [], skipped: [] }
+
+  const run = () => {
+    report.issues.forEach((issue) => {
+      const strategy = strategies[issue.type]
+      if (!strategy) return
+
+      if (!issue.repairs.includes(strategy)) {
+        result.skipped.push({ issue, strategy, reason: `该问题不支持修复策略 ${strategy}` })
+        return
+      }
+
+      const action = REPAIRS[issue.type][strategy](factory, issue)
+      if (action) {
+        result.repaired.push({ issue, strategy, action })
+      } else {
+        result.skipped.push({ issue, strategy, reason: '已由其他问题的修复处理' })
+      }
+    })
+  }
+
+  if (factory.journal) {
+    factory.journal.group('修复数据完整性', run)
+  } else {
+    run()
+  }
+  return result
+}
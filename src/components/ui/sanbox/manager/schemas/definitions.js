@@ -0,0 +1,249 @@
+/**
+ * 数据集 JSON Schema
+ * 数据管理器、服务端写入接口、导入脚本与表单共用的数据项定义，数据集名称与 server/storage/datasets.js 一致
+ * （layers 为图层表单 LayerDialog 使用的图层定义，服务端没有对应的数据集）
+ * 只声明已知字段，未声明的字段默认允许（additionalProperties: true），部署时可通过 registerSchemaExtension
+ * 声明自定义扩展字段，或关闭 additionalProperties 拒绝未声明的字段
+ * 跨字段规则（开始时间不能晚于结束时间、源目标和目标不能相同等）由各管理器的 getCustomValidationErrors 校验
+ */
+
+const JSON_SCHEMA_DRAFT = 'https://json-schema.org/draft/2020-12/schema'
+
+// 数据项ID（状态数据使用数字自增ID）
+const ID = { type: ['string', 'integer'], minLength: 1 }
+
+// 引用的目标ID
+const TARGET_ID = { type: 'string', minLength: 1 }
+
+const TEXT = { type: 'string' }
+
+const DATE_TIME = { type: 'string', format: 'date-time' }
+
+// 可为空的时间（结束时间为空表示尚未结束）
+const OPTIONAL_DATE_TIME = { type: ['string', 'null'], format: 'date-time' }
+
+const LONGITUDE = { title: '经度', type: 'number', minimum: -180, maximum: 180 }
+
+const LATITUDE = { title: '纬度', type: 'number', minimum: -90, maximum: 90 }
+
+// 轨迹点
+export const TRAJECTORY_POINT_SCHEMA = {
+  $schema: JSON_SCHEMA_DRAFT,
+  title: '轨迹点',
+  type: 'object',
+  required: ['timestamp', 'longitude', 'latitude'],
+  properties: {
+    timestamp: { title: '时间', type: ['string', 'number'], format: 'date-time' },
+    longitude: LONGITUDE,
+    latitude: LATITUDE,
+    altitude: { title: '高度', type: 'number' },
+    speed: { title: '航速', type: 'number' },
+    heading: { title: '航向', type: 'number' },
+    status: TEXT,
+    location: TEXT,
+  },
+  additionalProperties: true,
+}
+
+export const DATASET_SCHEMAS = {
+  targets: {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: '目标基础信息',
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: { ...ID, title: '目标ID' },
+      name: TEXT,
+      type: TEXT,
+      category_code: TEXT,
+      description: TEXT,
+      status: TEXT,
+      capacity: TEXT,
+      operator: TEXT,
+      createdAt: { ...DATE_TIME, title: '创建时间' },
+      placeholder: { type: 'boolean' },
+    },
+    additionalProperties: true,
+  },
+
+  points: {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: '目标位置',
+    type: 'object',
+    required: ['id', 'longitude', 'latitude'],
+    properties: {
+      id: { ...ID, title: '目标ID' },
+      name: TEXT,
+      longitude: LONGITUDE,
+      latitude: LATITUDE,
+      height: { title: '高度', type: 'number' },
+      region: TEXT,
+      province: TEXT,
+      city: TEXT,
+      address: TEXT,
+      createdAt: { ...DATE_TIME, title: '创建时间' },
+    },
+    additionalProperties: true,
+  },
+
+  targetStatuses: {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: '目标状态',
+    type: 'object',
+    required: ['id', 'target_id'],
+    properties: {
+      id: { ...ID, title: '状态ID' },
+      target_id: { ...TARGET_ID, title: '目标ID' },
+      target_name: TEXT,
+      status_type: TEXT,
+      status_name: TEXT,
+      startTime: { ...DATE_TIME, title: '开始时间' },
+      endTime: { ...OPTIONAL_DATE_TIME, title: '结束时间' },
+      start_time: { ...DATE_TIME, title: 'start_time' },
+      end_time: { ...OPTIONAL_DATE_TIME, title: 'end_time' },
+      colorCode: TEXT,
+      iconState: TEXT,
+      animationEffect: TEXT,
+      priority: TEXT,
+      description: TEXT,
+      metadata: { type: 'object' },
+    },
+    additionalProperties: true,
+  },
+
+  relations: {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: '关系',
+    type: 'object',
+    required: ['id', 'source_id', 'target_id', 'type'],
+    properties: {
+      id: { ...ID, title: '关系ID' },
+      source_id: { ...TARGET_ID, title: '源目标ID' },
+      target_id: { ...TARGET_ID, title: '目标ID' },
+      type: { ...TEXT, minLength: 1, title: '关系类型' },
+      description: TEXT,
+      status: TEXT,
+      priority: TEXT,
+      distance: { title: '距离', type: 'number', minimum: 0 },
+      capacity: TEXT,
+      frequency: TEXT,
+      startTime: { ...OPTIONAL_DATE_TIME, title: '开始时间' },
+      endTime: { ...OPTIONAL_DATE_TIME, title: '结束时间' },
+      createdAt: { ...DATE_TIME, title: '创建时间' },
+    },
+    additionalProperties: true,
+  },
+
+  events: {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: '事件',
+    type: 'object',
+    required: ['id', 'source_id', 'target_id', 'description', 'startTime'],
+    properties: {
+      id: { ...ID, title: '事件ID' },
+      source_id: { ...TARGET_ID, title: '源目标ID' },
+      target_id: { ...TARGET_ID, title: '目标ID' },
+      description: { ...TEXT, minLength: 1, title: '事件描述' },
+      startTime: { ...DATE_TIME, title: '事件开始时间' },
+      endTime: { ...OPTIONAL_DATE_TIME, title: '事件结束时间' },
+      alertTime: { ...OPTIONAL_DATE_TIME, title: '事件预警时间' },
+      duration: { title: '持续时间', type: ['number', 'null'], minimum: 0 },
+      type: TEXT,
+    },
+    additionalProperties: true,
+  },
+
+  trajectories: {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: '轨迹',
+    type: 'object',
+    required: ['target_id', 'trajectory'],
+    properties: {
+      id: { ...TARGET_ID, title: '轨迹ID' },
+      target_id: { ...TARGET_ID, title: '目标ID' },
+      trajectory: { title: '轨迹点', type: 'array', items: { $ref: '#/$defs/point' } },
+    },
+    additionalProperties: true,
+    $defs: {
+      point: TRAJECTORY_POINT_SCHEMA,
+    },
+  },
+
+  fusionLines: {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: '融合线',
+    type: 'object',
+    required: ['id', 'source_id', 'target_id', 'type'],
+    properties: {
+      id: { ...ID, title: '融合线ID' },
+      source_id: { ...TARGET_ID, title: '源目标ID' },
+      target_id: { ...TARGET_ID, title: '目标ID' },
+      type: { ...TEXT, minLength: 1, title: '融合线类型' },
+      name: TEXT,
+      description: TEXT,
+      status: TEXT,
+      priority: TEXT,
+      layer: TEXT,
+      startTime: { ...OPTIONAL_DATE_TIME, title: '开始时间' },
+      endTime: { ...OPTIONAL_DATE_TIME, title: '结束时间' },
+      duration: { title: '持续时间', type: ['number', 'null'], minimum: 0 },
+    },
+    additionalProperties: true,
+  },
+
+  geofences: {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: '地理围栏',
+    type: 'object',
+    required: ['id', 'name', 'shape'],
+    properties: {
+      id: { ...ID, title: '围栏ID' },
+      name: { ...TEXT, minLength: 1, title: '围栏名称' },
+      shape: { title: '围栏形状', type: 'string', enum: ['polygon', 'circle', 'corridor'] },
+      coordinates: { title: '围栏坐标', type: 'array', items: { $ref: '#/$defs/position' } },
+      center: { $ref: '#/$defs/position' },
+      radius: { title: '半径', type: 'number', exclusiveMinimum: 0 },
+      width: { title: '走廊宽度', type: 'number', exclusiveMinimum: 0 },
+      dwellTime: { title: '停留时长阈值', type: 'number', minimum: 0 },
+      color: TEXT,
+      description: TEXT,
+    },
+    additionalProperties: true,
+    $defs: {
+      position: {
+        title: '坐标',
+        type: 'array',
+        minItems: 2,
+        prefixItems: [LONGITUDE, LATITUDE],
+        items: { type: 'number' },
+      },
+    },
+  },
+
+  // 表单按 properties 的声明顺序生成字段：description 为输入提示，default 为新建时的初始值
+  layers: {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: '图层',
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: {
+        title: '图层名称',
+        description: '请输入图层名称',
+        type: 'string',
+        minLength: 1,
+        maxLength: 50,
+        default: '',
+      },
+      zIndex: {
+        title: '层级顺序',
+        description: '数值越大越靠前',
+        type: 'integer',
+        minimum: 0,
+        default: 0,
+      },
+      visible: { title: '默认可见', type: 'boolean', default: true },
+    },
+    additionalProperties: true,
+  },
+}
@@ -0,0 +1,115 @@
+/**
+ * 数据集 Schema 注册表
+ * 提供各数据集合并部署扩展后的 JSON Schema，以及按 Schema 校验数据项的入口
+ *
+ * 扩展格式（每个数据集一项）：
+ *   {properties, required, additionalProperties}
+ *   properties 与内置字段合并（同名字段以扩展为准），required 追加到内置必填字段，
+ *   additionalProperties 为 false 时拒绝 Schema 中未声明的字段
+ */
+import { DATASET_SCHEMAS, TRAJECTORY_POINT_SCHEMA } from './definitions.js'
+import { validateSchema } from './validator.js'
+
+export { DATASET_SCHEMAS, TRAJECTORY_POINT_SCHEMA } from './definitions.js'
+export { validateSchema } from './validator.js'
+
+// 部署扩展 dataset -> extension
+const extensions = new Map()
+
+// 合并扩展后的 Schema 缓存
+const mergedSchemas = new Map()
+
+/**
+ * 合并 Schema 与扩展
+ * @param {Object} schema - 内置 Schema
+ * @param {Object} extension - 扩展 {properties, required, additionalProperties}
+ * @returns {Object} 合并后的 Schema
+ */
+export function mergeSchemaExtension(schema, extension = {}) {
+  return {
+    ...schema,
+    properties: { ...schema.properties, ...extension.properties },
+    required: [...new Set([...(schema.required || []), ...(extension.required || [])])],
+    additionalProperties: extension.additionalProperties ?? schema.additionalProperties,
+  }
+}
+
+/**
+ * 注册数据集的部署扩展（替换该数据集已注册的扩展）
+ * @param {string} dataset - 数据集名称
+ * @param {Object} extension - 扩展 {properties, required, additionalProperties}
+ */
+export function registerSchemaExtension(dataset, extension) {
+  if (!DATASET_SCHEMAS[dataset]) {
+    throw new Error(`未知的数据集: ${dataset}`)
+  }
+  if (!extension || typeof extension !== 'object') {
+    throw new Error(`数据集 ${dataset} 的 Schema 扩展必须是对象`)
+  }
+  extensions.set(dataset, extension)
+  mergedSchemas.delete(dataset)
+}
+
+/**
+ * 批量注册部署扩展
+ * @param {Object} datasetExtensions - {dataset: extension}
+ */
+export function registerSchemaExtensions(datasetExtensions = {}) {
+  Object.entries(datasetExtensions).forEach(([dataset, extension]) => {
+    registerSchemaExtension(dataset, extension)
+  })
+}
+
+/**
+ * 清除部署扩展
+ * @param {string} dataset - 数据集名称，不传时清除全部
+ */
+export function clearSchemaExtensions(dataset) {
+  if (dataset) {
+    extensions.delete(dataset)
+    mergedSchemas.delete(dataset)
+  } else {
+    extensions.clear()
+    mergedSchemas.clear()
+  }
+}
+
+/**
+ * 获取数据集合并扩展后的 Schema
+ * @param {string} dataset - 数据集名称
+ * @returns {Object|null} JSON Schema，未知数据集返回 null
+ */
+export function getDatasetSchema(dataset) {
+  const schema = DATASET_SCHEMAS[dataset]
+  if (!schema) return null
+
+  if (!mergedSchemas.has(dataset)) {
+    const extension = extensions.get(dataset)
+    mergedSchemas.set(dataset, extension ? mergeSchemaExtension(schema, extension) : schema)
+  }
+  return mergedSchemas.get(dataset)
+}
+
+/**
+ * 获取全部数据集的 Schema
+ * @returns {Object} {dataset: schema}
+ */
+export function getDatasetSchemas() {
+  return Object.fromEntries(
+    Object.keys(DATASET_SCHEMAS).map((dataset) => [dataset, getDatasetSchema(dataset)]),
+  )
+}
+
+/**
+ * 按数据集 Schema 校验数据项
+ * @param {string} dataset - 数据集名称
+ * @param {Object} item - 数据项
+ * @returns {Array} 错误数组 [{path, field, keyword, message}]
+ */
+export function validateDatasetItem(dataset, item) {
+  const schema = getDatasetSchema(dataset)
+  if (!schema) {
+    throw new Error(`未知的数据集: ${dataset}`)
+  }
+  return validateSchema(schema, item)
+}
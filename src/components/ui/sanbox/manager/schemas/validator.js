@@ -0,0 +1,187 @@
+/**
+ * JSON Schema 校验
+ * 实现数据集 Schema 用到的 JSON Schema 关键字子集：
+ *   type、enum、const、required、properties、additionalProperties、prefixItems、items、minItems、maxItems、
+ *   minimum、maximum、exclusiveMinimum、exclusiveMaximum、minLength、maxLength、pattern、format、
+ *   $ref（仅支持本文档内的 #/$defs/...）
+ * format 支持 date-time（可被 Date 解析的时间字符串，与原有的时间校验一致）
+ *
+ * 错误格式：{path, field, keyword, message}
+ *   path  - JSON Pointer，如 /trajectory/3/latitude
+ *   field - 字段名，如 trajectory[3].latitude（顶层字段即字段名本身，与原有错误格式一致）
+ */
+
+const TYPE_NAMES = {
+  string: '字符串',
+  number: '数字',
+  integer: '整数',
+  boolean: '布尔值',
+  object: '对象',
+  array: '数组',
+  null: '空值',
+}
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  null: (value) => value === null,
+}
+
+const FORMAT_CHECKS = {
+  'date-time': (value) => !isNaN(new Date(value).getTime()),
+}
+
+// 路径片段转换为字段名：数组下标写作 [n]，其余以点号连接
+const toFieldName = (segments) =>
+  segments.reduce((name, segment) => {
+    if (typeof segment === 'number') return `${name}[${segment}]`
+    return name ? `${name}.${segment}` : String(segment)
+  }, '')
+
+// 路径片段转换为 JSON Pointer
+const toPointer = (segments) =>
+  segments.map((segment) => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('')
+
+// 解析本文档内的 $ref
+const resolveRef = (root, ref) => {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`不支持的 $ref: ${ref}`)
+  }
+  const target = ref
+    .slice(2)
+    .split('/')
+    .reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root)
+  if (!target) {
+    throw new Error(`无法解析 $ref: ${ref}`)
+  }
+  return target
+}
+
+/**
+ * 按 JSON Schema 校验数据
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - 待校验的数据
+ * @param {Object} options - 选项
+ * @param {Array} options.path - 数据在上层对象中的路径片段，用于生成错误路径
+ * @param {Object} options.root - 解析 $ref 使用的根 Schema，默认为 schema
+ * @returns {Array} 错误数组 [{path, field, keyword, message}]，为空表示有效
+ */
+export function validateSchema(schema, value, options = {}) {
+  const errors = []
+  visit(schema, value, options.path || [], options.root || schema, errors)
+  return errors
+}
+
+function visit(schema, value, segments, root, errors) {
+  if (schema.$ref) {
+    visit(resolveRef(root, schema.$ref), value, segments, root, errors)
+    return
+  }
+
+  const field = toFieldName(segments)
+  const label = schema.title || field || '数据'
+  const report = (keyword, message) => {
+    errors.push({ path: toPointer(segments), field: field || null, keyword, message })
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some((type) => TYPE_CHECKS[type](value))) {
+      report('type', `${label}类型应为${types.map((type) => TYPE_NAMES[type]).join('或')}`)
+      return
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    report('const', `${label}应为 ${schema.const}`)
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    report('enum', `${label}取值应为 ${schema.enum.join('、')} 之一: ${value}`)
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report(
+        'minLength',
+        schema.minLength === 1 ? `${label}不能为空` : `${label}长度不能少于 ${schema.minLength}`,
+      )
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      report('maxLength', `${label}长度不能超过 ${schema.maxLength}`)
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      report('pattern', `${label}格式无效: ${value}`)
+    }
+    if (schema.format && FORMAT_CHECKS[schema.format] && !FORMAT_CHECKS[schema.format](value)) {
+      report('format', `${label}格式无效: ${value}`)
+    }
+  }
+
+  if (typeof value === 'number') {
+    const below =
+      (schema.minimum !== undefined && value < schema.minimum) ||
+      (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum)
+    const above =
+      (schema.maximum !== undefined && value > schema.maximum) ||
+      (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum)
+    if (below || above) {
+      report(below ? 'minimum' : 'maximum', `${label}超出有效范围: ${value}`)
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report('minItems', `${label}至少需要 ${schema.minItems} 项`)
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report('maxItems', `${label}最多 ${schema.maxItems} 项`)
+    }
+    // prefixItems 按位置校验，items 校验其余元素
+    const prefixItems = schema.prefixItems || []
+    value.forEach((element, index) => {
+      const itemSchema = index < prefixItems.length ? prefixItems[index] : schema.items
+      if (itemSchema) {
+        visit(itemSchema, element, [...segments, index], root, errors)
+      }
+    })
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const properties = schema.properties || {}
+
+    ;(schema.required || []).forEach((name) => {
+      if (value[name] === undefined || value[name] === null) {
+        errors.push({
+          path: toPointer([...segments, name]),
+          field: toFieldName([...segments, name]),
+          keyword: 'required',
+          message: `缺少必要字段 ${name}`,
+        })
+      }
+    })
+
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      if (propertyValue === undefined) return
+      // 必填字段为 null 时只报告缺失
+      if (propertyValue === null && schema.required?.includes(name)) return
+
+      const propertySchema = properties[name]
+      if (propertySchema) {
+        visit(propertySchema, propertyValue, [...segments, name], root, errors)
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          path: toPointer([...segments, name]),
+          field: toFieldName([...segments, name]),
+          keyword: 'additionalProperties',
+          message: `不允许的字段 ${name}`,
+        })
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        visit(schema.additionalProperties, propertyValue, [...segments, name], root, errors)
+      }
+    })
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * 空间查询工具
+ * 供位置、轨迹等数据管理器的网格空间索引使用
+ */
+
+/**
+ * 计算边界覆盖的网格键
+ * @param {Object} bounds - 边界 {minLng, maxLng, minLat, maxLat}
+ * @param {number} gridSize - 网格大小（度）
+ * @returns {Array} 网格键数组
+ */
+export function getGridKeysInBounds(bounds, gridSize) {
+  const { minLng, maxLng, minLat, maxLat } = bounds
+  const minX = Math.floor(minLng / gridSize)
+  const maxX = Math.floor(maxLng / gridSize)
+  const minY = Math.floor(minLat / gridSize)
+  const maxY = Math.floor(maxLat / gridSize)
+
+  const keys = []
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      keys.push(`${x},${y}`)
+    }
+  }
+  return keys
+}
+
+/**
+ * 计算圆形范围的外接边界
+ * @param {number} centerLng - 中心经度
+ * @param {number} centerLat - 中心纬度
+ * @param {number} radiusKm - 半径（公里）
+ * @returns {Object} 边界 {minLng, maxLng, minLat, maxLat}
+ */
+export function getRadiusBounds(centerLng, centerLat, radiusKm) {
+  const latDelta = radiusKm / 111.32
+  const cosLat = Math.cos((centerLat * Math.PI) / 180)
+  // 靠近极点时经度跨度覆盖全部
+  const lngDelta = cosLat > 1e-6 ? radiusKm / (111.32 * cosLat) : 180
+
+  return {
+    minLng: Math.max(-180, centerLng - lngDelta),
+    maxLng: Math.min(180, centerLng + lngDelta),
+    minLat: Math.max(-90, centerLat - latDelta),
+    maxLat: Math.min(90, centerLat + latDelta),
+  }
+}
+
+/**
+ * 计算多边形的外接边界
+ * @param {Array} polygon - 多边形顶点 [[lng, lat], ...]
+ * @returns {Object} 边界 {minLng, maxLng, minLat, maxLat}
+ */
+export function getPolygonBounds(polygon) {
+  let minLng = Infinity,
+    maxLng = -Infinity
+  let minLat = Infinity,
+    maxLat = -Infinity
+
+  polygon.forEach(([lng, lat]) => {
+    minLng = Math.min(minLng, lng)
+    maxLng = Math.max(maxLng, lng)
+    minLat = Math.min(minLat, lat)
+    maxLat = Math.max(maxLat, lat)
+  })
+
+  return { minLng, maxLng, minLat, maxLat }
+}
+
+/**
+ * 判断点是否在多边形内（射线法）
+ * @param {number} lng - 经度
+ * @param {number} lat - 纬度
+ * @param {Array} polygon - 多边形顶点 [[lng, lat], ...]
+ * @returns {boolean} 是否在多边形内
+ */
+export function isPointInPolygon(lng, lat, polygon) {
+  let inside = false
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i]
+    const [xj, yj] = polygon[j]
+
+    const intersects = yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi
+    if (intersects) {
+      inside = !inside
+    }
+  }
+
+  return inside
+}
+
+/**
+ * 判断点是否在边界内
+ * @param {number} lng - 经度
+ * @param {number} lat - 纬度
+ * @param {Object} bounds - 边界 {minLng, maxLng, minLat, maxLat}
+ * @returns {boolean} 是否在边界内
+ */
+export function isPointInBounds(lng, lat, bounds) {
+  return (
+    lng >= bounds.minLng && lng <= bounds.maxLng && lat >= bounds.minLat && lat <= bounds.maxLat
+  )
+}
+
+/**
+ * 计算两点间球面距离（公里）
+ * @param {number} lat1 - 点1纬度
+ * @param {number} lng1 - 点1经度
+ * @param {number} lat2 - 点2纬度
+ * @param {number} lng2 - 点2经度
+ * @returns {number} 距离（公里）
+ */
+export function haversineDistance(lat1, lng1, lat2, lng2) {
+  const R = 6371 // 地球半径（公里）
+  const toRadians = (degrees) => degrees * (Math.PI / 180)
+  const dLat = toRadians(lat2 - lat1)
+  const dLng = toRadians(lng2 - lng1)
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) * Math.sin(dLng / 2)
+
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+}
@@ -0,0 +1,90 @@
+/**
+ * 时间有效期
+ * 关系与融合线按 [开始时间, 结束时间] 判断在某一时刻是否有效：
+ *   开始时间缺失时使用 fallbackStartField（如关系的 createdAt），仍缺失视为一直有效
+ *   结束时间缺失视为至今有效
+ */
+
+// 默认有效期字段，与事件、融合线的 startTime / endTime 一致
+export const DEFAULT_VALIDITY_FIELDS = {
+  startField: 'startTime',
+  endField: 'endTime',
+  fallbackStartField: null,
+}
+
+// 转换为毫秒时间戳，缺失返回 null，无效返回 NaN
+const toTime = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  return value instanceof Date ? value.getTime() : new Date(value).getTime()
+}
+
+/**
+ * 获取数据项的有效期
+ * @param {Object} item - 数据项
+ * @param {Object} fields - 有效期字段 {startField, endField, fallbackStartField}
+ * @returns {Object} {start, end}，毫秒时间戳，null 表示无下限/无上限
+ */
+export function getValidityInterval(item, fields = DEFAULT_VALIDITY_FIELDS) {
+  const { startField, endField, fallbackStartField } = { ...DEFAULT_VALIDITY_FIELDS, ...fields }
+  const start =
+    toTime(item[startField]) ?? (fallbackStartField ? toTime(item[fallbackStartField]) : null)
+  const end = toTime(item[endField])
+  return {
+    start: Number.isNaN(start) ? null : start,
+    end: Number.isNaN(end) ? null : end,
+  }
+}
+
+/**
+ * 判断数据项在指定时刻是否有效（包含边界）
+ * @param {Object} item - 数据项
+ * @param {string|Date|number} time - 时刻
+ * @param {Object} fields - 有效期字段
+ * @returns {boolean} 是否有效
+ */
+export function isActiveAt(item, time, fields = DEFAULT_VALIDITY_FIELDS) {
+  const moment = toTime(time)
+  if (moment === null || Number.isNaN(moment)) return false
+  const { start, end } = getValidityInterval(item, fields)
+  return (start === null || start <= moment) && (end === null || moment <= end)
+}
+
+/**
+ * 判断数据项的有效期是否与时间范围相交
+ * @param {Object} item - 数据项
+ * @param {Object} range - 时间范围 {startTime, endTime}，缺失的一端视为不限
+ * @param {Object} fields - 有效期字段
+ * @returns {boolean} 是否相交
+ */
+export function isActiveDuring(item, range = {}, fields = DEFAULT_VALIDITY_FIELDS) {
+  const rangeStart = toTime(range.startTime)
+  const rangeEnd = toTime(range.endTime)
+  const { start, end } = getValidityInterval(item, fields)
+  if (rangeStart !== null && end !== null && end < rangeStart) return false
+  if (rangeEnd !== null && start !== null && start > rangeEnd) return false
+  return true
+}
+
+/**
+ * 获取有效期校验错误
+ * @param {Object} item - 数据项
+ * @param {Object} fields - 有效期字段
+ * @returns {Array} 错误数组 [{field, message}]
+ */
+export function getValidityErrors(item, fields = DEFAULT_VALIDITY_FIELDS) {
+  const { startField, endField } = { ...DEFAULT_VALIDITY_FIELDS, ...fields }
+  const errors = []
+  const start = toTime(item[startField])
+  const end = toTime(item[endField])
+
+  if (Number.isNaN(start)) {
+    errors.push({ field: startField, message: `${startField} 不是有效时间` })
+  }
+  if (Number.isNaN(end)) {
+    errors.push({ field: endField, message: `${endField} 不是有效时间` })
+  }
+  if (start !== null && end !== null && start > end) {
+    errors.push({ field: endField, message: `${endField} 不能早于 ${startField}` })
+  }
+  return errors
+}
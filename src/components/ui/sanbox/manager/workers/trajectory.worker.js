@@ -0,0 +1,7 @@
+/**
+ * 轨迹预处理 Worker - 任务定义见 trajectoryTasks.js
+ */
+import { exposeTasks } from '../../../../../utils/workerPool.js'
+import TRAJECTORY_TASKS from './trajectoryTasks.js'
+
+exposeTasks(TRAJECTORY_TASKS)
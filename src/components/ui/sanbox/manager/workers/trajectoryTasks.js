@@ -0,0 +1,97 @@
+/**
+ * 轨迹预处理任务
+ * 在 Web Worker 中执行（不支持 Worker 时由线程池在主线程执行）：按时间排序、航程与边界、时间范围
+ */
+import { haversineDistance } from '../spatialUtils.js'
+
+/**
+ * 判断轨迹点是否有有效经纬度
+ * @param {Object} point - 轨迹点
+ * @returns {boolean}
+ */
+function hasCoordinates(point) {
+  return Number.isFinite(point?.longitude) && Number.isFinite(point?.latitude)
+}
+
+/**
+ * 汇总单条轨迹
+ * @param {Array} trajectory - 轨迹点数组 [{timestamp, longitude, latitude, ...}]
+ * @returns {Object} {order, pointCount, totalDistance, bounds, timeRange}
+ *   order 为按时间排序后的原下标数组，已有序时为 null；totalDistance 为按时间顺序相邻点的距离之和（公里）；
+ *   bounds 为 {west, east, south, north}，timeRange 为 {start, end}（ISO 字符串），无有效数据时为 null
+ */
+export function summarizeTrajectory(trajectory = []) {
+  const times = trajectory.map((point) => new Date(point?.timestamp).getTime())
+
+  let sorted = true
+  for (let i = 1; i < times.length && sorted; i++) {
+    sorted = !(times[i] < times[i - 1])
+  }
+  // 时间相同或无效时保持原顺序
+  const order = sorted
+    ? null
+    : times.map((time, index) => index).sort((a, b) => times[a] - times[b] || a - b)
+
+  let totalDistance = 0
+  let west = Infinity
+  let east = -Infinity
+  let south = Infinity
+  let north = -Infinity
+  let start = Infinity
+  let end = -Infinity
+  let prev = null
+
+  for (let i = 0; i < trajectory.length; i++) {
+    const index = order ? order[i] : i
+    const point = trajectory[index]
+
+    if (hasCoordinates(point)) {
+      west = Math.min(west, point.longitude)
+      east = Math.max(east, point.longitude)
+      south = Math.min(south, point.latitude)
+      north = Math.max(north, point.latitude)
+
+      if (hasCoordinates(prev)) {
+        totalDistance += haversineDistance(
+          prev.latitude,
+          prev.longitude,
+          point.latitude,
+          point.longitude,
+        )
+      }
+    }
+
+    if (Number.isFinite(times[index])) {
+      start = Math.min(start, times[index])
+      end = Math.max(end, times[index])
+    }
+    prev = point
+  }
+
+  return {
+    order,
+    pointCount: trajectory.length,
+    totalDistance,
+    bounds: west <= east ? { west, east, south, north } : null,
+    timeRange:
+      start <= end
+        ? { start: new Date(start).toISOString(), end: new Date(end).toISOString() }
+        : null,
+  }
+}
+
+/**
+ * 轨迹预处理任务表（WorkerPool 使用）
+ */
+export const TRAJECTORY_TASKS = {
+  /**
+   * 汇总一批轨迹
+   * @param {Array<Array>} trajectories - 轨迹点数组的数组
+   * @returns {Array<Object>} 与输入一一对应的汇总结果
+   */
+  summarize(trajectories) {
+    return trajectories.map((trajectory) => summarizeTrajectory(trajectory))
+  },
+}
+
+export default TRAJECTORY_TASKS
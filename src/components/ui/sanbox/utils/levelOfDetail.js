@@ -0,0 +1,247 @@
+/**
+ * 细节层次（LOD）与视锥剔除管线
+ * 使用 cesium-render 的 PerformanceOptimizer（updateLOD / updateFrustumCulling）按相机距离为目标和连线分级，
+ * 并找出视锥外的对象；调用方据此决定实例化哪些实体、以何种细节显示
+ */
+
+import PerformanceOptimizer from '@/components/cesium-render/core/PerformanceOptimizer.js'
+
+/**
+ * 计算位置数组的包围球（经纬度中心 + 半径），供 PerformanceOptimizer 使用
+ * @param {Array|Cesium.Property} positions - Cartesian3 数组、[经度, 纬度, 高度] 数组或返回它们的属性
+ * @param {Cesium.JulianDate} time - 动态位置的取值时间
+ * @returns {Object|null} {position: {longitude, latitude, height}, radius}，位置无效时返回 null
+ */
+function getPositionsBounds(positions, time) {
+  const { Cartesian3, Cartographic, BoundingSphere, Math: CesiumMath } = window.Cesium
+  const value = typeof positions?.getValue === 'function' ? positions.getValue(time) : positions
+  if (!Array.isArray(value) || value.length === 0) return null
+
+  const cartesians = value
+    .map((item) =>
+      Array.isArray(item) ? Cartesian3.fromDegrees(item[0], item[1], item[2] || 0) : item,
+    )
+    .filter(Boolean)
+  if (cartesians.length === 0) return null
+
+  const sphere = BoundingSphere.fromPoints(cartesians)
+  const center = Cartographic.fromCartesian(sphere.center)
+  if (!center) return null
+
+  return {
+    position: {
+      longitude: CesiumMath.toDegrees(center.longitude),
+      latitude: CesiumMath.toDegrees(center.latitude),
+      height: center.height,
+    },
+    radius: Math.max(sphere.radius, 10),
+  }
+}
+
+/**
+ * 按最大点数均匀抽稀位置数组，保留首尾点
+ * @param {Array} positions - 位置数组
+ * @param {number} maxCount - 最大点数
+ * @returns {Array} 抽稀后的位置数组（点数未超出时返回原数组）
+ */
+function simplifyPositions(positions, maxCount) {
+  if (!Array.isArray(positions) || positions.length <= maxCount || maxCount < 2) {
+    return positions
+  }
+
+  const step = (positions.length - 1) / (maxCount - 1)
+  return Array.from({ length: maxCount }, (_, index) => positions[Math.round(index * step)])
+}
+
+/**
+ * LOD 管线
+ * 对象以 {id, resolve, cullable} 登记：resolve() 返回当前的 {position, radius}（见 getPositionsBounds），
+ * cullable 为 false 的对象（如移动中的轨迹目标）只分级不剔除
+ * 相机移动后（按 updateInterval 节流）或对象变化后重新计算，分级或可见性变化时调用 onChange
+ */
+class LevelOfDetailPipeline {
+  /**
+   * @param {Cesium.Viewer} viewer - Cesium Viewer
+   * @param {Object} options - 选项
+   * @param {Array<number>} options.distances - LOD距离阈值（米），级别为 0..distances.length
+   * @param {number} options.updateInterval - 相机移动时重新计算的最小间隔（毫秒）
+   * @param {Function} options.onChange - 分级或可见性变化回调
+   */
+  constructor(viewer, options = {}) {
+    this.viewer = viewer
+    this.options = {
+      distances: [300000, 1000000, 4000000],
+      updateInterval: 200,
+      onChange: null,
+      ...options,
+    }
+
+    // 只使用 LOD 与剔除（含地球遮挡），不启动帧率监控
+    this.optimizer = new PerformanceOptimizer(viewer, {
+      lodDistances: this.options.distances,
+      enableOcclusion: true,
+      enableMonitoring: false,
+      adaptiveQuality: false,
+    })
+
+    this.items = new Map() // id -> {id, resolve, cullable}
+    this.levels = new Map() // id -> LOD级别
+    this.culled = new Set() // 视锥外的对象ID
+    this.dirty = true
+    this.lastUpdateTime = 0
+    this.lastCameraPosition = null
+    this.lastCameraDirection = null
+
+    this.onPostRender = this.onPostRender.bind(this)
+    this.viewer.scene.postRender.addEventListener(this.onPostRender)
+  }
+
+  /**
+   * 替换登记的对象，不再登记的对象同时清除其分级与剔除记录
+   * @param {Array<Object>} items - 对象数组 {id, resolve, cullable}
+   */
+  setItems(items) {
+    const next = new Map(items.map((item) => [item.id, item]))
+    this.items.forEach((_, id) => {
+      if (!next.has(id)) {
+        this.optimizer.removeEntity(id)
+        this.levels.delete(id)
+        this.culled.delete(id)
+      }
+    })
+
+    this.items = next
+    this.invalidate()
+  }
+
+  /**
+   * 标记需要重新计算（对象位置变化后调用），在下一帧渲染后执行
+   */
+  invalidate() {
+    this.dirty = true
+    this.optimizer.invalidateFrustumCulling()
+    this.viewer.scene.requestRender()
+  }
+
+  /**
+   * 每帧渲染后检查：对象变化或相机移动时按间隔重新计算
+   */
+  onPostRender() {
+    const now = performance.now()
+    if (now - this.lastUpdateTime < this.options.updateInterval) return
+
+    const camera = this.viewer.camera
+    const cameraMoved =
+      !this.lastCameraPosition ||
+      !window.Cesium.Cartesian3.equalsEpsilon(camera.positionWC, this.lastCameraPosition, 0, 1) ||
+      !window.Cesium.Cartesian3.equalsEpsilon(
+        camera.directionWC,
+        this.lastCameraDirection,
+        window.Cesium.Math.EPSILON6,
+      )
+    if (!this.dirty && !cameraMoved) return
+
+    this.lastUpdateTime = now
+    this.lastCameraPosition = window.Cesium.Cartesian3.clone(camera.positionWC)
+    this.lastCameraDirection = window.Cesium.Cartesian3.clone(camera.directionWC)
+    this.update()
+  }
+
+  /**
+   * 重新计算全部对象的分级与可见性
+   * @returns {boolean} 是否有变化
+   */
+  update() {
+    this.dirty = false
+    const time = this.viewer.clock.currentTime
+
+    const resolved = []
+    this.items.forEach((item) => {
+      const bounds = item.resolve(time)
+      if (bounds) {
+        resolved.push({ id: item.id, cullable: item.cullable !== false, ...bounds })
+      }
+    })
+
+    // 剔除按三维场景的世界坐标计算，二维与哥伦布视图下不剔除
+    const cullable =
+      this.viewer.scene.mode === window.Cesium.SceneMode.SCENE3D
+        ? resolved.filter((item) => item.cullable)
+        : []
+    this.optimizer.updateLOD(resolved)
+    this.optimizer.updateFrustumCulling(cullable)
+
+    // 无法取得位置的对象按完整细节显示
+    const levels = new Map()
+    resolved.forEach((item) => {
+      levels.set(item.id, this.optimizer.lodManager.entityLOD.get(item.id) ?? 0)
+    })
+    const culled = new Set(
+      cullable
+        .filter((item) => this.optimizer.frustumCuller.culledEntities.has(item.id))
+        .map((item) => item.id),
+    )
+
+    const changed =
+      levels.size !== this.levels.size ||
+      culled.size !== this.culled.size ||
+      [...levels].some(([id, level]) => this.levels.get(id) !== level) ||
+      [...culled].some((id) => !this.culled.has(id))
+
+    this.levels = levels
+    this.culled = culled
+    if (changed) {
+      this.options.onChange?.()
+    }
+    return changed
+  }
+
+  /**
+   * 获取对象的LOD级别
+   * @param {string} id - 对象ID
+   * @returns {number} LOD级别，未登记或无法定位时为 0
+   */
+  getLevel(id) {
+    return this.levels.get(id) ?? 0
+  }
+
+  /**
+   * 判断对象是否在视锥内
+   * @param {string} id - 对象ID
+   * @returns {boolean}
+   */
+  isVisible(id) {
+    return !this.culled.has(id)
+  }
+
+  /**
+   * 获取统计信息
+   * @returns {Object} {total, visible, culled, levels: 各级对象数}
+   */
+  getStats() {
+    const levels = new Array(this.options.distances.length + 1).fill(0)
+    this.levels.forEach((level, id) => {
+      if (!this.culled.has(id)) levels[level]++
+    })
+
+    return {
+      total: this.items.size,
+      visible: this.items.size - this.culled.size,
+      culled: this.culled.size,
+      levels,
+    }
+  }
+
+  /**
+   * 销毁管线
+   */
+  destroy() {
+    this.viewer.scene.postRender.removeEventListener(this.onPostRender)
+    this.optimizer.destroy()
+    this.items.clear()
+    this.levels.clear()
+    this.culled.clear()
+  }
+}
+
+export { LevelOfDetailPipeline, getPositionsBounds, simplifyPositions }
@@ -21,9 +21,10 @@ export function addMaterial(type, material) {
  * @param {Cesium.Cartesian3} startPoint - 起点坐标
  * @param {Cesium.Cartesian3} endPoint - 终点坐标
  * @param {Number} height - 曲线最高点的高度，默认为两点距离的1/5
+ * @param {Number} segments - 采样点数，默认200（远距离LOD时减少）
  * @returns {Array<Cesium.Cartesian3>} 返回构成曲线的点数组
  */
-export function generateCurve(startPoint, endPoint, height) {
+export function generateCurve(startPoint, endPoint, height, segments = 200) {
   // 计算起点和终点的中点
   let addPointCartesian = new window.Cesium.Cartesian3()
   window.Cesium.Cartesian3.add(startPoint, endPoint, addPointCartesian)
@@ -44,9 +45,9 @@ export function generateCurve(startPoint, endPoint, height) {
     points: [startPoint, midPoint, endPoint],
   })
 
-  // 计算曲线上的200个采样点
+  // 计算曲线上的采样点
   let curvePoints = []
-  for (let i = 0, len = 200; i < len; i++) {
+  for (let i = 0, len = segments; i < len; i++) {
     curvePoints.push(spline.evaluate(i / len))
   }
 
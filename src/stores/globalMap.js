@@ -1,5 +1,12 @@
 import { defineStore } from 'pinia'
-import { getCircleConnectorData, getDataByTimeRange } from '@/api/index.js'
+import {
+  getCircleConnectorData,
+  getDataByTimeRange,
+  getDataByTimeRangePaged,
+  startLiveReplay,
+  stopLiveReplay,
+} from '@/api/index.js'
+import { LiveStreamClient } from '@/utils'
 import { ref, markRaw, computed } from 'vue'
 import LayerManager from '@/components/ui/layer'
 import dayjs from 'dayjs'
@@ -21,6 +28,7 @@ export const useGlobalMapStore = defineStore('globalMap', () => {
   const rangeData = ref({
     eventData: [],
     fusionLineData: [],
+    geofenceData: [],
     relationData: [],
     targetBaseData: [],
     targetLocationData: [],
@@ -34,6 +42,7 @@ export const useGlobalMapStore = defineStore('globalMap', () => {
       startTime = timeRange.value.startTime,
       endTime = timeRange.value.endTime,
       targetIds = null,
+      pageSize = null, // 指定后分页加载
     } = options
 
     loading.value = true
@@ -41,7 +50,10 @@ export const useGlobalMapStore = defineStore('globalMap', () => {
     try {
       console.log('🔄 加载时间范围数据:', { startTime, endTime, targetIds })
 
-      const data = await getDataByTimeRange({ startTime, endTime, targetIds })
+      const query = { startTime, endTime, targetIds }
+      const data = pageSize
+        ? await getDataByTimeRangePaged(query, { pageSize })
+        : await getDataByTimeRange(query)
       rangeData.value = data.data
 
       // 更新时间范围
@@ -170,6 +182,7 @@ export const useGlobalMapStore = defineStore('globalMap', () => {
       relations: rangeData.value.relationData,
       events: rangeData.value.eventData,
       targetStatuses: rangeData.value.targetStatusData,
+      geofences: rangeData.value.geofenceData,
     })
 
     // 全局时间轴更新
@@ -236,6 +249,7 @@ export const useGlobalMapStore = defineStore('globalMap', () => {
             relations: rangeData.value.relationData,
             events: rangeData.value.eventData,
             targetStatuses: rangeData.value.targetStatusData,
+            geofences: rangeData.value.geofenceData,
           })
           break
         default:
@@ -259,6 +273,53 @@ export const useGlobalMapStore = defineStore('globalMap', () => {
     globalLayerManager.updateGlobalTimeline()
   }
 
+  // 实时推送
+  let liveStreamClient = null
+  const liveConnected = ref(false)
+  const liveClock = ref(null)
+
+  // 连接实时推送，增量数据直接应用到已加载对应数据集的图层
+  function connectLiveStream(options = {}) {
+    if (liveStreamClient) return liveStreamClient
+
+    liveStreamClient = new LiveStreamClient(options)
+    liveStreamClient.on('open', () => {
+      liveConnected.value = true
+    })
+    liveStreamClient.on('error', () => {
+      liveConnected.value = liveStreamClient?.isConnected() || false
+    })
+    liveStreamClient.on('delta', (deltas) => {
+      globalLayerManager.applyDeltas(deltas, options.layerIds || null)
+    })
+    liveStreamClient.on('clock', (clock) => {
+      liveClock.value = clock
+    })
+    liveStreamClient.connect()
+
+    return liveStreamClient
+  }
+
+  // 断开实时推送
+  function disconnectLiveStream() {
+    if (liveStreamClient) {
+      liveStreamClient.disconnect()
+      liveStreamClient = null
+    }
+    liveConnected.value = false
+  }
+
+  // 启动服务端回放模拟，并自动连接实时推送
+  async function startReplay(options = {}) {
+    connectLiveStream()
+    return startLiveReplay(options)
+  }
+
+  // 停止服务端回放模拟
+  async function stopReplay() {
+    return stopLiveReplay()
+  }
+
   // 获取图层管理器
   function getLayerManager() {
     return globalLayerManager
@@ -275,6 +336,10 @@ export const useGlobalMapStore = defineStore('globalMap', () => {
     getLayerManager,
     loadDataByTimeRange,
     updateTimeRange,
+    connectLiveStream,
+    disconnectLiveStream,
+    startReplay,
+    stopReplay,
     // 变量
     layers,
     activeLayerId,
@@ -284,5 +349,7 @@ export const useGlobalMapStore = defineStore('globalMap', () => {
     loading,
     timeRange,
     rangeData,
+    liveConnected,
+    liveClock,
   }
 })
@@ -7,3 +7,9 @@ export * from './apiClient.js'
 
 // 地图工具函数
 export * from './map-util.js'
+
+// 实时推送客户端
+export * from './liveStream.js'
+
+// Web Worker 线程池
+export * from './workerPool.js'
@@ -0,0 +1,175 @@
+// 实时推送客户端 - 基于 EventSource 订阅服务端 SSE 推送
+// 增量消息格式: { id, dataset, op, data, timestamp }
+
+/**
+ * 实时推送客户端
+ * 对增量消息做短时间合并，避免高频推送时图层反复重绘
+ */
+export class LiveStreamClient {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.url - 推送地址
+   * @param {Array} options.targetIds - 只订阅指定目标
+   * @param {Array} options.datasets - 只订阅指定数据集
+   * @param {number} options.flushInterval - 增量合并间隔（毫秒）
+   */
+  constructor(options = {}) {
+    this.options = {
+      url: '/api/stream',
+      targetIds: null,
+      datasets: null,
+      flushInterval: 200,
+      ...options,
+    }
+
+    this.source = null
+    this.pending = []
+    this.flushTimer = null
+    this.handlers = {
+      delta: new Set(),
+      clock: new Set(),
+      replay: new Set(),
+      open: new Set(),
+      error: new Set(),
+    }
+  }
+
+  /**
+   * 建立连接
+   */
+  connect() {
+    if (this.source) return
+
+    const params = new URLSearchParams()
+    if (this.options.targetIds && this.options.targetIds.length > 0) {
+      params.set('target_ids', JSON.stringify(this.options.targetIds))
+    }
+    if (this.options.datasets && this.options.datasets.length > 0) {
+      params.set('datasets', this.options.datasets.join(','))
+    }
+    const query = params.toString()
+
+    // EventSource 断线后会自动重连并携带 Last-Event-ID
+    this.source = new EventSource(query ? `${this.options.url}?${query}` : this.options.url)
+
+    this.source.addEventListener('open', () => this.emit('open'))
+    this.source.addEventListener('error', (event) => this.emit('error', event))
+    this.source.addEventListener('delta', (event) => {
+      const message = this.parse(event)
+      if (message) {
+        this.pending.push(message)
+        this.scheduleFlush()
+      }
+    })
+    this.source.addEventListener('clock', (event) => {
+      const payload = this.parse(event)
+      if (payload) this.emit('clock', payload)
+    })
+    this.source.addEventListener('replay', (event) => {
+      const payload = this.parse(event)
+      if (payload) this.emit('replay', payload)
+    })
+  }
+
+  /**
+   * 断开连接
+   */
+  disconnect() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer)
+      this.flushTimer = null
+    }
+    this.flush()
+
+    if (this.source) {
+      this.source.close()
+      this.source = null
+    }
+  }
+
+  /**
+   * 是否已连接
+   * @returns {boolean}
+   */
+  isConnected() {
+    return Boolean(this.source) && this.source.readyState !== EventSource.CLOSED
+  }
+
+  /**
+   * 注册事件处理函数
+   * @param {string} eventName - delta | clock | replay | open | error
+   * @param {Function} handler - 处理函数，delta 事件收到增量消息数组
+   * @returns {Function} 取消注册函数
+   */
+  on(eventName, handler) {
+    if (!this.handlers[eventName]) {
+      console.warn(`未知的推送事件: ${eventName}`)
+      return () => {}
+    }
+    this.handlers[eventName].add(handler)
+    return () => this.off(eventName, handler)
+  }
+
+  /**
+   * 取消事件处理函数
+   * @param {string} eventName - 事件名称
+   * @param {Function} handler - 处理函数
+   */
+  off(eventName, handler) {
+    if (this.handlers[eventName]) {
+      this.handlers[eventName].delete(handler)
+    }
+  }
+
+  /**
+   * 触发事件
+   * @param {string} eventName - 事件名称
+   * @param {*} payload - 事件数据
+   */
+  emit(eventName, payload) {
+    this.handlers[eventName].forEach((handler) => {
+      try {
+        handler(payload)
+      } catch (error) {
+        console.error(`推送事件 ${eventName} 处理失败:`, error)
+      }
+    })
+  }
+
+  /**
+   * 安排合并发送
+   */
+  scheduleFlush() {
+    if (this.flushTimer) return
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null
+      this.flush()
+    }, this.options.flushInterval)
+  }
+
+  /**
+   * 发送已合并的增量消息
+   */
+  flush() {
+    if (this.pending.length === 0) return
+    const deltas = this.pending
+    this.pending = []
+    this.emit('delta', deltas)
+  }
+
+  /**
+   * 解析消息
+   * @param {MessageEvent} event - SSE 消息
+   * @returns {Object|null} 解析结果
+   */
+  parse(event) {
+    try {
+      return JSON.parse(event.data)
+    } catch (error) {
+      console.error('推送消息解析失败:', error, event.data)
+      return null
+    }
+  }
+}
+
+export default LiveStreamClient
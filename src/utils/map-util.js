@@ -83,6 +83,28 @@ export function getDisplayPrecision(viewer) {
   return 4 // 其他情况显示4位小数
 }
 
+/**
+ * 获取当前相机可视范围
+ * @param {Cesium.Viewer} viewer - Cesium viewer 实例
+ * @returns {Array|null} [west, south, east, north]（度），看向天空等无法计算时返回 null
+ */
+export function getCameraViewBbox(viewer) {
+  if (!viewer || !viewer.camera) {
+    console.warn('Viewer or camera is not available')
+    return null
+  }
+
+  const rectangle = viewer.camera.computeViewRectangle()
+  if (!rectangle) return null
+
+  return [
+    Cesium.Math.toDegrees(rectangle.west),
+    Cesium.Math.toDegrees(rectangle.south),
+    Cesium.Math.toDegrees(rectangle.east),
+    Cesium.Math.toDegrees(rectangle.north),
+  ]
+}
+
 /**
  * 监听地图层级变化
  * @param {Cesium.Viewer} viewer - Cesium viewer 实例
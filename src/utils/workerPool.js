@@ -0,0 +1,351 @@
+// Web Worker 线程池 - 把纯计算任务（数据适配、轨迹预处理等）分发到多个 Worker 执行
+// 任务以 { 任务类型: (payload) => result } 的纯函数表定义，Worker 端用 exposeTasks 注册同一张表；
+// 不支持 Worker 的环境（Node、SSR）、Worker 加载失败或数据无法结构化克隆（如带回调函数）时，
+// 任务改在主线程执行，每个任务之间让出事件循环
+
+const MAX_POOL_SIZE = 4
+
+/**
+ * 创建任务取消错误
+ * @returns {Error} name 为 AbortError 的错误
+ */
+export function createAbortError() {
+  const error = new Error('任务已取消')
+  error.name = 'AbortError'
+  return error
+}
+
+/**
+ * 判断是否为任务取消错误
+ * @param {*} error - 错误
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError'
+}
+
+/**
+ * 按固定大小切分数组
+ * @param {Array} array - 数组
+ * @param {number} size - 每块大小
+ * @returns {Array<Array>} 分块数组
+ */
+export function chunkArray(array, size) {
+  const chunks = []
+  const step = Math.max(1, Math.floor(size) || 1)
+  for (let i = 0; i < array.length; i += step) {
+    chunks.push(array.slice(i, i + step))
+  }
+  return chunks
+}
+
+/**
+ * 在 Worker 内注册任务函数表，消息格式 {id, type, payload} -> {id, result} | {id, error}
+ * @param {Object} tasks - 任务函数表
+ * @param {Object} scope - Worker 全局对象
+ */
+export function exposeTasks(tasks, scope = self) {
+  scope.onmessage = (event) => {
+    const { id, type, payload } = event.data
+    try {
+      const task = tasks[type]
+      if (!task) {
+        throw new Error(`未知的 Worker 任务类型: ${type}`)
+      }
+      scope.postMessage({ id, result: task(payload) })
+    } catch (error) {
+      scope.postMessage({ id, error: error?.message || String(error) })
+    }
+  }
+}
+
+/**
+ * Web Worker 线程池
+ * 任务按提交顺序排队，空闲 Worker 按需创建，最多 size 个；
+ * 取消时排队中的任务直接移除，执行中的任务终止所在 Worker（之后按需重建）
+ */
+export class WorkerPool {
+  /**
+   * @param {Object} options - 选项
+   * @param {Function} options.createWorker - 创建 Worker 的工厂函数
+   *   （Vite 只打包调用方源码中字面量形式的 new Worker(new URL('./x.worker.js', import.meta.url))）
+   * @param {Object} options.tasks - 任务函数表，主线程执行时使用，需与 Worker 端注册的相同
+   * @param {number} options.size - 最大 Worker 数量，默认 CPU 核数减一，最多 4 个
+   */
+  constructor(options = {}) {
+    this.options = {
+      createWorker: null,
+      tasks: {},
+      size: Math.max(
+        1,
+        Math.min(MAX_POOL_SIZE, (globalThis.navigator?.hardwareConcurrency || 2) - 1),
+      ),
+      ...options,
+    }
+
+    this.slots = [] // {worker, task}
+    this.queue = []
+    this.nextTaskId = 1
+    this.supported =
+      typeof Worker !== 'undefined' && typeof this.options.createWorker === 'function'
+    this.destroyed = false
+  }
+
+  /**
+   * 执行单个任务
+   * @param {string} type - 任务类型
+   * @param {*} payload - 任务数据（需可结构化克隆，否则在主线程执行）
+   * @param {Object} options - 选项
+   * @param {AbortSignal} options.signal - 取消信号
+   * @returns {Promise<*>} 任务结果
+   */
+  run(type, payload, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (this.destroyed || signal?.aborted) {
+        reject(createAbortError())
+        return
+      }
+
+      const task = { id: this.nextTaskId++, type, payload, resolve, reject, signal, slot: null }
+      if (signal) {
+        task.onAbort = () => this.abort(task)
+        signal.addEventListener('abort', task.onAbort, { once: true })
+      }
+
+      this.queue.push(task)
+      this.dispatch()
+    })
+  }
+
+  /**
+   * 批量执行同类任务，任一任务失败或取消时取消其余任务
+   * @param {string} type - 任务类型
+   * @param {Array} payloads - 任务数据数组
+   * @param {Object} options - 选项
+   * @param {AbortSignal} options.signal - 取消信号
+   * @param {Function} options.onProgress - 进度回调 ({loaded, total, index})，index 为刚完成的任务下标
+   * @returns {Promise<Array>} 与 payloads 顺序一致的结果数组
+   */
+  async map(type, payloads, { signal, onProgress } = {}) {
+    const controller = new AbortController()
+    const abort = () => controller.abort()
+    if (signal?.aborted) controller.abort()
+    signal?.addEventListener('abort', abort, { once: true })
+
+    const total = payloads.length
+    let loaded = 0
+    onProgress?.({ loaded, total, index: -1 })
+
+    try {
+      return await Promise.all(
+        payloads.map((payload, index) =>
+          this.run(type, payload, { signal: controller.signal }).then((result) => {
+            loaded++
+            onProgress?.({ loaded, total, index })
+            return result
+          }),
+        ),
+      )
+    } catch (error) {
+      controller.abort()
+      throw signal?.aborted ? createAbortError() : error
+    } finally {
+      signal?.removeEventListener('abort', abort)
+    }
+  }
+
+  /**
+   * 把排队中的任务分配给空闲 Worker
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      const slot = this.supported ? this.acquireSlot() : null
+      if (this.supported && !slot) return
+
+      const task = this.queue.shift()
+      if (slot) {
+        this.post(slot, task)
+      } else {
+        this.runLocal(task)
+      }
+    }
+  }
+
+  /**
+   * 获取空闲 Worker，数量未达上限时创建新的
+   * @returns {Object|null} Worker 槽位
+   */
+  acquireSlot() {
+    const idle = this.slots.find((slot) => !slot.task)
+    if (idle) return idle
+    if (this.slots.length >= this.options.size) return null
+
+    try {
+      const slot = { worker: this.options.createWorker(), task: null }
+      slot.worker.onmessage = (event) => this.handleMessage(slot, event.data)
+      slot.worker.onerror = (event) => this.handleWorkerError(event)
+      this.slots.push(slot)
+      return slot
+    } catch (error) {
+      console.warn('Worker 创建失败，任务改在主线程执行:', error)
+      this.disableWorkers()
+      return null
+    }
+  }
+
+  /**
+   * 发送任务到 Worker，数据无法克隆时改在主线程执行
+   * @param {Object} slot - Worker 槽位
+   * @param {Object} task - 任务
+   */
+  post(slot, task) {
+    slot.task = task
+    task.slot = slot
+    try {
+      slot.worker.postMessage({ id: task.id, type: task.type, payload: task.payload })
+    } catch {
+      slot.task = null
+      task.slot = null
+      this.runLocal(task)
+    }
+  }
+
+  /**
+   * 处理 Worker 返回的结果
+   * @param {Object} slot - Worker 槽位
+   * @param {Object} message - {id, result} | {id, error}
+   */
+  handleMessage(slot, message) {
+    const task = slot.task
+    if (!task || task.id !== message.id) return
+
+    slot.task = null
+    task.slot = null
+    if (message.error) {
+      this.settle(task, new Error(message.error))
+    } else {
+      this.settle(task, null, message.result)
+    }
+    this.dispatch()
+  }
+
+  /**
+   * Worker 脚本加载或执行失败（如浏览器不支持模块 Worker）：停用线程池，任务改在主线程执行
+   * @param {ErrorEvent} event - 错误事件
+   */
+  handleWorkerError(event) {
+    event?.preventDefault?.()
+    console.warn('Worker 运行失败，任务改在主线程执行:', event?.message || event)
+
+    this.disableWorkers()
+    this.dispatch()
+  }
+
+  /**
+   * 终止全部 Worker，执行中的任务放回队列头部，之后的任务都在主线程执行
+   */
+  disableWorkers() {
+    this.supported = false
+    const running = []
+    this.slots.forEach((slot) => {
+      slot.worker.terminate()
+      if (slot.task) {
+        slot.task.slot = null
+        running.push(slot.task)
+      }
+    })
+    this.slots = []
+    this.queue.unshift(...running)
+  }
+
+  /**
+   * 在主线程执行任务，执行前让出事件循环
+   * @param {Object} task - 任务
+   */
+  runLocal(task) {
+    setTimeout(() => {
+      if (task.settled) return
+      try {
+        const handler = this.options.tasks[task.type]
+        if (!handler) {
+          throw new Error(`未知的 Worker 任务类型: ${task.type}`)
+        }
+        this.settle(task, null, handler(task.payload))
+      } catch (error) {
+        this.settle(task, error)
+      }
+    }, 0)
+  }
+
+  /**
+   * 取消任务
+   * @param {Object} task - 任务
+   */
+  abort(task) {
+    if (task.settled) return
+
+    const index = this.queue.indexOf(task)
+    if (index !== -1) {
+      this.queue.splice(index, 1)
+    }
+
+    // 执行中的同步任务无法中断，只能终止所在 Worker
+    if (task.slot) {
+      const slot = task.slot
+      slot.worker.terminate()
+      this.slots = this.slots.filter((item) => item !== slot)
+      task.slot = null
+    }
+
+    this.settle(task, createAbortError())
+    this.dispatch()
+  }
+
+  /**
+   * 完成任务
+   * @param {Object} task - 任务
+   * @param {Error|null} error - 错误
+   * @param {*} result - 结果
+   */
+  settle(task, error, result) {
+    if (task.settled) return
+    task.settled = true
+    if (task.onAbort) {
+      task.signal.removeEventListener('abort', task.onAbort)
+    }
+
+    if (error) {
+      task.reject(error)
+    } else {
+      task.resolve(result)
+    }
+  }
+
+  /**
+   * 获取线程池状态
+   * @returns {Object} {supported, size, workers, busy, queued}
+   */
+  getStats() {
+    return {
+      supported: this.supported,
+      size: this.options.size,
+      workers: this.slots.length,
+      busy: this.slots.filter((slot) => slot.task).length,
+      queued: this.queue.length,
+    }
+  }
+
+  /**
+   * 销毁线程池，未完成的任务以 AbortError 结束
+   */
+  destroy() {
+    this.destroyed = true
+    const pending = [...this.queue, ...this.slots.map((slot) => slot.task).filter(Boolean)]
+    this.queue = []
+    this.slots.forEach((slot) => slot.worker.terminate())
+    this.slots = []
+    pending.forEach((task) => this.settle(task, createAbortError()))
+  }
+}
+
+export default WorkerPool